@@ -0,0 +1,81 @@
+"""Demand distributions for the Monte Carlo.
+
+Mirrored in frontend/src/lib/distributions.js for the in-browser engine; keep
+the two in step. Every sampler takes the mean demand of the period, so a
+fitted forecast still sets the level and only the shape changes.
+"""
+import math
+
+DEMAND_DISTRIBUTIONS = ("normal", "poisson", "negative_binomial", "lognormal", "empirical")
+
+
+def demand_sd(distribution, mean, demand_std, dispersion):
+    """Standard deviation of one period's demand, used for safety stock."""
+    if distribution == "poisson":
+        return math.sqrt(mean)
+    if distribution == "negative_binomial":
+        return math.sqrt(mean + mean * mean / dispersion)
+    # normal, lognormal and empirical all take the std dev directly
+    return demand_std
+
+
+def _poisson(rng, lam):
+    if lam <= 0:
+        return 0
+    if lam < 30:
+        # Knuth: multiply uniforms until the product drops below e^-lambda
+        limit = math.exp(-lam)
+        k = 0
+        p = rng.random()
+        while p > limit:
+            k += 1
+            p *= rng.random()
+        return k
+    # Hormann's transformed rejection (PTRS) for large means
+    slam = math.sqrt(lam)
+    loglam = math.log(lam)
+    b = 0.931 + 2.53 * slam
+    a = -0.059 + 0.02483 * b
+    inv_alpha = 1.1239 + 1.1328 / (b - 3.4)
+    vr = 0.9277 - 3.6224 / (b - 2)
+    while True:
+        u = rng.random() - 0.5
+        v = rng.random()
+        us = 0.5 - abs(u)
+        k = math.floor((2 * a / us + b) * u + lam + 0.43)
+        if us >= 0.07 and v <= vr:
+            return k
+        if k < 0 or (us < 0.013 and v > us):
+            continue
+        if (
+            math.log(v) + math.log(inv_alpha) - math.log(a / (us * us) + b)
+            <= -lam + k * loglam - math.lgamma(k + 1)
+        ):
+            return k
+
+
+def make_sampler(rng, distribution, demand_std, dispersion=1.0, residuals=None):
+    """Returns `sample(mean)` drawing one period's demand (never negative).
+
+    `residuals` are the fitted forecast's one-step-ahead errors; the empirical
+    bootstrap adds a randomly picked one to the period mean.
+    """
+    if distribution == "poisson":
+        return lambda mean: float(_poisson(rng, mean))
+    if distribution == "negative_binomial":
+        # gamma-Poisson mixture: variance = mean + mean^2 / dispersion
+        return lambda mean: float(
+            _poisson(rng, rng.gammavariate(dispersion, mean / dispersion)) if mean > 0 else 0
+        )
+    if distribution == "lognormal":
+
+        def lognormal(mean):
+            if mean <= 0 or demand_std == 0:
+                return max(0.0, mean)
+            s2 = math.log(1 + (demand_std / mean) ** 2)
+            return rng.lognormvariate(math.log(mean) - s2 / 2, math.sqrt(s2))
+
+        return lognormal
+    if distribution == "empirical":
+        return lambda mean: max(0.0, mean + rng.choice(residuals))
+    return lambda mean: max(0.0, rng.gauss(mean, demand_std))
@@ -0,0 +1,132 @@
+"""Demand forecasting models fitted to a per-period demand history.
+
+Mirrored in frontend/src/lib/forecasting.js for the in-browser engine; keep
+the two in step. Smoothing parameters are picked by grid search on the
+one-step-ahead mean squared error, and the RMSE of those errors is the demand
+standard deviation the Monte Carlo uses.
+"""
+import math
+
+FORECAST_METHODS = ("moving_average", "ses", "holt", "holt_winters")
+
+PARAM_GRID = [round(0.1 * i, 1) for i in range(1, 10)]
+MAX_MA_WINDOW = 12
+
+
+def min_history(method, season_length):
+    """Fewest periods each method can be fitted to."""
+    if method == "holt_winters":
+        return 2 * season_length
+    if method in ("holt", "moving_average"):
+        return 3
+    return 2
+
+
+def _moving_average(history, window):
+    fitted = [None] * len(history)
+    for t in range(window, len(history)):
+        fitted[t] = sum(history[t - window:t]) / window
+    level = sum(history[-window:]) / window
+    return fitted, lambda h: level
+
+
+def _ses(history, alpha):
+    fitted = [None] * len(history)
+    level = history[0]
+    for t in range(1, len(history)):
+        fitted[t] = level
+        level = alpha * history[t] + (1 - alpha) * level
+    return fitted, lambda h: level
+
+
+def _holt(history, alpha, beta):
+    fitted = [None] * len(history)
+    level = history[0]
+    trend = history[1] - history[0]
+    for t in range(1, len(history)):
+        fitted[t] = level + trend
+        new_level = alpha * history[t] + (1 - alpha) * (level + trend)
+        trend = beta * (new_level - level) + (1 - beta) * trend
+        level = new_level
+    return fitted, lambda h: level + h * trend
+
+
+def _holt_winters(history, alpha, beta, gamma, m):
+    # additive seasonality, initialised from the first two seasons
+    n = len(history)
+    fitted = [None] * n
+    first = sum(history[:m]) / m
+    second = sum(history[m:2 * m]) / m
+    level = first
+    trend = (second - first) / m
+    seasonal = [history[i] - first for i in range(m)]
+    for t in range(m, n):
+        s = seasonal[t - m]
+        fitted[t] = level + trend + s
+        new_level = alpha * (history[t] - s) + (1 - alpha) * (level + trend)
+        trend = beta * (new_level - level) + (1 - beta) * trend
+        seasonal.append(gamma * (history[t] - new_level) + (1 - gamma) * s)
+        level = new_level
+    return fitted, lambda h: level + h * trend + seasonal[n - m + (h - 1) % m]
+
+
+def _mse(history, fitted):
+    # mean rather than sum: moving averages with longer windows fit fewer points
+    errors = [(history[t] - f) ** 2 for t, f in enumerate(fitted) if f is not None]
+    return sum(errors) / len(errors)
+
+
+def _candidates(method, history, season_length):
+    if method == "moving_average":
+        for window in range(2, min(MAX_MA_WINDOW, len(history) - 1) + 1):
+            yield {"window": window}, _moving_average(history, window)
+    elif method == "ses":
+        for alpha in PARAM_GRID:
+            yield {"alpha": alpha}, _ses(history, alpha)
+    elif method == "holt":
+        for alpha in PARAM_GRID:
+            for beta in PARAM_GRID:
+                yield {"alpha": alpha, "beta": beta}, _holt(history, alpha, beta)
+    else:
+        for alpha in PARAM_GRID:
+            for beta in PARAM_GRID:
+                for gamma in PARAM_GRID:
+                    yield (
+                        {"alpha": alpha, "beta": beta, "gamma": gamma},
+                        _holt_winters(history, alpha, beta, gamma, season_length),
+                    )
+
+
+def fit_forecast(history, method, horizon, season_length=12):
+    """Fits `method` to `history` and forecasts `horizon` periods ahead.
+
+    Returns the forecast (floored at 0), the in-sample one-step-ahead fit,
+    MAE, MAPE (None when every actual is 0) and the residual standard
+    deviation.
+    """
+    best = None
+    for params, (fitted, predict) in _candidates(method, history, season_length):
+        mse = _mse(history, fitted)
+        if best is None or mse < best[0]:
+            best = (mse, params, fitted, predict)
+    _, params, fitted, predict = best
+
+    errors = [history[t] - f for t, f in enumerate(fitted) if f is not None]
+    mae = sum(abs(e) for e in errors) / len(errors)
+    pct = [
+        abs(history[t] - f) / abs(history[t])
+        for t, f in enumerate(fitted)
+        if f is not None and history[t] != 0
+    ]
+    mape = sum(pct) / len(pct) if pct else None
+    residual_std = math.sqrt(sum(e * e for e in errors) / len(errors))
+
+    return {
+        "method": method,
+        "params": params,
+        "forecast": [max(0.0, predict(h)) for h in range(1, horizon + 1)],
+        "fitted": fitted,
+        "mae": mae,
+        "mape": mape,
+        "residual_std": residual_std,
+    }
@@ -1,16 +1,29 @@
 from fastapi import FastAPI
 from fastapi.middleware.cors import CORSMiddleware
-from pydantic import BaseModel
+from pydantic import BaseModel, Field, model_validator
+from typing import Annotated, List, Literal, Optional
 import math
+import os
 import random
 
+from distributions import demand_sd, make_sampler
+from forecasting import fit_forecast, min_history
+from pricing import best_tier, evaluate_tiers, price_tiers, unit_cost_for
+from service_level import MAX_SERVICE_TARGET, MIN_SERVICE_TARGET, safety_factor
+
 app = FastAPI()
 
+# Orders are at least one unit, so a forecast that averages no demand still
+# gives the replenishment policies a lot size to order in.
+MIN_ORDER_QUANTITY = 1.0
+
 # Allow your React app to call the API
 origins = [
     "http://localhost:5173",
     "http://127.0.0.1:5173",
 ]
+# Extra origins (e.g. the GitHub Pages site) as a comma-separated list
+origins += [o.strip() for o in os.environ.get("CORS_ORIGINS", "").split(",") if o.strip()]
 
 app.add_middleware(
     CORSMiddleware,
@@ -21,21 +34,87 @@ app.add_middleware(
 )
 
 
+class PriceBreak(BaseModel):
+    min_quantity: float = Field(..., gt=0)
+    unit_cost: float = Field(..., gt=0)
+
+
 class Scenario(BaseModel):
-    demand: int
-    lead_time: int
-    cost: float
-    scenario_type: str = "base"  # "optimistic", "base", "pessimistic"
-    ordering_cost: float = 50.0
-    holding_cost: float = 2.0
-    service_target: float = 0.95  # 0.9, 0.95, 0.97, 0.99
-    demand_std: float = 10.0     # demand variability
+    # Bounds mirror the frontend form rules (frontend/src/lib/scenarioForm.js)
+    # so bad input is rejected with a 422 instead of crashing or being clamped.
+    demand: int = Field(..., ge=1)
+    lead_time: int = Field(..., ge=1)
+    cost: float = Field(..., gt=0)
+    scenario_type: Literal["optimistic", "base", "pessimistic"] = "base"
+    ordering_cost: float = Field(50.0, gt=0)
+    holding_cost: float = Field(2.0, gt=0)
+    service_target: float = Field(0.95, ge=MIN_SERVICE_TARGET, le=MAX_SERVICE_TARGET)
+    # "cycle" (alpha) = chance of no stockout per cycle, "fill_rate" (beta) =
+    # share of demand met from stock
+    service_definition: Literal["cycle", "fill_rate"] = "cycle"
+    # Costing: demand and holding cost are per period, so annual figures scale
+    # by periods_per_year; every unit of lost demand costs shortage_penalty.
+    periods_per_year: int = Field(12, ge=1, le=366)
+    shortage_penalty: float = Field(0.0, ge=0)
+    # All-units quantity discounts on top of `cost`; without an order_quantity
+    # override the cheapest tier sets the order quantity instead of the EOQ.
+    price_breaks: Optional[List[PriceBreak]] = Field(None, max_length=20)
+    demand_std: float = Field(10.0, ge=0)     # demand variability
+    # Policy overrides; by default order the EOQ and hold the z-based safety stock
+    order_quantity: Optional[float] = Field(None, gt=0)
+    safety_stock_multiplier: float = Field(1.0, gt=0, le=5)
+    # Replenishment: "continuous" (s, Q) orders Q whenever the inventory
+    # position falls to the reorder point, "min_max" orders up to s + Q instead,
+    # "periodic" (R, S) orders up to S every review_period periods.
+    policy: Literal["continuous", "periodic", "min_max"] = "continuous"
+    review_period: int = Field(1, ge=1, le=52)
+    lead_time_std: float = Field(0.0, ge=0)  # lead time variability, in periods
+    # Monte Carlo controls; the same seed always reproduces the same result
+    seed: Optional[int] = Field(None, ge=0, le=2**32 - 1)
+    num_runs: int = Field(300, ge=1, le=10000)
+    horizon: int = Field(12, ge=1, le=104)
+    # Demand per period, oldest first. When given, the fitted forecast replaces
+    # the scenario_type trend and its residual std replaces demand_std.
+    demand_history: Optional[List[Annotated[float, Field(ge=0)]]] = Field(
+        None, min_length=2, max_length=520
+    )
+    forecast_method: Literal["moving_average", "ses", "holt", "holt_winters"] = "ses"
+    season_length: int = Field(12, ge=2, le=52)
+    # Shape of per-period demand around its mean. negative_binomial uses
+    # dispersion (variance = mean + mean^2 / dispersion); empirical resamples
+    # the fitted forecast's errors, so it needs demand_history.
+    demand_distribution: Literal[
+        "normal", "poisson", "negative_binomial", "lognormal", "empirical"
+    ] = "normal"
+    dispersion: float = Field(1.0, gt=0)
+
+    @model_validator(mode="after")
+    def check_history_length(self):
+        if self.demand_history is not None:
+            needed = min_history(self.forecast_method, self.season_length)
+            if len(self.demand_history) < needed:
+                raise ValueError(
+                    f"{self.forecast_method} needs at least {needed} periods of demand history"
+                )
+        if self.demand_distribution == "empirical" and self.demand_history is None:
+            raise ValueError("the empirical distribution needs demand_history")
+        return self
+
+    @model_validator(mode="after")
+    def check_price_breaks(self):
+        previous = (0.0, self.cost)
+        for b in sorted(self.price_breaks or [], key=lambda b: b.min_quantity):
+            if b.min_quantity == previous[0]:
+                raise ValueError(f"two price breaks start at {b.min_quantity}")
+            if b.unit_cost >= previous[1]:
+                raise ValueError("price breaks must get cheaper as the minimum quantity rises")
+            previous = (b.min_quantity, b.unit_cost)
+        return self
 
 
 @app.post("/scenario/run")
 def run_simulation(scenario: Scenario):
     # --- Basic metrics ---
-    total_cost = scenario.demand * scenario.cost
     expected_delay = scenario.lead_time * 0.5
 
     service_map = {
@@ -45,55 +124,156 @@ def run_simulation(scenario: Scenario):
     }
     service_level = service_map.get(scenario.scenario_type.lower(), 0.95)
 
+    # --- Demand forecast ---
+    horizon = scenario.horizon
+    forecast_fit = None
+    demand_std = scenario.demand_std
+    if scenario.demand_history:
+        forecast_fit = fit_forecast(
+            scenario.demand_history,
+            scenario.forecast_method,
+            horizon,
+            scenario.season_length,
+        )
+        forecast = [round(v, 2) for v in forecast_fit["forecast"]]
+        demand_std = forecast_fit["residual_std"]
+    else:
+        # simple trend picked by scenario type
+        growth = 0.02 if scenario.scenario_type.lower() == "optimistic" else 0.0
+        if scenario.scenario_type.lower() == "pessimistic":
+            growth = -0.02
+
+        forecast = []
+        current = scenario.demand
+        for t in range(horizon):
+            value = current * (1 + growth * t)
+            forecast.append(round(value, 2))
+
+    # --- Safety stock & reorder point ---
+    # demand is per period; with a fitted forecast, plan on its average
+    plan_demand = sum(forecast) / horizon if forecast_fit else scenario.demand
+    lead_time = scenario.lead_time
+    policy = scenario.policy
+    review_period = scenario.review_period if policy == "periodic" else 1
+    periods_per_year = scenario.periods_per_year
+    annual_demand = plan_demand * periods_per_year
+
     # --- EOQ ---
-    eoq = math.sqrt(
-        (2 * scenario.demand * scenario.ordering_cost) / max(scenario.holding_cost, 0.0001)
+    # on the demand being planned for, so a fitted forecast sizes orders too
+    eoq = max(
+        math.sqrt((2 * plan_demand * scenario.ordering_cost) / max(scenario.holding_cost, 0.0001)),
+        MIN_ORDER_QUANTITY,
     )
 
-    # --- Safety stock & reorder point ---
-    z_map = {0.90: 1.28, 0.95: 1.65, 0.97: 1.88, 0.99: 2.33}
-    target_rounded = round(scenario.service_target, 2)
-    z = z_map.get(target_rounded, 1.65)
-
-    safety_stock = z * scenario.demand_std * math.sqrt(max(scenario.lead_time, 1))
-    daily_demand = scenario.demand / max(scenario.lead_time, 1)
-    reorder_point = daily_demand * scenario.lead_time + safety_stock
-
-    # --- Simple demand forecast (trend) ---
-    horizon = 12
-    growth = 0.02 if scenario.scenario_type.lower() == "optimistic" else 0.0
-    if scenario.scenario_type.lower() == "pessimistic":
-        growth = -0.02
-
-    forecast = []
-    current = scenario.demand
-    for t in range(horizon):
-        value = current * (1 + growth * t)
-        forecast.append(round(value, 2))
+    # Price breaks: cost each tier at its best quantity. Periodic review orders
+    # one review period of demand, so it only takes the price for that size.
+    tiers = price_tiers(scenario.cost, scenario.price_breaks)
+    tier_rows = None
+    if scenario.price_breaks and policy != "periodic":
+        tier_rows = evaluate_tiers(
+            tiers,
+            eoq,
+            annual_demand,
+            scenario.ordering_cost,
+            scenario.holding_cost * periods_per_year,
+        )
+    if scenario.order_quantity is not None:
+        order_quantity = scenario.order_quantity
+    elif tier_rows:
+        order_quantity = best_tier(tier_rows)["order_quantity"]
+    else:
+        order_quantity = eoq
+
+    # Safety stock covers demand over the protection interval (lead time, plus
+    # the review period for periodic review), including lead time variability.
+    distribution = scenario.demand_distribution
+    period_std = demand_sd(distribution, plan_demand, demand_std, scenario.dispersion)
+    protection = lead_time + (review_period if policy == "periodic" else 0)
+    protection_std = math.sqrt(
+        protection * period_std**2 + (plan_demand * scenario.lead_time_std) ** 2
+    )
+    # the fill rate is measured per cycle: one order quantity, or one review
+    # period of demand under periodic review
+    cycle_demand = plan_demand * review_period if policy == "periodic" else order_quantity
+    unit_cost = unit_cost_for(tiers, cycle_demand)
+    z = safety_factor(
+        scenario.service_target, scenario.service_definition, cycle_demand, protection_std
+    )
+    safety_stock = z * protection_std * scenario.safety_stock_multiplier
+    reorder_point = plan_demand * lead_time + safety_stock
+    if policy == "periodic":
+        order_up_to = plan_demand * protection + safety_stock
+    elif policy == "min_max":
+        order_up_to = reorder_point + order_quantity
+    else:
+        order_up_to = None
 
     # --- Monte-Carlo inventory simulation ---
-    num_runs = 300
+    num_runs = scenario.num_runs
+    # pick a seed when none is given so every result can be reproduced
+    seed = scenario.seed if scenario.seed is not None else random.randrange(2**32)
+    rng = random.Random(seed)
+    residuals = None
+    if forecast_fit:
+        residuals = [
+            h - f for h, f in zip(scenario.demand_history, forecast_fit["fitted"]) if f is not None
+        ]
+    sample_demand = make_sampler(rng, distribution, demand_std, scenario.dispersion, residuals)
     inventory_paths = []
     sum_levels = [0.0] * horizon
     min_levels = [float("inf")] * horizon
     max_levels = [float("-inf")] * horizon
     stockout_events = 0
     total_points = num_runs * horizon
+    total_demand = 0.0
+    total_filled = 0.0
+    orders_placed = 0
 
-    starting_inventory = scenario.demand + safety_stock
+    # continuous review orders in lots of order_quantity
+    assert order_quantity > 0, "the order quantity must be positive"
+
+    # start each run with a full cycle of stock on hand
+    starting_inventory = order_up_to if order_up_to is not None else reorder_point + order_quantity
 
     for run in range(num_runs):
         inv = starting_inventory
+        pipeline = []  # outstanding orders as (arrival period, quantity)
         path = []
         for t in range(horizon):
-            demand_real = max(
-                0.0,
-                random.gauss(scenario.demand, scenario.demand_std)
-            )
-            inv -= demand_real
-            if inv <= 0:
+            inv += sum(q for due, q in pipeline if due <= t)
+            pipeline = [(due, q) for due, q in pipeline if due > t]
+
+            # a fitted forecast sets the mean demand of each period;
+            # demand that cannot be met from stock is lost
+            mean_demand = forecast[t] if forecast_fit else scenario.demand
+            demand_real = sample_demand(mean_demand)
+            filled = min(inv, demand_real)
+            inv -= filled
+            total_demand += demand_real
+            total_filled += filled
+            if demand_real > filled:
                 stockout_events += 1
-                inv = 0
+
+            # review at the end of the period
+            position = inv + sum(q for _, q in pipeline)
+            order = 0.0
+            if policy == "continuous":
+                if position <= reorder_point:
+                    # the fewest whole lots that lift the position above the reorder point
+                    lots = math.floor((reorder_point - position) / order_quantity) + 1
+                    order = lots * order_quantity
+            elif policy == "min_max":
+                if position <= reorder_point:
+                    order = order_up_to - position
+            elif (t + 1) % review_period == 0:
+                order = max(0.0, order_up_to - position)
+            if order > 0:
+                lead = lead_time
+                if scenario.lead_time_std > 0:
+                    lead = max(1, round(rng.gauss(lead_time, scenario.lead_time_std)))
+                pipeline.append((t + lead, order))
+                orders_placed += 1
+
             path.append(inv)
 
             sum_levels[t] += inv
@@ -110,6 +290,22 @@ def run_simulation(scenario: Scenario):
     lower_band = min_levels
     upper_band = max_levels
     stockout_probability = stockout_events / max(total_points, 1)
+    fill_rate = total_filled / total_demand if total_demand > 0 else 1.0
+    average_on_hand = sum(sum_levels) / max(total_points, 1)
+
+    # --- Annual cost breakdown ---
+    # one order covers cycle_demand, so it also sets the order count and the
+    # cycle stock; the shortage cost uses the simulated lost units.
+    short_per_period = (total_demand - total_filled) / max(total_points, 1)
+    cost_breakdown = {
+        "purchase": annual_demand * unit_cost,
+        "ordering": (
+            annual_demand / cycle_demand * scenario.ordering_cost if cycle_demand > 0 else 0.0
+        ),
+        "holding": (cycle_demand / 2 + safety_stock) * scenario.holding_cost * periods_per_year,
+        "shortage": short_per_period * periods_per_year * scenario.shortage_penalty,
+    }
+    total_cost = sum(cost_breakdown.values())
 
     # --- Risk level for heat bar ---
     if stockout_probability < 0.1:
@@ -121,15 +317,53 @@ def run_simulation(scenario: Scenario):
 
     return {
         "total_cost": round(total_cost, 2),
+        "cost_breakdown": {k: round(v, 2) for k, v in cost_breakdown.items()},
+        "annual_demand": round(annual_demand, 2),
+        "unit_cost": unit_cost,
+        "price_tiers": None
+        if tier_rows is None
+        else [
+            {k: round(v, 2) if isinstance(v, float) else v for k, v in row.items()}
+            for row in tier_rows
+        ],
+        "periods_per_year": periods_per_year,
+        "shortage_penalty": scenario.shortage_penalty,
         "expected_delay": round(expected_delay, 2),
         "service_level": round(service_level, 3),
         "eoq": round(eoq, 2),
+        "order_quantity": round(order_quantity, 2),
+        "demand_distribution": distribution,
+        "dispersion": scenario.dispersion if distribution == "negative_binomial" else None,
+        "demand_std": round(period_std, 2),
+        "service_target": scenario.service_target,
+        "service_definition": scenario.service_definition,
+        "z": round(z, 3),
         "safety_stock": round(safety_stock, 2),
         "reorder_point": round(reorder_point, 2),
+        "order_up_to": None if order_up_to is None else round(order_up_to, 2),
+        "policy": policy,
+        "review_period": review_period,
+        "lead_time_std": scenario.lead_time_std,
         "forecast": forecast,
+        "forecast_fit": None
+        if forecast_fit is None
+        else {
+            "method": forecast_fit["method"],
+            "params": forecast_fit["params"],
+            "history": scenario.demand_history,
+            "fitted": [None if v is None else round(v, 2) for v in forecast_fit["fitted"]],
+            "mae": round(forecast_fit["mae"], 2),
+            "mape": None if forecast_fit["mape"] is None else round(forecast_fit["mape"], 4),
+        },
         "inventory_avg": avg_levels,
         "inventory_lower": lower_band,
         "inventory_upper": upper_band,
         "stockout_probability": round(stockout_probability, 3),
+        "fill_rate": round(fill_rate, 3),
+        "average_on_hand": round(average_on_hand, 2),
+        "orders_per_run": round(orders_placed / num_runs, 2),
         "risk_level": risk_level,
+        "seed": seed,
+        "num_runs": num_runs,
+        "horizon": horizon,
     }
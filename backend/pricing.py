@@ -0,0 +1,60 @@
+"""All-units quantity discounts.
+
+Mirrored in frontend/src/lib/pricing.js for the in-browser engine; keep the
+two in step. A price break (min_quantity, unit_cost) prices every unit of an
+order of at least min_quantity; the scenario's own cost applies below the
+first break. Holding cost is per unit regardless of price, so the EOQ is the
+same in every tier and only the purchase price changes.
+"""
+import math
+
+
+def price_tiers(base_cost, price_breaks):
+    """[(min_quantity, unit_cost)] sorted by quantity, starting at 0 with the base cost."""
+    tiers = [(0.0, base_cost)]
+    for b in sorted(price_breaks or [], key=lambda b: b.min_quantity):
+        tiers.append((b.min_quantity, b.unit_cost))
+    return tiers
+
+
+def unit_cost_for(tiers, quantity):
+    cost = tiers[0][1]
+    for min_quantity, unit_cost in tiers:
+        if quantity >= min_quantity:
+            cost = unit_cost
+    return cost
+
+
+def evaluate_tiers(tiers, eoq, annual_demand, ordering_cost, annual_holding):
+    """Cheapest order quantity within each tier and its annual cost.
+
+    Within a tier the cost is lowest at the EOQ, or at the tier minimum when
+    the EOQ falls below it. A tier whose best quantity reaches the next break
+    is infeasible: that quantity is priced by the next tier instead. Safety
+    stock and shortage costs do not depend on the tier and are left out.
+    """
+    rows = []
+    for i, (min_quantity, unit_cost) in enumerate(tiers):
+        upper = tiers[i + 1][0] if i + 1 < len(tiers) else math.inf
+        q = max(eoq, min_quantity)
+        purchase = annual_demand * unit_cost
+        ordering = annual_demand / q * ordering_cost if q > 0 else 0.0
+        holding = q / 2 * annual_holding
+        rows.append(
+            {
+                "min_quantity": min_quantity,
+                "unit_cost": unit_cost,
+                "order_quantity": q,
+                "feasible": q < upper,
+                "purchase": purchase,
+                "ordering": ordering,
+                "holding": holding,
+                "total": purchase + ordering + holding,
+            }
+        )
+    return rows
+
+
+def best_tier(rows):
+    """The feasible tier with the lowest annual cost (the EOQ's own tier always qualifies)."""
+    return min((r for r in rows if r["feasible"]), key=lambda r: r["total"])
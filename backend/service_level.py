@@ -0,0 +1,88 @@
+"""Safety factor (z) for a service target.
+
+Mirrored in frontend/src/lib/serviceLevel.js for the in-browser engine; keep
+the two in step.
+
+- "cycle" (alpha): probability of no stockout in a replenishment cycle, so
+  z = inverse normal CDF of the target.
+- "fill_rate" (beta): share of demand met from stock. The expected shortage
+  per cycle, sigma * G(z), must equal (1 - beta) * cycle demand, where G is
+  the standard normal loss function; z is found by bisection.
+"""
+import math
+
+SERVICE_DEFINITIONS = ("cycle", "fill_rate")
+MIN_SERVICE_TARGET = 0.5
+MAX_SERVICE_TARGET = 0.9999
+
+# Bisection bracket for the fill-rate z. G(0) is the largest shortage a
+# non-negative safety stock can give, and G(8) is ~1e-16.
+_Z_UPPER = 8.0
+_BISECTION_STEPS = 60
+
+
+def normal_cdf(z):
+    return 0.5 * math.erfc(-z / math.sqrt(2))
+
+
+def normal_pdf(z):
+    return math.exp(-z * z / 2) / math.sqrt(2 * math.pi)
+
+
+def normal_loss(z):
+    """Standard normal loss function G(z) = E[max(X - z, 0)]."""
+    return normal_pdf(z) - z * (1 - normal_cdf(z))
+
+
+# Acklam's rational approximation, relative error below 1.2e-9.
+_A = (-3.969683028665376e01, 2.209460984245205e02, -2.759285104469687e02,
+      1.383577518672690e02, -3.066479806614716e01, 2.506628277459239e00)
+_B = (-5.447609879822406e01, 1.615858368580409e02, -1.556989798598866e02,
+      6.680131188771972e01, -1.328068155288572e01)
+_C = (-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e00,
+      -2.549732539343734e00, 4.374664141464968e00, 2.938163982698783e00)
+_D = (7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e00,
+      3.754408661907416e00)
+_P_LOW = 0.02425
+
+
+def inverse_normal_cdf(p):
+    """z such that normal_cdf(z) == p, for 0 < p < 1."""
+    if p < _P_LOW:
+        q = math.sqrt(-2 * math.log(p))
+        return (((((_C[0] * q + _C[1]) * q + _C[2]) * q + _C[3]) * q + _C[4]) * q + _C[5]) / (
+            (((_D[0] * q + _D[1]) * q + _D[2]) * q + _D[3]) * q + 1
+        )
+    if p > 1 - _P_LOW:
+        return -inverse_normal_cdf(1 - p)
+    q = p - 0.5
+    r = q * q
+    return (((((_A[0] * r + _A[1]) * r + _A[2]) * r + _A[3]) * r + _A[4]) * r + _A[5]) * q / (
+        ((((_B[0] * r + _B[1]) * r + _B[2]) * r + _B[3]) * r + _B[4]) * r + 1
+    )
+
+
+def safety_factor(target, definition="cycle", cycle_demand=0.0, protection_std=0.0):
+    """z for the service target.
+
+    `cycle_demand` (demand between two orders) and `protection_std` (std dev
+    of demand over the protection interval) are only used for the fill rate.
+    The fill-rate z is never negative: when the order quantity alone meets
+    the target, no safety stock is held.
+    """
+    if definition == "cycle":
+        return inverse_normal_cdf(target)
+    if protection_std <= 0:
+        return 0.0
+    loss = (1 - target) * cycle_demand / protection_std
+    if loss >= normal_loss(0):
+        return 0.0
+    lo, hi = 0.0, _Z_UPPER
+    for _ in range(_BISECTION_STEPS):
+        mid = (lo + hi) / 2
+        # G(z) falls as z rises
+        if normal_loss(mid) > loss:
+            lo = mid
+        else:
+            hi = mid
+    return (lo + hi) / 2
@@ -0,0 +1,25 @@
+"""Tests for POST /scenario/run. Run `pytest` from the backend directory."""
+import pytest
+
+from main import Scenario, run_simulation
+
+BASE = dict(demand=100, lead_time=2, cost=10, demand_std=15, seed=7, num_runs=50)
+
+
+@pytest.mark.parametrize(
+    "history",
+    [
+        dict(demand_history=[0, 0, 0, 0]),
+        dict(demand_history=[300, 200, 100], forecast_method="holt"),
+    ],
+)
+def test_orders_at_least_one_unit_when_the_forecast_has_no_demand(history):
+    result = run_simulation(Scenario(**BASE, **history))
+    assert all(v == 0 for v in result["forecast"])
+    assert result["order_quantity"] >= 1
+    assert result["stockout_probability"] == 0
+
+
+def test_orders_enough_lots_at_once_however_small_the_order_quantity_is():
+    result = run_simulation(Scenario(**{**BASE, "num_runs": 20}, order_quantity=0.000001))
+    assert result["orders_per_run"] > 0
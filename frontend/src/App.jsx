@@ -1,208 +1,372 @@
-import React, { useState, useMemo } from "react";
+import React, { useEffect, useRef, useState } from "react";
+import InventoryChart from "./components/InventoryChart.jsx";
+import ForecastChart from "./components/ForecastChart.jsx";
+import CostBreakdown from "./components/CostBreakdown.jsx";
+import ScenarioForm from "./components/ScenarioForm.jsx";
+import KpiCard from "./components/KpiCard.jsx";
+import RiskBar from "./components/RiskBar.jsx";
+import ScenarioList from "./components/ScenarioList.jsx";
+import ApiSettings from "./components/ApiSettings.jsx";
+import ComparisonTable from "./components/ComparisonTable.jsx";
+import ScenarioOverlayChart from "./components/ScenarioOverlayChart.jsx";
+import SensitivityPanel from "./components/SensitivityPanel.jsx";
+import GridSweepPanel from "./components/GridSweepPanel.jsx";
+import RecommendPanel from "./components/RecommendPanel.jsx";
+import PortfolioPanel from "./components/PortfolioPanel.jsx";
+import SharedScenarioView from "./components/SharedScenarioView.jsx";
+import ViewTabs, { ViewPanel } from "./components/ViewTabs.jsx";
 import {
-  LineChart,
-  Line,
-  XAxis,
-  YAxis,
-  CartesianGrid,
-  Tooltip,
-  Legend,
-  ResponsiveContainer,
-  AreaChart,
-  Area,
-} from "recharts";
-
-// ------- Speech summary (English only) -------
-const buildSpokenSummary = (result) => {
-  if (!result) return "";
-  const cost = Math.round(result.total_cost || 0);
-  const delay = result.expected_delay?.toFixed(1) ?? 0;
-  const service = Math.round((result.service_level || 0) * 100);
-  const eoq = result.eoq ? Math.round(result.eoq) : 0;
-  const risk = result.risk_level || "unknown";
-
-  return `Simulation finished. Total cost is ${cost}. Expected delay is ${delay} days. Service level is ${service} percent. EOQ is ${eoq} units. Risk level is ${risk}.`;
+  buildScenarioRequest,
+  findEstimateMismatches,
+} from "./lib/scenarioRequest.js";
+import { exportScenariosFile, importScenariosFile } from "./lib/scenarioStore.js";
+import {
+  buildComparisonSections,
+  buildExportSections,
+  downloadSections,
+} from "./lib/resultExport.js";
+import { buildReportHtml, chartImage, openReport } from "./lib/report.js";
+import { resolveComparisonIds } from "./lib/comparison.js";
+import { mapValidationErrors } from "./lib/scenarioForm.js";
+import { buildShareUrl, clearShareHash, copyText, readShareHash } from "./lib/shareLink.js";
+import {
+  BackendUnavailableError,
+  ServerError,
+  ValidationError,
+  getApiBaseUrl,
+  isAbortError,
+} from "./lib/apiClient.js";
+import { rerunWithSameSeed, simulate } from "./lib/simulationService.js";
+import { describeDistribution } from "./lib/distributions.js";
+import { describeServiceTarget } from "./lib/serviceLevel.js";
+import { useScenarioLibrary } from "./hooks/useScenarioLibrary.js";
+import { useScenarioForm } from "./hooks/useScenarioForm.js";
+import { useSpeech } from "./hooks/useSpeech.js";
+import { useLocale } from "./hooks/useLocale.js";
+import { useLatest } from "./hooks/useLatest.js";
+import { buildSpokenComparison, buildSpokenSummary } from "./lib/speech.js";
+import VoicePanel from "./components/VoicePanel.jsx";
+import LocaleSettings from "./components/LocaleSettings.jsx";
+import ThemeSettings from "./components/ThemeSettings.jsx";
+import ExportActions from "./components/ExportActions.jsx";
+import { colors, fonts, fontSizes, radii } from "./theme/tokens.js";
+import { cardStyle, panelStyle, pillButton } from "./theme/styles.js";
+
+// small status pill next to the export actions (demand model, engine)
+const badgeStyle = {
+  fontSize: fontSizes.xs,
+  padding: "2px 8px",
+  borderRadius: radii.pill,
+  border: `1px solid ${colors.inputBorder}`,
 };
 
+// the top-level views, in tab order
+const VIEWS = ["single", "portfolio"];
+
 function App() {
+  const { t, fmt, settings: localeSettings } = useLocale();
+
   // ---------- State ----------
-  const [scenarioName, setScenarioName] = useState("");
-  const [demand, setDemand] = useState("");
-  const [leadTime, setLeadTime] = useState("");
-  const [cost, setCost] = useState("");
-  const [orderingCost, setOrderingCost] = useState("");
-  const [holdingCost, setHoldingCost] = useState("");
-  const [serviceLevel, setServiceLevel] = useState("0.95");
+  // a read-only scenario link from the URL hash, shown in its own panel
+  const [sharedLink, setSharedLink] = useState(null);
+  const form = useScenarioForm();
+  // dictated values land in the form as if typed, so they are validated too
+  const speech = useSpeech((patch) => {
+    form.setFields(patch);
+    Object.keys(patch).forEach(form.touchField);
+  });
+  const [includeSeedInLink, setIncludeSeedInLink] = useState(true);
+  const [shareMessage, setShareMessage] = useState("");
+  // every form value except the name, i.e. what feeds a simulation
+  const { scenarioName: _scenarioName, ...scenarioInputs } = form.values;
 
   const [result, setResult] = useState(null);
-  const [savedScenarios, setSavedScenarios] = useState([]);
+  const [lastRequest, setLastRequest] = useState(null);
+  const [lastInputs, setLastInputs] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
-
-  // for comparison
-  const [compareAId, setCompareAId] = useState("");
-  const [compareBId, setCompareBId] = useState("");
-
-  // ---------- Speech synthesis ----------
-  const speakText = (text) => {
-    if (!("speechSynthesis" in window)) {
-      console.log("Speech synthesis not supported");
-      return;
-    }
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.lang = "en-IN";
-    window.speechSynthesis.cancel();
-    window.speechSynthesis.speak(utterance);
-  };
-
-  // ---------- Analytics helpers ----------
-  const computeEOQ = () => {
-    const D = Number(demand);
-    const K = Number(orderingCost);
-    const H = Number(holdingCost);
-    if (!D || !K || !H) return null;
-    const eoq = Math.sqrt((2 * D * K) / H);
-    return eoq;
-  };
-
-  const computeRiskLevel = (svcLevel) => {
-    if (svcLevel >= 0.97) return "low";
-    if (svcLevel >= 0.9) return "medium";
-    return "high";
-  };
+  // "single" scenario view or the multi-SKU "portfolio" view
+  const [view, setView] = useState("single");
+
+  // for comparison (null = default to the first two saved scenarios)
+  const [compareIds, setCompareIds] = useState(null);
+  const [baselineId, setBaselineId] = useState(null);
+
+  // saved scenario library (persisted to localStorage)
+  const {
+    scenarios: savedScenarios,
+    addScenario,
+    renameScenario,
+    duplicateScenario,
+    deleteScenario,
+    importScenarios,
+  } = useScenarioLibrary();
+  const [libraryMessage, setLibraryMessage] = useState("");
+  const importInputRef = useRef(null);
+  const runControllerRef = useRef(null);
+  // wraps the inventory chart, whose SVG goes into the printable report
+  const chartRef = useRef(null);
+  // per saved scenario: { state: "running" | "match" | "mismatch" | "error", message }
+  const [rerunStatus, setRerunStatus] = useState({});
 
   // ---------- Run simulation (FastAPI) ----------
   const handleRunSimulation = async () => {
+    if (!form.isValid) return;
+    // a new run supersedes any request still in flight
+    runControllerRef.current?.abort();
+    const controller = new AbortController();
+    runControllerRef.current = controller;
+
     setError("");
     setLoading(true);
     try {
-      const body = {
-        demand: Number(demand),
-        lead_time: Number(leadTime),
-        cost: Number(cost),
-      };
+      const inputs = scenarioInputs;
+      const body = buildScenarioRequest(inputs);
 
-      const response = await fetch("http://127.0.0.1:8000/scenario/run", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
-      });
+      const data = await simulate(body, { signal: controller.signal, t });
+      setResult(data);
+      setLastRequest(body);
+      setLastInputs(inputs);
 
-      if (!response.ok) {
-        throw new Error("Backend not responding");
+      speech.speakText(
+        buildSpokenSummary(data, speech.settings.language, { currency: localeSettings.currency })
+      );
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error(err);
+      if (err instanceof ValidationError) {
+        const { fields, form: formErrors } = mapValidationErrors(err.body, t);
+        form.setServerErrors(fields);
+        setError(formErrors.length ? formErrors.join(" ") : t("errors.rejected"));
+      } else if (err instanceof BackendUnavailableError) {
+        setError(t("errors.unreachable", { url: getApiBaseUrl(), message: err.message }));
+      } else if (err instanceof ServerError) {
+        setError(t("errors.server", { message: err.message }));
+      } else {
+        setError(t("errors.unexpected"));
       }
+    } finally {
+      if (runControllerRef.current === controller) {
+        runControllerRef.current = null;
+        setLoading(false);
+      }
+    }
+  };
 
-      const data = await response.json();
-      const eoq = computeEOQ();
-      const svc = Number(serviceLevel);
-      const risk_level = computeRiskLevel(svc);
+  const handleCancelSimulation = () => {
+    runControllerRef.current?.abort();
+    runControllerRef.current = null;
+    setLoading(false);
+  };
 
-      const fullResult = {
-        ...data,
-        eoq,
-        selected_service_level: svc,
-        risk_level,
-      };
+  // ---------- Portfolio ----------
+  // Shows a portfolio SKU in the single view with the result it already has,
+  // so the form, KPIs and chart can be explored without re-running it.
+  const handleOpenSku = (row) => {
+    handleCancelSimulation();
+    const inputs = { ...row.inputs, seed: String(row.result.seed) };
+    form.setFields({ ...inputs, scenarioName: row.name });
+    setResult(row.result);
+    setLastRequest(row.request);
+    setLastInputs(inputs);
+    setError("");
+    setView("single");
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
 
-      setResult(fullResult);
+  // ---------- Shareable links ----------
+  const openShareLink = (link) => {
+    if (link.error) {
+      setShareMessage(t("share.openFailed", { error: link.error }));
+    } else if (link.mode === "view") {
+      setSharedLink(link);
+    } else {
+      form.setFields({ ...link.inputs, scenarioName: link.name });
+      setShareMessage(t("share.loaded"));
+      setView("single");
+    }
+  };
 
-      const spoken = buildSpokenSummary(fullResult);
-      speakText(spoken);
-    } catch (err) {
-      console.error(err);
-      setError("Failed to connect to backend. Please check if FastAPI is running.");
-    } finally {
-      setLoading(false);
+  // opens the link the page was loaded with, and any link pasted into an open
+  // tab later (that only changes the hash); "edit" links fill the form, "view"
+  // links open the read-only panel. The listener reads the latest handler and
+  // translator so it is added once.
+  const openShareLinkRef = useLatest(openShareLink);
+  const tRef = useLatest(t);
+  useEffect(() => {
+    let active = true;
+    const handleHashChange = async () => {
+      const link = await readShareHash(window.location.hash, tRef.current);
+      if (active && link) openShareLinkRef.current(link);
+    };
+    handleHashChange();
+    window.addEventListener("hashchange", handleHashChange);
+    return () => {
+      active = false;
+      window.removeEventListener("hashchange", handleHashChange);
+    };
+  }, [openShareLinkRef, tRef]);
+
+  const handleCopyLink = async () => {
+    // the seed of the last run makes the link reproduce that exact result
+    const seed = includeSeedInLink ? form.values.seed || String(result?.seed ?? "") : "";
+    const url = await buildShareUrl({
+      name: form.values.scenarioName,
+      inputs: { ...scenarioInputs, seed },
+    });
+    const copied = await copyText(url, t);
+    setShareMessage(copied ? t("share.copied") : "");
+  };
+
+  const handleCopyScenarioLink = async (scenario) => {
+    // the link carries the saved result, and the seed so the inputs reproduce it
+    const seed = String(scenario.result.seed ?? scenario.inputs.seed ?? "");
+    const url = await buildShareUrl(
+      { name: scenario.name, inputs: { ...scenario.inputs, seed }, result: scenario.result },
+      { readOnly: true }
+    );
+    if (await copyText(url, t)) {
+      setLibraryMessage(t("share.copiedReadOnly", { name: scenario.name }));
     }
   };
 
+  const closeSharedView = () => {
+    setSharedLink(null);
+    clearShareHash();
+  };
+
+  const handleOpenSharedInEditor = (shared) => {
+    handleCancelSimulation();
+    form.setFields({ ...shared.inputs, scenarioName: shared.name });
+    setView("single");
+    closeSharedView();
+  };
+
+  const handleSaveShared = (entry) => {
+    addScenario(entry);
+    setLibraryMessage(t("library.saved", { name: entry.name }));
+    closeSharedView();
+  };
+
   // ---------- Save scenarios ----------
   const handleSaveScenario = () => {
     if (!result) {
-      alert("Run a simulation first before saving.");
+      alert(t("library.runFirst"));
       return;
     }
-    const name = scenarioName || `Scenario ${savedScenarios.length + 1}`;
-    const entry = {
-      id: Date.now(),
+    const name =
+      form.values.scenarioName.trim() || t("library.defaultName", { n: savedScenarios.length + 1 });
+    addScenario({
       name,
-      demand,
-      leadTime,
-      cost,
+      inputs: lastInputs,
+      request: lastRequest,
       result,
-    };
-    setSavedScenarios((prev) => [...prev, entry]);
+    });
+  };
 
-    // if comparison dropdowns empty, set defaults
-    if (!compareAId && prev.length === 0) {
-      setCompareAId(entry.id);
-    } else if (!compareBId && prev.length === 1) {
-      setCompareBId(entry.id);
-    }
+  const handleRenameScenario = (scenario) => {
+    const name = window.prompt(t("library.renamePrompt"), scenario.name);
+    if (name) renameScenario(scenario.id, name);
   };
 
-  const handleSpeakResult = () => {
-    if (!result) {
-      speakText("No scenario result available yet. Please run a simulation first.");
-      return;
+  const handleDeleteScenario = (scenario) => {
+    if (!window.confirm(t("library.deleteConfirm", { name: scenario.name }))) return;
+    deleteScenario(scenario.id);
+    if (compareIds) setCompareIds(compareIds.filter((id) => id !== scenario.id));
+  };
+
+  const handleRerunScenario = async (scenario) => {
+    const setStatus = (state, message) =>
+      setRerunStatus((prev) => ({ ...prev, [scenario.id]: { state, message } }));
+    setStatus("running", t("rerun.running"));
+    try {
+      const { reproduced, differences } = await rerunWithSameSeed(scenario, { t });
+      if (reproduced) {
+        setStatus("match", t("rerun.match", { seed: scenario.result.seed }));
+      } else {
+        setStatus("mismatch", t("rerun.mismatch", { differences: differences.join(", ") }));
+      }
+    } catch (err) {
+      console.error(err);
+      setStatus("error", err.message);
     }
-    const text = buildSpokenSummary(result);
-    speakText(text);
   };
 
-  // ---------- Inventory chart data ----------
-  const chartData = useMemo(() => {
-    if (!result || !demand) return [];
-    const D = Number(demand);
-    const baseStock = D + 50;
-    const points = [];
+  const handleExportScenarios = () => {
+    exportScenariosFile(savedScenarios);
+  };
 
-    for (let i = 0; i <= 10; i++) {
-      const t = i / 10; // 0 to 1
-      const used = D * t;
-      const inventory = Math.max(baseStock - used, 0);
-      points.push({
-        period: `P${i}`,
-        inventory,
-      });
+  const handleImportScenarios = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { scenarios, errors } = await importScenariosFile(file, t);
+      importScenarios(scenarios);
+      const skipped = errors.length
+        ? t("library.skipped", { count: errors.length, errors: errors.join("; ") })
+        : "";
+      setLibraryMessage(t("library.imported", { count: scenarios.length }) + skipped);
+    } catch (err) {
+      console.error(err);
+      setLibraryMessage(t("library.importFailed", { message: err.message }));
     }
-    return points;
-  }, [result, demand]);
+  };
+
+  const handleSpeakResult = () => {
+    speech.speakText(
+      buildSpokenSummary(result, speech.settings.language, { currency: localeSettings.currency })
+    );
+  };
+
+  const estimateMismatches = findEstimateMismatches(lastRequest, result);
 
-  // ---------- Risk bar color ----------
-  let riskColor = "#22c55e";
-  if (result?.risk_level === "medium") riskColor = "#f97316";
-  if (result?.risk_level === "high") riskColor = "#ef4444";
+  const serviceTarget = describeServiceTarget(result, t, fmt);
 
   // ---------- Scenario comparison helpers ----------
-  const scenarioA =
-    savedScenarios.find((s) => s.id === Number(compareAId)) ||
-    (savedScenarios[0] || null);
-  const scenarioB =
-    savedScenarios.find((s) => s.id === Number(compareBId)) ||
-    (savedScenarios[1] || savedScenarios[0] || null);
+  const selectedCompareIds = resolveComparisonIds(savedScenarios, compareIds);
+  const comparedScenarios = savedScenarios.filter((s) =>
+    selectedCompareIds.includes(s.id)
+  );
+
+  // ---------- Export ----------
+  const exportReport = (report) => {
+    const html = buildReportHtml(report, { t, fmt, language: localeSettings.language });
+    return openReport(html);
+  };
+
+  const handleExportResult = (format) => {
+    const name =
+      form.values.scenarioName.trim() || t("library.defaultName", { n: savedScenarios.length + 1 });
+    if (format !== "report") {
+      const sections = buildExportSections([
+        { name, inputs: lastInputs, request: lastRequest, result },
+      ]);
+      downloadSections(sections, format, name);
+      return;
+    }
+    const opened = exportReport({
+      current: {
+        name,
+        result,
+        chart: chartImage(chartRef.current?.querySelector("svg.recharts-surface")),
+      },
+      comparison:
+        comparedScenarios.length >= 2 ? { scenarios: comparedScenarios, baselineId } : null,
+    });
+    if (!opened) setShareMessage(t("export.popupBlocked"));
+  };
 
-  const formatScenarioMetric = (scenario, field) => {
-    if (!scenario) return "—";
-    const r = scenario.result;
-    switch (field) {
-      case "total_cost":
-        return r ? Math.round(r.total_cost).toLocaleString() : "—";
-      case "expected_delay":
-        return r ? r.expected_delay.toFixed(1) : "—";
-      case "eoq":
-        return r && r.eoq ? Math.round(r.eoq) : "—";
-      case "risk":
-        return r ? r.risk_level : "—";
-      case "demand":
-        return scenario.demand || "—";
-      case "leadTime":
-        return scenario.leadTime || "—";
-      case "cost":
-        return scenario.cost || "—";
-      default:
-        return "—";
+  const handleExportComparison = (format) => {
+    if (format !== "report") {
+      downloadSections(buildComparisonSections(comparedScenarios), format, "scenario-comparison");
+      return;
     }
+    const opened = exportReport({
+      current: null,
+      comparison: { scenarios: comparedScenarios, baselineId },
+    });
+    if (!opened) setLibraryMessage(t("export.popupBlocked"));
   };
 
   // ---------- UI ----------
@@ -214,21 +378,20 @@ function App() {
         margin: 0,
         padding: "24px",
         boxSizing: "border-box",
-        background: "radial-gradient(circle at top, #111827 0, #020617 65%)",
-        color: "white",
-        fontFamily:
-          "system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+        background: `radial-gradient(circle at top, ${colors.pageGlow} 0, ${colors.page} 65%)`,
+        color: colors.text,
+        fontFamily: fonts.body,
       }}
     >
       <div
         style={{
           maxWidth: "1200px",
           margin: "0 auto",
-          background: "rgba(15, 23, 42, 0.95)",
-          borderRadius: "16px",
+          background: colors.shell,
+          borderRadius: radii.xxl,
           padding: "24px",
-          boxShadow: "0 25px 50px -12px rgba(15, 23, 42, 0.8)",
-          border: "1px solid rgba(148, 163, 184, 0.2)",
+          boxShadow: `0 25px 50px -12px ${colors.shellShadow}`,
+          border: `1px solid ${colors.shellBorder}`,
         }}
       >
         {/* HEADER */}
@@ -241,829 +404,404 @@ function App() {
           }}
         >
           <div>
-            <h1 style={{ fontSize: "32px", margin: 0 }}>
-              Decision Intelligence Dashboard
-            </h1>
-            <p style={{ marginTop: "4px", color: "#9ca3af" }}>
-              Run inventory scenarios, compare strategies and hear the result in English.
-            </p>
+            <h1 style={{ fontSize: fontSizes.title, margin: 0 }}>{t("app.title")}</h1>
+            <p style={{ marginTop: "4px", color: colors.textMuted }}>{t("app.subtitle")}</p>
+          </div>
+          <div style={{ display: "flex", flexDirection: "column", alignItems: "flex-end", gap: "8px" }}>
+            <ThemeSettings />
+            <LocaleSettings />
+            <ApiSettings />
           </div>
         </header>
 
-        {/* TOP GRID: inputs + KPIs + chart */}
-        <div
-          style={{
-            display: "grid",
-            gridTemplateColumns: "1.1fr 1.9fr",
-            gap: "24px",
-          }}
-        >
-          {/* LEFT: Inputs */}
-          <section
+        {sharedLink?.mode === "view" && !sharedLink.error && (
+          <SharedScenarioView
+            key={sharedLink.token}
+            shared={sharedLink}
+            onOpenInEditor={handleOpenSharedInEditor}
+            onSave={handleSaveShared}
+            onClose={closeSharedView}
+          />
+        )}
+
+        <ViewTabs
+          views={VIEWS.map((key) => ({ key, label: t(`nav.${key}`) }))}
+          active={view}
+          onChange={setView}
+          label={t("nav.label")}
+        />
+
+        <ViewPanel name="portfolio" active={view}>
+          <PortfolioPanel onOpenSku={handleOpenSku} />
+        </ViewPanel>
+
+        <ViewPanel name="single" active={view}>
+          {/* TOP GRID: inputs + KPIs + chart */}
+          <div
             style={{
-              background: "rgba(15, 23, 42, 0.9)",
-              borderRadius: "12px",
-              padding: "16px",
-              border: "1px solid rgba(75,85,99,0.7)",
+              display: "grid",
+              gridTemplateColumns: "1.1fr 1.9fr",
+              gap: "24px",
             }}
           >
-            <h2 style={{ fontSize: "18px", marginBottom: "12px" }}>
-              Scenario Inputs
-            </h2>
+            {/* LEFT: Inputs */}
+            <section style={panelStyle}>
+              <ScenarioForm form={form}>
+                <VoicePanel speech={speech} />
+              </ScenarioForm>
 
-            <div style={{ marginBottom: "10px" }}>
-              <label
-                style={{ fontSize: "13px", display: "block", marginBottom: "4px" }}
-              >
-                Scenario Name
-              </label>
-              <input
-                type="text"
-                value={scenarioName}
-                onChange={(e) => setScenarioName(e.target.value)}
-                placeholder="e.g., Stock demand"
+              {/* BUTTONS */}
+              <div
                 style={{
-                  width: "100%",
-                  padding: "8px 10px",
-                  borderRadius: "8px",
-                  border: "1px solid #4b5563",
-                  background: "#020617",
-                  color: "white",
-                  fontSize: "13px",
+                  display: "flex",
+                  flexWrap: "wrap",
+                  gap: "8px",
+                  marginTop: "16px",
                 }}
-              />
-            </div>
-
-            <div
-              style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px" }}
-            >
-              <div>
-                <label
-                  style={{ fontSize: "13px", display: "block", marginBottom: "4px" }}
-                >
-                  Demand
-                </label>
-                <input
-                  type="number"
-                  value={demand}
-                  onChange={(e) => setDemand(e.target.value)}
-                  placeholder="500"
+              >
+                <button
+                  onClick={handleRunSimulation}
+                  disabled={loading || !form.isValid}
+                  title={form.isValid ? undefined : t("actions.runDisabled")}
                   style={{
-                    width: "100%",
-                    padding: "8px 10px",
-                    borderRadius: "8px",
-                    border: "1px solid #4b5563",
-                    background: "#020617",
-                    color: "white",
-                    fontSize: "13px",
+                    ...pillButton({ size: "lg", disabled: loading || !form.isValid }),
+                    border: "none",
+                    background: `linear-gradient(to right, ${colors.runFrom}, ${colors.runTo})`,
+                    color: colors.runText,
+                    fontWeight: 600,
                   }}
-                />
-              </div>
-              <div>
-                <label
-                  style={{ fontSize: "13px", display: "block", marginBottom: "4px" }}
                 >
-                  Lead Time
-                </label>
-                <input
-                  type="number"
-                  value={leadTime}
-                  onChange={(e) => setLeadTime(e.target.value)}
-                  placeholder="10"
-                  style={{
-                    width: "100%",
-                    padding: "8px 10px",
-                    borderRadius: "8px",
-                    border: "1px solid #4b5563",
-                    background: "#020617",
-                    color: "white",
-                    fontSize: "13px",
-                  }}
-                />
-              </div>
-            </div>
-
-            <div
-              style={{
-                display: "grid",
-                gridTemplateColumns: "1fr 1fr",
-                gap: "10px",
-                marginTop: "10px",
-              }}
-            >
-              <div>
-                <label
-                  style={{ fontSize: "13px", display: "block", marginBottom: "4px" }}
+                  {loading ? t("actions.running") : t("actions.run")}
+                </button>
+
+                {loading && (
+                  <button
+                    type="button"
+                    onClick={handleCancelSimulation}
+                    style={pillButton({ size: "lg", tone: "danger" })}
+                  >
+                    {t("actions.cancel")}
+                  </button>
+                )}
+
+                <button
+                  type="button"
+                  onClick={handleSaveScenario}
+                  style={pillButton({ size: "lg" })}
                 >
-                  Cost / Unit
-                </label>
-                <input
-                  type="number"
-                  value={cost}
-                  onChange={(e) => setCost(e.target.value)}
-                  placeholder="100"
-                  style={{
-                    width: "100%",
-                    padding: "8px 10px",
-                    borderRadius: "8px",
-                    border: "1px solid #4b5563",
-                    background: "#020617",
-                    color: "white",
-                    fontSize: "13px",
-                  }}
-                />
-              </div>
-              <div>
-                <label
-                  style={{ fontSize: "13px", display: "block", marginBottom: "4px" }}
+                  {t("actions.save")}
+                </button>
+
+                <button
+                  type="button"
+                  onClick={handleSpeakResult}
+                  style={pillButton({ size: "lg", tone: "voice" })}
                 >
-                  Service Level
-                </label>
-                <select
-                  value={serviceLevel}
-                  onChange={(e) => setServiceLevel(e.target.value)}
-                  style={{
-                    width: "100%",
-                    padding: "8px 10px",
-                    borderRadius: "8px",
-                    border: "1px solid #4b5563",
-                    background: "#020617",
-                    color: "white",
-                    fontSize: "13px",
-                  }}
+                  {t("actions.speak")}
+                </button>
+
+                <button
+                  type="button"
+                  onClick={handleCopyLink}
+                  title={t("actions.copyLinkHint")}
+                  style={pillButton({ size: "lg" })}
                 >
-                  <option value="0.9">90%</option>
-                  <option value="0.95">95%</option>
-                  <option value="0.97">97%</option>
-                  <option value="0.99">99%</option>
-                </select>
-              </div>
-            </div>
-
-            <div
-              style={{
-                display: "grid",
-                gridTemplateColumns: "1fr 1fr",
-                gap: "10px",
-                marginTop: "10px",
-              }}
-            >
-              <div>
+                  {t("actions.copyLink")}
+                </button>
                 <label
-                  style={{ fontSize: "13px", display: "block", marginBottom: "4px" }}
-                >
-                  Ordering Cost
-                </label>
-                <input
-                  type="number"
-                  value={orderingCost}
-                  onChange={(e) => setOrderingCost(e.target.value)}
-                  placeholder="200"
                   style={{
-                    width: "100%",
-                    padding: "8px 10px",
-                    borderRadius: "8px",
-                    border: "1px solid #4b5563",
-                    background: "#020617",
-                    color: "white",
-                    fontSize: "13px",
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "4px",
+                    fontSize: fontSizes.sm,
+                    color: colors.textMuted,
                   }}
-                />
-              </div>
-              <div>
-                <label
-                  style={{ fontSize: "13px", display: "block", marginBottom: "4px" }}
                 >
-                  Holding Cost
+                  <input
+                    type="checkbox"
+                    checked={includeSeedInLink}
+                    onChange={(e) => setIncludeSeedInLink(e.target.checked)}
+                  />
+                  {t("actions.withSeed")}
                 </label>
-                <input
-                  type="number"
-                  value={holdingCost}
-                  onChange={(e) => setHoldingCost(e.target.value)}
-                  placeholder="50"
-                  style={{
-                    width: "100%",
-                    padding: "8px 10px",
-                    borderRadius: "8px",
-                    border: "1px solid #4b5563",
-                    background: "#020617",
-                    color: "white",
-                    fontSize: "13px",
-                  }}
-                />
               </div>
-            </div>
 
-            {/* BUTTONS */}
-            <div
+              {shareMessage && (
+                <p style={{ marginTop: "8px", color: colors.textMuted, fontSize: fontSizes.sm }}>
+                  {shareMessage}
+                </p>
+              )}
+
+              {error && (
+                <p style={{ marginTop: "10px", color: colors.warning, fontSize: fontSizes.md }}>
+                  {error}
+                </p>
+              )}
+            </section>
+
+            {/* RIGHT: KPIs + GRAPH */}
+            <section
               style={{
+                ...panelStyle,
                 display: "flex",
-                flexWrap: "wrap",
-                gap: "8px",
-                marginTop: "16px",
+                flexDirection: "column",
+                gap: "12px",
               }}
             >
-              <button
-                onClick={handleRunSimulation}
-                disabled={loading}
-                style={{
-                  padding: "8px 14px",
-                  borderRadius: "999px",
-                  border: "none",
-                  background: "linear-gradient(to right, #22c55e, #a3e635)",
-                  color: "#022c22",
-                  fontWeight: 600,
-                  fontSize: "13px",
-                  cursor: "pointer",
-                }}
-              >
-                {loading ? "Running..." : "Run Simulation"}
-              </button>
-
-              <button
-                type="button"
-                onClick={handleSaveScenario}
-                style={{
-                  padding: "8px 14px",
-                  borderRadius: "999px",
-                  border: "1px solid #4b5563",
-                  background: "transparent",
-                  color: "white",
-                  fontSize: "13px",
-                  cursor: "pointer",
-                }}
-              >
-                Save Scenario
-              </button>
-
-              <button
-                type="button"
-                onClick={handleSpeakResult}
-                style={{
-                  padding: "8px 14px",
-                  borderRadius: "999px",
-                  border: "1px solid #4b5563",
-                  background: "rgba(147,51,234,0.2)",
-                  color: "#e9d5ff",
-                  fontSize: "13px",
-                  cursor: "pointer",
-                }}
-              >
-                🔊 Speak Result
-              </button>
-            </div>
+              {/* Export actions + engine badge */}
+              {result?.engine && (
+                <div style={{ display: "flex", justifyContent: "flex-end", gap: "6px" }}>
+                  <div style={{ marginRight: "auto" }}>
+                    <ExportActions onExport={handleExportResult} />
+                  </div>
+                  <span
+                    title={t("results.demandBadgeHint")}
+                    style={{ ...badgeStyle, color: colors.textSoft }}
+                  >
+                    {t("results.demandBadge", { distribution: describeDistribution(result, t) })}
+                  </span>
+                  <span
+                    title={result.seed !== undefined ? t("results.seed", { seed: result.seed }) : undefined}
+                    style={{
+                      ...badgeStyle,
+                      border: `1px solid ${result.engine === "backend" ? colors.success : colors.warning}`,
+                      color: result.engine === "backend" ? colors.successText : colors.warningText,
+                    }}
+                  >
+                    {t(`engine.${result.engine}`)}
+                  </span>
+                </div>
+              )}
 
-            {error && (
-              <p style={{ marginTop: "10px", color: "#f97316", fontSize: "13px" }}>
-                {error}
-              </p>
-            )}
-          </section>
+              {/* KPIs */}
+              <div style={{ display: "flex", gap: "12px" }}>
+                <KpiCard label={t("kpi.totalCost")} value={result?.total_cost} format={fmt.currency} />
+                <KpiCard
+                  label={t("kpi.delay")}
+                  value={result?.expected_delay}
+                  format={(days) => t("kpi.delayValue", { days: fmt.number(days, 1) })}
+                />
+                <KpiCard
+                  label={t("kpi.serviceLevel")}
+                  value={result?.service_level}
+                  format={(level) => fmt.percent(level, 0)}
+                  note={serviceTarget && t("kpi.target", { target: serviceTarget })}
+                />
+                <KpiCard
+                  label={t("kpi.eoq")}
+                  value={result?.eoq || null}
+                  format={fmt.number}
+                  note={
+                    result?.price_tiers &&
+                    Math.round(result.order_quantity) !== Math.round(result.eoq)
+                      ? t("kpi.orderingAt", {
+                          quantity: fmt.number(result.order_quantity),
+                          price: fmt.currency(result.unit_cost, 2),
+                        })
+                      : null
+                  }
+                  noteTitle={t("kpi.orderingAtHint")}
+                  noteTone="caution"
+                />
+              </div>
 
-          {/* RIGHT: KPIs + GRAPH */}
-          <section
-            style={{
-              background: "rgba(15, 23, 42, 0.9)",
-              borderRadius: "12px",
-              padding: "16px",
-              border: "1px solid rgba(75,85,99,0.7)",
-              display: "flex",
-              flexDirection: "column",
-              gap: "12px",
-            }}
-          >
-            {/* KPIs */}
-            <div style={{ display: "flex", gap: "12px" }}>
-              <div
-                style={{
-                  flex: 1,
-                  background: "#020617",
-                  borderRadius: "10px",
-                  padding: "10px",
-                  border: "1px solid #1f2937",
-                }}
-              >
-                <div style={{ fontSize: "11px", color: "#9ca3af" }}>Total Cost</div>
-                <div style={{ fontSize: "18px", marginTop: "4px" }}>
-                  {result ? Math.round(result.total_cost).toLocaleString() : "—"}
-                </div>
+              {/* Replenishment KPIs */}
+              <div style={{ display: "flex", gap: "12px" }}>
+                <KpiCard label={t("kpi.fillRate")} value={result?.fill_rate} format={fmt.percent} />
+                <KpiCard
+                  label={t("kpi.stockout")}
+                  value={result?.stockout_probability}
+                  format={fmt.percent}
+                />
+                <KpiCard label={t("kpi.onHand")} value={result?.average_on_hand} format={fmt.number} />
+                <KpiCard
+                  label={t("kpi.orders")}
+                  value={result?.orders_per_run}
+                  format={(orders) => t("kpi.ordersValue", { orders: fmt.number(orders, 1) })}
+                />
               </div>
-              <div
-                style={{
-                  flex: 1,
-                  background: "#020617",
-                  borderRadius: "10px",
-                  padding: "10px",
-                  border: "1px solid #1f2937",
-                }}
-              >
-                <div style={{ fontSize: "11px", color: "#9ca3af" }}>Delay</div>
-                <div style={{ fontSize: "18px", marginTop: "4px" }}>
-                  {result ? `${result.expected_delay.toFixed(1)} days` : "—"}
+
+              {/* Annual cost breakdown */}
+              {result?.cost_breakdown && (
+                <div style={cardStyle}>
+                  <h3 style={{ fontSize: fontSizes.lg, margin: "0 0 4px" }}>{t("costs.title")}</h3>
+                  <CostBreakdown request={lastRequest} result={result} />
                 </div>
-              </div>
-              <div
-                style={{
-                  flex: 1,
-                  background: "#020617",
-                  borderRadius: "10px",
-                  padding: "10px",
-                  border: "1px solid #1f2937",
-                }}
-              >
-                <div style={{ fontSize: "11px", color: "#9ca3af" }}>Service Level</div>
-                <div style={{ fontSize: "18px", marginTop: "4px" }}>
-                  {result ? `${Math.round(result.service_level * 100)}%` : "—"}
+              )}
+
+              <RiskBar level={result?.risk_level} />
+
+              {/* Backend vs client estimate check */}
+              {estimateMismatches.length > 0 && (
+                <div
+                  style={{
+                    fontSize: fontSizes.sm,
+                    color: colors.caution,
+                    background: colors.cautionSoft,
+                    border: `1px solid ${colors.cautionBorder}`,
+                    borderRadius: radii.md,
+                    padding: "6px 10px",
+                  }}
+                >
+                  {estimateMismatches.map((m) => (
+                    <div key={m.field}>
+                      {t("estimate.mismatch", {
+                        label: t(`metric.${m.field}`),
+                        actual: m.field === "total_cost" ? fmt.currency(m.actual) : fmt.number(m.actual),
+                        expected:
+                          m.field === "total_cost" ? fmt.currency(m.expected) : fmt.number(m.expected),
+                      })}
+                    </div>
+                  ))}
                 </div>
-              </div>
-              <div
-                style={{
-                  flex: 1,
-                  background: "#020617",
-                  borderRadius: "10px",
-                  padding: "10px",
-                  border: "1px solid #1f2937",
-                }}
-              >
-                <div style={{ fontSize: "11px", color: "#9ca3af" }}>EOQ</div>
-                <div style={{ fontSize: "18px", marginTop: "4px" }}>
-                  {result?.eoq ? Math.round(result.eoq) : "—"}
+              )}
+
+              {/* Super graph */}
+              <div style={{ flex: 1, minHeight: "260px", marginTop: "8px" }}>
+                <h3 style={{ fontSize: fontSizes.lg, marginBottom: "4px" }}>
+                  {t("charts.inventoryTitle")}
+                </h3>
+                <div ref={chartRef} style={{ width: "100%", height: "230px" }}>
+                  <InventoryChart result={result} />
                 </div>
+                {result?.forecast_fit && (
+                  <div style={{ marginTop: "16px" }}>
+                    <h3 style={{ fontSize: fontSizes.lg, margin: "0 0 4px" }}>{t("charts.forecastTitle")}</h3>
+                    <ForecastChart result={result} />
+                  </div>
+                )}
               </div>
-            </div>
+            </section>
+          </div>
+
+          <SensitivityPanel inputs={scenarioInputs} disabled={!form.isValid} />
+
+          <GridSweepPanel
+            inputs={scenarioInputs}
+            disabled={!form.isValid}
+            onLoadInputs={form.setFields}
+          />
 
-            {/* Risk bar */}
+          <RecommendPanel
+            inputs={scenarioInputs}
+            disabled={!form.isValid}
+            onApply={form.setFields}
+            onSave={addScenario}
+          />
+
+          {/* Saved scenarios list + comparison */}
+          <section style={{ ...panelStyle, marginTop: "24px" }}>
             <div
               style={{
                 display: "flex",
+                justifyContent: "space-between",
                 alignItems: "center",
                 gap: "12px",
-                marginTop: "4px",
+                marginBottom: "12px",
               }}
             >
-              <div style={{ fontSize: "12px", color: "#9ca3af", minWidth: "80px" }}>
-                Risk Level
-              </div>
-              <div
-                style={{
-                  flex: 1,
-                  height: "10px",
-                  borderRadius: "999px",
-                  background: "#0f172a",
-                  overflow: "hidden",
-                  border: "1px solid #1f2937",
-                }}
-              >
-                <div
-                  style={{
-                    width: "100%",
-                    height: "100%",
-                    background: result
-                      ? `linear-gradient(to right, ${riskColor}, ${riskColor})`
-                      : "transparent",
-                    opacity: result ? 1 : 0.2,
-                    transition: "all 0.3s ease",
-                  }}
+              <h2 style={{ fontSize: fontSizes.xxl, margin: 0 }}>{t("library.title")}</h2>
+              <div style={{ display: "flex", gap: "8px" }}>
+                <button
+                  type="button"
+                  onClick={() => importInputRef.current?.click()}
+                  style={pillButton()}
+                >
+                  {t("library.import")}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleExportScenarios}
+                  disabled={savedScenarios.length === 0}
+                  style={pillButton()}
+                >
+                  {t("library.export")}
+                </button>
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={handleImportScenarios}
+                  style={{ display: "none" }}
                 />
               </div>
-              <div style={{ fontSize: "12px", textTransform: "capitalize" }}>
-                {result ? result.risk_level : "—"}
-              </div>
-            </div>
-
-            {/* Super graph */}
-            <div style={{ flex: 1, minHeight: "260px", marginTop: "8px" }}>
-              <h3 style={{ fontSize: "14px", marginBottom: "4px" }}>
-                Inventory Projection
-              </h3>
-              <div style={{ width: "100%", height: "230px" }}>
-                <ResponsiveContainer>
-                  <AreaChart data={chartData}>
-                    <defs>
-                      <linearGradient id="inventoryFill" x1="0" y1="0" x2="0" y2="1">
-                        <stop offset="0%" stopColor="#38bdf8" stopOpacity={0.9} />
-                        <stop offset="100%" stopColor="#0f172a" stopOpacity={0} />
-                      </linearGradient>
-                    </defs>
-                    <CartesianGrid strokeDasharray="3 3" stroke="#1f2937" />
-                    <XAxis dataKey="period" stroke="#9ca3af" />
-                    <YAxis stroke="#9ca3af" />
-                    <Tooltip
-                      contentStyle={{
-                        background: "#020617",
-                        border: "1px solid #374151",
-                        borderRadius: "8px",
-                        fontSize: "12px",
-                      }}
-                    />
-                    <Legend />
-                    <Area
-                      type="monotone"
-                      dataKey="inventory"
-                      name="Inventory"
-                      stroke="#38bdf8"
-                      strokeWidth={3}
-                      fillOpacity={1}
-                      fill="url(#inventoryFill)"
-                      dot={{ r: 3, stroke: "#e5e7eb", strokeWidth: 1 }}
-                    />
-                  </AreaChart>
-                </ResponsiveContainer>
-              </div>
             </div>
-          </section>
-        </div>
-
-        {/* Saved scenarios list + comparison */}
-        <section
-          style={{
-            marginTop: "24px",
-            background: "rgba(15, 23, 42, 0.9)",
-            borderRadius: "12px",
-            padding: "16px",
-            border: "1px solid rgba(55,65,81,0.8)",
-          }}
-        >
-          <h2 style={{ fontSize: "18px", marginBottom: "12px" }}>Saved Scenarios</h2>
-
-          {savedScenarios.length === 0 ? (
-            <p style={{ fontSize: "13px", color: "#9ca3af" }}>
-              Run a simulation and click &quot;Save Scenario&quot; to keep it here.
-            </p>
-          ) : (
-            <>
-              {/* simple cards list */}
-              <div
-                style={{
-                  display: "flex",
-                  flexWrap: "wrap",
-                  gap: "12px",
-                  marginBottom: "16px",
-                }}
-              >
-                {savedScenarios.map((s) => (
-                  <div
-                    key={s.id}
-                    style={{
-                      background: "#020617",
-                      borderRadius: "10px",
-                      padding: "10px",
-                      border: "1px solid #1f2937",
-                      minWidth: "180px",
-                    }}
-                  >
-                    <div style={{ fontWeight: 600, marginBottom: "4px" }}>
-                      {s.name}
-                    </div>
-                    <div style={{ fontSize: "12px", color: "#9ca3af" }}>
-                      Demand: {s.demand || "—"}
-                    </div>
-                    <div style={{ fontSize: "12px", color: "#9ca3af" }}>
-                      Lead Time: {s.leadTime || "—"}
-                    </div>
-                    <div style={{ fontSize: "12px", color: "#9ca3af" }}>
-                      Cost/Unit: {s.cost || "—"}
-                    </div>
-                  </div>
-                ))}
-              </div>
 
-              {/* COMPARISON TABLE */}
-              <h3 style={{ fontSize: "16px", marginBottom: "8px" }}>
-                Scenario Comparison
-              </h3>
-
-              {savedScenarios.length < 2 ? (
-                <p style={{ fontSize: "13px", color: "#9ca3af" }}>
-                  Save at least two scenarios to compare them.
-                </p>
-              ) : (
-                <>
-                  <div
-                    style={{
-                      display: "flex",
-                      gap: "12px",
-                      marginBottom: "10px",
-                      flexWrap: "wrap",
-                    }}
-                  >
-                    <div>
-                      <span
-                        style={{
-                          fontSize: "12px",
-                          color: "#9ca3af",
-                          marginRight: "6px",
-                        }}
-                      >
-                        Scenario A:
-                      </span>
-                      <select
-                        value={
-                          compareAId ||
-                          (scenarioA ? scenarioA.id : savedScenarios[0].id)
-                        }
-                        onChange={(e) => setCompareAId(e.target.value)}
-                        style={{
-                          padding: "4px 8px",
-                          borderRadius: "6px",
-                          border: "1px solid #4b5563",
-                          background: "#020617",
-                          color: "white",
-                          fontSize: "12px",
-                        }}
-                      >
-                        {savedScenarios.map((s) => (
-                          <option key={s.id} value={s.id}>
-                            {s.name}
-                          </option>
-                        ))}
-                      </select>
-                    </div>
+            {libraryMessage && (
+              <p style={{ fontSize: fontSizes.sm, color: colors.textMuted, marginTop: 0 }}>
+                {libraryMessage}
+              </p>
+            )}
 
-                    <div>
-                      <span
-                        style={{
-                          fontSize: "12px",
-                          color: "#9ca3af",
-                          marginRight: "6px",
-                        }}
-                      >
-                        Scenario B:
-                      </span>
-                      <select
-                        value={
-                          compareBId ||
-                          (scenarioB ? scenarioB.id : savedScenarios[1].id)
-                        }
-                        onChange={(e) => setCompareBId(e.target.value)}
-                        style={{
-                          padding: "4px 8px",
-                          borderRadius: "6px",
-                          border: "1px solid #4b5563",
-                          background: "#020617",
-                          color: "white",
-                          fontSize: "12px",
-                        }}
-                      >
-                        {savedScenarios.map((s) => (
-                          <option key={s.id} value={s.id}>
-                            {s.name}
-                          </option>
-                        ))}
-                      </select>
-                    </div>
+            <ScenarioList
+              scenarios={savedScenarios}
+              rerunStatus={rerunStatus}
+              onRename={handleRenameScenario}
+              onDuplicate={(s) => duplicateScenario(s.id)}
+              onRerun={handleRerunScenario}
+              onCopyLink={handleCopyScenarioLink}
+              onDelete={handleDeleteScenario}
+            />
+
+            {savedScenarios.length > 0 && (
+              <>
+                {/* COMPARISON TABLE */}
+                <div
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    marginBottom: "8px",
+                  }}
+                >
+                  <h3 style={{ fontSize: fontSizes.xl, margin: 0 }}>{t("compare.title")}</h3>
+                  <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+                    <ExportActions
+                      onExport={handleExportComparison}
+                      disabled={comparedScenarios.length === 0}
+                    />
+                    <button
+                      type="button"
+                      onClick={() =>
+                        speech.speakText(
+                          buildSpokenComparison(comparedScenarios, speech.settings.language, {
+                            currency: localeSettings.currency,
+                          })
+                        )
+                      }
+                      disabled={comparedScenarios.length < 2}
+                      title={t("compare.speakHint")}
+                      style={pillButton({ tone: "voice", disabled: comparedScenarios.length < 2 })}
+                    >
+                      {t("compare.speak")}
+                    </button>
                   </div>
+                </div>
 
-                  <div
-                    style={{
-                      overflowX: "auto",
-                      borderRadius: "8px",
-                      border: "1px solid #1f2937",
-                    }}
-                  >
-                    <table
-                      style={{
-                        width: "100%",
-                        borderCollapse: "collapse",
-                        fontSize: "13px",
-                      }}
-                    >
-                      <thead style={{ background: "#020617" }}>
-                        <tr>
-                          <th
-                            style={{
-                              padding: "8px",
-                              borderBottom: "1px solid #1f2937",
-                              textAlign: "left",
-                            }}
-                          >
-                            Metric
-                          </th>
-                          <th
-                            style={{
-                              padding: "8px",
-                              borderBottom: "1px solid #1f2937",
-                              textAlign: "right",
-                            }}
-                          >
-                            Scenario A
-                          </th>
-                          <th
-                            style={{
-                              padding: "8px",
-                              borderBottom: "1px solid #1f2937",
-                              textAlign: "right",
-                            }}
-                          >
-                            Scenario B
-                          </th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        <tr>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                            }}
-                          >
-                            Total Cost
-                          </td>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                              textAlign: "right",
-                            }}
-                          >
-                            {formatScenarioMetric(scenarioA, "total_cost")}
-                          </td>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                              textAlign: "right",
-                            }}
-                          >
-                            {formatScenarioMetric(scenarioB, "total_cost")}
-                          </td>
-                        </tr>
-                        <tr>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                            }}
-                          >
-                            Expected Delay
-                          </td>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                              textAlign: "right",
-                            }}
-                          >
-                            {formatScenarioMetric(scenarioA, "expected_delay")}
-                          </td>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                              textAlign: "right",
-                            }}
-                          >
-                            {formatScenarioMetric(scenarioB, "expected_delay")}
-                          </td>
-                        </tr>
-                        <tr>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                            }}
-                          >
-                            EOQ
-                          </td>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                              textAlign: "right",
-                            }}
-                          >
-                            {formatScenarioMetric(scenarioA, "eoq")}
-                          </td>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                              textAlign: "right",
-                            }}
-                          >
-                            {formatScenarioMetric(scenarioB, "eoq")}
-                          </td>
-                        </tr>
-                        <tr>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                            }}
-                          >
-                            Risk
-                          </td>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                              textAlign: "right",
-                            }}
-                          >
-                            {formatScenarioMetric(scenarioA, "risk")}
-                          </td>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                              textAlign: "right",
-                            }}
-                          >
-                            {formatScenarioMetric(scenarioB, "risk")}
-                          </td>
-                        </tr>
-                        <tr>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                            }}
-                          >
-                            Demand
-                          </td>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                              textAlign: "right",
-                            }}
-                          >
-                            {formatScenarioMetric(scenarioA, "demand")}
-                          </td>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                              textAlign: "right",
-                            }}
-                          >
-                            {formatScenarioMetric(scenarioB, "demand")}
-                          </td>
-                        </tr>
-                        <tr>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                            }}
-                          >
-                            Lead Time
-                          </td>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                              textAlign: "right",
-                            }}
-                          >
-                            {formatScenarioMetric(scenarioA, "leadTime")}
-                          </td>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                              textAlign: "right",
-                            }}
-                          >
-                            {formatScenarioMetric(scenarioB, "leadTime")}
-                          </td>
-                        </tr>
-                        <tr>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                            }}
-                          >
-                            Cost / Unit
-                          </td>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                              textAlign: "right",
-                            }}
-                          >
-                            {formatScenarioMetric(scenarioA, "cost")}
-                          </td>
-                          <td
-                            style={{
-                              padding: "6px 8px",
-                              borderBottom: "1px solid #111827",
-                              textAlign: "right",
-                            }}
-                          >
-                            {formatScenarioMetric(scenarioB, "cost")}
-                          </td>
-                        </tr>
-                      </tbody>
-                    </table>
+                <div
+                  style={{
+                    display: "grid",
+                    gridTemplateColumns: "minmax(0, 1.2fr) minmax(0, 1fr)",
+                    gap: "16px",
+                    alignItems: "start",
+                  }}
+                >
+                  <div>
+                    <ComparisonTable
+                      scenarios={savedScenarios}
+                      selectedIds={compareIds}
+                      onSelectedIdsChange={setCompareIds}
+                      baselineId={baselineId}
+                      onBaselineChange={setBaselineId}
+                      onCopyLink={handleCopyScenarioLink}
+                    />
                   </div>
-                </>
-              )}
-            </>
-          )}
-        </section>
+                  <ScenarioOverlayChart scenarios={comparedScenarios} />
+                </div>
+              </>
+            )}
+          </section>
+        </ViewPanel>
       </div>
     </div>
   );
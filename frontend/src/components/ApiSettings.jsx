@@ -0,0 +1,68 @@
+import React, { useState } from "react";
+import { DEFAULT_API_BASE_URL, getApiBaseUrl, setApiBaseUrl } from "../lib/apiClient.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes } from "../theme/tokens.js";
+import { compactSelectStyle, pillButton } from "../theme/styles.js";
+
+const inputStyle = { ...compactSelectStyle, width: "220px" };
+
+const buttonStyle = pillButton();
+
+// Shows which backend the dashboard talks to and lets the user point it at
+// another host at runtime (stored in localStorage, see apiClient.js).
+function ApiSettings() {
+  const { t } = useLocale();
+  const [baseUrl, setBaseUrl] = useState(getApiBaseUrl);
+  const [draft, setDraft] = useState("");
+  const [editing, setEditing] = useState(false);
+
+  const startEditing = () => {
+    setDraft(baseUrl);
+    setEditing(true);
+  };
+
+  const save = (e) => {
+    e.preventDefault();
+    setApiBaseUrl(draft);
+    setBaseUrl(getApiBaseUrl());
+    setEditing(false);
+  };
+
+  const reset = () => {
+    setApiBaseUrl("");
+    setBaseUrl(getApiBaseUrl());
+    setEditing(false);
+  };
+
+  if (!editing) {
+    return (
+      <div style={{ fontSize: fontSizes.sm, color: colors.textMuted, textAlign: "right" }}>
+        {t("api.backend")} <code style={{ color: colors.textSoft }}>{baseUrl}</code>{" "}
+        <button type="button" onClick={startEditing} style={buttonStyle}>
+          {t("api.change")}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={save} style={{ display: "flex", gap: "6px", alignItems: "center" }}>
+      <input
+        type="url"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        placeholder={DEFAULT_API_BASE_URL}
+        aria-label={t("api.url")}
+        style={inputStyle}
+      />
+      <button type="submit" style={buttonStyle}>
+        {t("api.save")}
+      </button>
+      <button type="button" onClick={reset} style={buttonStyle}>
+        {t("api.reset")}
+      </button>
+    </form>
+  );
+}
+
+export default ApiSettings;
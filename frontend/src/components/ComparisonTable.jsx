@@ -0,0 +1,283 @@
+import React, { useId, useMemo, useState } from "react";
+import {
+  buildComparisonRows,
+  deltaTone,
+  formatDelta,
+  resolveComparisonIds,
+  sortScenarioColumns,
+} from "../lib/comparison.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes, radii } from "../theme/tokens.js";
+import { compactSelectStyle, pillButton, visuallyHiddenStyle } from "../theme/styles.js";
+
+const TONE_COLORS = { good: colors.good, bad: colors.bad, neutral: colors.textMuted };
+
+const headCellStyle = {
+  padding: "8px",
+  borderBottom: `1px solid ${colors.cardBorder}`,
+  textAlign: "right",
+  whiteSpace: "nowrap",
+};
+
+const bodyCellStyle = {
+  padding: "6px 8px",
+  borderBottom: `1px solid ${colors.pageGlow}`,
+  textAlign: "right",
+  verticalAlign: "top",
+};
+
+// Multi-scenario comparison matrix: pick any saved scenarios, choose a
+// baseline, and read deltas and per-row winners. Clicking a metric name
+// sorts the scenario columns by that metric.
+// Selection and baseline are controlled when `selectedIds` / `baselineId`
+// are passed and kept internally otherwise; with nothing chosen (`null`) the
+// first two scenarios are compared against the first. With `onCopyLink`, each
+// column offers a read-only link to its scenario.
+function ComparisonTable({
+  scenarios,
+  selectedIds,
+  onSelectedIdsChange,
+  baselineId,
+  onBaselineChange,
+  onCopyLink,
+}) {
+  const [sort, setSort] = useState({ key: null, direction: "asc" });
+  const [ownIds, setOwnIds] = useState(null);
+  const [ownBaselineId, setOwnBaselineId] = useState(null);
+  const { t, fmt } = useLocale();
+  const pickId = useId();
+  const locale = useMemo(() => ({ t, fmt }), [t, fmt]);
+
+  const chosenIds = selectedIds === undefined ? ownIds : selectedIds;
+  const chosenBaselineId = baselineId === undefined ? ownBaselineId : baselineId;
+  const changeIds = (next) => {
+    setOwnIds(next);
+    onSelectedIdsChange?.(next);
+  };
+  const changeBaseline = (next) => {
+    setOwnBaselineId(next);
+    onBaselineChange?.(next);
+  };
+
+  const ids = useMemo(() => resolveComparisonIds(scenarios, chosenIds), [scenarios, chosenIds]);
+  const selected = useMemo(
+    () => scenarios.filter((s) => ids.includes(s.id)),
+    [scenarios, ids]
+  );
+  const columns = useMemo(
+    () => sortScenarioColumns(selected, sort.key, sort.direction),
+    [selected, sort]
+  );
+  // fall back to the first selected scenario when the baseline was deselected
+  const activeBaselineId = selected.some((s) => s.id === chosenBaselineId)
+    ? chosenBaselineId
+    : selected[0]?.id ?? null;
+  const rows = useMemo(
+    () => buildComparisonRows(columns, activeBaselineId, locale),
+    [columns, activeBaselineId, locale]
+  );
+
+  const toggleScenario = (id) => {
+    if (ids.includes(id)) {
+      changeIds(ids.filter((x) => x !== id));
+    } else {
+      changeIds([...ids, id]);
+    }
+  };
+
+  const toggleSort = (key) => {
+    setSort((prev) =>
+      prev.key === key
+        ? { key, direction: prev.direction === "asc" ? "desc" : "asc" }
+        : { key, direction: "asc" }
+    );
+  };
+
+  return (
+    <>
+      <div
+        style={{
+          display: "flex",
+          gap: "8px",
+          marginBottom: "10px",
+          flexWrap: "wrap",
+          alignItems: "center",
+        }}
+      >
+        <span id={pickId} style={{ fontSize: fontSizes.sm, color: colors.textMuted }}>
+          {t("compare.pick")}
+        </span>
+        <div
+          role="group"
+          aria-labelledby={pickId}
+          style={{ display: "flex", gap: "8px", flexWrap: "wrap" }}
+        >
+          {scenarios.map((s) => {
+            const checked = ids.includes(s.id);
+            return (
+              <label
+                key={s.id}
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "4px",
+                  fontSize: fontSizes.sm,
+                  padding: "3px 8px",
+                  borderRadius: radii.pill,
+                  border: `1px solid ${checked ? colors.accent : colors.inputBorder}`,
+                  background: checked ? colors.accentFaint : "transparent",
+                  cursor: "pointer",
+                }}
+              >
+                <input type="checkbox" checked={checked} onChange={() => toggleScenario(s.id)} />
+                {s.name}
+              </label>
+            );
+          })}
+        </div>
+
+        {selected.length > 0 && (
+          <label style={{ fontSize: fontSizes.sm, color: colors.textMuted, marginLeft: "auto" }}>
+            {t("compare.baseline")}{" "}
+            <select
+              value={activeBaselineId}
+              onChange={(e) => changeBaseline(Number(e.target.value))}
+              style={compactSelectStyle}
+            >
+              {selected.map((s) => (
+                <option key={s.id} value={s.id}>
+                  {s.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {selected.length < 2 ? (
+        <p style={{ fontSize: fontSizes.md, color: colors.textMuted }}>
+          {t("compare.needTwo")}
+        </p>
+      ) : (
+        <div
+          style={{
+            overflowX: "auto",
+            borderRadius: radii.md,
+            border: `1px solid ${colors.cardBorder}`,
+          }}
+        >
+          <table
+            style={{
+              width: "100%",
+              borderCollapse: "collapse",
+              fontSize: fontSizes.md,
+            }}
+          >
+            <caption style={visuallyHiddenStyle}>{t("compare.title")}</caption>
+            <thead style={{ background: colors.card }}>
+              <tr>
+                <th scope="col" style={{ ...headCellStyle, textAlign: "left" }}>
+                  {t("compare.metric")}
+                </th>
+                {columns.map((s) => {
+                  const isBaseline = s.id === activeBaselineId;
+                  return (
+                    <th key={s.id} scope="col" style={headCellStyle}>
+                      {s.name}
+                      {isBaseline && (
+                        <div style={{ fontSize: fontSizes.xxs, color: colors.accent, fontWeight: 400 }}>
+                          {t("compare.baselineTag")}
+                        </div>
+                      )}
+                      {onCopyLink && (
+                        <button
+                          type="button"
+                          onClick={() => onCopyLink(s)}
+                          aria-label={t("compare.copyLinkLabel", { name: s.name })}
+                          title={t("card.copyLinkHint")}
+                          style={{ ...pillButton({ size: "sm" }), marginTop: "4px", fontWeight: 400 }}
+                        >
+                          {t("card.copyLink")}
+                        </button>
+                      )}
+                    </th>
+                  );
+                })}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ metric, cells }) => (
+                <tr key={metric.key}>
+                  <th scope="row" style={{ ...bodyCellStyle, textAlign: "left", fontWeight: 400 }}>
+                    <button
+                      type="button"
+                      onClick={() => toggleSort(metric.key)}
+                      title={t("compare.sortHint")}
+                      style={{
+                        background: "none",
+                        border: "none",
+                        padding: 0,
+                        color: "inherit",
+                        font: "inherit",
+                        cursor: "pointer",
+                      }}
+                    >
+                      {t(`metric.${metric.key}`)}
+                      {/* aria-sort only applies to column headers, so the sort
+                          state is part of the button's name instead */}
+                      {sort.key === metric.key && (
+                        <>
+                          <span aria-hidden="true">{sort.direction === "asc" ? " ▲" : " ▼"}</span>
+                          <span style={visuallyHiddenStyle}>
+                            {" "}
+                            ({t(`compare.sorted${sort.direction === "asc" ? "Asc" : "Desc"}`)})
+                          </span>
+                        </>
+                      )}
+                    </button>
+                    {metric.better && (
+                      <span style={{ fontSize: fontSizes.xxs, color: colors.textSubtle, marginLeft: "4px" }}>
+                        {t(metric.better === "lower" ? "compare.lowerBetter" : "compare.higherBetter")}
+                      </span>
+                    )}
+                  </th>
+                  {cells.map((cell) => (
+                    <td
+                      key={cell.scenarioId}
+                      style={{
+                        ...bodyCellStyle,
+                        background: cell.isBest ? colors.successSoft : "transparent",
+                        fontWeight: cell.isBest ? 600 : 400,
+                        textTransform: metric.categorical ? "capitalize" : "none",
+                      }}
+                    >
+                      {cell.display}
+                      {cell.isBest && (
+                        <>
+                          <span aria-hidden="true"> ★</span>
+                          <span style={visuallyHiddenStyle}> ({t("compare.best")})</span>
+                        </>
+                      )}
+                      {cell.delta !== null && (
+                        <div
+                          style={{
+                            fontSize: fontSizes.xs,
+                            color: TONE_COLORS[deltaTone(metric, cell.delta)],
+                          }}
+                        >
+                          {formatDelta(metric, cell.delta, cell.deltaPct, locale)}
+                        </div>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default ComparisonTable;
@@ -0,0 +1,76 @@
+import { describe, expect, it, vi } from "vitest";
+import { fireEvent, render, screen } from "@testing-library/react";
+import ComparisonTable from "./ComparisonTable.jsx";
+import { resolveComparisonIds } from "../lib/comparison.js";
+import { translateEn } from "../lib/i18n.js";
+
+const scenario = (id, name, totalCost) => ({
+  id,
+  name,
+  inputs: { demand: "500", leadTime: "10", cost: "100" },
+  result: { total_cost: totalCost, service_level: 0.95, risk_level: "low" },
+});
+
+const SCENARIOS = [scenario(1, "Base", 1000), scenario(2, "Peak", 1500), scenario(3, "Lean", 800)];
+
+describe("resolveComparisonIds", () => {
+  it("defaults to the first two scenarios", () => {
+    expect(resolveComparisonIds(SCENARIOS, null)).toEqual([1, 2]);
+    expect(resolveComparisonIds(SCENARIOS, undefined)).toEqual([1, 2]);
+  });
+
+  it("keeps an explicit choice, dropping deleted scenarios", () => {
+    expect(resolveComparisonIds(SCENARIOS, [3, 9])).toEqual([3]);
+    expect(resolveComparisonIds(SCENARIOS, [])).toEqual([]);
+  });
+});
+
+describe("ComparisonTable", () => {
+  const checkbox = (name) => screen.getByRole("checkbox", { name });
+
+  it("compares the first two scenarios against the first by default", () => {
+    render(<ComparisonTable scenarios={SCENARIOS} />);
+    expect(checkbox("Base").checked).toBe(true);
+    expect(checkbox("Peak").checked).toBe(true);
+    expect(checkbox("Lean").checked).toBe(false);
+    expect(screen.getByRole("combobox").value).toBe("1");
+    expect(screen.getAllByRole("columnheader")).toHaveLength(3);
+  });
+
+  it("asks for a second scenario when only one is selected", () => {
+    render(<ComparisonTable scenarios={SCENARIOS.slice(0, 1)} />);
+    expect(screen.getByText(translateEn("compare.needTwo"))).toBeTruthy();
+    expect(screen.queryByRole("table")).toBeNull();
+  });
+
+  it("keeps its own selection when uncontrolled", () => {
+    render(<ComparisonTable scenarios={SCENARIOS} />);
+    fireEvent.click(checkbox("Lean"));
+    expect(checkbox("Lean").checked).toBe(true);
+    expect(screen.getAllByRole("columnheader")).toHaveLength(4);
+  });
+
+  it("falls back to the first selected scenario when the baseline is not selected", () => {
+    render(<ComparisonTable scenarios={SCENARIOS} selectedIds={[2, 3]} baselineId={1} />);
+    expect(screen.getByRole("combobox").value).toBe("2");
+  });
+
+  it("names the sort order on the metric button", () => {
+    const { container } = render(<ComparisonTable scenarios={SCENARIOS} />);
+    const metric = translateEn("metric.total_cost");
+    const sorted = (key) => new RegExp(`^${metric}\\s*\\(${translateEn(key)}\\)$`);
+    fireEvent.click(screen.getByRole("button", { name: metric }));
+    fireEvent.click(screen.getByRole("button", { name: sorted("compare.sortedAsc") }));
+    expect(screen.getByRole("button", { name: sorted("compare.sortedDesc") })).toBeTruthy();
+    expect(container.querySelector("[aria-sort]")).toBeNull();
+  });
+
+  it("copies a read-only link to a compared scenario", () => {
+    const onCopyLink = vi.fn();
+    render(<ComparisonTable scenarios={SCENARIOS} onCopyLink={onCopyLink} />);
+    fireEvent.click(
+      screen.getByRole("button", { name: translateEn("compare.copyLinkLabel", { name: "Peak" }) })
+    );
+    expect(onCopyLink).toHaveBeenCalledWith(SCENARIOS[1]);
+  });
+});
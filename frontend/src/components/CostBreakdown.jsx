@@ -0,0 +1,216 @@
+import React, { useMemo } from "react";
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ReferenceDot,
+  ResponsiveContainer,
+} from "recharts";
+import { COST_COMPONENTS, buildCostCurve, costShares } from "../lib/costs.js";
+import { explainPriceBreak } from "../lib/pricing.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes, seriesColors } from "../theme/tokens.js";
+import { chartTooltipStyle } from "../theme/styles.js";
+
+// Annual cost split as one stacked bar, plus total cost against order
+// quantity with the EOQ marked at the bottom of the curve. With price breaks
+// the curve has one segment per tier and a table compares the tiers.
+function CostBreakdown({ request, result }) {
+  const { t, fmt } = useLocale();
+  const breakdown = result?.cost_breakdown;
+  const curve = useMemo(() => buildCostCurve(request, result), [request, result]);
+  if (!breakdown) return null;
+
+  const shares = costShares(breakdown);
+  const tiers = result.price_tiers;
+  const priceNote = explainPriceBreak(result, t, fmt);
+  const money = (value) => fmt.currency(value);
+  const units = (value) => fmt.number(value);
+  const ordersOffEoq = curve && Math.abs(curve.order.q - curve.eoq.q) > 1e-9;
+
+  return (
+    <div>
+      <div style={{ fontSize: fontSizes.sm, color: colors.textMuted, marginBottom: "6px" }}>
+        {t("costs.summary", { total: money(result.total_cost), periods: result.periods_per_year })}
+        {result.shortage_penalty > 0 &&
+          t("costs.penalty", { penalty: fmt.currency(result.shortage_penalty, 2) })}
+      </div>
+      <div style={{ width: "100%", height: "56px" }}>
+        <ResponsiveContainer>
+          <BarChart
+            data={[{ name: t("costs.annual"), ...breakdown }]}
+            layout="vertical"
+            margin={{ left: 0 }}
+          >
+            <XAxis type="number" hide domain={[0, "dataMax"]} />
+            <YAxis type="category" dataKey="name" hide />
+            <Tooltip
+              contentStyle={chartTooltipStyle}
+              cursor={false}
+              formatter={(value, name) => [money(value), name]}
+            />
+            {COST_COMPONENTS.map((c) => (
+              <Bar
+                key={c.key}
+                dataKey={c.key}
+                name={t(`costComponent.${c.key}`)}
+                stackId="cost"
+                fill={c.color}
+              />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "10px", fontSize: fontSizes.xs }}>
+        {shares.map((c) => (
+          <span key={c.key} style={{ color: colors.textSoft }}>
+            <span
+              aria-hidden="true"
+              style={{
+                display: "inline-block",
+                width: "8px",
+                height: "8px",
+                borderRadius: "2px",
+                background: c.color,
+                marginRight: "4px",
+              }}
+            />
+            {t(`costComponent.${c.key}`)} {money(c.value)} ({fmt.percent(c.share, 1)})
+          </span>
+        ))}
+      </div>
+
+      {curve && (
+        <div style={{ width: "100%", height: "180px", marginTop: "10px" }}>
+          <ResponsiveContainer>
+            <LineChart data={curve.points}>
+              <CartesianGrid strokeDasharray="3 3" stroke={colors.chartGrid} />
+              <XAxis
+                type="number"
+                dataKey="q"
+                domain={["dataMin", "dataMax"]}
+                stroke={colors.chartAxis}
+                tickFormatter={units}
+              />
+              <YAxis
+                stroke={colors.chartAxis}
+                domain={["auto", "auto"]}
+                tickFormatter={money}
+                width={80}
+              />
+              <Tooltip
+                contentStyle={chartTooltipStyle}
+                labelFormatter={(q) => t("costs.orderQuantity", { quantity: units(q) })}
+                formatter={(value, name) => [money(value), name]}
+              />
+              {Array.from({ length: curve.tierCount }, (_, i) => (
+                <Line
+                  key={i}
+                  type="monotone"
+                  dataKey={`tier${i}`}
+                  name={
+                    tiers
+                      ? t("costs.totalCostAt", { price: fmt.currency(tiers[i].unit_cost, 2) })
+                      : t("costs.totalCost")
+                  }
+                  stroke={seriesColors[i % seriesColors.length]}
+                  strokeWidth={2}
+                  dot={false}
+                  connectNulls={false}
+                  isAnimationActive={false}
+                />
+              ))}
+              <ReferenceLine
+                x={curve.eoq.q}
+                stroke={colors.chartOrderUpTo}
+                strokeDasharray="3 3"
+                label={{ value: t("costs.eoq"), fill: colors.chartOrderUpTo, fontSize: 11, position: "top" }}
+              />
+              <ReferenceDot
+                x={curve.eoq.q}
+                y={curve.eoq.total}
+                r={4}
+                fill={colors.chartOrderUpTo}
+                stroke="none"
+              />
+              {ordersOffEoq && (
+                <>
+                  <ReferenceLine
+                    x={curve.order.q}
+                    stroke={colors.chartReorderPoint}
+                    strokeDasharray="6 3"
+                    label={{ value: t("costs.order"), fill: colors.chartReorderPoint, fontSize: 11, position: "top" }}
+                  />
+                  <ReferenceDot
+                    x={curve.order.q}
+                    y={curve.order.total}
+                    r={4}
+                    fill={colors.chartReorderPoint}
+                    stroke="none"
+                  />
+                </>
+              )}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {tiers && (
+        <table
+          style={{
+            width: "100%",
+            borderCollapse: "collapse",
+            fontSize: fontSizes.sm,
+            marginTop: "8px",
+          }}
+        >
+          <thead>
+            <tr style={{ color: colors.textMuted, textAlign: "right" }}>
+              <th style={{ textAlign: "left", fontWeight: 500 }}>{t("costs.from")}</th>
+              <th style={{ fontWeight: 500 }}>{t("costs.unitCost")}</th>
+              <th style={{ fontWeight: 500 }}>{t("costs.bestQ")}</th>
+              <th style={{ fontWeight: 500 }}>{t("costs.purchase")}</th>
+              <th style={{ fontWeight: 500 }}>{t("costs.orderingHolding")}</th>
+              <th style={{ fontWeight: 500 }}>{t("costs.totalYear")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tiers.map((tier) => {
+              const chosen =
+                tier.feasible && Math.abs(tier.order_quantity - result.order_quantity) < 1e-9;
+              return (
+                <tr
+                  key={tier.min_quantity}
+                  aria-current={chosen || undefined}
+                  style={{
+                    textAlign: "right",
+                    color: tier.feasible ? (chosen ? colors.cautionText : colors.textSoft) : colors.textSubtle,
+                    fontWeight: chosen ? 600 : 400,
+                  }}
+                >
+                  <td style={{ textAlign: "left" }}>{units(tier.min_quantity)}</td>
+                  <td>{fmt.currency(tier.unit_cost, 2)}</td>
+                  <td>{tier.feasible ? units(tier.order_quantity) : "—"}</td>
+                  <td>{money(tier.purchase)}</td>
+                  <td>{money(tier.ordering + tier.holding)}</td>
+                  <td>{tier.feasible ? money(tier.total) : t("costs.unreachable")}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      {priceNote && (
+        <p style={{ fontSize: fontSizes.sm, color: colors.textMuted, margin: "6px 0 0" }}>{priceNote}</p>
+      )}
+    </div>
+  );
+}
+
+export default CostBreakdown;
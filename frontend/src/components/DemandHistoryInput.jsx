@@ -0,0 +1,112 @@
+import React, { useRef, useState } from "react";
+import FieldError from "./FieldError.jsx";
+import { Field, SelectField } from "./FormField.jsx";
+import { FORECAST_METHODS, parseDemandHistory, parseHistoryValue } from "../lib/forecasting.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes } from "../theme/tokens.js";
+import { dangerLinkStyle, hintStyle, pillButton, summaryStyle } from "../theme/styles.js";
+
+// Demand history upload plus forecast method. The history is kept in the
+// form as a comma-separated string so it validates, saves and exports like
+// every other input.
+function DemandHistoryInput({ form }) {
+  const { t } = useLocale();
+  const [uploadError, setUploadError] = useState("");
+  const fileInputRef = useRef(null);
+  const history = parseHistoryValue(form.values.demandHistory);
+  const method = form.values.forecastMethod;
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const values = parseDemandHistory(await file.text(), t);
+      form.setFields({ demandHistory: values.join(",") });
+      form.touchField("demandHistory");
+      setUploadError("");
+    } catch (err) {
+      console.error(err);
+      setUploadError(t("history.readFailed", { file: file.name, message: err.message }));
+    }
+  };
+
+  return (
+    <details style={{ marginTop: "12px" }}>
+      <summary style={summaryStyle}>{t("history.title")}</summary>
+      <div style={{ marginTop: "8px" }}>
+        <div style={{ display: "flex", gap: "8px", alignItems: "center", flexWrap: "wrap" }}>
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            style={{ ...pillButton(), padding: "6px 12px" }}
+          >
+            {t("history.upload")}
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleUpload}
+            tabIndex={-1}
+            aria-hidden="true"
+            style={{ display: "none" }}
+          />
+          {history.length > 0 ? (
+            <>
+              <span role="status" style={{ fontSize: fontSizes.sm, color: colors.textMuted }}>
+                {t("history.loaded", { count: history.length })}
+              </span>
+              <button
+                type="button"
+                onClick={() => form.setFields({ demandHistory: "" })}
+                style={dangerLinkStyle}
+              >
+                {t("history.clear")}
+              </button>
+            </>
+          ) : (
+            <span style={{ fontSize: fontSizes.xs, color: colors.textSubtle }}>
+              {t("history.empty")}
+            </span>
+          )}
+        </div>
+        {uploadError && <FieldError message={uploadError} />}
+        <FieldError message={form.errorFor("demandHistory")} />
+
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: method === "holt_winters" ? "2fr 1fr" : "1fr",
+            gap: "10px",
+            marginTop: "8px",
+          }}
+        >
+          <SelectField
+            form={form}
+            name="forecastMethod"
+            label={t("field.forecastMethod")}
+            labelSize={fontSizes.sm}
+            options={FORECAST_METHODS.map((m) => ({ value: m.value, label: t(`method.${m.value}`) }))}
+          />
+          {method === "holt_winters" && (
+            <Field
+              form={form}
+              name="seasonLength"
+              label={t("field.seasonLength")}
+              labelSize={fontSizes.sm}
+              min="2"
+              max="52"
+              step="1"
+            />
+          )}
+        </div>
+        <p style={hintStyle}>
+          {t("history.hint")}
+        </p>
+      </div>
+    </details>
+  );
+}
+
+export default DemandHistoryInput;
@@ -0,0 +1,39 @@
+import React from "react";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes } from "../theme/tokens.js";
+import { pillButton } from "../theme/styles.js";
+
+const FORMATS = [
+  { format: "csv", label: "export.csv", hint: "export.csvHint" },
+  { format: "xlsx", label: "export.xlsx", hint: "export.xlsxHint" },
+  { format: "report", label: "export.report", hint: "export.reportHint" },
+];
+
+// CSV / XLSX download and printable report buttons; `onExport` gets the format.
+function ExportActions({ onExport, disabled = false }) {
+  const { t } = useLocale();
+
+  return (
+    <div
+      role="group"
+      aria-label={t("export.title")}
+      style={{ display: "flex", alignItems: "center", gap: "6px" }}
+    >
+      <span style={{ fontSize: fontSizes.sm, color: colors.textMuted }}>{t("export.title")}:</span>
+      {FORMATS.map(({ format, label, hint }) => (
+        <button
+          key={format}
+          type="button"
+          onClick={() => onExport(format)}
+          disabled={disabled}
+          title={t(hint)}
+          style={pillButton({ disabled })}
+        >
+          {t(label)}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default ExportActions;
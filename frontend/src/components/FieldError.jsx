@@ -0,0 +1,15 @@
+import React from "react";
+import { colors, fontSizes } from "../theme/tokens.js";
+
+// Inline validation message shown under a Scenario Inputs field. `id` lets
+// the field point at it with aria-describedby.
+function FieldError({ id, message }) {
+  if (!message) return null;
+  return (
+    <p id={id} role="alert" style={{ margin: "4px 0 0", color: colors.inputInvalid, fontSize: fontSizes.xs }}>
+      {message}
+    </p>
+  );
+}
+
+export default FieldError;
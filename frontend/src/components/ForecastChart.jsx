@@ -0,0 +1,112 @@
+import React, { useMemo } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes } from "../theme/tokens.js";
+import { chartTooltipStyle } from "../theme/styles.js";
+
+// ------- History + fitted model + projection -------
+// History periods are labelled H1..Hn and forecast periods P1..Ph, matching
+// the inventory projection. The last history point is repeated on the
+// forecast line so the two join up.
+const buildForecastData = (result) => {
+  const fit = result?.forecast_fit;
+  if (!fit?.history?.length) return [];
+  const last = fit.history.length - 1;
+  const history = fit.history.map((actual, i) => ({
+    period: `H${i + 1}`,
+    actual,
+    fitted: fit.fitted?.[i] ?? null,
+    forecast: i === last ? actual : null,
+  }));
+  const future = (result.forecast || []).map((forecast, i) => ({
+    period: `P${i + 1}`,
+    actual: null,
+    fitted: null,
+    forecast,
+  }));
+  return [...history, ...future];
+};
+
+const formatParams = (params = {}) =>
+  Object.entries(params)
+    .map(([name, value]) => `${name} ${value}`)
+    .join(", ");
+
+function ForecastChart({ result }) {
+  const { t, fmt } = useLocale();
+  const data = useMemo(() => buildForecastData(result), [result]);
+  const fit = result?.forecast_fit;
+  if (!data.length) return null;
+
+  return (
+    <div>
+      <div style={{ fontSize: fontSizes.sm, color: colors.textMuted, marginBottom: "6px" }}>
+        {t("forecast.summary", {
+          method: t(`method.${fit.method}`),
+          params: formatParams(fit.params),
+          mae: fmt.number(fit.mae, 2),
+          mape: fit.mape === null ? t("forecast.notAvailable") : fmt.percent(fit.mape, 1),
+        })}
+        {typeof result.demand_std === "number" &&
+          t("forecast.stdDev", { std: fmt.number(result.demand_std, 2) })}
+      </div>
+      <div style={{ width: "100%", height: "200px" }}>
+        <ResponsiveContainer>
+          <LineChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" stroke={colors.chartGrid} />
+            <XAxis dataKey="period" stroke={colors.chartAxis} interval="preserveStartEnd" />
+            <YAxis stroke={colors.chartAxis} tickFormatter={(value) => fmt.number(value)} />
+            <Tooltip
+              contentStyle={chartTooltipStyle}
+              formatter={(value, name) => [
+                value === null ? "—" : fmt.number(value),
+                name,
+              ]}
+            />
+            <Legend />
+            <ReferenceLine x={`H${fit.history.length}`} stroke={colors.inputBorder} strokeDasharray="3 3" />
+            <Line
+              type="monotone"
+              dataKey="actual"
+              name={t("forecast.history")}
+              stroke={colors.chartActual}
+              strokeWidth={2}
+              dot={false}
+              connectNulls={false}
+            />
+            <Line
+              type="monotone"
+              dataKey="fitted"
+              name={t("forecast.fitted")}
+              stroke={colors.series3}
+              strokeWidth={1.5}
+              strokeDasharray="2 3"
+              dot={false}
+            />
+            <Line
+              type="monotone"
+              dataKey="forecast"
+              name={t("chart.forecast")}
+              stroke={colors.chartForecast}
+              strokeWidth={2}
+              strokeDasharray="5 4"
+              dot={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+export default ForecastChart;
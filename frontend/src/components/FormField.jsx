@@ -0,0 +1,66 @@
+import React from "react";
+import FieldError from "./FieldError.jsx";
+import { useFieldIds } from "../hooks/useFieldIds.js";
+import { fontSizes } from "../theme/tokens.js";
+import { hintStyle, inputStyle, labelStyle } from "../theme/styles.js";
+
+/**
+ * A labelled input bound to one form field, with its validation message and
+ * an optional hint.
+ */
+export function Field({ form, name, label, labelSize, hint, type = "number", ...inputProps }) {
+  const { id, errorId, hintId, error, controlProps } = useFieldIds(form, name, Boolean(hint));
+  return (
+    <div>
+      <label htmlFor={id} style={labelStyle(labelSize)}>
+        {label}
+      </label>
+      <input
+        type={type}
+        value={form.values[name]}
+        onChange={(e) => form.setField(name, e.target.value)}
+        onBlur={() => form.touchField(name)}
+        style={inputStyle(error)}
+        {...controlProps}
+        {...inputProps}
+      />
+      <FieldError id={errorId} message={error} />
+      {hint && (
+        <p id={hintId} style={{ ...hintStyle, margin: "4px 0 0" }}>
+          {hint}
+        </p>
+      )}
+    </div>
+  );
+}
+
+/** A labelled select bound to one form field; `options` are { value, label } pairs. */
+export function SelectField({ form, name, label, labelSize = fontSizes.md, hint, options }) {
+  const { id, errorId, hintId, error, controlProps } = useFieldIds(form, name, Boolean(hint));
+  return (
+    <div>
+      <label htmlFor={id} style={labelStyle(labelSize)}>
+        {label}
+      </label>
+      <select
+        value={form.values[name]}
+        onChange={(e) => form.setField(name, e.target.value)}
+        onBlur={() => form.touchField(name)}
+        style={inputStyle(error)}
+        {...controlProps}
+      >
+        {options.map((o) => (
+          <option key={o.value} value={o.value}>
+            {o.label}
+          </option>
+        ))}
+      </select>
+      <FieldError id={errorId} message={error} />
+      {hint && (
+        <p id={hintId} style={{ ...hintStyle, margin: "4px 0 0" }}>
+          {hint}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,334 @@
+import React, { useRef, useState } from "react";
+import { buildScenarioRequest } from "../lib/scenarioRequest.js";
+import { cachedSimulate } from "../lib/simulationCache.js";
+import { isAbortError } from "../lib/apiClient.js";
+import { mapWithConcurrency } from "../lib/concurrency.js";
+import {
+  ANALYSIS_CONCURRENCY,
+  ANALYSIS_INPUTS,
+  DEFAULT_ANALYSIS_SEED,
+  formatInputValue,
+} from "../lib/analysisInputs.js";
+import {
+  MAX_SWEEP_STEPS,
+  SWEEP_METRICS,
+  buildAxisValues,
+  buildSweepCells,
+  defaultAxisRange,
+  heatColor,
+  nearestIndex,
+  validateAxis,
+} from "../lib/gridSweep.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes, radii } from "../theme/tokens.js";
+import { compactSelectStyle, panelStyle, pillButton } from "../theme/styles.js";
+
+const formatMetric = (metric, value, fmt) => {
+  if (value === null || value === undefined) return "—";
+  if (metric.percent) return fmt.percent(value, 1);
+  return metric.currency ? fmt.currency(value) : fmt.number(value);
+};
+
+function AxisControls({ title, axis, onChange, inputs }) {
+  const { t } = useLocale();
+  const changeField = (field) => {
+    onChange({ ...axis, field, ...defaultAxisRange(field, inputs[field]) });
+  };
+  return (
+    <fieldset
+      style={{
+        border: `1px solid ${colors.cardBorder}`,
+        borderRadius: radii.md,
+        padding: "8px 10px",
+        display: "flex",
+        gap: "8px",
+        alignItems: "center",
+        flexWrap: "wrap",
+      }}
+    >
+      <legend style={{ fontSize: fontSizes.sm, color: colors.textMuted, padding: "0 4px" }}>{title}</legend>
+      <select value={axis.field} onChange={(e) => changeField(e.target.value)} style={compactSelectStyle}>
+        {ANALYSIS_INPUTS.map((input) => (
+          <option key={input.field} value={input.field}>
+            {t(`field.${input.field}`)}
+          </option>
+        ))}
+      </select>
+      <input
+        type="number"
+        value={axis.min}
+        onChange={(e) => onChange({ ...axis, min: e.target.value })}
+        aria-label={t("sweep.minimumLabel", { axis: title })}
+        placeholder={t("sweep.min")}
+        style={{ ...compactSelectStyle, width: "80px" }}
+      />
+      <span style={{ color: colors.textSubtle }}>{t("sweep.to")}</span>
+      <input
+        type="number"
+        value={axis.max}
+        onChange={(e) => onChange({ ...axis, max: e.target.value })}
+        aria-label={t("sweep.maximumLabel", { axis: title })}
+        placeholder={t("sweep.max")}
+        style={{ ...compactSelectStyle, width: "80px" }}
+      />
+      <input
+        type="number"
+        min="2"
+        max={MAX_SWEEP_STEPS}
+        value={axis.steps}
+        onChange={(e) => onChange({ ...axis, steps: e.target.value })}
+        aria-label={t("sweep.stepsLabel", { axis: title })}
+        style={{ ...compactSelectStyle, width: "56px" }}
+      />
+      <span style={{ fontSize: fontSizes.xs, color: colors.textSubtle }}>{t("sweep.steps")}</span>
+    </fieldset>
+  );
+}
+
+// Heatmap of one output over every combination of two inputs. Runs go out
+// ANALYSIS_CONCURRENCY at a time; clicking a cell loads its values into the form.
+function GridSweepPanel({ inputs, disabled, onLoadInputs }) {
+  const { t, fmt } = useLocale();
+  const [xAxis, setXAxis] = useState(() => ({
+    field: "holdingCost",
+    steps: "5",
+    ...defaultAxisRange("holdingCost", inputs.holdingCost),
+  }));
+  const [yAxis, setYAxis] = useState(() => ({
+    field: "serviceLevel",
+    steps: "4",
+    ...defaultAxisRange("serviceLevel", inputs.serviceLevel),
+  }));
+  const [metricKey, setMetricKey] = useState("total_cost");
+  const [sweep, setSweep] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState("");
+  const controllerRef = useRef(null);
+
+  const metric = SWEEP_METRICS.find((m) => m.key === metricKey);
+  const axisError =
+    xAxis.field === yAxis.field
+      ? t("sweep.sameInputs")
+      : validateAxis(xAxis, t, fmt) || validateAxis(yAxis, t, fmt);
+
+  const handleRun = async () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    const seeded = { ...inputs, seed: inputs.seed || String(DEFAULT_ANALYSIS_SEED) };
+    const xValues = buildAxisValues(xAxis.field, xAxis.min, xAxis.max, xAxis.steps);
+    const yValues = buildAxisValues(yAxis.field, yAxis.min, yAxis.max, yAxis.steps);
+    const cells = buildSweepCells(seeded, xAxis.field, xValues, yAxis.field, yValues);
+
+    setError("");
+    setProgress({ done: 0, total: cells.length });
+    try {
+      const results = await mapWithConcurrency(
+        cells,
+        ANALYSIS_CONCURRENCY,
+        (cell) =>
+          cachedSimulate(buildScenarioRequest(cell.inputs), { signal: controller.signal, t }),
+        {
+          signal: controller.signal,
+          onProgress: (done, total) => setProgress({ done, total }),
+        }
+      );
+      setSweep({
+        xField: xAxis.field,
+        yField: yAxis.field,
+        xValues,
+        yValues,
+        cells: cells.map((cell, i) => ({ ...cell, result: results[i] })),
+      });
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error(err);
+      setError(t("sweep.failed", { message: err.message }));
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  const handleCancel = () => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setProgress(null);
+  };
+
+  let grid = null;
+  if (sweep) {
+    const values = sweep.cells
+      .map((c) => c.result?.[metricKey])
+      .filter((v) => typeof v === "number");
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const markX = nearestIndex(sweep.xValues, inputs[sweep.xField]);
+    const markY = nearestIndex(sweep.yValues, inputs[sweep.yField]);
+    const xLabel = t(`field.${sweep.xField}`);
+    const yLabel = t(`field.${sweep.yField}`);
+
+    grid = (
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ borderCollapse: "collapse", fontSize: fontSizes.xs }}>
+          <thead>
+            <tr>
+              <th style={{ padding: "4px 8px", color: colors.textMuted, textAlign: "left" }}>
+                {yLabel} ↓ / {xLabel} →
+              </th>
+              {sweep.xValues.map((x) => (
+                <th key={x} style={{ padding: "4px 8px", color: colors.textMuted }}>
+                  {formatInputValue(x, fmt)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sweep.yValues.map((y, yi) => (
+              <tr key={y}>
+                <th style={{ padding: "4px 8px", color: colors.textMuted, textAlign: "right" }}>
+                  {formatInputValue(y, fmt)}
+                </th>
+                {sweep.xValues.map((x, xi) => {
+                  const cell = sweep.cells[yi * sweep.xValues.length + xi];
+                  const value = cell.result?.[metricKey];
+                  const isCurrent = xi === markX && yi === markY;
+                  return (
+                    <td key={x} style={{ padding: "2px" }}>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          onLoadInputs({ [sweep.xField]: cell.x, [sweep.yField]: cell.y })
+                        }
+                        title={t("sweep.cellHint", {
+                          x: `${xLabel} ${formatInputValue(cell.x, fmt)}`,
+                          y: `${yLabel} ${formatInputValue(cell.y, fmt)}`,
+                          value: formatMetric(metric, value, fmt),
+                        })}
+                        style={{
+                          minWidth: "64px",
+                          padding: "8px 4px",
+                          border: `2px solid ${isCurrent ? colors.text : "transparent"}`,
+                          borderRadius: "4px",
+                          background:
+                            typeof value === "number" ? heatColor(value, min, max) : colors.track,
+                          // heat colours are the same in every theme
+                          color: typeof value === "number" ? "#ffffff" : colors.text,
+                          fontSize: fontSizes.xs,
+                          cursor: "pointer",
+                        }}
+                      >
+                        {formatMetric(metric, value, fmt)}
+                        {isCurrent && " ●"}
+                      </button>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p style={{ fontSize: fontSizes.xs, color: colors.textSubtle }}>
+          {t("sweep.legend")}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <section style={{ ...panelStyle, marginTop: "24px" }}>
+      <h2 style={{ fontSize: fontSizes.xxl, marginBottom: "12px" }}>{t("sweep.title")}</h2>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "12px", marginBottom: "12px" }}>
+        <AxisControls title={t("sweep.xAxis")} axis={xAxis} onChange={setXAxis} inputs={inputs} />
+        <AxisControls title={t("sweep.yAxis")} axis={yAxis} onChange={setYAxis} inputs={inputs} />
+      </div>
+
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "12px",
+          alignItems: "center",
+          fontSize: fontSizes.sm,
+          color: colors.textMuted,
+          marginBottom: "12px",
+        }}
+      >
+        <label>
+          {t("sweep.colourBy")}{" "}
+          <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} style={compactSelectStyle}>
+            {SWEEP_METRICS.map((m) => (
+              <option key={m.key} value={m.key}>
+                {t(`metric.${m.key}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        {progress ? (
+          <button
+            type="button"
+            onClick={handleCancel}
+            style={pillButton({ tone: "danger" })}
+          >
+            {t("actions.cancel")}
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={handleRun}
+            disabled={disabled || Boolean(axisError)}
+            style={pillButton({ tone: "accent", disabled: disabled || Boolean(axisError) })}
+          >
+            {t("sweep.run")}
+          </button>
+        )}
+        {disabled && <span>{t("analysis.needInputs")}</span>}
+        {!disabled && axisError && <span style={{ color: colors.warning }}>{axisError}</span>}
+      </div>
+
+      {progress && (
+        <div style={{ marginBottom: "12px" }}>
+          <div
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={progress.total}
+            aria-valuenow={progress.done}
+            style={{
+              height: "8px",
+              borderRadius: radii.pill,
+              background: colors.track,
+              border: `1px solid ${colors.cardBorder}`,
+              overflow: "hidden",
+            }}
+          >
+            <div
+              style={{
+                width: `${(progress.done / progress.total) * 100}%`,
+                height: "100%",
+                background: colors.accent,
+                transition: "width 0.2s ease",
+              }}
+            />
+          </div>
+          <div style={{ fontSize: fontSizes.xs, color: colors.textMuted, marginTop: "4px" }}>
+            {t("sweep.progress", { done: progress.done, total: progress.total })}
+          </div>
+        </div>
+      )}
+
+      {error && <p style={{ color: colors.warning, fontSize: fontSizes.md }}>{error}</p>}
+
+      {grid || (
+        <p style={{ fontSize: fontSizes.md, color: colors.textMuted }}>
+          {t("sweep.empty")}
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default GridSweepPanel;
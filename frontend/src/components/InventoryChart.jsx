@@ -0,0 +1,239 @@
+import React, { useMemo } from "react";
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ReferenceArea,
+  ResponsiveContainer,
+} from "recharts";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes, radii } from "../theme/tokens.js";
+import { chartTooltipStyle } from "../theme/styles.js";
+
+// ------- Chart data from the backend Monte Carlo output -------
+// One point per simulated period. `band` is the [min, max] range across all
+// runs; unmet demand is lost rather than backordered, so a lower bound of 0
+// means at least one run stocked out in that period.
+const buildChartData = (result) => {
+  if (!result?.inventory_avg?.length) return [];
+  return result.inventory_avg.map((avg, i) => {
+    const lower = result.inventory_lower?.[i] ?? avg;
+    const upper = result.inventory_upper?.[i] ?? avg;
+    return {
+      period: `P${i + 1}`,
+      avg,
+      lower,
+      upper,
+      band: [lower, upper],
+      forecast: result.forecast?.[i] ?? null,
+      stockout: lower <= 0,
+    };
+  });
+};
+
+// Groups consecutive stockout periods into [x1, x2] spans for ReferenceArea.
+// A single-period span is widened to its neighbour so it stays visible on a
+// point scale.
+const buildStockoutSpans = (data) => {
+  const spans = [];
+  let start = null;
+  data.forEach((point, i) => {
+    if (point.stockout && start === null) start = i;
+    const isLast = i === data.length - 1;
+    if (start !== null && (!point.stockout || isLast)) {
+      const end = point.stockout ? i : i - 1;
+      let x1 = start;
+      let x2 = end;
+      if (x1 === x2) {
+        if (x1 > 0) x1 -= 1;
+        else if (x2 < data.length - 1) x2 += 1;
+      }
+      spans.push({ x1: data[x1].period, x2: data[x2].period });
+      start = null;
+    }
+  });
+  return spans;
+};
+
+// Label props for a policy ReferenceLine, drawn in the line's own colour.
+const referenceLabel = (value, fill, position) => ({ value, fill, fontSize: 11, position });
+
+const InventoryTooltip = ({ active, payload, label }) => {
+  const { t, fmt } = useLocale();
+  if (!active || !payload?.length) return null;
+  const formatUnits = (value) => (value === null || value === undefined ? "—" : fmt.number(value));
+  const point = payload[0].payload;
+  const rowStyle = { display: "flex", justifyContent: "space-between", gap: "12px" };
+  return (
+    <div style={{ ...chartTooltipStyle, padding: "8px 10px" }}>
+      <div style={{ fontWeight: 600, marginBottom: "4px" }}>{label}</div>
+      <div style={rowStyle}>
+        <span style={{ color: colors.chartAverage }}>{t("chart.average")}</span>
+        <span>{formatUnits(point.avg)}</span>
+      </div>
+      <div style={rowStyle}>
+        <span style={{ color: colors.textMuted }}>{t("chart.minMax")}</span>
+        <span>
+          {formatUnits(point.lower)} – {formatUnits(point.upper)}
+        </span>
+      </div>
+      <div style={rowStyle}>
+        <span style={{ color: colors.chartForecast }}>{t("chart.forecast")}</span>
+        <span>{formatUnits(point.forecast)}</span>
+      </div>
+      {point.stockout && (
+        <div style={{ color: colors.chartStockout, marginTop: "4px" }}>
+          {t("chart.stockoutRun")}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Stockout periods get a square marker, so they stand out without colour.
+const StockoutDot = ({ cx, cy, payload }) => {
+  if (cx === undefined || cy === undefined) return null;
+  if (payload.stockout) {
+    return (
+      <rect
+        x={cx - 4}
+        y={cy - 4}
+        width={8}
+        height={8}
+        fill={colors.chartStockout}
+        stroke={colors.chartDotStroke}
+        strokeWidth={1}
+      />
+    );
+  }
+  return (
+    <circle
+      cx={cx}
+      cy={cy}
+      r={3}
+      fill={colors.chartAverage}
+      stroke={colors.chartDotStroke}
+      strokeWidth={1}
+    />
+  );
+};
+
+/**
+ * Average inventory with its min/max band, forecast, stockout spans and the
+ * policy reference lines. Until a result has periods it shows a hint instead.
+ * Screen readers get the chart as one image with a text summary.
+ * @param {{ result?: Object | null }} props
+ */
+function InventoryChart({ result }) {
+  const { t, fmt } = useLocale();
+  const data = useMemo(() => buildChartData(result), [result]);
+  const stockoutSpans = useMemo(() => buildStockoutSpans(data), [data]);
+
+  if (data.length === 0) {
+    return (
+      <div
+        style={{
+          height: "100%",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          border: `1px dashed ${colors.cardBorder}`,
+          borderRadius: radii.md,
+          fontSize: fontSizes.md,
+          color: colors.textMuted,
+        }}
+      >
+        {t("chart.empty")}
+      </div>
+    );
+  }
+
+  const summary = t("chart.summary", {
+    periods: data.length,
+    start: fmt.number(data[0].avg),
+    end: fmt.number(data[data.length - 1].avg),
+    stockouts: data.filter((point) => point.stockout).length,
+  });
+
+  return (
+    <div role="img" aria-label={summary} style={{ width: "100%", height: "100%" }}>
+      <ResponsiveContainer>
+        <ComposedChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" stroke={colors.chartGrid} />
+          <XAxis dataKey="period" stroke={colors.chartAxis} />
+          <YAxis stroke={colors.chartAxis} tickFormatter={(value) => fmt.number(value)} />
+          <Tooltip content={<InventoryTooltip />} />
+          <Legend />
+          {stockoutSpans.map((span) => (
+            <ReferenceArea
+              key={`${span.x1}-${span.x2}`}
+              x1={span.x1}
+              x2={span.x2}
+              fill={colors.chartStockout}
+              fillOpacity={0.12}
+              strokeOpacity={0}
+            />
+          ))}
+          <Area
+            type="monotone"
+            dataKey="band"
+            name={t("chart.band")}
+            stroke="none"
+            fill={colors.chartAverage}
+            fillOpacity={0.2}
+            isAnimationActive={false}
+          />
+          <Line
+            type="monotone"
+            dataKey="avg"
+            name={t("chart.averageInventory")}
+            stroke={colors.chartAverage}
+            strokeWidth={3}
+            dot={<StockoutDot />}
+          />
+          <Line
+            type="monotone"
+            dataKey="forecast"
+            name={t("chart.forecast")}
+            stroke={colors.chartForecast}
+            strokeWidth={2}
+            strokeDasharray="5 4"
+            dot={false}
+          />
+          {result?.reorder_point !== undefined && (
+            <ReferenceLine
+              y={result.reorder_point}
+              stroke={colors.chartReorderPoint}
+              strokeDasharray="4 4"
+              label={referenceLabel(t("chart.reorderPoint"), colors.chartReorderPoint, "insideTopRight")}
+            />
+          )}
+          {typeof result?.order_up_to === "number" && (
+            <ReferenceLine
+              y={result.order_up_to}
+              stroke={colors.chartOrderUpTo}
+              strokeDasharray="8 4"
+              label={referenceLabel(t("chart.orderUpTo"), colors.chartOrderUpTo, "insideTopLeft")}
+            />
+          )}
+          {result?.safety_stock !== undefined && (
+            <ReferenceLine
+              y={result.safety_stock}
+              stroke={colors.chartSafetyStock}
+              strokeDasharray="2 3"
+              label={referenceLabel(t("chart.safetyStock"), colors.chartSafetyStock, "insideBottomRight")}
+            />
+          )}
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+export default InventoryChart;
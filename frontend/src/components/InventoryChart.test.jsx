@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { render, screen } from "@testing-library/react";
+import InventoryChart from "./InventoryChart.jsx";
+import { translateEn } from "../lib/i18n.js";
+
+const EMPTY = translateEn("chart.empty");
+
+describe("InventoryChart", () => {
+  it("shows a hint until there is a result", () => {
+    render(<InventoryChart result={null} />);
+    expect(screen.getByText(EMPTY)).toBeTruthy();
+  });
+
+  it("shows the hint for a result without periods", () => {
+    render(<InventoryChart result={{ inventory_avg: [] }} />);
+    expect(screen.getByText(EMPTY)).toBeTruthy();
+  });
+
+  it("draws the chart once periods are available", () => {
+    const { container } = render(
+      <div style={{ width: 400, height: 200 }}>
+        <InventoryChart result={{ inventory_avg: [40, 25, 10], reorder_point: 20 }} />
+      </div>
+    );
+    expect(screen.queryByText(EMPTY)).toBeNull();
+    expect(container.querySelector(".recharts-responsive-container")).toBeTruthy();
+  });
+
+  it("summarises the projection for screen readers", () => {
+    render(
+      <div style={{ width: 400, height: 200 }}>
+        <InventoryChart
+          result={{ inventory_avg: [40, 25, 10], inventory_lower: [30, 0, 0], reorder_point: 20 }}
+        />
+      </div>
+    );
+    const label = screen.getByRole("img").getAttribute("aria-label");
+    expect(label).toBe(
+      translateEn("chart.summary", { periods: 3, start: "40", end: "10", stockouts: 2 })
+    );
+  });
+});
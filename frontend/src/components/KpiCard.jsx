@@ -0,0 +1,45 @@
+import React, { useId } from "react";
+import { colors, fontSizes } from "../theme/tokens.js";
+import { cardStyle } from "../theme/styles.js";
+
+/**
+ * One headline figure. `value` is the raw number (or text) and `format` turns
+ * it into the display string; a missing value shows "—". The card is a group
+ * named by its label, so screen readers announce the figure with its name.
+ * @param {Object} props
+ * @param {string} props.label
+ * @param {number | string | null} [props.value]
+ * @param {(value: number | string) => string} [props.format]
+ * @param {string} [props.note] small line under the value
+ * @param {string} [props.noteTitle] tooltip for the note
+ * @param {"muted" | "caution"} [props.noteTone]
+ */
+function KpiCard({ label, value, format = String, note, noteTitle, noteTone = "muted" }) {
+  const labelId = useId();
+  const missing = value === null || value === undefined || Number.isNaN(value);
+
+  return (
+    <div role="group" aria-labelledby={labelId} style={{ ...cardStyle, flex: 1 }}>
+      <div id={labelId} style={{ fontSize: fontSizes.xs, color: colors.textMuted }}>
+        {label}
+      </div>
+      <div style={{ fontSize: fontSizes.xxl, marginTop: "4px" }}>
+        {missing ? "—" : format(value)}
+      </div>
+      {note && (
+        <div
+          title={noteTitle}
+          style={{
+            fontSize: fontSizes.xs,
+            color: noteTone === "caution" ? colors.cautionText : colors.textSubtle,
+            marginTop: "2px",
+          }}
+        >
+          {note}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default KpiCard;
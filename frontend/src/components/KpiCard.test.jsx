@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { render, screen } from "@testing-library/react";
+import KpiCard from "./KpiCard.jsx";
+import { createFormatters, DEFAULT_FORMATTERS } from "../lib/i18n.js";
+
+describe("KpiCard", () => {
+  it("formats the value with the given formatter", () => {
+    render(<KpiCard label="Total Cost" value={123456} format={DEFAULT_FORMATTERS.currency} />);
+    expect(screen.getByText("Total Cost")).toBeTruthy();
+    expect(screen.getByText("₹1,23,456")).toBeTruthy();
+  });
+
+  it("is a group named by its label", () => {
+    render(<KpiCard label="Fill Rate" value={0.95} format={DEFAULT_FORMATTERS.percent} />);
+    const group = screen.getByRole("group", { name: "Fill Rate" });
+    expect(group.textContent).toContain("95.0%");
+  });
+
+  it("follows the formatter's locale and currency", () => {
+    const fmt = createFormatters({ locale: "en-US", currency: "USD" });
+    render(<KpiCard label="Total Cost" value={123456} format={fmt.currency} />);
+    expect(screen.getByText("$123,456")).toBeTruthy();
+  });
+
+  it.each([null, undefined, Number.NaN])("shows a dash for %s", (value) => {
+    render(<KpiCard label="Fill Rate" value={value} format={DEFAULT_FORMATTERS.percent} />);
+    expect(screen.getByText("—")).toBeTruthy();
+  });
+
+  it("formats zero rather than treating it as missing", () => {
+    render(<KpiCard label="Stockout Probability" value={0} format={DEFAULT_FORMATTERS.percent} />);
+    expect(screen.getByText("0.0%")).toBeTruthy();
+  });
+
+  it("shows the note with its tooltip", () => {
+    render(<KpiCard label="EOQ" value={120} note="Ordering 200" noteTitle="Price break" />);
+    expect(screen.getByText("120")).toBeTruthy();
+    expect(screen.getByText("Ordering 200").getAttribute("title")).toBe("Price break");
+  });
+});
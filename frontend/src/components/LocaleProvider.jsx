@@ -0,0 +1,33 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { LocaleContext } from "../hooks/useLocale.js";
+import {
+  createFormatters,
+  createTranslator,
+  loadLocaleSettings,
+  storeLocaleSettings,
+} from "../lib/i18n.js";
+
+// Holds the language / number locale / currency settings and hands the
+// matching translator and formatters to everything below it.
+function LocaleProvider({ children }) {
+  const [settings, setSettings] = useState(loadLocaleSettings);
+
+  useEffect(() => {
+    storeLocaleSettings(settings);
+    document.documentElement.lang = settings.language;
+  }, [settings]);
+
+  const value = useMemo(
+    () => ({
+      settings,
+      updateSettings: (patch) => setSettings((prev) => ({ ...prev, ...patch })),
+      t: createTranslator(settings.language),
+      fmt: createFormatters(settings),
+    }),
+    [settings]
+  );
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+}
+
+export default LocaleProvider;
@@ -0,0 +1,59 @@
+import React from "react";
+import { useLocale } from "../hooks/useLocale.js";
+import { CURRENCIES, LANGUAGES, NUMBER_LOCALES } from "../lib/i18n.js";
+import { compactSelectStyle, inlineLabelStyle } from "../theme/styles.js";
+
+// Language switcher plus the number format and currency used for every
+// figure on the dashboard.
+function LocaleSettings() {
+  const { settings, updateSettings, t } = useLocale();
+
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: "8px", justifyContent: "flex-end" }}>
+      <label style={inlineLabelStyle}>
+        {t("settings.language")}
+        <select
+          value={settings.language}
+          onChange={(e) => updateSettings({ language: e.target.value })}
+          style={compactSelectStyle}
+        >
+          {LANGUAGES.map((l) => (
+            <option key={l.code} value={l.code}>
+              {l.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label style={inlineLabelStyle}>
+        {t("settings.numberFormat")}
+        <select
+          value={settings.locale}
+          onChange={(e) => updateSettings({ locale: e.target.value })}
+          style={compactSelectStyle}
+        >
+          {NUMBER_LOCALES.map((l) => (
+            <option key={l.value} value={l.value}>
+              {l.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label style={inlineLabelStyle}>
+        {t("settings.currency")}
+        <select
+          value={settings.currency}
+          onChange={(e) => updateSettings({ currency: e.target.value })}
+          style={compactSelectStyle}
+        >
+          {CURRENCIES.map((c) => (
+            <option key={c.value} value={c.value}>
+              {c.label}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default LocaleSettings;
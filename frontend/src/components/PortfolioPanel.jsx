@@ -0,0 +1,469 @@
+import React, { useMemo, useRef, useState } from "react";
+import { buildScenarioRequest } from "../lib/scenarioRequest.js";
+import { cachedSimulate } from "../lib/simulationCache.js";
+import { isAbortError } from "../lib/apiClient.js";
+import { mapWithConcurrency } from "../lib/concurrency.js";
+import { ANALYSIS_CONCURRENCY, DEFAULT_ANALYSIS_SEED } from "../lib/analysisInputs.js";
+import {
+  PORTFOLIO_COLUMNS,
+  PORTFOLIO_TABLE_COLUMNS,
+  buildPortfolioRows,
+  filterPortfolioRows,
+  parsePortfolioCsv,
+  sortPortfolioRows,
+  summarisePortfolio,
+} from "../lib/portfolio.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes, radii, riskColors } from "../theme/tokens.js";
+import { cardStyle, compactSelectStyle, panelStyle, pillButton } from "../theme/styles.js";
+
+function TotalCard({ label, value, detail }) {
+  return (
+    <div style={cardStyle}>
+      <div style={{ fontSize: fontSizes.xs, color: colors.textMuted }}>{label}</div>
+      <div style={{ fontSize: fontSizes.xxl, fontWeight: 600 }}>{value}</div>
+      {detail && <div style={{ fontSize: fontSizes.xs, color: colors.textSubtle }}>{detail}</div>}
+    </div>
+  );
+}
+
+// Portfolio mode: upload a CSV of SKUs, simulate each one (ANALYSIS_CONCURRENCY
+// at a time) and review them in one table. Clicking a row opens that SKU in
+// the single-scenario view.
+function PortfolioPanel({ onOpenSku }) {
+  const locale = useLocale();
+  const { t, fmt } = locale;
+  const [fileName, setFileName] = useState("");
+  const [skus, setSkus] = useState([]);
+  const [rowErrors, setRowErrors] = useState([]);
+  const [outcomes, setOutcomes] = useState(null);
+  const [periodsPerYear, setPeriodsPerYear] = useState("12");
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState("");
+  const [filters, setFilters] = useState({ query: "", abcClass: "", riskLevel: "" });
+  const [sort, setSort] = useState({ key: "annualSpend", direction: "desc" });
+  const fileInputRef = useRef(null);
+  const controllerRef = useRef(null);
+
+  const periods = Number(periodsPerYear);
+  const periodsValid = Number.isInteger(periods) && periods >= 1 && periods <= 366;
+
+  // rows use the periods per year the SKUs were simulated with; a changed
+  // value applies from the next run
+  const rows = useMemo(
+    () =>
+      outcomes ? buildPortfolioRows(skus, outcomes.results, Number(outcomes.periodsPerYear)) : [],
+    [skus, outcomes]
+  );
+  const periodsStale = outcomes !== null && periodsPerYear !== outcomes.periodsPerYear;
+  const summary = useMemo(() => summarisePortfolio(rows), [rows]);
+  const visibleRows = useMemo(
+    () => sortPortfolioRows(filterPortfolioRows(rows, filters), sort.key, sort.direction),
+    [rows, filters, sort]
+  );
+
+  const runPortfolio = async (items) => {
+    if (!periodsValid) {
+      setError(t("portfolio.periodsInvalid"));
+      setOutcomes(null);
+      return;
+    }
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const { signal } = controller;
+
+    setError("");
+    setOutcomes(null);
+    setProgress({ done: 0, total: items.length });
+    try {
+      const results = await mapWithConcurrency(
+        items,
+        ANALYSIS_CONCURRENCY,
+        async (sku) => {
+          const inputs = { ...sku.inputs, periodsPerYear };
+          const request = buildScenarioRequest({ ...inputs, seed: String(DEFAULT_ANALYSIS_SEED) });
+          try {
+            return { inputs, request, result: await cachedSimulate(request, { signal, t }) };
+          } catch (err) {
+            // one bad SKU should not sink the whole portfolio
+            if (isAbortError(err)) throw err;
+            return { inputs, request, error: err.message };
+          }
+        },
+        { signal, onProgress: (done, total) => setProgress({ done, total }) }
+      );
+      setOutcomes({ periodsPerYear, results });
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error(err);
+      setError(t("portfolio.runFailed", { message: err.message }));
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const parsed = parsePortfolioCsv(await file.text(), t);
+      setFileName(file.name);
+      setSkus(parsed.skus);
+      setRowErrors(parsed.errors);
+      if (parsed.skus.length) runPortfolio(parsed.skus);
+      else setOutcomes(null);
+    } catch (err) {
+      console.error(err);
+      setError(t("portfolio.readFailed", { file: file.name, message: err.message }));
+    }
+  };
+
+  const handleCancel = () => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setProgress(null);
+  };
+
+  const handleSort = (key) => {
+    setSort((prev) =>
+      prev.key === key
+        ? { key, direction: prev.direction === "asc" ? "desc" : "asc" }
+        : { key, direction: "asc" }
+    );
+  };
+
+  return (
+    <section style={panelStyle}>
+      <h2 style={{ fontSize: fontSizes.xxl, marginBottom: "12px" }}>{t("portfolio.title")}</h2>
+
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "12px",
+          alignItems: "center",
+          fontSize: fontSizes.sm,
+          color: colors.textMuted,
+          marginBottom: "8px",
+        }}
+      >
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={progress !== null}
+          style={pillButton({ tone: "accent", disabled: progress !== null })}
+        >
+          {t("portfolio.upload")}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          onChange={handleUpload}
+          style={{ display: "none" }}
+        />
+        {skus.length > 0 && !progress && (
+          <button
+            type="button"
+            onClick={() => runPortfolio(skus)}
+            style={pillButton()}
+          >
+            {t("portfolio.rerun")}
+          </button>
+        )}
+        {progress && (
+          <button
+            type="button"
+            onClick={handleCancel}
+            style={pillButton({ tone: "danger" })}
+          >
+            {t("actions.cancel")}
+          </button>
+        )}
+        <label>
+          {t("portfolio.periodsPerYear")}{" "}
+          <input
+            type="number"
+            min="1"
+            max="366"
+            value={periodsPerYear}
+            onChange={(e) => setPeriodsPerYear(e.target.value)}
+            style={{ ...compactSelectStyle, width: "56px" }}
+          />
+        </label>
+        {periodsStale && !progress && <span>{t("portfolio.periodsStale")}</span>}
+        {fileName && (
+          <span>
+            {t("portfolio.fileSummary", { file: fileName, count: fmt.number(skus.length) })}
+            {rowErrors.length > 0 &&
+              t("portfolio.fileSkipped", { count: fmt.number(rowErrors.length) })}
+          </span>
+        )}
+      </div>
+
+      <p style={{ fontSize: fontSizes.xs, color: colors.textSubtle, marginTop: 0 }}>
+        {t("portfolio.columns")}{" "}
+        <code>{PORTFOLIO_COLUMNS.map((c) => c.label).join(",")}</code>.{" "}
+        {t("portfolio.columnsHint", { seed: DEFAULT_ANALYSIS_SEED })}
+      </p>
+
+      {error && <p style={{ color: colors.warning, fontSize: fontSizes.md }}>{error}</p>}
+
+      {rowErrors.length > 0 && (
+        <details style={{ fontSize: fontSizes.sm, color: colors.dangerText, marginBottom: "8px" }}>
+          <summary style={{ cursor: "pointer" }}>
+            {t("portfolio.rowsSkipped", { count: fmt.number(rowErrors.length) })}
+          </summary>
+          <ul style={{ margin: "4px 0", paddingLeft: "18px" }}>
+            {rowErrors.map((message) => (
+              <li key={message}>{message}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {progress && (
+        <div style={{ marginBottom: "12px" }}>
+          <div
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={progress.total}
+            aria-valuenow={progress.done}
+            style={{
+              height: "8px",
+              borderRadius: radii.pill,
+              background: colors.track,
+              border: `1px solid ${colors.cardBorder}`,
+              overflow: "hidden",
+            }}
+          >
+            <div
+              style={{
+                width: `${(progress.done / progress.total) * 100}%`,
+                height: "100%",
+                background: colors.accent,
+                transition: "width 0.2s ease",
+              }}
+            />
+          </div>
+          <div style={{ fontSize: fontSizes.xs, color: colors.textMuted, marginTop: "4px" }}>
+            {t("portfolio.progress", { done: progress.done, total: progress.total })}
+          </div>
+        </div>
+      )}
+
+      {rows.length > 0 ? (
+        <>
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))",
+              gap: "10px",
+              marginBottom: "12px",
+            }}
+          >
+            <TotalCard
+              label={t("portfolio.skus")}
+              value={fmt.number(summary.skuCount)}
+              detail={
+                summary.failedCount
+                  ? t("portfolio.failedCount", { count: fmt.number(summary.failedCount) })
+                  : null
+              }
+            />
+            <TotalCard
+              label={t("portfolio.annualSpend")}
+              value={fmt.currency(summary.annualSpend)}
+            />
+            <TotalCard
+              label={t("portfolio.safetyStockValue")}
+              value={fmt.currency(summary.safetyStockValue)}
+            />
+            <TotalCard
+              label={t("portfolio.cycleStockValue")}
+              value={fmt.currency(summary.cycleStockValue)}
+            />
+            <TotalCard
+              label={t("metric.risk")}
+              value={t("portfolio.riskHigh", { count: fmt.number(summary.byRisk.high) })}
+              detail={t("portfolio.riskDetail", {
+                medium: fmt.number(summary.byRisk.medium),
+                low: fmt.number(summary.byRisk.low),
+              })}
+            />
+            {["A", "B", "C"].map((abc) => (
+              <TotalCard
+                key={abc}
+                label={t("portfolio.class", { abc })}
+                value={t("portfolio.skuCount", { count: fmt.number(summary.byClass[abc].count) })}
+                detail={t("portfolio.spendShare", {
+                  share: fmt.percent(
+                    summary.annualSpend ? summary.byClass[abc].spend / summary.annualSpend : 0,
+                    1
+                  ),
+                })}
+              />
+            ))}
+          </div>
+
+          <div
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              gap: "8px",
+              alignItems: "center",
+              fontSize: fontSizes.sm,
+              color: colors.textMuted,
+              marginBottom: "8px",
+            }}
+          >
+            <input
+              type="search"
+              value={filters.query}
+              onChange={(e) => setFilters({ ...filters, query: e.target.value })}
+              placeholder={t("portfolio.filter")}
+              aria-label={t("portfolio.filter")}
+              style={{ ...compactSelectStyle, width: "160px" }}
+            />
+            <select
+              value={filters.abcClass}
+              onChange={(e) => setFilters({ ...filters, abcClass: e.target.value })}
+              aria-label={t("portfolio.abcClass")}
+              style={compactSelectStyle}
+            >
+              <option value="">{t("portfolio.allClasses")}</option>
+              {["A", "B", "C"].map((abc) => (
+                <option key={abc} value={abc}>
+                  {t("portfolio.class", { abc })}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.riskLevel}
+              onChange={(e) => setFilters({ ...filters, riskLevel: e.target.value })}
+              aria-label={t("risk.label")}
+              style={compactSelectStyle}
+            >
+              <option value="">{t("portfolio.allRisks")}</option>
+              {["high", "medium", "low"].map((level) => (
+                <option key={level} value={level}>
+                  {t(`portfolio.risk.${level}`)}
+                </option>
+              ))}
+              <option value="failed">{t("portfolio.failedRuns")}</option>
+            </select>
+            <span>
+              {t("portfolio.showing", {
+                shown: fmt.number(visibleRows.length),
+                total: fmt.number(rows.length),
+              })}
+            </span>
+          </div>
+
+          <div style={{ overflowX: "auto", maxHeight: "480px", overflowY: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: fontSizes.sm }}>
+              <thead>
+                <tr>
+                  {PORTFOLIO_TABLE_COLUMNS.map((column) => (
+                    <th
+                      key={column.key}
+                      aria-sort={
+                        sort.key === column.key
+                          ? sort.direction === "asc"
+                            ? "ascending"
+                            : "descending"
+                          : "none"
+                      }
+                      style={{
+                        position: "sticky",
+                        top: 0,
+                        background: colors.track,
+                        padding: "6px 8px",
+                        textAlign: column.text ? "left" : "right",
+                        borderBottom: `1px solid ${colors.tooltipBorder}`,
+                      }}
+                    >
+                      <button
+                        type="button"
+                        onClick={() => handleSort(column.key)}
+                        style={{
+                          background: "none",
+                          border: "none",
+                          color: sort.key === column.key ? colors.accentText : colors.textMuted,
+                          fontSize: fontSizes.sm,
+                          cursor: "pointer",
+                          padding: 0,
+                        }}
+                      >
+                        {t(`portfolio.column.${column.key}`)}
+                        {sort.key === column.key && (sort.direction === "asc" ? " ▲" : " ▼")}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRows.map((row) => (
+                  <tr
+                    key={row.id}
+                    onClick={() => row.result && onOpenSku(row)}
+                    onKeyDown={(e) => {
+                      if (row.result && (e.key === "Enter" || e.key === " ")) {
+                        e.preventDefault();
+                        onOpenSku(row);
+                      }
+                    }}
+                    tabIndex={row.result ? 0 : undefined}
+                    title={
+                      row.error
+                        ? t("portfolio.rowFailed", { message: row.error })
+                        : t("portfolio.rowOpen", { name: row.name })
+                    }
+                    style={{
+                      cursor: row.result ? "pointer" : "default",
+                      borderBottom: `1px solid ${colors.cardBorder}`,
+                    }}
+                  >
+                    {PORTFOLIO_TABLE_COLUMNS.map((column) => {
+                      const value = column.get(row);
+                      const isRisk = column.key === "risk";
+                      return (
+                        <td
+                          key={column.key}
+                          style={{
+                            padding: "6px 8px",
+                            textAlign: column.text ? "left" : "right",
+                            color: isRisk ? riskColors[row.result?.risk_level] : undefined,
+                          }}
+                        >
+                          {value === null || value === undefined
+                            ? isRisk && row.error
+                              ? t("portfolio.failedCell")
+                              : "—"
+                            : column.format(value, locale)}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      ) : (
+        !progress && (
+          <p style={{ fontSize: fontSizes.md, color: colors.textMuted }}>
+            {t("portfolio.empty")}
+          </p>
+        )
+      )}
+    </section>
+  );
+}
+
+export default PortfolioPanel;
@@ -0,0 +1,125 @@
+import React, { useId } from "react";
+import FieldError from "./FieldError.jsx";
+import { useLocale } from "../hooks/useLocale.js";
+import { fontSizes } from "../theme/tokens.js";
+import {
+  dangerLinkStyle,
+  hintStyle,
+  inputStyle,
+  labelStyle,
+  pillButton,
+  summaryStyle,
+} from "../theme/styles.js";
+
+const cellStyle = (hasError) => ({ ...inputStyle(hasError), padding: "6px 8px" });
+
+// The form keeps breaks as "min:cost" pairs so they validate, save and export
+// like every other input; the rows here are just that string split up, which
+// keeps half-typed values intact.
+const splitRows = (value) =>
+  value
+    ? value.split(",").map((item) => {
+        const [min = "", cost = ""] = item.split(":");
+        return { min, cost };
+      })
+    : [];
+
+const joinRows = (rows) => rows.map((r) => `${r.min}:${r.cost}`).join(",");
+
+// Tiered supplier pricing (all-units discounts) for the scenario.
+function PriceBreaksInput({ form }) {
+  const { t } = useLocale();
+  const rows = splitRows(form.values.priceBreaks);
+  const hasError = Boolean(form.errorFor("priceBreaks"));
+  const id = useId();
+  const errorId = `${id}-error`;
+  const hintId = `${id}-hint`;
+  const describedBy = hasError ? `${errorId} ${hintId}` : hintId;
+
+  const update = (next) => {
+    form.setField("priceBreaks", joinRows(next));
+  };
+  const setCell = (index, key, value) =>
+    update(rows.map((row, i) => (i === index ? { ...row, [key]: value } : row)));
+
+  return (
+    <details style={{ marginTop: "12px" }}>
+      <summary style={summaryStyle}>
+        {t("priceBreaks.title")}
+        {rows.length > 0 && ` (${rows.length})`}
+      </summary>
+      <div style={{ marginTop: "8px" }}>
+        {rows.length > 0 && (
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "1fr 1fr auto",
+              gap: "6px 10px",
+              alignItems: "end",
+            }}
+          >
+            <span id={`${id}-min`} style={labelStyle(fontSizes.sm)}>
+              {t("priceBreaks.minQuantity")}
+            </span>
+            <span id={`${id}-cost`} style={labelStyle(fontSizes.sm)}>
+              {t("priceBreaks.unitCost")}
+            </span>
+            <span />
+            {rows.map((row, i) => (
+              <React.Fragment key={i}>
+                <input
+                  type="number"
+                  value={row.min}
+                  onChange={(e) => setCell(i, "min", e.target.value)}
+                  onBlur={() => form.touchField("priceBreaks")}
+                  min="0"
+                  step="any"
+                  placeholder="500"
+                  aria-label={t("priceBreaks.rowMin", { n: i + 1 })}
+                  aria-invalid={hasError || undefined}
+                  aria-describedby={describedBy}
+                  style={cellStyle(hasError)}
+                />
+                <input
+                  type="number"
+                  value={row.cost}
+                  onChange={(e) => setCell(i, "cost", e.target.value)}
+                  onBlur={() => form.touchField("priceBreaks")}
+                  min="0"
+                  step="any"
+                  placeholder="9.5"
+                  aria-label={t("priceBreaks.rowCost", { n: i + 1 })}
+                  aria-invalid={hasError || undefined}
+                  aria-describedby={describedBy}
+                  style={cellStyle(hasError)}
+                />
+                <button
+                  type="button"
+                  onClick={() => update(rows.filter((_, j) => j !== i))}
+                  title={t("priceBreaks.removeHint")}
+                  aria-label={t("priceBreaks.removeRow", { n: i + 1 })}
+                  style={dangerLinkStyle}
+                >
+                  {t("priceBreaks.remove")}
+                </button>
+              </React.Fragment>
+            ))}
+          </div>
+        )}
+        <FieldError id={errorId} message={form.errorFor("priceBreaks")} />
+        <button
+          type="button"
+          onClick={() => update([...rows, { min: "", cost: "" }])}
+          style={{ ...pillButton(), marginTop: "8px", padding: "6px 12px" }}
+        >
+          {t("priceBreaks.add")}
+        </button>
+        <p id={hintId} style={hintStyle}>
+          {t("priceBreaks.hint")}
+        </p>
+      </div>
+    </details>
+  );
+}
+
+export default PriceBreaksInput;
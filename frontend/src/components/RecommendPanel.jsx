@@ -0,0 +1,235 @@
+import React, { useRef, useState } from "react";
+import { buildScenarioRequest } from "../lib/scenarioRequest.js";
+import { cachedSimulate } from "../lib/simulationCache.js";
+import { isAbortError } from "../lib/apiClient.js";
+import { mapWithConcurrency } from "../lib/concurrency.js";
+import { ANALYSIS_CONCURRENCY, DEFAULT_ANALYSIS_SEED } from "../lib/analysisInputs.js";
+import {
+  buildOrderQuantities,
+  buildPolicyCandidates,
+  buildReviewPeriods,
+  explainPolicy,
+  pickBestPolicy,
+} from "../lib/optimizer.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes } from "../theme/tokens.js";
+import { cardStyle, compactSelectStyle, panelStyle, pillButton } from "../theme/styles.js";
+
+const actionStyle = pillButton();
+
+// "Recommend" action: finds the cheapest order quantity / service target
+// (/ safety-stock multiplier) that keeps stockouts under a limit, and hands
+// the policy back to the form or the scenario library.
+function RecommendPanel({ inputs, disabled, onApply, onSave }) {
+  const { t, fmt } = useLocale();
+  const [maxStockoutPct, setMaxStockoutPct] = useState("5");
+  const [includeMultiplier, setIncludeMultiplier] = useState(false);
+  const [recommendation, setRecommendation] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const controllerRef = useRef(null);
+
+  const maxStockout = Number(maxStockoutPct) / 100;
+  const settingsValid = Number.isFinite(maxStockout) && maxStockout > 0 && maxStockout < 1;
+
+  const handleRecommend = async () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const { signal } = controller;
+
+    const seeded = { ...inputs, seed: inputs.seed || String(DEFAULT_ANALYSIS_SEED) };
+    const run = async (patch, jobInputs) => {
+      const request = buildScenarioRequest(jobInputs);
+      const result = await cachedSimulate(request, { signal, t });
+      return { patch, request, result };
+    };
+
+    setError("");
+    setSaved(false);
+    setProgress({ done: 0, total: 1 });
+    try {
+      // the current policy comes first: its EOQ centres the search, and it is
+      // the comparison in the explanation
+      const current = await run(null, seeded);
+      const { eoq, price_tiers, policy, annual_demand, periods_per_year } = current.result;
+      const candidates = buildPolicyCandidates({
+        policy,
+        orderQuantities: buildOrderQuantities(eoq, price_tiers),
+        reviewPeriods: buildReviewPeriods(eoq, annual_demand / periods_per_year),
+        includeMultiplier,
+      });
+      const options = await mapWithConcurrency(
+        candidates,
+        ANALYSIS_CONCURRENCY,
+        (patch) => run(patch, { ...seeded, ...patch }),
+        { signal, onProgress: (done, total) => setProgress({ done: done + 1, total: total + 1 }) }
+      );
+
+      const best = pickBestPolicy(options, { maxStockout });
+      if (!best) {
+        setError(t("recommend.noEoq"));
+        return;
+      }
+      setRecommendation({
+        ...best,
+        seed: seeded.seed,
+        inputs: { ...seeded, ...best.best.patch },
+        current: current.result,
+        maxStockout,
+      });
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error(err);
+      setError(t("recommend.failed", { message: err.message }));
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  const handleApply = () => {
+    onApply({ ...recommendation.best.patch, seed: recommendation.seed });
+  };
+
+  // The saved result is a run of exactly the recommended inputs, so its
+  // costs and inventory series belong to the recommended policy.
+  const handleSave = async () => {
+    const { best, inputs: recommended } = recommendation;
+    const service = Math.round(Number(best.patch.serviceLevel) * 100);
+    const request = buildScenarioRequest(recommended);
+    setError("");
+    setSaving(true);
+    try {
+      const result = await cachedSimulate(request, { t });
+      onSave({
+        name:
+          best.reviewPeriod !== null
+            ? t("recommend.saveNameReview", { period: best.reviewPeriod, service })
+            : t("recommend.saveName", { quantity: best.orderQuantity, service }),
+        inputs: recommended,
+        request,
+        result,
+      });
+      setSaved(true);
+    } catch (err) {
+      console.error(err);
+      setError(t("recommend.saveFailed", { message: err.message }));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section style={{ ...panelStyle, marginTop: "24px" }}>
+      <h2 style={{ fontSize: fontSizes.xxl, marginBottom: "12px" }}>{t("recommend.title")}</h2>
+
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "12px",
+          alignItems: "center",
+          fontSize: fontSizes.sm,
+          color: colors.textMuted,
+          marginBottom: "12px",
+        }}
+      >
+        <label>
+          {t("recommend.maxStockout")}{" "}
+          <input
+            type="number"
+            min="0.1"
+            max="99"
+            step="0.5"
+            value={maxStockoutPct}
+            onChange={(e) => setMaxStockoutPct(e.target.value)}
+            style={{ ...compactSelectStyle, width: "60px" }}
+          />{" "}
+          %
+        </label>
+        <label style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+          <input
+            type="checkbox"
+            checked={includeMultiplier}
+            onChange={(e) => setIncludeMultiplier(e.target.checked)}
+          />
+          {t("recommend.includeMultiplier")}
+        </label>
+        <button
+          type="button"
+          onClick={handleRecommend}
+          disabled={disabled || !settingsValid || progress !== null}
+          style={{
+            ...actionStyle,
+            background: `linear-gradient(to right, ${colors.runFrom}, ${colors.runTo})`,
+            color: colors.runText,
+            border: "none",
+            fontWeight: 600,
+            cursor: disabled || !settingsValid ? "not-allowed" : "pointer",
+          }}
+        >
+          {progress
+            ? t("recommend.searching", { done: progress.done, total: progress.total })
+            : t("recommend.run")}
+        </button>
+        {disabled && <span>{t("analysis.needInputs")}</span>}
+      </div>
+
+      {error && <p style={{ color: colors.warning, fontSize: fontSizes.md }}>{error}</p>}
+
+      {recommendation ? (
+        <div
+          style={{
+            ...cardStyle,
+            padding: "12px",
+            border: `1px solid ${
+              recommendation.feasible ? colors.successBorder : colors.warningBorder
+            }`,
+          }}
+        >
+          {explainPolicy(
+            recommendation,
+            recommendation.current,
+            { maxStockout: recommendation.maxStockout },
+            t,
+            fmt
+          ).map((line) => (
+            <p key={line} style={{ fontSize: fontSizes.md, margin: "0 0 6px" }}>
+              {line}
+            </p>
+          ))}
+          <p style={{ fontSize: fontSizes.xs, color: colors.textSubtle, margin: "0 0 8px" }}>
+            {t("recommend.footnote", {
+              count: fmt.number(recommendation.evaluatedCount),
+              seed: recommendation.seed,
+            })}
+          </p>
+          <div style={{ display: "flex", gap: "8px" }}>
+            <button type="button" onClick={handleApply} style={actionStyle}>
+              {t("recommend.apply")}
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saved || saving}
+              style={actionStyle}
+            >
+              {saved ? t("recommend.saved") : t("recommend.save")}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p style={{ fontSize: fontSizes.md, color: colors.textMuted }}>
+          {t("recommend.empty")}
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default RecommendPanel;
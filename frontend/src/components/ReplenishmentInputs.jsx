@@ -0,0 +1,58 @@
+import React from "react";
+import { Field, SelectField } from "./FormField.jsx";
+import { REORDER_POLICIES } from "../lib/scenarioRequest.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { fontSizes } from "../theme/tokens.js";
+import { summaryStyle } from "../theme/styles.js";
+
+// Reorder policy and lead time variability for the replenishment simulation.
+function ReplenishmentInputs({ form }) {
+  const { t } = useLocale();
+  const policy = form.values.policy;
+
+  return (
+    <details style={{ marginTop: "12px" }}>
+      <summary style={summaryStyle}>{t("replenishment.title")}</summary>
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "1fr 1fr",
+          gap: "10px",
+          marginTop: "8px",
+        }}
+      >
+        <div style={{ gridColumn: "1 / -1" }}>
+          <SelectField
+            form={form}
+            name="policy"
+            label={t("field.policy")}
+            labelSize={fontSizes.sm}
+            hint={REORDER_POLICIES.some((p) => p.value === policy) && t(`policyHint.${policy}`)}
+            options={REORDER_POLICIES.map((p) => ({ value: p.value, label: t(`policy.${p.value}`) }))}
+          />
+        </div>
+        {policy === "periodic" && (
+          <Field
+            form={form}
+            name="reviewPeriod"
+            label={t("field.reviewPeriod")}
+            labelSize={fontSizes.sm}
+            min="1"
+            max="52"
+            step="1"
+          />
+        )}
+        <Field
+          form={form}
+          name="leadTimeStd"
+          label={t("field.leadTimeStd")}
+          labelSize={fontSizes.sm}
+          min="0"
+          step="0.1"
+        />
+      </div>
+    </details>
+  );
+}
+
+export default ReplenishmentInputs;
@@ -0,0 +1,80 @@
+import React, { useId } from "react";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes, radii, riskColors } from "../theme/tokens.js";
+
+// Each level differs in length and fill pattern as well as colour, so the bar
+// reads the same without colour vision.
+const STRIPE = "rgba(0, 0, 0, 0.35)";
+const RISK_LEVELS = {
+  low: { value: 1, pattern: "none" },
+  medium: {
+    value: 2,
+    pattern: `repeating-linear-gradient(45deg, transparent 0 4px, ${STRIPE} 4px 6px)`,
+  },
+  high: {
+    value: 3,
+    pattern: `repeating-linear-gradient(45deg, transparent 0 3px, ${STRIPE} 3px 5px), repeating-linear-gradient(-45deg, transparent 0 3px, ${STRIPE} 3px 5px)`,
+  },
+};
+const MAX_LEVEL = 3;
+
+/**
+ * Stockout risk of a result as a meter: a third, two thirds or all of the
+ * bar, plain, striped or cross-hatched in the risk colour, and the level's
+ * name. Without a level (nothing run yet) the bar is empty.
+ * @param {{ level?: "low" | "medium" | "high" | null }} props
+ */
+function RiskBar({ level }) {
+  const { t } = useLocale();
+  const labelId = useId();
+  const known = RISK_LEVELS[level];
+  const value = known?.value ?? 0;
+  const levelName = known ? t(`risk.${level}`) : "—";
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: "12px",
+        marginTop: "4px",
+      }}
+    >
+      <div id={labelId} style={{ fontSize: fontSizes.sm, color: colors.textMuted, minWidth: "80px" }}>
+        {t("risk.label")}
+      </div>
+      <div
+        role="meter"
+        aria-labelledby={labelId}
+        aria-valuemin={0}
+        aria-valuemax={MAX_LEVEL}
+        aria-valuenow={value}
+        aria-valuetext={levelName}
+        style={{
+          flex: 1,
+          height: "10px",
+          borderRadius: radii.pill,
+          background: colors.track,
+          overflow: "hidden",
+          border: `1px solid ${colors.cardBorder}`,
+        }}
+      >
+        <div
+          data-testid="risk-fill"
+          style={{
+            width: `${(value / MAX_LEVEL) * 100}%`,
+            height: "100%",
+            backgroundColor: known ? riskColors[level] : "transparent",
+            backgroundImage: known?.pattern ?? "none",
+            transition: "width 0.3s ease",
+          }}
+        />
+      </div>
+      <div aria-hidden="true" style={{ fontSize: fontSizes.sm, minWidth: "56px" }}>
+        {levelName}
+      </div>
+    </div>
+  );
+}
+
+export default RiskBar;
@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { render, screen } from "@testing-library/react";
+import RiskBar from "./RiskBar.jsx";
+
+describe("RiskBar", () => {
+  it("names and fills the risk level", () => {
+    render(<RiskBar level="high" />);
+    expect(screen.getByText("High")).toBeTruthy();
+    expect(screen.getByTestId("risk-fill").style.width).toBe("100%");
+  });
+
+  it("is a meter named after the risk", () => {
+    render(<RiskBar level="medium" />);
+    const meter = screen.getByRole("meter", { name: "Risk Level" });
+    expect(meter.getAttribute("aria-valuenow")).toBe("2");
+    expect(meter.getAttribute("aria-valuemax")).toBe("3");
+    expect(meter.getAttribute("aria-valuetext")).toBe("Medium");
+  });
+
+  it("tells the levels apart by length and pattern, not just colour", () => {
+    const { rerender } = render(<RiskBar level="low" />);
+    const fill = () => screen.getByTestId("risk-fill");
+    const low = { width: fill().style.width, image: fill().style.backgroundImage };
+    rerender(<RiskBar level="medium" />);
+    const medium = { width: fill().style.width, image: fill().style.backgroundImage };
+    expect(low.width).not.toBe(medium.width);
+    expect(low.image).not.toBe(medium.image);
+  });
+
+  it("is empty before anything has run", () => {
+    render(<RiskBar level={null} />);
+    expect(screen.getByText("—")).toBeTruthy();
+    expect(screen.getByTestId("risk-fill").style.width).toBe("0%");
+    expect(screen.getByRole("meter").getAttribute("aria-valuenow")).toBe("0");
+  });
+});
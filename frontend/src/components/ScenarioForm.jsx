@@ -0,0 +1,293 @@
+import React from "react";
+import FieldError from "./FieldError.jsx";
+import { Field, SelectField } from "./FormField.jsx";
+import ReplenishmentInputs from "./ReplenishmentInputs.jsx";
+import PriceBreaksInput from "./PriceBreaksInput.jsx";
+import DemandHistoryInput from "./DemandHistoryInput.jsx";
+import { SCENARIO_TYPES } from "../lib/scenarioRequest.js";
+import { SERVICE_TARGETS } from "../lib/scenarioForm.js";
+import { DEMAND_DISTRIBUTIONS } from "../lib/distributions.js";
+import {
+  MAX_SERVICE_TARGET,
+  MIN_SERVICE_TARGET,
+  SERVICE_DEFINITIONS,
+} from "../lib/serviceLevel.js";
+import { useFieldIds } from "../hooks/useFieldIds.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { fontSizes } from "../theme/tokens.js";
+import { hintStyle, inputStyle, labelStyle, summaryStyle } from "../theme/styles.js";
+
+const gridStyle = (columns, marginTop) => ({
+  display: "grid",
+  gridTemplateColumns: `repeat(${columns}, 1fr)`,
+  gap: "10px",
+  marginTop,
+});
+
+/**
+ * Every Scenario Inputs field, bound to a form from `useScenarioForm`.
+ * `children` render below the inputs (the dashboard puts the voice panel
+ * there).
+ * @param {Object} props
+ * @param {ReturnType<typeof import("../hooks/useScenarioForm.js").useScenarioForm>} props.form
+ * @param {React.ReactNode} [props.children]
+ */
+function ScenarioForm({ form, children }) {
+  const { t } = useLocale();
+  const distribution = form.values.demandDistribution;
+  const serviceLevel = useFieldIds(form, "serviceLevel");
+  const serviceDefinition = useFieldIds(form, "serviceDefinition");
+
+  return (
+    <>
+      <h2 style={{ fontSize: fontSizes.xxl, marginBottom: "12px" }}>{t("inputs.title")}</h2>
+
+      <div style={{ marginBottom: "10px" }}>
+        <Field
+          form={form}
+          name="scenarioName"
+          type="text"
+          label={t("field.scenarioName")}
+          placeholder={t("inputs.namePlaceholder")}
+        />
+      </div>
+
+      <div style={gridStyle(2)}>
+        <Field
+          form={form}
+          name="demand"
+          label={t("field.demand")}
+          min="1"
+          step="1"
+          placeholder="500"
+        />
+        <Field
+          form={form}
+          name="leadTime"
+          label={t("field.leadTime")}
+          min="1"
+          step="1"
+          placeholder="10"
+        />
+      </div>
+
+      <div style={gridStyle(2, "10px")}>
+        <Field
+          form={form}
+          name="cost"
+          label={t("field.cost")}
+          min="0"
+          step="any"
+          placeholder="100"
+        />
+        <div>
+          <label htmlFor={serviceLevel.id} style={labelStyle()}>
+            {t("field.serviceLevel")}
+          </label>
+          <div style={{ display: "flex", gap: "6px" }}>
+            <input
+              {...serviceLevel.controlProps}
+              type="number"
+              list="service-targets"
+              value={form.values.serviceLevel}
+              onChange={(e) => form.setField("serviceLevel", e.target.value)}
+              onBlur={() => form.touchField("serviceLevel")}
+              min={MIN_SERVICE_TARGET}
+              max={MAX_SERVICE_TARGET}
+              step="any"
+              placeholder="0.95"
+              style={{
+                ...inputStyle(serviceLevel.error),
+                width: undefined,
+                flex: 1,
+                minWidth: 0,
+              }}
+            />
+            <datalist id="service-targets">
+              {SERVICE_TARGETS.map((target) => (
+                <option key={target} value={target} />
+              ))}
+            </datalist>
+            <select
+              {...serviceDefinition.controlProps}
+              aria-label={t("field.serviceDefinition")}
+              value={form.values.serviceDefinition}
+              onChange={(e) => form.setField("serviceDefinition", e.target.value)}
+              onBlur={() => form.touchField("serviceDefinition")}
+              title={t("inputs.serviceDefinitionHint")}
+              style={{
+                ...inputStyle(serviceDefinition.error),
+                width: undefined,
+                flex: 1,
+                minWidth: 0,
+              }}
+            >
+              {SERVICE_DEFINITIONS.map((d) => (
+                <option key={d.value} value={d.value}>
+                  {t(`serviceDefinition.${d.value}`)}
+                </option>
+              ))}
+            </select>
+          </div>
+          <FieldError id={serviceLevel.errorId} message={serviceLevel.error} />
+          <FieldError id={serviceDefinition.errorId} message={serviceDefinition.error} />
+        </div>
+      </div>
+
+      <div style={gridStyle(2, "10px")}>
+        <Field
+          form={form}
+          name="orderingCost"
+          label={t("field.orderingCost")}
+          min="0"
+          step="any"
+          placeholder="200"
+        />
+        <Field
+          form={form}
+          name="holdingCost"
+          label={t("field.holdingCost")}
+          min="0"
+          step="any"
+          placeholder="50"
+        />
+      </div>
+
+      <div style={gridStyle(2, "10px")}>
+        <Field
+          form={form}
+          name="shortagePenalty"
+          label={t("inputs.shortagePenaltyPerUnit")}
+          min="0"
+          step="any"
+          placeholder="0"
+        />
+        <Field
+          form={form}
+          name="periodsPerYear"
+          label={t("field.periodsPerYear")}
+          min="1"
+          max="366"
+          step="1"
+          placeholder="12"
+          title={t("inputs.periodsPerYearHint")}
+        />
+      </div>
+
+      <div style={gridStyle(2, "10px")}>
+        <Field
+          form={form}
+          name="demandStd"
+          label={t("field.demandStd")}
+          min="0"
+          step="any"
+          placeholder="10"
+        />
+        <SelectField
+          form={form}
+          name="scenarioType"
+          label={t("field.scenarioType")}
+          options={SCENARIO_TYPES.map((type) => ({
+            value: type,
+            label: t(`scenarioType.${type}`),
+          }))}
+        />
+      </div>
+
+      {/* Demand distribution + its parameter */}
+      <div style={gridStyle(2, "10px")}>
+        <SelectField
+          form={form}
+          name="demandDistribution"
+          label={t("field.demandDistribution")}
+          options={DEMAND_DISTRIBUTIONS.map((d) => ({
+            value: d.value,
+            label: t(`distribution.${d.value}`),
+          }))}
+        />
+        {distribution === "negative_binomial" ? (
+          <Field
+            form={form}
+            name="dispersion"
+            label={t("inputs.dispersionK")}
+            min="0"
+            step="any"
+            placeholder="1"
+          />
+        ) : (
+          <p style={{ ...hintStyle, margin: "22px 0 0" }}>
+            {t(`distributionHint.${distribution}`)}
+          </p>
+        )}
+      </div>
+
+      {/* ADVANCED: Monte Carlo controls */}
+      <details style={{ marginTop: "12px" }}>
+        <summary style={summaryStyle}>{t("inputs.advanced")}</summary>
+        <div style={gridStyle(3, "8px")}>
+          <Field
+            form={form}
+            name="seed"
+            label={t("field.seed")}
+            labelSize={fontSizes.sm}
+            min="0"
+            step="1"
+            placeholder={t("inputs.seedPlaceholder")}
+          />
+          <Field
+            form={form}
+            name="numRuns"
+            label={t("field.numRuns")}
+            labelSize={fontSizes.sm}
+            min="1"
+            max="10000"
+            step="1"
+            placeholder="300"
+          />
+          <Field
+            form={form}
+            name="horizon"
+            label={t("inputs.horizonPeriods")}
+            labelSize={fontSizes.sm}
+            min="1"
+            max="104"
+            step="1"
+            placeholder="12"
+          />
+        </div>
+        <div style={gridStyle(2, "8px")}>
+          <Field
+            form={form}
+            name="orderQuantity"
+            label={t("field.orderQuantity")}
+            labelSize={fontSizes.sm}
+            min="0"
+            step="any"
+            placeholder={t("inputs.orderQuantityPlaceholder")}
+          />
+          <Field
+            form={form}
+            name="safetyStockMultiplier"
+            label={t("field.safetyStockMultiplier")}
+            labelSize={fontSizes.sm}
+            min="0"
+            max="5"
+            step="0.05"
+            placeholder="1"
+          />
+        </div>
+        <p style={hintStyle}>{t("inputs.advancedHint")}</p>
+      </details>
+
+      <ReplenishmentInputs form={form} />
+
+      <PriceBreaksInput form={form} />
+
+      <DemandHistoryInput form={form} />
+
+      {children}
+    </>
+  );
+}
+
+export default ScenarioForm;
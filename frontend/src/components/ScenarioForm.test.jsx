@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { fireEvent, render, screen } from "@testing-library/react";
+import ScenarioForm from "./ScenarioForm.jsx";
+import { useScenarioForm } from "../hooks/useScenarioForm.js";
+import { translateEn } from "../lib/i18n.js";
+
+function Harness({ children }) {
+  const form = useScenarioForm();
+  return <ScenarioForm form={form}>{children}</ScenarioForm>;
+}
+
+describe("ScenarioForm", () => {
+  it("starts from the initial values", () => {
+    render(<Harness />);
+    expect(screen.getByPlaceholderText("500").value).toBe("");
+    expect(screen.getByPlaceholderText("100").value).toBe("");
+  });
+
+  it("shows a field's error only once it has been touched", () => {
+    render(<Harness />);
+    const required = translateEn("validation.required", { label: translateEn("field.demand") });
+    expect(screen.queryByText(required)).toBeNull();
+
+    fireEvent.blur(screen.getByPlaceholderText("500"));
+    expect(screen.getByText(required)).toBeTruthy();
+
+    fireEvent.change(screen.getByPlaceholderText("500"), { target: { value: "750" } });
+    expect(screen.getByPlaceholderText("500").value).toBe("750");
+    expect(screen.queryByText(required)).toBeNull();
+  });
+
+  it("labels each field and points it at its error", () => {
+    render(<Harness />);
+    const demand = screen.getByLabelText(translateEn("field.demand"));
+    expect(demand.getAttribute("aria-invalid")).toBeNull();
+
+    fireEvent.blur(demand);
+    expect(demand.getAttribute("aria-invalid")).toBe("true");
+    const error = document.getElementById(demand.getAttribute("aria-describedby"));
+    expect(error.textContent).toBe(
+      translateEn("validation.required", { label: translateEn("field.demand") })
+    );
+  });
+
+  it("asks for the dispersion only for negative binomial demand", () => {
+    render(<Harness />);
+    const dispersion = translateEn("inputs.dispersionK");
+    expect(screen.queryByText(dispersion)).toBeNull();
+
+    fireEvent.change(screen.getByDisplayValue(translateEn("distribution.normal")), {
+      target: { value: "negative_binomial" },
+    });
+    expect(screen.getByText(dispersion)).toBeTruthy();
+  });
+
+  it("renders its children below the inputs", () => {
+    render(
+      <Harness>
+        <p>Voice controls</p>
+      </Harness>
+    );
+    expect(screen.getByText("Voice controls")).toBeTruthy();
+  });
+});
@@ -0,0 +1,119 @@
+import React from "react";
+import { describeDistribution } from "../lib/distributions.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes } from "../theme/tokens.js";
+import { cardStyle, pillButton } from "../theme/styles.js";
+
+const RERUN_COLORS = {
+  running: colors.textMuted,
+  match: colors.good,
+  mismatch: colors.bad,
+  error: colors.warning,
+};
+
+const detailStyle = { fontSize: fontSizes.sm, color: colors.textMuted };
+
+/**
+ * Saved scenario cards. Each action button only appears when its handler is
+ * passed, so a read-only list needs nothing but `scenarios`.
+ * @param {Object} props
+ * @param {import("../lib/scenarioStore.js").SavedScenario[]} props.scenarios
+ * @param {Object<number, { state: string, message: string }>} [props.rerunStatus] per
+ *   scenario id; state is "running", "match", "mismatch" or "error"
+ * @param {(scenario: Object) => void} [props.onRename]
+ * @param {(scenario: Object) => void} [props.onDuplicate]
+ * @param {(scenario: Object) => void} [props.onRerun]
+ * @param {(scenario: Object) => void} [props.onCopyLink]
+ * @param {(scenario: Object) => void} [props.onDelete]
+ */
+function ScenarioList({
+  scenarios,
+  rerunStatus = {},
+  onRename,
+  onDuplicate,
+  onRerun,
+  onCopyLink,
+  onDelete,
+}) {
+  const { t } = useLocale();
+
+  if (scenarios.length === 0) {
+    return (
+      <p style={{ fontSize: fontSizes.md, color: colors.textMuted }}>{t("library.empty")}</p>
+    );
+  }
+
+  const actions = [
+    { key: "rename", handler: onRename },
+    { key: "duplicate", handler: onDuplicate },
+    { key: "rerun", handler: onRerun, title: "card.rerunHint" },
+    { key: "copyLink", handler: onCopyLink, title: "card.copyLinkHint" },
+    { key: "delete", handler: onDelete, tone: "danger" },
+  ].filter((action) => action.handler);
+
+  return (
+    <ul
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "12px",
+        margin: "0 0 16px",
+        padding: 0,
+        listStyle: "none",
+      }}
+    >
+      {scenarios.map((s) => {
+        const status = rerunStatus[s.id];
+        return (
+          <li key={s.id} style={{ ...cardStyle, minWidth: "180px" }}>
+            <div style={{ fontWeight: 600, marginBottom: "4px" }}>{s.name}</div>
+            <div style={detailStyle}>{t("card.demand", { value: s.inputs.demand || "—" })}</div>
+            <div style={detailStyle}>
+              {t("card.leadTime", { value: s.inputs.leadTime || "—" })}
+            </div>
+            <div style={detailStyle}>{t("card.cost", { value: s.inputs.cost || "—" })}</div>
+            <div style={detailStyle}>
+              {t("card.seedRuns", {
+                seed: s.result.seed ?? "—",
+                runs: s.result.num_runs ?? "—",
+              })}
+            </div>
+            <div style={detailStyle}>
+              {t("card.distribution", { distribution: describeDistribution(s.result, t) })}
+            </div>
+            {actions.length > 0 && (
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "6px", marginTop: "8px" }}>
+                {actions.map((action) => (
+                  <button
+                    key={action.key}
+                    type="button"
+                    onClick={() => action.handler(s)}
+                    disabled={action.key === "rerun" && status?.state === "running"}
+                    title={action.title && t(action.title)}
+                    style={pillButton({ size: "sm", tone: action.tone ?? "soft" })}
+                  >
+                    {t(`card.${action.key}`)}
+                  </button>
+                ))}
+              </div>
+            )}
+            {status && (
+              <div
+                role="status"
+                style={{
+                  fontSize: fontSizes.xs,
+                  marginTop: "6px",
+                  color: RERUN_COLORS[status.state],
+                }}
+              >
+                {status.message}
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default ScenarioList;
@@ -0,0 +1,46 @@
+import { describe, expect, it, vi } from "vitest";
+import { fireEvent, render, screen } from "@testing-library/react";
+import ScenarioList from "./ScenarioList.jsx";
+import { translateEn } from "../lib/i18n.js";
+
+const scenario = (id, name) => ({
+  id,
+  name,
+  inputs: { demand: "500", leadTime: "10", cost: "100" },
+  result: { seed: 7, num_runs: 300 },
+});
+
+describe("ScenarioList", () => {
+  it("shows the empty state without scenarios", () => {
+    render(<ScenarioList scenarios={[]} />);
+    expect(screen.getByText(translateEn("library.empty"))).toBeTruthy();
+    expect(screen.queryByRole("list")).toBeNull();
+  });
+
+  it("renders one card per scenario without actions by default", () => {
+    render(<ScenarioList scenarios={[scenario(1, "Base"), scenario(2, "Peak")]} />);
+    expect(screen.getAllByRole("listitem")).toHaveLength(2);
+    expect(screen.getByText("Peak")).toBeTruthy();
+    expect(screen.queryByRole("button")).toBeNull();
+  });
+
+  it("passes the scenario to the action handlers", () => {
+    const onDelete = vi.fn();
+    const base = scenario(1, "Base");
+    render(<ScenarioList scenarios={[base]} onDelete={onDelete} />);
+    fireEvent.click(screen.getByRole("button", { name: translateEn("card.delete") }));
+    expect(onDelete).toHaveBeenCalledWith(base);
+  });
+
+  it("disables re-running while a re-run is in flight", () => {
+    render(
+      <ScenarioList
+        scenarios={[scenario(1, "Base")]}
+        rerunStatus={{ 1: { state: "running", message: "Re-running…" } }}
+        onRerun={() => {}}
+      />
+    );
+    expect(screen.getByRole("button", { name: translateEn("card.rerun") }).disabled).toBe(true);
+    expect(screen.getByRole("status").textContent).toBe("Re-running…");
+  });
+});
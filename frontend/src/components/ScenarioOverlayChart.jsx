@@ -0,0 +1,198 @@
+import React, { useMemo, useState } from "react";
+import {
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes, radii, seriesColors } from "../theme/tokens.js";
+import { chartTooltipStyle, pillButton } from "../theme/styles.js";
+
+// Lines differ in dash pattern as well as colour, so scenarios stay apart
+// without relying on hue.
+const SCENARIO_DASHES = [undefined, "8 4", "2 3", "8 3 2 3", "12 4", "4 4", "1 5", "10 3 3 3"];
+
+const seriesColor = (i) => seriesColors[i % seriesColors.length];
+
+// KPIs for the grouped bars. They live on very different scales, so each is
+// plotted as an index of the largest selected value (= 100); the tooltip
+// shows the real numbers.
+const KPI_BARS = [
+  { key: "total_cost", labelKey: "metric.total_cost", format: (v, fmt) => fmt.currency(v) },
+  { key: "eoq", labelKey: "metric.eoq", format: (v, fmt) => fmt.number(v) },
+  {
+    key: "stockout_probability",
+    labelKey: "overlay.stockout",
+    format: (v, fmt) => fmt.percent(v, 1),
+  },
+];
+
+const dataKeyFor = (scenario) => `s${scenario.id}`;
+
+const buildOverlayData = (scenarios) => {
+  const length = Math.max(0, ...scenarios.map((s) => s.result?.inventory_avg?.length || 0));
+  const points = [];
+  for (let i = 0; i < length; i++) {
+    const point = { period: `P${i + 1}` };
+    scenarios.forEach((s) => {
+      point[dataKeyFor(s)] = s.result?.inventory_avg?.[i] ?? null;
+    });
+    points.push(point);
+  }
+  return points;
+};
+
+const buildKpiData = (scenarios, t, fmt) =>
+  KPI_BARS.map((kpi) => {
+    const values = scenarios.map((s) => s.result?.[kpi.key] ?? null);
+    const max = Math.max(0, ...values.filter((v) => v !== null));
+    const row = { kpi: t(kpi.labelKey), raw: {} };
+    scenarios.forEach((s, i) => {
+      const value = values[i];
+      row[dataKeyFor(s)] = value === null ? null : max > 0 ? (value / max) * 100 : 0;
+      row.raw[dataKeyFor(s)] = value === null ? "—" : kpi.format(value, fmt);
+    });
+    return row;
+  });
+
+// Overlays the average inventory path of each selected saved scenario and
+// compares their headline KPIs. The toggle buttons (or a click on a legend
+// entry) hide or show a scenario in both charts.
+function ScenarioOverlayChart({ scenarios }) {
+  const [hidden, setHidden] = useState([]);
+  const { t, fmt } = useLocale();
+
+  const overlayData = useMemo(() => buildOverlayData(scenarios), [scenarios]);
+  const kpiData = useMemo(() => buildKpiData(scenarios, t, fmt), [scenarios, t, fmt]);
+
+  const toggleScenario = ({ dataKey: key }) => {
+    setHidden((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  };
+
+  const legendFormatter = (value, entry) => (
+    <span
+      style={{
+        color: hidden.includes(entry.dataKey) ? colors.textSubtle : colors.textSoft,
+        textDecoration: hidden.includes(entry.dataKey) ? "line-through" : "none",
+        cursor: "pointer",
+      }}
+    >
+      {value}
+    </span>
+  );
+
+  if (scenarios.length === 0) {
+    return (
+      <p style={{ fontSize: fontSizes.md, color: colors.textMuted }}>
+        {t("overlay.empty")}
+      </p>
+    );
+  }
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
+      <div role="group" aria-label={t("overlay.toggle")} style={{ display: "flex", flexWrap: "wrap", gap: "6px" }}>
+        {scenarios.map((s, i) => {
+          const shown = !hidden.includes(dataKeyFor(s));
+          return (
+            <button
+              key={s.id}
+              type="button"
+              aria-pressed={shown}
+              onClick={() => toggleScenario({ dataKey: dataKeyFor(s) })}
+              style={{
+                ...pillButton({ size: "sm", tone: "soft" }),
+                textDecoration: shown ? "none" : "line-through",
+                opacity: shown ? 1 : 0.6,
+              }}
+            >
+              <span
+                aria-hidden="true"
+                style={{
+                  display: "inline-block",
+                  width: "8px",
+                  height: "8px",
+                  borderRadius: radii.pill,
+                  background: seriesColor(i),
+                  marginRight: "4px",
+                }}
+              />
+              {s.name}
+            </button>
+          );
+        })}
+      </div>
+
+      <div>
+        <h4 style={{ fontSize: fontSizes.md, margin: "0 0 4px" }}>{t("overlay.projections")}</h4>
+        <div style={{ width: "100%", height: "220px" }}>
+          <ResponsiveContainer>
+            <LineChart data={overlayData}>
+              <CartesianGrid strokeDasharray="3 3" stroke={colors.chartGrid} />
+              <XAxis dataKey="period" stroke={colors.chartAxis} />
+              <YAxis stroke={colors.chartAxis} tickFormatter={(value) => fmt.number(value)} />
+              <Tooltip
+                contentStyle={chartTooltipStyle}
+                formatter={(value) => (value === null ? "—" : fmt.number(value))}
+              />
+              <Legend onClick={toggleScenario} formatter={legendFormatter} />
+              {scenarios.map((s, i) => (
+                <Line
+                  key={s.id}
+                  type="monotone"
+                  dataKey={dataKeyFor(s)}
+                  name={s.name}
+                  stroke={seriesColor(i)}
+                  strokeDasharray={SCENARIO_DASHES[i % SCENARIO_DASHES.length]}
+                  strokeWidth={2}
+                  dot={false}
+                  hide={hidden.includes(dataKeyFor(s))}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div>
+        <h4 style={{ fontSize: fontSizes.md, margin: "0 0 4px" }}>
+          {t("overlay.kpis")}{" "}
+          <span style={{ color: colors.textSubtle, fontWeight: 400 }}>{t("overlay.index")}</span>
+        </h4>
+        <div style={{ width: "100%", height: "220px" }}>
+          <ResponsiveContainer>
+            <BarChart data={kpiData}>
+              <CartesianGrid strokeDasharray="3 3" stroke={colors.chartGrid} />
+              <XAxis dataKey="kpi" stroke={colors.chartAxis} />
+              <YAxis stroke={colors.chartAxis} domain={[0, 100]} />
+              <Tooltip
+                contentStyle={chartTooltipStyle}
+                cursor={{ fill: colors.hover }}
+                formatter={(value, name, item) => item.payload.raw[item.dataKey]}
+              />
+              <Legend onClick={toggleScenario} formatter={legendFormatter} />
+              {scenarios.map((s, i) => (
+                <Bar
+                  key={s.id}
+                  dataKey={dataKeyFor(s)}
+                  name={s.name}
+                  fill={seriesColor(i)}
+                  hide={hidden.includes(dataKeyFor(s))}
+                />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ScenarioOverlayChart;
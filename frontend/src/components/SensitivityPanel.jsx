@@ -0,0 +1,210 @@
+import React, { useMemo, useRef, useState } from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import { buildScenarioRequest } from "../lib/scenarioRequest.js";
+import { cachedSimulate } from "../lib/simulationCache.js";
+import { isAbortError } from "../lib/apiClient.js";
+import { DEFAULT_ANALYSIS_SEED, formatInputValue } from "../lib/analysisInputs.js";
+import {
+  SENSITIVITY_METRICS,
+  buildTornadoRows,
+  buildVariations,
+} from "../lib/sensitivity.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes } from "../theme/tokens.js";
+import { chartTooltipStyle, compactSelectStyle, panelStyle, pillButton } from "../theme/styles.js";
+
+// percentages change by points, not by a percentage of themselves
+const formatValue = (metric, value, { t, fmt }) => {
+  if (metric.percent) return t("sensitivity.points", { value: fmt.number(value * 100, 1) });
+  return metric.currency ? fmt.currency(value) : fmt.number(value);
+};
+
+const formatSigned = (metric, value, locale) =>
+  `${value > 0 ? "+" : value < 0 ? "−" : "±"}${formatValue(metric, Math.abs(value), locale)}`;
+
+// Tornado chart of how much each input moves the chosen output when it is
+// varied by ±pct with everything else held fixed.
+function SensitivityPanel({ inputs, disabled }) {
+  const locale = useLocale();
+  const { t, fmt } = locale;
+  const [pct, setPct] = useState("10");
+  const [metricKey, setMetricKey] = useState("total_cost");
+  const [analysis, setAnalysis] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState("");
+  const controllerRef = useRef(null);
+
+  const metric = SENSITIVITY_METRICS.find((m) => m.key === metricKey);
+  const pctValue = Number(pct);
+  const pctValid = Number.isFinite(pctValue) && pctValue > 0 && pctValue < 100;
+
+  const rows = useMemo(
+    () =>
+      analysis
+        ? buildTornadoRows(analysis.baseResult, analysis.runs, metricKey).map((row) => ({
+            ...row,
+            label: t(`field.${row.field}`),
+          }))
+        : [],
+    [analysis, metricKey, t]
+  );
+
+  const handleRun = async () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const { signal } = controller;
+
+    const seeded = { ...inputs, seed: inputs.seed || String(DEFAULT_ANALYSIS_SEED) };
+    const variations = buildVariations(seeded, pctValue);
+    const total = 1 + variations.length * 2;
+    let done = 0;
+    const run = async (formInputs) => {
+      const result = await cachedSimulate(buildScenarioRequest(formInputs), { signal, t });
+      done += 1;
+      setProgress({ done, total });
+      return result;
+    };
+
+    setError("");
+    setProgress({ done: 0, total });
+    try {
+      // one at a time, so the backend is never flooded
+      const baseResult = await run(seeded);
+      const runs = [];
+      for (const variation of variations) {
+        const lowResult = await run(variation.low);
+        const highResult = await run(variation.high);
+        runs.push({ ...variation, lowResult, highResult });
+      }
+      setAnalysis({ baseResult, runs, pct: pctValue, seed: seeded.seed });
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error(err);
+      setError(t("sensitivity.failed", { message: err.message }));
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  return (
+    <section style={{ ...panelStyle, marginTop: "24px" }}>
+      <h2 style={{ fontSize: fontSizes.xxl, marginBottom: "12px" }}>{t("sensitivity.title")}</h2>
+
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "12px",
+          alignItems: "center",
+          fontSize: fontSizes.sm,
+          color: colors.textMuted,
+          marginBottom: "12px",
+        }}
+      >
+        <label>
+          {t("sensitivity.vary")}{" "}
+          <input
+            type="number"
+            min="1"
+            max="99"
+            value={pct}
+            onChange={(e) => setPct(e.target.value)}
+            style={{ ...compactSelectStyle, width: "60px" }}
+          />{" "}
+          %
+        </label>
+        <label>
+          {t("sensitivity.output")}{" "}
+          <select
+            value={metricKey}
+            onChange={(e) => setMetricKey(e.target.value)}
+            style={compactSelectStyle}
+          >
+            {SENSITIVITY_METRICS.map((m) => (
+              <option key={m.key} value={m.key}>
+                {t(`metric.${m.key}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          onClick={handleRun}
+          disabled={disabled || !pctValid || progress !== null}
+          style={pillButton({ tone: "accent", disabled: disabled || !pctValid })}
+        >
+          {progress
+            ? t("analysis.running", { done: progress.done, total: progress.total })
+            : t("sensitivity.run")}
+        </button>
+        {disabled && <span>{t("analysis.needInputs")}</span>}
+      </div>
+
+      {error && <p style={{ color: colors.warning, fontSize: fontSizes.md }}>{error}</p>}
+
+      {analysis ? (
+        <>
+          <p style={{ fontSize: fontSizes.sm, color: colors.textMuted, marginTop: 0 }}>
+            {t("sensitivity.description", {
+              metric: t(`metric.${metricKey}`),
+              base: formatValue(metric, analysis.baseResult[metricKey] ?? 0, locale),
+              pct: fmt.number(analysis.pct),
+              seed: analysis.seed,
+            })}
+          </p>
+          <div style={{ width: "100%", height: `${Math.max(rows.length * 40, 160)}px` }}>
+            <ResponsiveContainer>
+              <BarChart data={rows} layout="vertical" margin={{ left: 40 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={colors.chartGrid} />
+                <XAxis
+                  type="number"
+                  stroke={colors.chartAxis}
+                  tickFormatter={(v) => formatSigned(metric, v, locale)}
+                />
+                <YAxis type="category" dataKey="label" stroke={colors.chartAxis} width={110} />
+                <Tooltip
+                  contentStyle={chartTooltipStyle}
+                  formatter={(value, name, item) => {
+                    const input =
+                      item.dataKey === "lowDelta" ? item.payload.lowValue : item.payload.highValue;
+                    return [
+                      t("sensitivity.tooltip", {
+                        change: formatSigned(metric, value, locale),
+                        input: formatInputValue(input, fmt),
+                      }),
+                      name,
+                    ];
+                  }}
+                />
+                <Legend />
+                <ReferenceLine x={0} stroke={colors.chartAxis} />
+                <Bar dataKey="lowDelta" name={t("sensitivity.low")} fill={colors.series1} />
+                <Bar dataKey="highDelta" name={t("sensitivity.high")} fill={colors.series2} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      ) : (
+        <p style={{ fontSize: fontSizes.md, color: colors.textMuted }}>
+          {t("sensitivity.empty")}
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default SensitivityPanel;
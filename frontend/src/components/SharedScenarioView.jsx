@@ -0,0 +1,196 @@
+import React, { useEffect, useId, useState } from "react";
+import InventoryChart from "./InventoryChart.jsx";
+import { FORM_FIELDS } from "../lib/scenarioForm.js";
+import { buildScenarioRequest } from "../lib/scenarioRequest.js";
+import { cachedSimulate } from "../lib/simulationCache.js";
+import { isAbortError } from "../lib/apiClient.js";
+import { formatInputValue } from "../lib/analysisInputs.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { useLatest } from "../hooks/useLatest.js";
+import { colors, fontSizes } from "../theme/tokens.js";
+import { cardStyle, panelStyle, pillButton } from "../theme/styles.js";
+
+const buttonStyle = { ...pillButton(), padding: "6px 12px" };
+
+const formatUnits = (v, fmt) => (typeof v === "number" ? fmt.number(v) : "—");
+const formatPct = (v, fmt) => (typeof v === "number" ? fmt.percent(v, 1) : "—");
+
+// `label` is a message key
+const KPIS = [
+  {
+    label: "kpi.totalCost",
+    get: (r, fmt) => (typeof r.total_cost === "number" ? fmt.currency(r.total_cost) : "—"),
+  },
+  { label: "kpi.stockout", get: (r, fmt) => formatPct(r.stockout_probability, fmt) },
+  { label: "kpi.fillRate", get: (r, fmt) => formatPct(r.fill_rate, fmt) },
+  { label: "field.orderQuantity", get: (r, fmt) => formatUnits(r.order_quantity ?? r.eoq, fmt) },
+  { label: "metric.safety_stock", get: (r, fmt) => formatUnits(r.safety_stock, fmt) },
+  { label: "metric.reorder_point", get: (r, fmt) => formatUnits(r.reorder_point, fmt) },
+];
+
+// Choice fields show their option names; the message prefix of each.
+const OPTION_MESSAGES = {
+  serviceDefinition: "serviceDefinition",
+  scenarioType: "scenarioType",
+  forecastMethod: "method",
+  policy: "policy",
+  demandDistribution: "distribution",
+};
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const formatInput = (field, value, { t, fmt }) => {
+  if (OPTION_MESSAGES[field]) return t(`${OPTION_MESSAGES[field]}.${value}`);
+  // seeds are identifiers, not quantities
+  if (field !== "seed" && NUMBER_PATTERN.test(value)) return formatInputValue(value, fmt);
+  return value.length > 60 ? `${value.slice(0, 60)}…` : value;
+};
+
+// A scenario opened from a read-only link. The link carries the saved result,
+// which is shown as it was shared. Links made before results travelled with
+// them carry the inputs and seed only, so those are simulated again; with the
+// seed the run matches what the sender saw. Nothing can be edited until it is
+// opened in the editor.
+function SharedScenarioView({ shared, onOpenInEditor, onSave, onClose }) {
+  const locale = useLocale();
+  const { t, fmt } = locale;
+  const [run, setRun] = useState(() =>
+    shared.result
+      ? { status: "done", request: buildScenarioRequest(shared.inputs), result: shared.result }
+      : { status: "running" }
+  );
+
+  // the language can change while the run is going; that should not restart it
+  const tRef = useLatest(t);
+  useEffect(() => {
+    if (shared.result) return undefined;
+    const controller = new AbortController();
+    const request = buildScenarioRequest(shared.inputs);
+    cachedSimulate(request, { signal: controller.signal, t: tRef.current })
+      .then((result) => setRun({ status: "done", request, result }))
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        console.error(err);
+        setRun({ status: "error", message: err.message });
+      });
+    return () => controller.abort();
+  }, [shared, tRef]);
+
+  const headingId = useId();
+  const inputRows = Object.entries(shared.inputs).filter(
+    ([field, value]) => FORM_FIELDS[field] && value !== ""
+  );
+
+  return (
+    <section
+      aria-labelledby={headingId}
+      style={{ ...panelStyle, marginBottom: "24px", border: `1px solid ${colors.accent}` }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          gap: "12px",
+          flexWrap: "wrap",
+        }}
+      >
+        <div>
+          <h2 id={headingId} style={{ fontSize: fontSizes.xxl, margin: 0 }}>{shared.name || t("shared.title")}</h2>
+          <div style={{ fontSize: fontSizes.sm, color: colors.textMuted }}>
+            {t("shared.readOnly")}
+            {run.status === "done" &&
+              ` · ${t("results.seed", { seed: run.result.seed })}` +
+                ` · ${t(`engine.${run.result.engine}`)}`}
+          </div>
+        </div>
+        <div style={{ display: "flex", gap: "8px", flexWrap: "wrap" }}>
+          <button type="button" onClick={() => onOpenInEditor(shared)} style={buttonStyle}>
+            {t("shared.openInEditor")}
+          </button>
+          <button
+            type="button"
+            onClick={() =>
+              onSave({
+                name: shared.name || t("shared.title"),
+                inputs: shared.inputs,
+                request: run.request,
+                result: run.result,
+              })
+            }
+            disabled={run.status !== "done"}
+            style={{ ...buttonStyle, opacity: run.status === "done" ? 1 : 0.5 }}
+          >
+            {t("shared.saveCopy")}
+          </button>
+          <button type="button" onClick={onClose} style={{ ...buttonStyle, color: colors.dangerText }}>
+            {t("shared.close")}
+          </button>
+        </div>
+      </div>
+
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "minmax(0, 1fr) minmax(0, 2fr)",
+          gap: "16px",
+          marginTop: "12px",
+        }}
+      >
+        <dl
+          style={{
+            display: "grid",
+            gridTemplateColumns: "auto 1fr",
+            gap: "4px 12px",
+            margin: 0,
+            fontSize: fontSizes.sm,
+          }}
+        >
+          {inputRows.map(([field, value]) => (
+            <React.Fragment key={field}>
+              <dt style={{ color: colors.textMuted }}>{t(`field.${field}`)}</dt>
+              <dd style={{ margin: 0, overflowWrap: "anywhere" }}>
+                {formatInput(field, value, locale)}
+              </dd>
+            </React.Fragment>
+          ))}
+        </dl>
+
+        <div>
+          {run.status === "running" && (
+            <p role="status" style={{ fontSize: fontSizes.md, color: colors.textMuted }}>
+              {t("shared.simulating")}
+            </p>
+          )}
+          {run.status === "error" && (
+            <p role="alert" style={{ fontSize: fontSizes.md, color: colors.warning }}>
+              {t("shared.failed", { message: run.message })}
+            </p>
+          )}
+          {run.status === "done" && (
+            <>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "8px" }}>
+                {KPIS.map((k) => (
+                  <div
+                    key={k.label}
+                    style={{ ...cardStyle, flex: "1 1 120px", padding: "8px 10px" }}
+                  >
+                    <div style={{ fontSize: fontSizes.xs, color: colors.textMuted }}>{t(k.label)}</div>
+                    <div style={{ fontSize: fontSizes.xl, marginTop: "2px" }}>
+                      {k.get(run.result, fmt)}
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <div style={{ width: "100%", height: "220px", marginTop: "12px" }}>
+                <InventoryChart result={run.result} />
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default SharedScenarioView;
@@ -0,0 +1,54 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { fireEvent, render, screen } from "@testing-library/react";
+import SharedScenarioView from "./SharedScenarioView.jsx";
+import { cachedSimulate } from "../lib/simulationCache.js";
+import { DEFAULT_FORMATTERS, translateEn } from "../lib/i18n.js";
+import { INITIAL_FORM_VALUES } from "../lib/scenarioForm.js";
+
+vi.mock("../lib/simulationCache.js", () => ({ cachedSimulate: vi.fn() }));
+
+const { scenarioName: _name, ...defaults } = INITIAL_FORM_VALUES;
+const inputs = { ...defaults, demand: "120", leadTime: "4", cost: "25", seed: "42" };
+const result = {
+  total_cost: 43210,
+  stockout_probability: 0.04,
+  fill_rate: 0.99,
+  order_quantity: 77,
+  safety_stock: 33,
+  reorder_point: 513,
+  seed: 42,
+  engine: "backend",
+  inventory_avg: [100, 80, 60],
+};
+
+const renderView = (shared) =>
+  render(
+    <SharedScenarioView
+      shared={{ name: "Shared", inputs, ...shared }}
+      onOpenInEditor={() => {}}
+      onSave={shared.onSave ?? (() => {})}
+      onClose={() => {}}
+    />
+  );
+
+describe("SharedScenarioView", () => {
+  beforeEach(() => cachedSimulate.mockReset());
+
+  it("shows the result that came with the link without running it again", () => {
+    const onSave = vi.fn();
+    renderView({ result, onSave });
+    expect(cachedSimulate).not.toHaveBeenCalled();
+    expect(screen.getByText("513")).toBeTruthy();
+    expect(screen.getByText(DEFAULT_FORMATTERS.currency(43210))).toBeTruthy();
+
+    fireEvent.click(screen.getByRole("button", { name: translateEn("shared.saveCopy") }));
+    expect(onSave).toHaveBeenCalledWith(expect.objectContaining({ inputs, result }));
+  });
+
+  it("simulates links that carry no result", async () => {
+    cachedSimulate.mockResolvedValue(result);
+    renderView({ result: null });
+    expect(cachedSimulate).toHaveBeenCalledTimes(1);
+    expect(await screen.findByText("513")).toBeTruthy();
+  });
+});
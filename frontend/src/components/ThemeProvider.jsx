@@ -0,0 +1,36 @@
+import React, { useEffect, useLayoutEffect, useMemo, useState } from "react";
+import { ThemeContext } from "../hooks/useTheme.js";
+import { THEMES, loadTheme, storeTheme, themeVariables } from "../theme/themes.js";
+
+// Holds the chosen colour theme and sets its palette as CSS custom properties
+// on the document root, so every colour token (and the page background behind
+// the app) resolves to that theme.
+function ThemeProvider({ children }) {
+  const [theme, setTheme] = useState(loadTheme);
+
+  useEffect(() => {
+    storeTheme(theme);
+  }, [theme]);
+
+  // a layout effect, so the first paint already uses the stored theme rather
+  // than the dark fallbacks in the colour tokens
+  useLayoutEffect(() => {
+    const root = document.documentElement;
+    const variables = themeVariables(theme);
+    Object.entries(variables).forEach(([name, value]) => root.style.setProperty(name, value));
+    root.dataset.theme = theme;
+    // native controls and scrollbars follow the theme too
+    root.style.colorScheme = THEMES.find((t) => t.value === theme)?.colorScheme ?? "dark";
+    return () => {
+      Object.keys(variables).forEach((name) => root.style.removeProperty(name));
+      delete root.dataset.theme;
+      root.style.colorScheme = "";
+    };
+  }, [theme]);
+
+  const value = useMemo(() => ({ theme, setTheme }), [theme]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
+
+export default ThemeProvider;
@@ -0,0 +1,61 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { fireEvent, render, screen } from "@testing-library/react";
+import ThemeProvider from "./ThemeProvider.jsx";
+import ThemeSettings from "./ThemeSettings.jsx";
+import { PALETTES } from "../theme/themes.js";
+import { translateEn } from "../lib/i18n.js";
+
+const THEME_KEY = "decision-dashboard.theme";
+const root = document.documentElement;
+
+const renderSettings = () =>
+  render(
+    <ThemeProvider>
+      <ThemeSettings />
+    </ThemeProvider>
+  );
+
+describe("ThemeProvider", () => {
+  beforeEach(() => window.localStorage.clear());
+
+  it("starts dark and sets the palette as CSS variables on the document root", () => {
+    renderSettings();
+    expect(root.dataset.theme).toBe("dark");
+    expect(root.style.getPropertyValue("--did-text")).toBe(PALETTES.dark.text);
+  });
+
+  it("switches and remembers the theme", () => {
+    const { unmount } = renderSettings();
+    fireEvent.change(screen.getByLabelText(translateEn("settings.theme")), {
+      target: { value: "light" },
+    });
+    expect(root.style.getPropertyValue("--did-page")).toBe(PALETTES.light.page);
+    expect(window.localStorage.getItem(THEME_KEY)).toBe("light");
+    expect(root.style.colorScheme).toBe("light");
+
+    unmount();
+    renderSettings();
+    expect(screen.getByLabelText(translateEn("settings.theme")).value).toBe("light");
+  });
+
+  it("ignores an unknown stored theme", () => {
+    window.localStorage.setItem(THEME_KEY, "neon");
+    renderSettings();
+    expect(root.dataset.theme).toBe("dark");
+  });
+
+  it("clears the variables when it unmounts", () => {
+    const { unmount } = renderSettings();
+    unmount();
+    expect(root.style.getPropertyValue("--did-text")).toBe("");
+    expect(root.dataset.theme).toBeUndefined();
+  });
+});
+
+describe("theme palettes", () => {
+  it("all define the same colours", () => {
+    const keys = Object.keys(PALETTES.dark).sort();
+    expect(Object.keys(PALETTES.light).sort()).toEqual(keys);
+    expect(Object.keys(PALETTES.contrast).sort()).toEqual(keys);
+  });
+});
@@ -0,0 +1,26 @@
+import React from "react";
+import { useLocale } from "../hooks/useLocale.js";
+import { useTheme } from "../hooks/useTheme.js";
+import { THEMES } from "../theme/themes.js";
+import { compactSelectStyle, inlineLabelStyle } from "../theme/styles.js";
+
+// Dark / light / high-contrast switcher; the choice is remembered per browser.
+function ThemeSettings() {
+  const { theme, setTheme } = useTheme();
+  const { t } = useLocale();
+
+  return (
+    <label style={inlineLabelStyle}>
+      {t("settings.theme")}
+      <select value={theme} onChange={(e) => setTheme(e.target.value)} style={compactSelectStyle}>
+        {THEMES.map((option) => (
+          <option key={option.value} value={option.value}>
+            {t(`theme.${option.value}`)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default ThemeSettings;
@@ -0,0 +1,78 @@
+import React from "react";
+import { colors } from "../theme/tokens.js";
+import { pillButton } from "../theme/styles.js";
+
+const tabId = (key) => `view-tab-${key}`;
+const tabPanelId = (key) => `view-panel-${key}`;
+
+/**
+ * Tab list for the top-level views. Arrow keys, Home and End move between the
+ * tabs and select them (focus follows the selection).
+ * @param {{
+ *   views: { key: string, label: string }[],
+ *   active: string,
+ *   onChange: (key: string) => void,
+ *   label: string,
+ * }} props
+ */
+function ViewTabs({ views, active, onChange, label }) {
+  const handleKeyDown = (e) => {
+    const keys = views.map((v) => v.key);
+    const index = keys.indexOf(active);
+    const next = {
+      ArrowRight: keys[(index + 1) % keys.length],
+      ArrowLeft: keys[(index - 1 + keys.length) % keys.length],
+      Home: keys[0],
+      End: keys[keys.length - 1],
+    }[e.key];
+    if (!next) return;
+    e.preventDefault();
+    onChange(next);
+    document.getElementById(tabId(next))?.focus();
+  };
+
+  return (
+    <nav
+      role="tablist"
+      aria-label={label}
+      style={{ display: "flex", gap: "8px", marginBottom: "16px" }}
+    >
+      {views.map(({ key, label: tabLabel }) => (
+        <button
+          key={key}
+          id={tabId(key)}
+          type="button"
+          role="tab"
+          aria-selected={active === key}
+          aria-controls={tabPanelId(key)}
+          tabIndex={active === key ? 0 : -1}
+          onClick={() => onChange(key)}
+          onKeyDown={handleKeyDown}
+          style={{
+            ...pillButton({ size: "lg" }),
+            padding: "6px 14px",
+            background: active === key ? colors.accentSoft : "transparent",
+            color: active === key ? colors.accentText : colors.textMuted,
+          }}
+        >
+          {tabLabel}
+        </button>
+      ))}
+    </nav>
+  );
+}
+
+/**
+ * The panel of one view. Inactive panels stay mounted (hidden) so their state
+ * survives switching tabs.
+ * @param {{ name: string, active: string, children: React.ReactNode }} props
+ */
+export function ViewPanel({ name, active, children }) {
+  return (
+    <div id={tabPanelId(name)} role="tabpanel" aria-labelledby={tabId(name)} hidden={active !== name}>
+      {children}
+    </div>
+  );
+}
+
+export default ViewTabs;
@@ -0,0 +1,32 @@
+import { describe, expect, it, vi } from "vitest";
+import { fireEvent, render, screen } from "@testing-library/react";
+import ViewTabs, { ViewPanel } from "./ViewTabs.jsx";
+
+const views = [
+  { key: "single", label: "Single" },
+  { key: "portfolio", label: "Portfolio" },
+];
+
+describe("ViewTabs", () => {
+  it("ties each tab to its panel and shows only the active one", () => {
+    render(
+      <>
+        <ViewTabs views={views} active="single" onChange={() => {}} label="View" />
+        <ViewPanel name="single" active="single">one</ViewPanel>
+        <ViewPanel name="portfolio" active="single">many</ViewPanel>
+      </>
+    );
+    const tab = screen.getByRole("tab", { name: "Single" });
+    const panel = screen.getByRole("tabpanel", { name: "Single" });
+    expect(tab.getAttribute("aria-selected")).toBe("true");
+    expect(tab.getAttribute("aria-controls")).toBe(panel.id);
+    expect(screen.getByText("many").hidden).toBe(true);
+  });
+
+  it("moves the selection with the arrow keys", () => {
+    const onChange = vi.fn();
+    render(<ViewTabs views={views} active="single" onChange={onChange} label="View" />);
+    fireEvent.keyDown(screen.getByRole("tab", { name: "Single" }), { key: "ArrowLeft" });
+    expect(onChange).toHaveBeenCalledWith("portfolio");
+  });
+});
@@ -0,0 +1,165 @@
+import React, { useId } from "react";
+import { SPEECH_LANGUAGES, testPhrase, voicesFor } from "../lib/speech.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { colors, fontSizes } from "../theme/tokens.js";
+import { hintStyle, inputStyle, labelStyle, pillButton, summaryStyle } from "../theme/styles.js";
+
+const buttonStyle = { ...pillButton(), padding: "6px 12px" };
+
+const messageStyle = (color) => ({ fontSize: fontSizes.sm, color, margin: "4px 0 0" });
+
+const DICTATION_EXAMPLES = {
+  en: "demand 500, lead time 7, service level 95",
+  hi: "मांग 500, लीड टाइम 7, सर्विस लेवल 95",
+  ta: "தேவை 500, லீட் டைம் 7, சேவை நிலை 95",
+};
+
+// Language, voice, rate and pitch for the spoken summaries, and dictation of
+// the Scenario Inputs (see useSpeech.js).
+function VoicePanel({ speech }) {
+  const { t, fmt } = useLocale();
+  const { settings, updateSettings } = speech;
+  const languageVoices = voicesFor(speech.voices, settings.language);
+  const heardFields = Object.entries(speech.heard);
+  const id = useId();
+
+  return (
+    <details style={{ marginTop: "12px" }}>
+      <summary style={summaryStyle}>{t("voice.title")}</summary>
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "1fr 1fr",
+          gap: "10px",
+          marginTop: "8px",
+        }}
+      >
+        <div>
+          <label htmlFor={`${id}-language`} style={labelStyle(fontSizes.sm)}>
+            {t("voice.language")}
+          </label>
+          <select
+            id={`${id}-language`}
+            value={settings.language}
+            onChange={(e) => updateSettings({ language: e.target.value })}
+            style={inputStyle()}
+          >
+            {SPEECH_LANGUAGES.map((l) => (
+              <option key={l.code} value={l.code}>
+                {l.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor={`${id}-voice`} style={labelStyle(fontSizes.sm)}>
+            {t("voice.voice")}
+          </label>
+          <select
+            id={`${id}-voice`}
+            value={settings.voiceURI}
+            onChange={(e) => updateSettings({ voiceURI: e.target.value })}
+            disabled={!speech.speechSupported}
+            style={inputStyle()}
+          >
+            <option value="">{t("voice.default")}</option>
+            {languageVoices.map((v) => (
+              <option key={v.voiceURI} value={v.voiceURI}>
+                {v.name} ({v.lang})
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor={`${id}-rate`} style={labelStyle(fontSizes.sm)}>
+            {t("voice.rate", { rate: fmt.number(settings.rate, 1) })}
+          </label>
+          <input
+            id={`${id}-rate`}
+            type="range"
+            min="0.5"
+            max="2"
+            step="0.1"
+            value={settings.rate}
+            onChange={(e) => updateSettings({ rate: Number(e.target.value) })}
+            style={{ width: "100%" }}
+          />
+        </div>
+        <div>
+          <label htmlFor={`${id}-pitch`} style={labelStyle(fontSizes.sm)}>
+            {t("voice.pitch", { pitch: fmt.number(settings.pitch, 1) })}
+          </label>
+          <input
+            id={`${id}-pitch`}
+            type="range"
+            min="0"
+            max="2"
+            step="0.1"
+            value={settings.pitch}
+            onChange={(e) => updateSettings({ pitch: Number(e.target.value) })}
+            style={{ width: "100%" }}
+          />
+        </div>
+      </div>
+
+      {!speech.speechSupported && <p style={hintStyle}>{t("voice.speechUnsupported")}</p>}
+      {speech.speechSupported && languageVoices.length === 0 && (
+        <p style={hintStyle}>
+          {t("voice.noVoice", {
+            language: SPEECH_LANGUAGES.find((l) => l.code === settings.language)?.label,
+          })}
+        </p>
+      )}
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "8px", marginTop: "10px" }}>
+        <button
+          type="button"
+          onClick={() => speech.speakText(testPhrase(settings.language))}
+          disabled={!speech.speechSupported}
+          style={buttonStyle}
+        >
+          {t("voice.test")}
+        </button>
+        <button
+          type="button"
+          onClick={speech.listening ? speech.stopDictation : speech.startDictation}
+          disabled={!speech.dictationSupported}
+          title={speech.dictationSupported ? undefined : t("voice.unsupported")}
+          aria-pressed={speech.listening}
+          style={{
+            ...buttonStyle,
+            background: speech.listening ? colors.dangerSoft : "transparent",
+            color: speech.listening ? colors.dangerText : colors.text,
+          }}
+        >
+          {speech.listening ? t("voice.stop") : t("voice.dictate")}
+        </button>
+      </div>
+
+      <p style={hintStyle}>
+        {t("voice.example", { example: DICTATION_EXAMPLES[settings.language] })}
+      </p>
+      <div aria-live="polite">
+        {speech.transcript && (
+          <p style={messageStyle(colors.textSoft)}>
+            {t("voice.heard", { text: speech.transcript })}
+          </p>
+        )}
+        {heardFields.length > 0 && (
+          <p style={messageStyle(colors.successText)}>
+            {t("voice.filled", {
+              fields: heardFields.map(([field, value]) => `${t(`field.${field}`)} = ${value}`).join(", "),
+            })}
+          </p>
+        )}
+      </div>
+      {speech.dictationError && (
+        <p role="alert" style={messageStyle(colors.dangerText)}>
+          {t("voice.failed", { error: speech.dictationError })}
+        </p>
+      )}
+    </details>
+  );
+}
+
+export default VoicePanel;
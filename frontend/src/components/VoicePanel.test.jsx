@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { render, screen } from "@testing-library/react";
+import VoicePanel from "./VoicePanel.jsx";
+import { DEFAULT_VOICE_SETTINGS } from "../lib/speech.js";
+import { translateEn } from "../lib/i18n.js";
+
+const speech = (overrides) => ({
+  settings: DEFAULT_VOICE_SETTINGS,
+  updateSettings: () => {},
+  voices: [],
+  heard: {},
+  transcript: "",
+  listening: false,
+  speechSupported: true,
+  dictationSupported: true,
+  speakText: () => {},
+  ...overrides,
+});
+
+describe("VoicePanel", () => {
+  it("explains when the browser cannot speak", () => {
+    render(<VoicePanel speech={speech({ speechSupported: false })} />);
+    expect(screen.getByText(translateEn("voice.speechUnsupported"))).toBeTruthy();
+    expect(screen.getByRole("button", { name: translateEn("voice.test") }).disabled).toBe(true);
+  });
+
+  it("says nothing about support when speech works", () => {
+    render(<VoicePanel speech={speech()} />);
+    expect(screen.queryByText(translateEn("voice.speechUnsupported"))).toBeNull();
+  });
+});
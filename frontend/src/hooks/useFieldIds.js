@@ -0,0 +1,27 @@
+import { useId } from "react";
+
+/**
+ * Ids tying one form field's label, validation message and hint to its
+ * control, so screen readers announce all three with the input.
+ * @param {ReturnType<typeof import("./useScenarioForm.js").useScenarioForm>} form
+ * @param {string} name
+ * @param {boolean} [hasHint]
+ */
+export function useFieldIds(form, name, hasHint = false) {
+  const id = useId();
+  const error = form.errorFor(name);
+  const errorId = `${id}-error`;
+  const hintId = `${id}-hint`;
+  const describedBy = [error && errorId, hasHint && hintId].filter(Boolean).join(" ");
+  return {
+    id,
+    errorId,
+    hintId,
+    error,
+    controlProps: {
+      id,
+      "aria-invalid": error ? true : undefined,
+      "aria-describedby": describedBy || undefined,
+    },
+  };
+}
@@ -0,0 +1,16 @@
+import { useEffect, useRef } from "react";
+
+/**
+ * A ref that always holds the latest `value`, so effects and listeners can
+ * call it without re-running or re-subscribing each time it changes.
+ * @template T
+ * @param {T} value
+ * @returns {{ current: T }}
+ */
+export function useLatest(value) {
+  const ref = useRef(value);
+  useEffect(() => {
+    ref.current = value;
+  });
+  return ref;
+}
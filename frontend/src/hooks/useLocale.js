@@ -0,0 +1,17 @@
+import { createContext, useContext } from "react";
+import { DEFAULT_FORMATTERS, DEFAULT_LOCALE_SETTINGS, translateEn } from "../lib/i18n.js";
+
+// Language, number locale and currency for the whole dashboard, provided by
+// LocaleProvider. Without a provider everything renders in English with the
+// default formatting.
+export const LocaleContext = createContext({
+  settings: DEFAULT_LOCALE_SETTINGS,
+  updateSettings: () => {},
+  t: translateEn,
+  fmt: DEFAULT_FORMATTERS,
+});
+
+/** @returns {{ settings: Object, updateSettings: Function, t: Function, fmt: Object }} */
+export function useLocale() {
+  return useContext(LocaleContext);
+}
@@ -0,0 +1,49 @@
+import { useMemo, useState } from "react";
+import { INITIAL_FORM_VALUES, validateScenarioForm } from "../lib/scenarioForm.js";
+import { useLocale } from "./useLocale.js";
+
+// Form state for the Scenario Inputs panel. Client-side errors are shown
+// once a field has been touched; server (422) errors are shown until the
+// field is edited again. Client messages follow the dashboard language.
+export function useScenarioForm(initialValues = INITIAL_FORM_VALUES) {
+  const { t } = useLocale();
+  const [values, setValues] = useState(initialValues);
+  const [touched, setTouched] = useState({});
+  const [serverErrors, setServerErrors] = useState({});
+
+  const clientErrors = useMemo(() => validateScenarioForm(values, t), [values, t]);
+  const isValid = Object.keys(clientErrors).length === 0;
+
+  const setField = (name, value) => {
+    setValues((prev) => ({ ...prev, [name]: value }));
+    setServerErrors((prev) => {
+      if (!prev[name]) return prev;
+      const next = { ...prev };
+      delete next[name];
+      return next;
+    });
+  };
+
+  const touchField = (name) => {
+    setTouched((prev) => (prev[name] ? prev : { ...prev, [name]: true }));
+  };
+
+  // Replace several fields at once, e.g. when loading a saved scenario.
+  const setFields = (patch) => {
+    setValues((prev) => ({ ...prev, ...patch }));
+    setServerErrors({});
+  };
+
+  const errorFor = (name) =>
+    serverErrors[name] || (touched[name] ? clientErrors[name] || "" : "");
+
+  return {
+    values,
+    setField,
+    setFields,
+    touchField,
+    errorFor,
+    isValid,
+    setServerErrors,
+  };
+}
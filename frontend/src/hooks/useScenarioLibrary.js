@@ -0,0 +1,67 @@
+import { useEffect, useState } from "react";
+import {
+  createScenarioId,
+  loadScenarios,
+  storeScenarios,
+} from "../lib/scenarioStore.js";
+import { useLocale } from "./useLocale.js";
+
+// Saved scenario list backed by localStorage. Every change is written back,
+// so the library survives a refresh.
+export function useScenarioLibrary() {
+  const { t } = useLocale();
+  const [scenarios, setScenarios] = useState(loadScenarios);
+
+  useEffect(() => {
+    storeScenarios(scenarios);
+  }, [scenarios]);
+
+  const addScenario = (entry) => {
+    const now = new Date().toISOString();
+    const scenario = { createdAt: now, updatedAt: now, ...entry, id: createScenarioId() };
+    setScenarios((prev) => [...prev, scenario]);
+    return scenario;
+  };
+
+  const renameScenario = (id, name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setScenarios((prev) =>
+      prev.map((s) =>
+        s.id === id ? { ...s, name: trimmed, updatedAt: new Date().toISOString() } : s
+      )
+    );
+  };
+
+  const duplicateScenario = (id) => {
+    const source = scenarios.find((s) => s.id === id);
+    if (!source) return null;
+    const now = new Date().toISOString();
+    const copy = {
+      ...source,
+      id: createScenarioId(),
+      name: t("library.copyName", { name: source.name }),
+      createdAt: now,
+      updatedAt: now,
+    };
+    setScenarios((prev) => [...prev, copy]);
+    return copy;
+  };
+
+  const deleteScenario = (id) => {
+    setScenarios((prev) => prev.filter((s) => s.id !== id));
+  };
+
+  const importScenarios = (entries) => {
+    setScenarios((prev) => [...prev, ...entries]);
+  };
+
+  return {
+    scenarios,
+    addScenario,
+    renameScenario,
+    duplicateScenario,
+    deleteScenario,
+    importScenarios,
+  };
+}
@@ -0,0 +1,119 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  SPEECH_LANGUAGES,
+  getSpeechRecognition,
+  isSpeechSupported,
+  loadVoiceSettings,
+  parseDictation,
+  speak,
+  storeVoiceSettings,
+} from "../lib/speech.js";
+
+// Voice settings (language, voice, rate, pitch) backed by localStorage, the
+// installed voices, and an optional dictation session. `onDictation` gets the
+// form values parsed from each final transcript.
+export function useSpeech(onDictation) {
+  const [settings, setSettings] = useState(loadVoiceSettings);
+  const [voices, setVoices] = useState(() =>
+    isSpeechSupported() ? window.speechSynthesis.getVoices() : []
+  );
+  const [listening, setListening] = useState(false);
+  const [transcript, setTranscript] = useState("");
+  const [heard, setHeard] = useState({});
+  const [dictationError, setDictationError] = useState("");
+  const recognitionRef = useRef(null);
+  const onDictationRef = useRef(onDictation);
+
+  useEffect(() => {
+    onDictationRef.current = onDictation;
+  });
+
+  useEffect(() => {
+    storeVoiceSettings(settings);
+  }, [settings]);
+
+  // most browsers load voices asynchronously and announce them with an event
+  useEffect(() => {
+    if (!isSpeechSupported()) return undefined;
+    const synth = window.speechSynthesis;
+    const update = () => setVoices(synth.getVoices());
+    synth.addEventListener("voiceschanged", update);
+    return () => synth.removeEventListener("voiceschanged", update);
+  }, []);
+
+  useEffect(() => () => recognitionRef.current?.abort(), []);
+
+  const updateSettings = (patch) => {
+    setSettings((prev) => {
+      const next = { ...prev, ...patch };
+      // a voice picked for another language would read the text with the wrong accent
+      if (patch.language && patch.language !== prev.language && !("voiceURI" in patch)) {
+        next.voiceURI = "";
+      }
+      return next;
+    });
+  };
+
+  const speakText = (text) => speak(text, settings, voices);
+
+  const Recognition = getSpeechRecognition();
+
+  const startDictation = () => {
+    if (!Recognition || listening) return;
+    const recognition = new Recognition();
+    recognition.lang =
+      SPEECH_LANGUAGES.find((l) => l.code === settings.language)?.lang ?? "en-IN";
+    recognition.interimResults = true;
+    recognition.continuous = true;
+
+    recognition.onresult = (event) => {
+      const text = Array.from(event.results, (r) => r[0].transcript).join(" ");
+      setTranscript(text);
+      const last = event.results[event.results.length - 1];
+      if (!last.isFinal) return;
+      const patch = parseDictation(text);
+      if (Object.keys(patch).length === 0) return;
+      setHeard(patch);
+      onDictationRef.current?.(patch);
+    };
+    recognition.onerror = (event) => {
+      // "no-speech" and "aborted" just end the session
+      if (event.error !== "no-speech" && event.error !== "aborted") {
+        setDictationError(event.error);
+      }
+    };
+    recognition.onend = () => {
+      setListening(false);
+      recognitionRef.current = null;
+    };
+
+    setTranscript("");
+    setHeard({});
+    setDictationError("");
+    recognitionRef.current = recognition;
+    try {
+      recognition.start();
+      setListening(true);
+    } catch (err) {
+      recognitionRef.current = null;
+      setDictationError(err.message);
+    }
+  };
+
+  const stopDictation = () => recognitionRef.current?.stop();
+
+  return {
+    settings,
+    updateSettings,
+    voices,
+    speakText,
+    speechSupported: isSpeechSupported(),
+    dictationSupported: Boolean(Recognition),
+    listening,
+    transcript,
+    heard,
+    dictationError,
+    startDictation,
+    stopDictation,
+  };
+}
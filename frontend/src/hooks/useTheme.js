@@ -0,0 +1,14 @@
+import { createContext, useContext } from "react";
+import { DEFAULT_THEME } from "../theme/themes.js";
+
+// Colour theme for the whole dashboard, provided by ThemeProvider. Without a
+// provider the colour tokens fall back to the dark palette.
+export const ThemeContext = createContext({
+  theme: DEFAULT_THEME,
+  setTheme: () => {},
+});
+
+/** @returns {{ theme: string, setTheme: (name: string) => void }} */
+export function useTheme() {
+  return useContext(ThemeContext);
+}
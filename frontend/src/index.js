@@ -0,0 +1,35 @@
+// ------- Package entry -------
+// The dashboard's building blocks for use in another React app. Components
+// take their data through props and render in English unless wrapped in a
+// LocaleProvider, and in the dark theme unless wrapped in a ThemeProvider.
+
+export { default as ScenarioForm } from "./components/ScenarioForm.jsx";
+export { default as KpiCard } from "./components/KpiCard.jsx";
+export { default as RiskBar } from "./components/RiskBar.jsx";
+export { default as InventoryChart } from "./components/InventoryChart.jsx";
+export { default as ScenarioList } from "./components/ScenarioList.jsx";
+export { default as ComparisonTable } from "./components/ComparisonTable.jsx";
+export { default as LocaleProvider } from "./components/LocaleProvider.jsx";
+export { default as ThemeProvider } from "./components/ThemeProvider.jsx";
+export { default as ThemeSettings } from "./components/ThemeSettings.jsx";
+
+export { useLocale } from "./hooks/useLocale.js";
+export { useScenarioForm } from "./hooks/useScenarioForm.js";
+export { useTheme } from "./hooks/useTheme.js";
+
+export { resolveComparisonIds } from "./lib/comparison.js";
+export { createFormatters, createTranslator } from "./lib/i18n.js";
+
+export { PALETTES, THEMES, themeVariables } from "./theme/themes.js";
+export { colors, fonts, fontSizes, radii, riskColors, seriesColors } from "./theme/tokens.js";
+export {
+  cardStyle,
+  chartTooltipStyle,
+  compactSelectStyle,
+  hintStyle,
+  inputStyle,
+  labelStyle,
+  panelStyle,
+  pillButton,
+  visuallyHiddenStyle,
+} from "./theme/styles.js";
@@ -0,0 +1,29 @@
+import { DEFAULT_FORMATTERS } from "./i18n.js";
+import { MAX_SERVICE_TARGET, MIN_SERVICE_TARGET } from "./serviceLevel.js";
+
+// ------- Inputs that analyses can vary -------
+// Shared by the sensitivity panel and the grid sweep, which name them with
+// the form's `field.<field>` messages. `integer` fields are rounded after
+// scaling; `shortfall` fields are scaled on 1 - value (95% ±10% is
+// 94.5%..95.5%) so a step never crosses 100%.
+
+export const ANALYSIS_INPUTS = [
+  { field: "demand", integer: true, min: 1 },
+  { field: "leadTime", integer: true, min: 1 },
+  { field: "cost" },
+  { field: "orderingCost" },
+  { field: "holdingCost" },
+  { field: "demandStd" },
+  { field: "serviceLevel", min: MIN_SERVICE_TARGET, max: MAX_SERVICE_TARGET, shortfall: true },
+];
+
+// Batch analyses keep at most this many simulations in flight.
+export const ANALYSIS_CONCURRENCY = 4;
+
+// Used when the form has no seed, so every run of an analysis shares one
+// seed (common random numbers) and repeated analyses hit the cache.
+export const DEFAULT_ANALYSIS_SEED = 12345;
+
+/** An input value in the number locale, keeping the decimals it was given (0.9999 stays 0.9999). */
+export const formatInputValue = (value, fmt = DEFAULT_FORMATTERS) =>
+  fmt.number(Number(value), (String(value).split(".")[1] ?? "").length);
@@ -0,0 +1,193 @@
+import { translateEn } from "./i18n.js";
+
+// ------- Simulation API client -------
+// Base URL resolution, in order of precedence:
+//   1. runtime override saved via setApiBaseUrl() (localStorage)
+//   2. VITE_API_BASE_URL at build time (see .env.example)
+//   3. the local FastAPI dev server
+// Every request has a timeout, can be cancelled with an AbortSignal, and is
+// retried with exponential backoff when the backend cannot be reached.
+
+export const DEFAULT_API_BASE_URL = "http://127.0.0.1:8000";
+const OVERRIDE_KEY = "decision-dashboard.apiBaseUrl";
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+
+// ------- Errors -------
+
+export class ApiError extends Error {
+  constructor(message, { status = null, body = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Network failure or timeout: the backend could not be reached at all.
+export class BackendUnavailableError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "BackendUnavailableError";
+  }
+}
+
+// 422 from FastAPI; `body.detail` lists the offending fields.
+export class ValidationError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ValidationError";
+  }
+}
+
+// Any other non-2xx response.
+export class ServerError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ServerError";
+  }
+}
+
+export const isAbortError = (err) => err?.name === "AbortError";
+
+// ------- Base URL -------
+
+const trimSlash = (url) => url.replace(/\/+$/, "");
+
+const readOverride = () => {
+  try {
+    return window.localStorage.getItem(OVERRIDE_KEY) || "";
+  } catch {
+    return "";
+  }
+};
+
+export const getApiBaseUrl = () =>
+  trimSlash(readOverride() || import.meta.env.VITE_API_BASE_URL || DEFAULT_API_BASE_URL);
+
+/** Persists a runtime override; pass "" to go back to the build default. */
+export const setApiBaseUrl = (url) => {
+  try {
+    if (url) window.localStorage.setItem(OVERRIDE_KEY, trimSlash(url.trim()));
+    else window.localStorage.removeItem(OVERRIDE_KEY);
+  } catch (err) {
+    console.error("Could not store API base URL", err);
+  }
+};
+
+// ------- Requests -------
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason ?? new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+// One attempt, with its own timeout linked to the caller's signal.
+const attempt = async (url, init, { timeoutMs, signal, t }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    if (timedOut) {
+      throw new BackendUnavailableError(t("api.timedOut", { ms: timeoutMs }), { cause: err });
+    }
+    throw new BackendUnavailableError(t("api.unreachable"), { cause: err });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+};
+
+/**
+ * Sends a JSON request to the simulation API.
+ * @param {string} path e.g. "/scenario/run"
+ * @param {Object} [options]
+ * @param {string} [options.method]
+ * @param {unknown} [options.body] serialised as JSON
+ * @param {AbortSignal} [options.signal] cancels the request and any pending retry
+ * @param {number} [options.timeoutMs] per attempt
+ * @param {number} [options.retries] extra attempts after a network failure
+ * @param {(key: string, values?: Object) => string} [options.t] translator for the errors
+ * @returns {Promise<any>} parsed JSON body
+ * @throws {BackendUnavailableError | ValidationError | ServerError}
+ */
+export const request = async (
+  path,
+  {
+    method = "GET",
+    body,
+    signal,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    t = translateEn,
+  } = {}
+) => {
+  const url = `${getApiBaseUrl()}${path}`;
+  const init = {
+    method,
+    headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  };
+
+  let response;
+  for (let tries = 0; ; tries++) {
+    try {
+      response = await attempt(url, init, { timeoutMs, signal, t });
+      break;
+    } catch (err) {
+      // only unreachable-backend failures are worth retrying
+      if (!(err instanceof BackendUnavailableError) || tries >= retries) throw err;
+      await sleep(BACKOFF_BASE_MS * 2 ** tries, signal);
+    }
+  }
+
+  const data = await readBody(response);
+  if (response.ok) return data;
+
+  if (response.status === 422) {
+    throw new ValidationError(t("api.rejected"), {
+      status: response.status,
+      body: data,
+    });
+  }
+  throw new ServerError(t("api.serverError", { status: response.status }), {
+    status: response.status,
+    body: data,
+  });
+};
+
+/**
+ * @param {import("./scenarioRequest.js").ScenarioRequest} scenario
+ * @param {{ signal?: AbortSignal, t?: (key: string, values?: Object) => string }} [options]
+ */
+export const runScenario = (scenario, options = {}) =>
+  request("/scenario/run", { ...options, method: "POST", body: scenario });
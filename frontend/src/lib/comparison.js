@@ -0,0 +1,173 @@
+import { DEMAND_DISTRIBUTIONS } from "./distributions.js";
+import { DEFAULT_FORMATTERS, translateEn } from "./i18n.js";
+
+// ------- Scenario comparison matrix -------
+// Each metric knows how to read its value from a saved scenario, how to
+// format it, and which direction is better ("lower", "higher" or null when
+// neither is preferable, e.g. EOQ). Only directional rows get a winner.
+// `format` takes the value and `{ fmt, t }` (formatters and translator); the
+// display name is the `metric.<key>` catalogue entry.
+
+const RISK_RANK = { low: 0, medium: 1, high: 2 };
+
+// Results saved before distributions were selectable were all normal.
+const distributionIndex = (scenario) => {
+  if (!scenario.result) return null;
+  const value = scenario.result.demand_distribution ?? "normal";
+  const index = DEMAND_DISTRIBUTIONS.findIndex((d) => d.value === value);
+  return index === -1 ? null : index;
+};
+
+const fromResult = (field) => (scenario) => {
+  const value = scenario.result?.[field];
+  return typeof value === "number" ? value : null;
+};
+
+const fromInputs = (field) => (scenario) => {
+  const raw = scenario.inputs?.[field];
+  if (raw === "" || raw === null || raw === undefined) return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+};
+
+// Annual cost components; results from before the breakdown have none.
+const fromBreakdown = (key) => (scenario) => {
+  const value = scenario.result?.cost_breakdown?.[key];
+  return typeof value === "number" ? value : null;
+};
+
+const DEFAULT_LOCALE = { fmt: DEFAULT_FORMATTERS, t: translateEn };
+
+const formatInteger = (value, { fmt }) => fmt.number(value);
+const formatDecimal = (value, { fmt }) => fmt.number(value, 1);
+const formatPercent = (value, { fmt }) => fmt.percent(value, 1);
+const formatMoney = (value, { fmt }) => fmt.currency(value);
+
+export const COMPARISON_METRICS = [
+  { key: "total_cost", get: fromResult("total_cost"), format: formatMoney, better: "lower" },
+  { key: "ordering_cost", get: fromBreakdown("ordering"), format: formatMoney, better: "lower" },
+  { key: "holding_cost", get: fromBreakdown("holding"), format: formatMoney, better: "lower" },
+  { key: "shortage_cost", get: fromBreakdown("shortage"), format: formatMoney, better: "lower" },
+  { key: "expected_delay", get: fromResult("expected_delay"), format: formatDecimal, better: "lower" },
+  { key: "service_level", get: fromResult("service_level"), format: formatPercent, better: "higher" },
+  { key: "stockout_probability", get: fromResult("stockout_probability"), format: formatPercent, better: "lower" },
+  { key: "fill_rate", get: fromResult("fill_rate"), format: formatPercent, better: "higher" },
+  { key: "average_on_hand", get: fromResult("average_on_hand"), format: formatInteger, better: null },
+  { key: "orders_per_run", get: fromResult("orders_per_run"), format: formatDecimal, better: null },
+  {
+    key: "risk",
+    get: (scenario) => RISK_RANK[scenario.result?.risk_level] ?? null,
+    format: (value, { t }) => t(`risk.${Object.keys(RISK_RANK).find((k) => RISK_RANK[k] === value)}`),
+    better: "lower",
+    categorical: true,
+  },
+  {
+    key: "demand_distribution",
+    get: distributionIndex,
+    format: (value, { t }) => t(`distribution.${DEMAND_DISTRIBUTIONS[value].value}`),
+    better: null,
+    categorical: true,
+  },
+  { key: "eoq", get: fromResult("eoq"), format: formatInteger, better: null },
+  { key: "z", get: fromResult("z"), format: (value, { fmt }) => fmt.number(value, 3), better: null },
+  { key: "safety_stock", get: fromResult("safety_stock"), format: formatInteger, better: null },
+  { key: "reorder_point", get: fromResult("reorder_point"), format: formatInteger, better: null },
+  { key: "demand", get: fromInputs("demand"), format: formatInteger, better: null },
+  { key: "leadTime", get: fromInputs("leadTime"), format: formatInteger, better: null },
+  { key: "cost", get: fromInputs("cost"), format: (v, { fmt }) => fmt.currency(v, 2), better: "lower" },
+  { key: "seed", get: fromResult("seed"), format: String, better: null, categorical: true },
+  { key: "num_runs", get: fromResult("num_runs"), format: formatInteger, better: null },
+  { key: "horizon", get: fromResult("horizon"), format: formatInteger, better: null },
+];
+
+/**
+ * Scenario ids to compare: the chosen ones that still exist, or the first two
+ * saved scenarios while nothing has been chosen (`null`).
+ * @param {{ id: number }[]} scenarios
+ * @param {number[] | null | undefined} ids
+ */
+export const resolveComparisonIds = (scenarios, ids) =>
+  ids === null || ids === undefined
+    ? scenarios.slice(0, 2).map((s) => s.id)
+    : ids.filter((id) => scenarios.some((s) => s.id === id));
+
+/**
+ * Orders scenario columns by one metric. Missing values always sort last.
+ * @param {Object[]} scenarios
+ * @param {string | null} metricKey
+ * @param {"asc" | "desc"} direction
+ */
+export const sortScenarioColumns = (scenarios, metricKey, direction = "asc") => {
+  const metric = COMPARISON_METRICS.find((m) => m.key === metricKey);
+  if (!metric) return scenarios;
+  const sign = direction === "desc" ? -1 : 1;
+  return [...scenarios].sort((a, b) => {
+    const va = metric.get(a);
+    const vb = metric.get(b);
+    if (va === null && vb === null) return 0;
+    if (va === null) return 1;
+    if (vb === null) return -1;
+    return (va - vb) * sign;
+  });
+};
+
+/**
+ * Builds one row per metric with a cell per scenario.
+ * Cells carry the formatted value, the delta to the baseline scenario
+ * (absolute and percentage) and whether the cell is the row's best value.
+ * @param {Object[]} scenarios columns, already in display order
+ * @param {number | null} baselineId
+ * @param {{ fmt: Object, t: Function }} [locale] formatters and translator
+ */
+export const buildComparisonRows = (scenarios, baselineId, locale = DEFAULT_LOCALE) => {
+  const baseline = scenarios.find((s) => s.id === baselineId) || scenarios[0] || null;
+
+  return COMPARISON_METRICS.map((metric) => {
+    const values = scenarios.map((s) => metric.get(s));
+    const present = values.filter((v) => v !== null);
+    let best = null;
+    if (metric.better && present.length > 1) {
+      best = metric.better === "lower" ? Math.min(...present) : Math.max(...present);
+      // no winner when every scenario ties
+      if (present.every((v) => v === best)) best = null;
+    }
+    const baseValue = baseline ? metric.get(baseline) : null;
+
+    const cells = scenarios.map((scenario, i) => {
+      const value = values[i];
+      const isBaseline = baseline !== null && scenario.id === baseline.id;
+      let delta = null;
+      let deltaPct = null;
+      if (!isBaseline && !metric.categorical && value !== null && baseValue !== null) {
+        delta = value - baseValue;
+        deltaPct = baseValue !== 0 ? delta / Math.abs(baseValue) : null;
+      }
+      return {
+        scenarioId: scenario.id,
+        value,
+        display: value === null ? "—" : metric.format(value, locale),
+        delta,
+        deltaPct,
+        isBaseline,
+        isBest: best !== null && value === best,
+      };
+    });
+
+    return { metric, cells };
+  });
+};
+
+export const formatDelta = (metric, delta, deltaPct, locale = DEFAULT_LOCALE) => {
+  if (delta === null) return "";
+  const sign = delta > 0 ? "+" : delta < 0 ? "−" : "±";
+  const abs = metric.format(Math.abs(delta), locale);
+  const pct = deltaPct === null ? "" : ` (${sign}${locale.fmt.percent(Math.abs(deltaPct), 1)})`;
+  return `${sign}${abs}${pct}`;
+};
+
+// A delta is "good" when it moves in the metric's preferred direction.
+export const deltaTone = (metric, delta) => {
+  if (!metric.better || delta === null || delta === 0) return "neutral";
+  const improved = metric.better === "lower" ? delta < 0 : delta > 0;
+  return improved ? "good" : "bad";
+};
@@ -0,0 +1,34 @@
+// ------- Concurrency-limited batch runner -------
+
+/**
+ * Calls `fn` for every item with at most `limit` calls in flight, and
+ * resolves to the results in input order. Stops scheduling new work as soon
+ * as `signal` aborts or any call fails.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @param {{ signal?: AbortSignal, onProgress?: (done: number, total: number) => void }} [options]
+ * @returns {Promise<R[]>}
+ */
+export const mapWithConcurrency = async (items, limit, fn, { signal, onProgress } = {}) => {
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      if (signal?.aborted) {
+        throw signal.reason ?? new DOMException("Aborted", "AbortError");
+      }
+      const index = next++;
+      results[index] = await fn(items[index], index);
+      done += 1;
+      onProgress?.(done, items.length);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+};
@@ -0,0 +1,84 @@
+// ------- Annual cost breakdown -------
+// The engines return `cost_breakdown` (purchase, ordering, holding, shortage);
+// these helpers only shape it for the charts.
+
+import { colors } from "../theme/tokens.js";
+
+export const COST_COMPONENTS = [
+  { key: "purchase", color: colors.chartAxis },
+  { key: "ordering", color: colors.series1 },
+  { key: "holding", color: colors.series4 },
+  { key: "shortage", color: colors.series6 },
+];
+
+const CURVE_POINTS = 41;
+const CURVE_RANGE = [0.25, 3]; // × EOQ, widened to show every price break
+
+/**
+ * Annual total cost over a range of order quantities, one series per price
+ * tier (`tier0`, `tier1`, ...; a single series without price breaks). Each
+ * break appears twice, closing the tier below and opening its own, so the
+ * price step shows as a jump. Safety stock and the shortage cost are held at
+ * the simulated values, so the curve shows the ordering / cycle-stock
+ * trade-off EOQ balances.
+ * @param {import("./scenarioRequest.js").ScenarioRequest} request
+ * @param {Object} result
+ * @returns {{ points: Object[], tierCount: number, eoq: { q: number, total: number },
+ *   order: { q: number, total: number } } | null}
+ */
+export const buildCostCurve = (request, result) => {
+  const breakdown = result?.cost_breakdown;
+  if (!request || !breakdown || !result.eoq || !result.annual_demand) return null;
+  const tiers = result.price_tiers ?? [
+    { min_quantity: 0, unit_cost: result.unit_cost ?? request.cost },
+  ];
+  const holdingPerUnit = request.holding_cost * result.periods_per_year;
+  const fixed = result.safety_stock * holdingPerUnit + breakdown.shortage;
+  const totalAt = (q, tier) =>
+    fixed +
+    result.annual_demand * tiers[tier].unit_cost +
+    (result.annual_demand / q) * request.ordering_cost +
+    (q / 2) * holdingPerUnit;
+  const tierOf = (q) => tiers.findLastIndex((t) => q >= t.min_quantity);
+
+  const [fromFactor, toFactor] = CURVE_RANGE;
+  const from = result.eoq * fromFactor;
+  const to = Math.max(
+    result.eoq * toFactor,
+    (result.order_quantity ?? 0) * 1.25,
+    ...tiers.map((t) => t.min_quantity * 1.25)
+  );
+  const points = Array.from({ length: CURVE_POINTS }, (_, i) => {
+    const q = from + ((to - from) * i) / (CURVE_POINTS - 1);
+    const tier = tierOf(q);
+    return { q, [`tier${tier}`]: totalAt(q, tier) };
+  });
+  tiers.forEach((t, i) => {
+    if (i === 0 || t.min_quantity <= from) return;
+    points.push({
+      q: t.min_quantity,
+      [`tier${i - 1}`]: totalAt(t.min_quantity, i - 1),
+      [`tier${i}`]: totalAt(t.min_quantity, i),
+    });
+  });
+  const marker = (q) => {
+    const tier = tierOf(q);
+    const point = { q, [`tier${tier}`]: totalAt(q, tier) };
+    points.push(point);
+    return { q, total: point[`tier${tier}`] };
+  };
+  const eoq = marker(result.eoq);
+  const order = result.order_quantity ? marker(result.order_quantity) : eoq;
+  points.sort((a, b) => a.q - b.q);
+  return { points, tierCount: tiers.length, eoq, order };
+};
+
+/** Share of each component in the total, for the stacked bar labels. */
+export const costShares = (breakdown) => {
+  const total = COST_COMPONENTS.reduce((sum, c) => sum + (breakdown?.[c.key] ?? 0), 0);
+  return COST_COMPONENTS.map((c) => ({
+    ...c,
+    value: breakdown?.[c.key] ?? 0,
+    share: total > 0 ? (breakdown?.[c.key] ?? 0) / total : 0,
+  }));
+};
@@ -0,0 +1,75 @@
+import { translateEn } from "./i18n.js";
+
+// ------- Minimal CSV reader and writer -------
+// Enough of RFC 4180 for spreadsheet exports: comma separated, optional
+// double-quoted fields with "" escapes, LF or CRLF line endings, UTF-8 BOM.
+
+/**
+ * @param {string} text
+ * @param {(key: string, values?: Object) => string} [t] translator for the errors
+ * @returns {{ line: number, cells: string[] }[]} non-blank records with
+ *   their 1-based starting line, so errors can point back at the file
+ */
+export const parseCsv = (text, t = translateEn) => {
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.some((c) => c.trim() !== "")) records.push({ line: recordLine, cells });
+    cells = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line += 1;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error(t("csv.unterminatedQuote", { line: recordLine }));
+  endRecord();
+  return records;
+};
+
+/** Lower-cased, alphanumeric-only header, so "Lead Time", "lead_time" and "LeadTime" match. */
+export const normaliseHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {(string | number | boolean | null)[][]} rows
+ * @returns {string} CRLF-separated records with a UTF-8 BOM, so Excel reads
+ *   non-ASCII names (Hindi, Tamil, ₹) correctly
+ */
+export const formatCsv = (rows) =>
+  "\ufeff" + rows.map((cells) => cells.map(formatCell).join(",")).join("\r\n") + "\r\n";
@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { formatCsv, normaliseHeader, parseCsv } from "./csv.js";
+
+describe("parseCsv", () => {
+  it("reads quoted fields, escaped quotes and CRLF line endings", () => {
+    const records = parseCsv('\ufeffname,note\r\n"Widget, large","says ""hi"""\r\n');
+    expect(records).toEqual([
+      { line: 1, cells: ["name", "note"] },
+      { line: 2, cells: ["Widget, large", 'says "hi"'] },
+    ]);
+  });
+
+  it("skips blank lines and numbers records by the line they start on", () => {
+    const records = parseCsv('a,b\n\n"multi\nline",2\n3,4');
+    expect(records.map((r) => r.line)).toEqual([1, 3, 5]);
+    expect(records[1].cells).toEqual(["multi\nline", "2"]);
+  });
+
+  it("reports an unterminated quote with its starting line", () => {
+    expect(() => parseCsv('a\n"open,1\n2')).toThrow(/line 2/);
+  });
+});
+
+describe("formatCsv", () => {
+  it("quotes only the cells that need it and reads back unchanged", () => {
+    const rows = [
+      ["name", "value"],
+      ['Say "cheese"', 1.5],
+      ["a,b", null],
+      ["मांग", true],
+    ];
+    const text = formatCsv(rows);
+    expect(text.startsWith("\ufeffname,value\r\n")).toBe(true);
+    expect(text).toContain('"Say ""cheese""",1.5');
+    expect(parseCsv(text).map((r) => r.cells)).toEqual([
+      ["name", "value"],
+      ['Say "cheese"', "1.5"],
+      ["a,b", ""],
+      ["मांग", "true"],
+    ]);
+  });
+});
+
+describe("normaliseHeader", () => {
+  it("matches headers regardless of case, spaces and punctuation", () => {
+    expect(["Lead Time", "lead_time", "LeadTime"].map(normaliseHeader)).toEqual([
+      "leadtime",
+      "leadtime",
+      "leadtime",
+    ]);
+  });
+});
@@ -0,0 +1,143 @@
+import { translateEn } from "./i18n.js";
+
+// ------- Demand distributions -------
+// JavaScript port of backend/distributions.py, used by the browser engine;
+// keep the two in step. Every sampler takes the mean demand of the period, so
+// a fitted forecast still sets the level and only the shape changes.
+
+export const DEMAND_DISTRIBUTIONS = [
+  { value: "normal" },
+  { value: "poisson" },
+  { value: "negative_binomial" },
+  { value: "lognormal" },
+  { value: "empirical" },
+];
+
+/** Standard deviation of one period's demand, used for safety stock. */
+export const demandSd = (distribution, mean, demandStd, dispersion) => {
+  if (distribution === "poisson") return Math.sqrt(mean);
+  if (distribution === "negative_binomial") return Math.sqrt(mean + (mean * mean) / dispersion);
+  // normal, lognormal and empirical all take the std dev directly
+  return demandStd;
+};
+
+// Lanczos approximation (g = 7), accurate to ~15 digits for x > 0.
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7,
+];
+const logGamma = (x) => {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const z = x - 1;
+  let a = LANCZOS[0];
+  const t = z + 7.5;
+  for (let i = 1; i < 9; i++) a += LANCZOS[i] / (z + i);
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+};
+
+const poisson = (rng, lam) => {
+  if (lam <= 0) return 0;
+  if (lam < 30) {
+    // Knuth: multiply uniforms until the product drops below e^-lambda
+    const limit = Math.exp(-lam);
+    let k = 0;
+    let p = rng();
+    while (p > limit) {
+      k += 1;
+      p *= rng();
+    }
+    return k;
+  }
+  // Hormann's transformed rejection (PTRS) for large means
+  const slam = Math.sqrt(lam);
+  const loglam = Math.log(lam);
+  const b = 0.931 + 2.53 * slam;
+  const a = -0.059 + 0.02483 * b;
+  const invAlpha = 1.1239 + 1.1328 / (b - 3.4);
+  const vr = 0.9277 - 3.6224 / (b - 2);
+  for (;;) {
+    const u = rng() - 0.5;
+    const v = rng();
+    const us = 0.5 - Math.abs(u);
+    const k = Math.floor(((2 * a) / us + b) * u + lam + 0.43);
+    if (us >= 0.07 && v <= vr) return k;
+    if (k < 0 || (us < 0.013 && v > us)) continue;
+    if (
+      Math.log(v) + Math.log(invAlpha) - Math.log(a / (us * us) + b) <=
+      -lam + k * loglam - logGamma(k + 1)
+    ) {
+      return k;
+    }
+  }
+};
+
+// Marsaglia-Tsang; shape < 1 is boosted through shape + 1.
+const gamma = (rng, gauss, shape, scale) => {
+  if (shape < 1) {
+    let u = 0;
+    while (u === 0) u = rng();
+    return gamma(rng, gauss, shape + 1, scale) * u ** (1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = gauss(0, 1);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = rng();
+    if (u < 1 - 0.0331 * x ** 4) return d * v * scale;
+    if (u > 0 && Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v * scale;
+  }
+};
+
+/**
+ * @param {() => number} rng uniform in [0, 1)
+ * @param {(mu: number, sigma: number) => number} gauss normal draws from the same rng
+ * @param {number[] | null} residuals fitted forecast errors, for the empirical bootstrap
+ * @returns {(mean: number) => number} one period's demand, never negative
+ */
+export const createDemandSampler = (
+  rng,
+  gauss,
+  distribution,
+  demandStd,
+  dispersion = 1,
+  residuals = null
+) => {
+  if (distribution === "poisson") return (mean) => poisson(rng, mean);
+  if (distribution === "negative_binomial") {
+    // gamma-Poisson mixture: variance = mean + mean^2 / dispersion
+    return (mean) =>
+      mean > 0 ? poisson(rng, gamma(rng, gauss, dispersion, mean / dispersion)) : 0;
+  }
+  if (distribution === "lognormal") {
+    return (mean) => {
+      if (mean <= 0 || demandStd === 0) return Math.max(0, mean);
+      const s2 = Math.log(1 + (demandStd / mean) ** 2);
+      return Math.exp(gauss(Math.log(mean) - s2 / 2, Math.sqrt(s2)));
+    };
+  }
+  if (distribution === "empirical") {
+    return (mean) => Math.max(0, mean + residuals[Math.floor(rng() * residuals.length)]);
+  }
+  return (mean) => Math.max(0, gauss(mean, demandStd));
+};
+
+/**
+ * Label for a result, e.g. "Negative Binomial (k = 2)"; older results were all normal.
+ * @param {(key: string, values?: Object) => string} [t] translator for the label
+ */
+export const describeDistribution = (result, t = translateEn) => {
+  const value = result?.demand_distribution ?? "normal";
+  const label = DEMAND_DISTRIBUTIONS.some((d) => d.value === value)
+    ? t(`distribution.${value}`)
+    : value;
+  return value === "negative_binomial" && typeof result?.dispersion === "number"
+    ? t("distribution.withDispersion", { label, k: result.dispersion })
+    : label;
+};
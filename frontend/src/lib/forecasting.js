@@ -0,0 +1,204 @@
+import { parseCsv, normaliseHeader } from "./csv.js";
+import { translateEn } from "./i18n.js";
+
+// ------- Demand forecasting -------
+// JavaScript port of backend/forecasting.py, used by the browser engine; keep
+// the two in step. Smoothing parameters are picked by grid search on the
+// one-step-ahead mean squared error, and the RMSE of those errors becomes the
+// demand standard deviation of the Monte Carlo.
+
+export const FORECAST_METHODS = [
+  { value: "moving_average", label: "Moving Average" },
+  { value: "ses", label: "Simple Exponential Smoothing" },
+  { value: "holt", label: "Holt (linear trend)" },
+  { value: "holt_winters", label: "Holt-Winters (seasonal)" },
+];
+
+export const MAX_HISTORY_PERIODS = 520;
+
+const PARAM_GRID = Array.from({ length: 9 }, (_, i) => Number((0.1 * (i + 1)).toFixed(1)));
+const MAX_MA_WINDOW = 12;
+
+/** Fewest periods each method can be fitted to. */
+export const minHistory = (method, seasonLength) => {
+  if (method === "holt_winters") return 2 * seasonLength;
+  if (method === "holt" || method === "moving_average") return 3;
+  return 2;
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const movingAverage = (history, window) => {
+  const fitted = new Array(history.length).fill(null);
+  for (let t = window; t < history.length; t++) {
+    fitted[t] = mean(history.slice(t - window, t));
+  }
+  const level = mean(history.slice(-window));
+  return { fitted, predict: () => level };
+};
+
+const ses = (history, alpha) => {
+  const fitted = new Array(history.length).fill(null);
+  let level = history[0];
+  for (let t = 1; t < history.length; t++) {
+    fitted[t] = level;
+    level = alpha * history[t] + (1 - alpha) * level;
+  }
+  return { fitted, predict: () => level };
+};
+
+const holt = (history, alpha, beta) => {
+  const fitted = new Array(history.length).fill(null);
+  let level = history[0];
+  let trend = history[1] - history[0];
+  for (let t = 1; t < history.length; t++) {
+    fitted[t] = level + trend;
+    const newLevel = alpha * history[t] + (1 - alpha) * (level + trend);
+    trend = beta * (newLevel - level) + (1 - beta) * trend;
+    level = newLevel;
+  }
+  return { fitted, predict: (h) => level + h * trend };
+};
+
+// additive seasonality, initialised from the first two seasons
+const holtWinters = (history, alpha, beta, gamma, m) => {
+  const n = history.length;
+  const fitted = new Array(n).fill(null);
+  const first = mean(history.slice(0, m));
+  const second = mean(history.slice(m, 2 * m));
+  let level = first;
+  let trend = (second - first) / m;
+  const seasonal = history.slice(0, m).map((y) => y - first);
+  for (let t = m; t < n; t++) {
+    const s = seasonal[t - m];
+    fitted[t] = level + trend + s;
+    const newLevel = alpha * (history[t] - s) + (1 - alpha) * (level + trend);
+    trend = beta * (newLevel - level) + (1 - beta) * trend;
+    seasonal.push(gamma * (history[t] - newLevel) + (1 - gamma) * s);
+    level = newLevel;
+  }
+  return { fitted, predict: (h) => level + h * trend + seasonal[n - m + ((h - 1) % m)] };
+};
+
+// mean rather than sum: moving averages with longer windows fit fewer points
+const mse = (history, fitted) => {
+  const errors = [];
+  fitted.forEach((f, t) => {
+    if (f !== null) errors.push((history[t] - f) ** 2);
+  });
+  return mean(errors);
+};
+
+function* candidates(method, history, seasonLength) {
+  if (method === "moving_average") {
+    for (let window = 2; window <= Math.min(MAX_MA_WINDOW, history.length - 1); window++) {
+      yield { params: { window }, ...movingAverage(history, window) };
+    }
+  } else if (method === "ses") {
+    for (const alpha of PARAM_GRID) yield { params: { alpha }, ...ses(history, alpha) };
+  } else if (method === "holt") {
+    for (const alpha of PARAM_GRID) {
+      for (const beta of PARAM_GRID) {
+        yield { params: { alpha, beta }, ...holt(history, alpha, beta) };
+      }
+    }
+  } else {
+    for (const alpha of PARAM_GRID) {
+      for (const beta of PARAM_GRID) {
+        for (const gamma of PARAM_GRID) {
+          yield {
+            params: { alpha, beta, gamma },
+            ...holtWinters(history, alpha, beta, gamma, seasonLength),
+          };
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Fits `method` to `history` and forecasts `horizon` periods ahead.
+ * @param {number[]} history demand per period, oldest first
+ * @returns {{ method: string, params: Object, forecast: number[], fitted: (number|null)[],
+ *   mae: number, mape: number | null, residualStd: number }}
+ */
+export const fitForecast = (history, method, horizon, seasonLength = 12) => {
+  let best = null;
+  for (const candidate of candidates(method, history, seasonLength)) {
+    const score = mse(history, candidate.fitted);
+    if (best === null || score < best.score) best = { ...candidate, score };
+  }
+  const { params, fitted, predict } = best;
+
+  const errors = [];
+  const pct = [];
+  fitted.forEach((f, t) => {
+    if (f === null) return;
+    errors.push(history[t] - f);
+    if (history[t] !== 0) pct.push(Math.abs(history[t] - f) / Math.abs(history[t]));
+  });
+
+  return {
+    method,
+    params,
+    forecast: Array.from({ length: horizon }, (_, i) => Math.max(0, predict(i + 1))),
+    fitted,
+    mae: mean(errors.map(Math.abs)),
+    mape: pct.length ? mean(pct) : null,
+    residualStd: Math.sqrt(mean(errors.map((e) => e * e))),
+  };
+};
+
+// ------- Demand history files -------
+
+const DEMAND_HEADERS = ["demand", "quantity", "qty", "sales", "units", "value"];
+
+/**
+ * Reads demand per period from a CSV: either rows of numbers (the last
+ * column is the demand), or a header row with a demand/quantity/sales column
+ * (other columns, such as a date, are ignored). Rows are taken in file
+ * order, oldest first.
+ * @param {string} text
+ * @param {(key: string, values?: Object) => string} [t] translator for the errors
+ * @returns {number[]}
+ * @throws {Error} when a value is missing, negative or not a number
+ */
+export const parseDemandHistory = (text, t = translateEn) => {
+  const records = parseCsv(text, t);
+  if (!records.length) throw new Error(t("history.fileEmpty"));
+
+  const first = records[0].cells;
+  // without a header, demand is the last column (e.g. "2024-01,120")
+  let column = first.length - 1;
+  let rows = records;
+  if (!first.some((cell) => cell.trim() !== "" && Number.isFinite(Number(cell)))) {
+    const named = first.map(normaliseHeader).findIndex((h) => DEMAND_HEADERS.includes(h));
+    if (named !== -1) {
+      column = named;
+    } else if (first.length !== 1) {
+      throw new Error(t("history.noColumn", { columns: DEMAND_HEADERS.join(", ") }));
+    }
+    rows = records.slice(1);
+  }
+
+  const history = rows.map(({ line, cells }) => {
+    const raw = (cells[column] ?? "").trim();
+    const n = Number(raw);
+    if (raw === "" || !Number.isFinite(n) || n < 0) {
+      throw new Error(t("history.invalidValue", { line, value: raw }));
+    }
+    return n;
+  });
+  if (history.length > MAX_HISTORY_PERIODS) {
+    throw new Error(t("history.tooLong", { max: MAX_HISTORY_PERIODS, count: history.length }));
+  }
+  return history;
+};
+
+/** Form value (comma-separated string) to numbers; blank means no history. */
+export const parseHistoryValue = (value) =>
+  String(value ?? "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter((v) => v !== "")
+    .map(Number);
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import {
+  MAX_HISTORY_PERIODS,
+  fitForecast,
+  minHistory,
+  parseDemandHistory,
+  parseHistoryValue,
+} from "./forecasting.js";
+
+describe("fitForecast", () => {
+  it("forecasts a flat history at its level with no error", () => {
+    const fit = fitForecast([50, 50, 50, 50, 50, 50], "moving_average", 3);
+    expect(fit.forecast).toEqual([50, 50, 50]);
+    expect(fit.mae).toBe(0);
+    expect(fit.residualStd).toBe(0);
+  });
+
+  it("carries a linear trend forward with Holt", () => {
+    const history = Array.from({ length: 12 }, (_, i) => 100 + 10 * i);
+    const fit = fitForecast(history, "holt", 2);
+    expect(fit.forecast[0]).toBeCloseTo(220, 0);
+    expect(fit.forecast[1]).toBeCloseTo(230, 0);
+    expect(fit.params).toHaveProperty("beta");
+  });
+
+  it("repeats the season with Holt-Winters", () => {
+    const season = [80, 120, 100, 60];
+    const history = [...season, ...season, ...season];
+    const fit = fitForecast(history, "holt_winters", 4, 4);
+    fit.forecast.forEach((f, i) => expect(f).toBeCloseTo(season[i], 0));
+  });
+
+  it("never forecasts negative demand", () => {
+    const fit = fitForecast([60, 40, 20, 5], "holt", 4);
+    expect(Math.min(...fit.forecast)).toBe(0);
+  });
+
+  it("needs two full seasons for Holt-Winters", () => {
+    expect(minHistory("holt_winters", 12)).toBe(24);
+    expect(minHistory("ses", 12)).toBe(2);
+  });
+});
+
+describe("parseDemandHistory", () => {
+  it("reads the demand column of a file with a header", () => {
+    expect(parseDemandHistory("month,Sales,note\n2024-01,120,x\n2024-02,95,\n")).toEqual([120, 95]);
+  });
+
+  it("uses the last column when there is no header", () => {
+    expect(parseDemandHistory("2024-01,120\r\n2024-02,130")).toEqual([120, 130]);
+  });
+
+  it("points at the line of a bad value", () => {
+    expect(() => parseDemandHistory("demand\n10\n-4\n")).toThrow(/Line 3/);
+  });
+
+  it("rejects files without a demand column or with too much history", () => {
+    expect(() => parseDemandHistory("date,price\n2024-01,9")).toThrow(/No demand column/);
+    const long = Array.from({ length: MAX_HISTORY_PERIODS + 1 }, () => "1").join("\n");
+    expect(() => parseDemandHistory(long)).toThrow(/At most/);
+  });
+});
+
+describe("parseHistoryValue", () => {
+  it("treats a blank form value as no history", () => {
+    expect(parseHistoryValue("")).toEqual([]);
+    expect(parseHistoryValue(" 1, 2 ,3,")).toEqual([1, 2, 3]);
+  });
+});
@@ -0,0 +1,127 @@
+import { ANALYSIS_INPUTS, formatInputValue } from "./analysisInputs.js";
+import { DEFAULT_FORMATTERS, translateEn } from "./i18n.js";
+
+// ------- Two-parameter grid sweep -------
+// Every combination of two inputs over a range is simulated; the rest of the
+// form stays as entered. Metrics are named by their `metric.<key>` messages.
+
+export const SWEEP_METRICS = [
+  { key: "total_cost", currency: true },
+  { key: "stockout_probability", percent: true },
+];
+
+export const MAX_SWEEP_STEPS = 20;
+
+export const getAnalysisInput = (field) => ANALYSIS_INPUTS.find((i) => i.field === field);
+
+/**
+ * Evenly spaced values from min to max inclusive, adjusted to what the field
+ * accepts: integers are rounded and values are kept within the field bounds.
+ * Duplicates produced by rounding are dropped.
+ * @returns {string[]}
+ */
+export const buildAxisValues = (field, min, max, steps) => {
+  const input = getAnalysisInput(field);
+  const lo = Number(min);
+  const hi = Number(max);
+  const count = Math.min(Math.max(Math.round(Number(steps)) || 2, 2), MAX_SWEEP_STEPS);
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    let v = lo + ((hi - lo) * i) / (count - 1);
+    if (input?.integer) {
+      v = Math.round(v);
+    } else {
+      v = Number(v.toPrecision(12));
+    }
+    if (input?.min !== undefined) v = Math.max(v, input.min);
+    if (input?.max !== undefined) v = Math.min(v, input.max);
+    values.push(String(v));
+  }
+  return [...new Set(values)];
+};
+
+/**
+ * Validates one axis definition.
+ * @param {{ field: string, min: string, max: string, steps: string }} axis
+ * @param {(key: string, values?: Object) => string} [t] translator
+ * @param {{ number: Function }} [fmt] formatters for the bounds
+ * @returns {string} error message, or "" when valid
+ */
+export const validateAxis = (
+  { field, min, max, steps },
+  t = translateEn,
+  fmt = DEFAULT_FORMATTERS
+) => {
+  const input = getAnalysisInput(field);
+  if (!input) return t("sweep.pickInput");
+  const label = t(`field.${field}`);
+  const lo = Number(min);
+  const hi = Number(max);
+  if (min === "" || max === "" || !Number.isFinite(lo) || !Number.isFinite(hi)) {
+    return t("sweep.numericRange", { label });
+  }
+  if (lo >= hi) return t("sweep.minBelowMax", { label });
+  if (lo <= 0) return t("sweep.positive", { label });
+  if (input.min !== undefined && lo < input.min) {
+    return t("sweep.minAtLeast", { label, min: formatInputValue(input.min, fmt) });
+  }
+  if (input.max !== undefined && hi > input.max) {
+    return t("sweep.maxAtMost", { label, max: formatInputValue(input.max, fmt) });
+  }
+  const n = Number(steps);
+  if (!Number.isInteger(n) || n < 2 || n > MAX_SWEEP_STEPS) {
+    return t("sweep.stepsRange", { label, max: fmt.number(MAX_SWEEP_STEPS) });
+  }
+  return "";
+};
+
+/** Suggested range around the current value (±50%; shortfall fields halve and double 1 - value). */
+export const defaultAxisRange = (field, currentValue) => {
+  const input = getAnalysisInput(field);
+  const v = Number(currentValue);
+  if (!Number.isFinite(v) || v <= 0) return { min: "", max: "" };
+  if (input?.shortfall) {
+    const shortfall = 1 - v;
+    const clamp = (n) => String(Number(Math.min(Math.max(n, input.min), input.max).toPrecision(4)));
+    return { min: clamp(1 - shortfall * 2), max: clamp(1 - shortfall / 2) };
+  }
+  const round = (n) => String(input?.integer ? Math.max(Math.round(n), 1) : Number(n.toPrecision(4)));
+  return { min: round(v * 0.5), max: round(v * 1.5) };
+};
+
+/**
+ * @param {Record<string, string>} inputs base form values
+ * @returns {{ x: string, y: string, inputs: Record<string, string> }[]} row-major cells
+ */
+export const buildSweepCells = (inputs, xField, xValues, yField, yValues) =>
+  yValues.flatMap((y) =>
+    xValues.map((x) => ({ x, y, inputs: { ...inputs, [xField]: x, [yField]: y } }))
+  );
+
+/** Index of the axis value closest to the current input, for marking the cell. */
+export const nearestIndex = (values, current) => {
+  const c = Number(current);
+  if (!Number.isFinite(c) || !values.length) return -1;
+  let best = 0;
+  values.forEach((v, i) => {
+    if (Math.abs(Number(v) - c) < Math.abs(Number(values[best]) - c)) best = i;
+  });
+  return best;
+};
+
+const HEAT_LOW = [0, 114, 178]; // Okabe–Ito blue
+const HEAT_HIGH = [180, 80, 0]; // Okabe–Ito vermillion, darkened for white text
+
+/**
+ * Blue (low) to vermillion (high); both sweep metrics are better when lower.
+ * Unlike a green–red ramp this stays readable with red–green colour
+ * blindness, and the colours are the same in every theme.
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ */
+export const heatColor = (value, min, max) => {
+  const t = max > min ? (value - min) / (max - min) : 0;
+  const [r, g, b] = HEAT_LOW.map((low, i) => Math.round(low + (HEAT_HIGH[i] - low) * t));
+  return `rgb(${r}, ${g}, ${b})`;
+};
@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildAxisValues,
+  buildSweepCells,
+  defaultAxisRange,
+  heatColor,
+  nearestIndex,
+  validateAxis,
+} from "./gridSweep.js";
+import { translateEn } from "./i18n.js";
+
+const axis = (patch) => ({ field: "holdingCost", min: "1", max: "3", steps: "5", ...patch });
+
+describe("buildAxisValues", () => {
+  it("spaces values evenly from min to max", () => {
+    expect(buildAxisValues("holdingCost", "1", "3", "5")).toEqual(["1", "1.5", "2", "2.5", "3"]);
+  });
+
+  it("rounds whole-number inputs and drops the duplicates", () => {
+    expect(buildAxisValues("leadTime", "1", "3", "5")).toEqual(["1", "2", "3"]);
+  });
+
+  it("keeps service targets within their bounds", () => {
+    expect(buildAxisValues("serviceLevel", "0.99", "1.2", "2")).toEqual(["0.99", "0.9999"]);
+  });
+});
+
+describe("validateAxis", () => {
+  it("accepts a valid range", () => {
+    expect(validateAxis(axis())).toBe("");
+  });
+
+  it("names the input in the message", () => {
+    expect(validateAxis(axis({ min: "3", max: "1" }))).toBe(
+      translateEn("sweep.minBelowMax", { label: translateEn("field.holdingCost") })
+    );
+  });
+
+  it("checks the field bounds and the number of steps", () => {
+    const messages = [];
+    const t = (key, values) => {
+      messages.push({ key, values });
+      return key;
+    };
+    validateAxis({ field: "serviceLevel", min: "0.9", max: "1.5", steps: "3" }, t);
+    validateAxis(axis({ steps: "2.5" }), t);
+    validateAxis(axis({ field: "" }), t);
+    expect(messages.map((m) => m.key)).toEqual([
+      "field.serviceLevel",
+      "sweep.maxAtMost",
+      "field.holdingCost",
+      "sweep.stepsRange",
+      "sweep.pickInput",
+    ]);
+    expect(messages[1].values.max).toBe("0.9999");
+  });
+});
+
+describe("defaultAxisRange", () => {
+  it("suggests ±50% around the current value", () => {
+    expect(defaultAxisRange("holdingCost", "2")).toEqual({ min: "1", max: "3" });
+    expect(defaultAxisRange("demand", "")).toEqual({ min: "", max: "" });
+  });
+
+  it("doubles and halves the shortfall of a service target", () => {
+    expect(defaultAxisRange("serviceLevel", "0.95")).toEqual({ min: "0.9", max: "0.975" });
+  });
+});
+
+describe("sweep cells", () => {
+  it("lists every combination row by row and marks the one nearest the current inputs", () => {
+    const cells = buildSweepCells({ demand: "100" }, "cost", ["1", "2"], "demand", ["10", "20"]);
+    expect(cells.map((c) => [c.x, c.y])).toEqual([
+      ["1", "10"],
+      ["2", "10"],
+      ["1", "20"],
+      ["2", "20"],
+    ]);
+    expect(cells[3].inputs).toEqual({ demand: "20", cost: "2" });
+    expect(nearestIndex(["10", "20", "30"], "24")).toBe(1);
+    expect(nearestIndex(["10"], "n/a")).toBe(-1);
+  });
+
+  it("colours from blue at the minimum to vermillion at the maximum", () => {
+    expect(heatColor(0, 0, 10)).toBe("rgb(0, 114, 178)");
+    expect(heatColor(10, 0, 10)).toBe("rgb(180, 80, 0)");
+    expect(heatColor(5, 5, 5)).toBe("rgb(0, 114, 178)");
+  });
+});
@@ -0,0 +1,110 @@
+import en from "../locales/en.js";
+import hi from "../locales/hi.js";
+import ta from "../locales/ta.js";
+
+// ------- Messages and number formatting -------
+// One flat catalogue per language (src/locales), looked up by key with
+// English as the fallback, plus Intl-based formatters for the chosen number
+// locale and currency. The settings are kept in localStorage like the API
+// override and the voice settings.
+
+const MESSAGES = { en, hi, ta };
+
+export const LANGUAGES = [
+  { code: "en", label: "English" },
+  { code: "hi", label: "हिन्दी" },
+  { code: "ta", label: "தமிழ்" },
+];
+
+// Grouping and decimal separators differ more than the language does, so the
+// number locale is chosen on its own.
+export const NUMBER_LOCALES = [
+  { value: "en-IN", label: "1,00,000.00 (India)" },
+  { value: "en-US", label: "100,000.00 (US)" },
+  { value: "en-GB", label: "100,000.00 (UK)" },
+  { value: "de-DE", label: "100.000,00 (Germany)" },
+  { value: "fr-FR", label: "100 000,00 (France)" },
+];
+
+export const CURRENCIES = [
+  { value: "INR", label: "₹ INR" },
+  { value: "USD", label: "$ USD" },
+  { value: "EUR", label: "€ EUR" },
+  { value: "GBP", label: "£ GBP" },
+];
+
+export const DEFAULT_LOCALE_SETTINGS = { language: "en", locale: "en-IN", currency: "INR" };
+
+const SETTINGS_KEY = "decision-dashboard.locale";
+
+const isKnown = (list, value, key = "value") => list.some((item) => item[key] === value);
+
+export const loadLocaleSettings = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SETTINGS_KEY) || "null") || {};
+    return {
+      language: isKnown(LANGUAGES, stored.language, "code")
+        ? stored.language
+        : DEFAULT_LOCALE_SETTINGS.language,
+      locale: isKnown(NUMBER_LOCALES, stored.locale) ? stored.locale : DEFAULT_LOCALE_SETTINGS.locale,
+      currency: isKnown(CURRENCIES, stored.currency)
+        ? stored.currency
+        : DEFAULT_LOCALE_SETTINGS.currency,
+    };
+  } catch {
+    return DEFAULT_LOCALE_SETTINGS;
+  }
+};
+
+export const storeLocaleSettings = (settings) => {
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.error("Could not store language settings", err);
+  }
+};
+
+/**
+ * Looks up `key` for `language`, falling back to English and then to the key
+ * itself, and fills {placeholders} from `values`.
+ * @param {string} language
+ * @param {string} key
+ * @param {Record<string, string | number>} [values]
+ */
+export const translate = (language, key, values) => {
+  const template = MESSAGES[language]?.[key] ?? en[key] ?? key;
+  if (!values) return template;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    values[name] === undefined ? match : String(values[name])
+  );
+};
+
+/** `t(key, values)` bound to one language. */
+export const createTranslator = (language) => (key, values) => translate(language, key, values);
+
+/** English translator, the default wherever no language is passed in. */
+export const translateEn = createTranslator("en");
+
+/**
+ * Number, currency and percentage formatters for one locale and currency.
+ * Each takes the number of decimals to show (fixed, not a maximum).
+ * @param {{ locale: string, currency: string }} settings
+ */
+export const createFormatters = ({ locale, currency }) => {
+  const cache = new Map();
+  const format = (options, value) => {
+    const key = JSON.stringify(options);
+    if (!cache.has(key)) cache.set(key, new Intl.NumberFormat(locale, options));
+    return cache.get(key).format(value);
+  };
+  const digits = (n) => ({ minimumFractionDigits: n, maximumFractionDigits: n });
+  return {
+    locale,
+    number: (value, decimals = 0) => format(digits(decimals), value),
+    currency: (value, decimals = 0) =>
+      format({ style: "currency", currency, ...digits(decimals) }, value),
+    percent: (fraction, decimals = 1) => format({ style: "percent", ...digits(decimals) }, fraction),
+  };
+};
+
+export const DEFAULT_FORMATTERS = createFormatters(DEFAULT_LOCALE_SETTINGS);
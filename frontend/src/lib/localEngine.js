@@ -0,0 +1,71 @@
+import { simulateScenario } from "./simulation.js";
+import { translateEn } from "./i18n.js";
+
+// ------- Web Worker wrapper for the browser engine -------
+// One shared worker handles every local run; replies are matched to calls
+// by id. Where workers are unavailable the simulation runs inline.
+
+let worker = null;
+let nextId = 1;
+const pending = new Map();
+
+const abortError = () => new DOMException("Simulation cancelled", "AbortError");
+
+const getWorker = () => {
+  if (worker) return worker;
+  worker = new Worker(new URL("../workers/simulation.worker.js", import.meta.url), {
+    type: "module",
+  });
+  worker.onmessage = (event) => {
+    const { id, result, error } = event.data;
+    const call = pending.get(id);
+    if (!call) return;
+    pending.delete(id);
+    if (error) call.reject(new Error(error));
+    else call.resolve(result);
+  };
+  worker.onerror = (event) => {
+    pending.forEach((call) =>
+      call.reject(new Error(event.message || call.t("engine.workerFailed")))
+    );
+    pending.clear();
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+};
+
+/**
+ * Runs one scenario in the browser engine.
+ * @param {import("./scenarioRequest.js").ScenarioRequest} scenario
+ * @param {{ signal?: AbortSignal, t?: (key: string, values?: Object) => string }} [options]
+ *   `t` translates the errors
+ */
+export const runLocalScenario = (scenario, { signal, t = translateEn } = {}) => {
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  if (typeof Worker === "undefined") {
+    return Promise.resolve(simulateScenario(scenario));
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    const onAbort = () => {
+      pending.delete(id);
+      reject(abortError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    pending.set(id, {
+      t,
+      resolve: (result) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(result);
+      },
+      reject: (err) => {
+        signal?.removeEventListener("abort", onAbort);
+        reject(err);
+      },
+    });
+    getWorker().postMessage({ id, scenario });
+  });
+};
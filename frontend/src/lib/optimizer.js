@@ -0,0 +1,190 @@
+import { DEFAULT_FORMATTERS, translateEn } from "./i18n.js";
+import { FORM_FIELDS, SERVICE_TARGETS } from "./scenarioForm.js";
+import { describeServiceTarget } from "./serviceLevel.js";
+
+// ------- Policy optimiser -------
+// Searches order quantity × service target (× safety-stock multiplier) for
+// the cheapest policy whose simulated stockout probability stays under a
+// limit. Policies are ranked by the engine's annual total cost (purchase,
+// ordering, holding and shortage at the form's shortage penalty), the figure
+// the cost breakdown shows.
+// Every combination is simulated with its own order quantity: the number of
+// cycles exposed to a stockout, and with it the stockout probability, depends
+// on Q, and so does the z of a fill-rate target (one cycle's demand is Q).
+// With price breaks, each tier's best quantity (the EOQ or the tier minimum)
+// is tried as well, so an order large enough for a cheaper price can win on
+// the tiered purchase cost.
+// Periodic review ignores the order quantity (each review orders up to a
+// level set by the review period and the safety stock), so there the review
+// period takes the place of Q, tried around the economic review period.
+
+export const ORDER_QUANTITY_FACTORS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+export const SAFETY_STOCK_MULTIPLIERS = [0.75, 1, 1.25, 1.5, 2];
+
+/**
+ * Order quantities to try around the EOQ of the current inputs, plus the best
+ * quantity of each price tier.
+ * @param {number} eoq as simulated, so it follows a fitted forecast
+ * @param {{ order_quantity: number }[] | null} [priceTiers] the run's `price_tiers`
+ * @returns {number[]}
+ */
+export const buildOrderQuantities = (eoq, priceTiers = null) => {
+  if (!(eoq > 0)) return [];
+  const quantities = [
+    ...ORDER_QUANTITY_FACTORS.map((f) => eoq * f),
+    ...(priceTiers ?? []).map((tier) => tier.order_quantity),
+  ].map((q) => Math.max(1, Math.round(q)));
+  return [...new Set(quantities)].sort((a, b) => a - b);
+};
+
+/**
+ * Review periods to try under periodic review: the economic review period
+ * (EOQ ÷ demand per period, in whole periods) scaled like the order quantities.
+ * @param {number} eoq as simulated
+ * @param {number} periodDemand planning demand per period
+ * @returns {number[]}
+ */
+export const buildReviewPeriods = (eoq, periodDemand) => {
+  if (!(eoq > 0) || !(periodDemand > 0)) return [];
+  const { max } = FORM_FIELDS.reviewPeriod;
+  const economic = Math.max(1, Math.round(eoq / periodDemand));
+  const periods = ORDER_QUANTITY_FACTORS.map((f) =>
+    Math.min(max, Math.max(1, Math.round(economic * f)))
+  );
+  return [...new Set(periods)].sort((a, b) => a - b);
+};
+
+/**
+ * Policies to simulate; each is a patch over the form inputs. Periodic review
+ * varies the review period, every other policy the order quantity.
+ * @param {{ policy?: string, orderQuantities?: number[], reviewPeriods?: number[],
+ *   includeMultiplier: boolean }} options
+ */
+export const buildPolicyCandidates = ({
+  policy,
+  orderQuantities = [],
+  reviewPeriods = [],
+  includeMultiplier,
+}) => {
+  const multipliers = includeMultiplier ? SAFETY_STOCK_MULTIPLIERS : [1];
+  const sizes =
+    policy === "periodic"
+      ? reviewPeriods.map((r) => ({ reviewPeriod: String(r) }))
+      : orderQuantities.map((q) => ({ orderQuantity: String(q) }));
+  return SERVICE_TARGETS.flatMap((serviceLevel) =>
+    multipliers.flatMap((m) =>
+      sizes.map((size) => ({ serviceLevel, safetyStockMultiplier: String(m), ...size }))
+    )
+  );
+};
+
+/**
+ * Picks the cheapest feasible policy from simulated candidates.
+ * @param {{ patch: Object, request: Object, result: Object }[]} evaluated
+ *   one run per candidate, each with its own order quantity or review period
+ * @param {{ maxStockout: number }} constraints
+ * @returns {{ feasible: boolean, best: Object, evaluatedCount: number } | null}
+ */
+export const pickBestPolicy = (evaluated, { maxStockout }) => {
+  const options = evaluated.map(({ patch, request, result }) => ({
+    patch,
+    request,
+    result,
+    orderQuantity: request.order_quantity,
+    reviewPeriod: result.policy === "periodic" ? result.review_period : null,
+    cost: result.cost_breakdown,
+    total: result.total_cost,
+  }));
+  if (!options.length) return null;
+
+  const feasible = options.filter((o) => o.result.stockout_probability <= maxStockout);
+  const pool = feasible.length ? feasible : options;
+  // when nothing meets the limit, fall back to the lowest stockout risk
+  const score = feasible.length
+    ? (o) => o.total
+    : (o) => o.result.stockout_probability * 1e12 + o.total;
+  const best = pool.reduce((a, b) => (score(b) < score(a) ? b : a));
+  return { feasible: feasible.length > 0, best, evaluatedCount: options.length };
+};
+
+/**
+ * Short plain-language reason for the recommendation.
+ * @param {{ total_cost: number, stockout_probability: number } | null} current
+ *   result of the policy in the form today, for comparison
+ * @param {{ maxStockout: number }} constraints
+ * @param {(key: string, values?: Object) => string} [t] translator
+ * @param {{ number: Function, currency: Function, percent: Function }} [fmt] formatters
+ * @returns {string[]}
+ */
+export const explainPolicy = (
+  recommendation,
+  current,
+  { maxStockout },
+  t = translateEn,
+  fmt = DEFAULT_FORMATTERS
+) => {
+  const { best, feasible } = recommendation;
+  const { cost, total, result, orderQuantity, reviewPeriod, patch } = best;
+  const money = (n) => fmt.currency(n);
+  const pct = (p) => fmt.percent(p, 1);
+  // names the definition and the z this policy was simulated with
+  const service =
+    describeServiceTarget(result, t, fmt) ??
+    t("recommend.serviceFallback", { target: fmt.percent(Number(patch.serviceLevel), 0) });
+  const multiplier = Number(patch.safetyStockMultiplier);
+  // periodic review orders up to a level each review instead of a fixed Q
+  const [key, size] =
+    reviewPeriod !== null
+      ? [
+          "recommend.review",
+          { period: fmt.number(reviewPeriod), level: fmt.number(result.order_up_to) },
+        ]
+      : ["recommend.order", { quantity: fmt.number(orderQuantity) }];
+  const lines = [
+    multiplier !== 1
+      ? t(`${key}WithMultiplier`, { ...size, service, multiplier: fmt.number(multiplier, 2) })
+      : t(key, { ...size, service }),
+    t("recommend.costs", {
+      total: money(total),
+      purchase: money(cost.purchase),
+      ordering: money(cost.ordering),
+      holding: money(cost.holding),
+      shortage: money(cost.shortage),
+    }),
+  ];
+  const [baseTier] = result.price_tiers ?? [];
+  if (baseTier && result.unit_cost < baseTier.unit_cost) {
+    lines.push(
+      t("recommend.unitPrice", {
+        price: fmt.currency(result.unit_cost, 2),
+        basePrice: fmt.currency(baseTier.unit_cost, 2),
+      })
+    );
+  }
+  const limit = pct(maxStockout);
+  const stockout = pct(result.stockout_probability);
+  lines.push(
+    feasible
+      ? t("recommend.withinLimit", { stockout, limit })
+      : t("recommend.noneFeasible", { stockout, limit })
+  );
+  if (current) {
+    const saving = current.total_cost - total;
+    const currentFeasible = current.stockout_probability <= maxStockout;
+    if (saving > 0) {
+      lines.push(
+        t("recommend.cheaper", { saving: money(saving), share: pct(saving / current.total_cost) })
+      );
+    } else if (saving < 0 && !currentFeasible) {
+      lines.push(
+        t("recommend.dearerOverLimit", {
+          extra: money(-saving),
+          stockout: pct(current.stockout_probability),
+        })
+      );
+    } else if (saving < 0) {
+      lines.push(t("recommend.currentCheaper", { extra: money(-saving) }));
+    }
+  }
+  return lines;
+};
@@ -0,0 +1,148 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildOrderQuantities,
+  buildPolicyCandidates,
+  buildReviewPeriods,
+  explainPolicy,
+  pickBestPolicy,
+} from "./optimizer.js";
+import { DEFAULT_FORMATTERS } from "./i18n.js";
+import { INITIAL_FORM_VALUES } from "./scenarioForm.js";
+import { buildScenarioRequest } from "./scenarioRequest.js";
+import { simulateScenario } from "./simulation.js";
+
+const inputs = {
+  ...INITIAL_FORM_VALUES,
+  demand: "100",
+  leadTime: "2",
+  cost: "10",
+  orderingCost: "50",
+  holdingCost: "2",
+  demandStd: "30",
+  seed: "7",
+  numRuns: "100",
+};
+
+// what RecommendPanel does, with the browser engine in place of the service
+const evaluate = (patches, base = inputs) =>
+  patches.map((patch) => {
+    const request = buildScenarioRequest({ ...base, ...patch });
+    return { patch, request, result: simulateScenario(request) };
+  });
+
+describe("optimizer", () => {
+  it("tries order quantities around the simulated EOQ", () => {
+    expect(buildOrderQuantities(100)).toEqual([50, 75, 100, 125, 150, 200]);
+    expect(buildOrderQuantities(0)).toEqual([]);
+  });
+
+  it("adds the best quantity of each price tier", () => {
+    const tiers = [{ order_quantity: 100 }, { order_quantity: 500 }];
+    expect(buildOrderQuantities(100, tiers)).toEqual([50, 75, 100, 125, 150, 200, 500]);
+  });
+
+  it("lets an order that reaches a cheaper price win", () => {
+    // EOQ ≈ 71; the 300-unit break saves far more than the extra holding
+    const discounted = { ...inputs, priceBreaks: "300:8" };
+    const current = simulateScenario(buildScenarioRequest({ ...discounted, orderQuantity: "71" }));
+    const patches = buildPolicyCandidates({
+      orderQuantities: buildOrderQuantities(current.eoq, current.price_tiers),
+      includeMultiplier: false,
+    });
+    const pick = pickBestPolicy(evaluate(patches, discounted), { maxStockout: 0.5 });
+    expect(pick.best.orderQuantity).toBe(300);
+    expect(pick.best.result.unit_cost).toBe(8);
+    expect(explainPolicy(pick, current, { maxStockout: 0.5 }).join(" ")).toContain(DEFAULT_FORMATTERS.currency(8, 2));
+  });
+
+  it("builds one candidate per service target and order quantity", () => {
+    const candidates = buildPolicyCandidates({ orderQuantities: [50, 100], includeMultiplier: false });
+    expect(candidates).toHaveLength(8);
+    expect(candidates[0]).toEqual({ serviceLevel: "0.9", safetyStockMultiplier: "1", orderQuantity: "50" });
+  });
+
+  it("costs every candidate on a run of its own order quantity", () => {
+    const patches = buildPolicyCandidates({ orderQuantities: [30, 140], includeMultiplier: false });
+    const evaluated = evaluate(patches);
+    evaluated.forEach(({ patch, result }) => {
+      expect(result.order_quantity).toBe(Number(patch.orderQuantity));
+    });
+    // fewer, larger orders mean fewer cycles exposed to a stockout
+    const [small, large] = evaluated.slice(0, 2).map((e) => e.result.stockout_probability);
+    expect(large).toBeLessThan(small);
+
+  });
+
+  it("ranks feasible policies by the engine's annual total cost", () => {
+    const evaluated = evaluate(
+      buildPolicyCandidates({ orderQuantities: [40, 70, 110], includeMultiplier: false }),
+      { ...inputs, shortagePenalty: "20" }
+    );
+    const { best } = pickBestPolicy(evaluated, { maxStockout: 0.5 });
+    const cheapest = Math.min(
+      ...evaluated
+        .filter((e) => e.result.stockout_probability <= 0.5)
+        .map((e) => e.result.total_cost)
+    );
+    expect(best.total).toBe(cheapest);
+    expect(best.cost).toBe(best.result.cost_breakdown);
+  });
+
+  it("re-solves the fill-rate z for each order quantity", () => {
+    const fillRate = { ...inputs, serviceDefinition: "fill_rate" };
+    const patches = buildPolicyCandidates({ orderQuantities: [30, 140], includeMultiplier: false });
+    const [small, large] = evaluate(patches.slice(0, 2), fillRate).map((e) => e.result);
+    // a larger cycle meets more of the target from the order itself
+    expect(large.z).toBeLessThan(small.z);
+    expect(large.safety_stock).toBeLessThan(small.safety_stock);
+
+    const pick = pickBestPolicy(evaluate(patches, fillRate), { maxStockout: 0.5 });
+    const [first] = explainPolicy(pick, null, { maxStockout: 0.5 });
+    expect(first).toContain("fill rate");
+    expect(first).toMatch(/\(z = \d/);
+  });
+
+  it("falls back to the lowest stockout risk when nothing meets the limit", () => {
+    const evaluated = evaluate(
+      buildPolicyCandidates({ orderQuantities: [30, 70], includeMultiplier: false })
+    );
+    const pick = pickBestPolicy(evaluated, { maxStockout: 0 });
+    const lowest = Math.min(...evaluated.map((e) => e.result.stockout_probability));
+    expect(pick.feasible).toBe(false);
+    expect(pick.best.result.stockout_probability).toBe(lowest);
+  });
+
+  it("tries review periods around the economic review period", () => {
+    expect(buildReviewPeriods(400, 100)).toEqual([2, 3, 4, 5, 6, 8]);
+    expect(buildReviewPeriods(70, 100)).toEqual([1, 2]);
+    expect(buildReviewPeriods(0, 100)).toEqual([]);
+  });
+
+  it("searches the review period, not the ignored order quantity, under periodic review", () => {
+    // EOQ = 400 at 100 a period, so the economic review period is 4
+    const periodic = { ...inputs, policy: "periodic", orderingCost: "400", holdingCost: "0.5" };
+    const current = simulateScenario(buildScenarioRequest(periodic));
+    const reviewPeriods = buildReviewPeriods(current.eoq, current.annual_demand / current.periods_per_year);
+    const patches = buildPolicyCandidates({
+      policy: "periodic",
+      orderQuantities: [50, 100],
+      reviewPeriods,
+      includeMultiplier: false,
+    });
+    expect(patches).toHaveLength(4 * reviewPeriods.length);
+    expect(patches.some((p) => "orderQuantity" in p)).toBe(false);
+
+    const evaluated = evaluate(patches, periodic);
+    const sameTarget = evaluated.slice(0, reviewPeriods.length).map((e) => e.result);
+    expect(sameTarget.map((r) => r.review_period)).toEqual(reviewPeriods);
+    // a longer review protects over more periods, so it orders up to more
+    const levels = sameTarget.map((r) => r.order_up_to);
+    expect(new Set(levels).size).toBe(reviewPeriods.length);
+    expect([...levels].sort((a, b) => a - b)).toEqual(levels);
+
+    const pick = pickBestPolicy(evaluated, { maxStockout: 0.5 });
+    expect(reviewPeriods).toContain(pick.best.reviewPeriod);
+    const [first] = explainPolicy(pick, current, { maxStockout: 0.5 });
+    expect(first).toContain(`Review every ${pick.best.reviewPeriod} periods`);
+  });
+});
@@ -0,0 +1,231 @@
+import { parseCsv, normaliseHeader } from "./csv.js";
+import { translateEn } from "./i18n.js";
+import { INITIAL_FORM_VALUES, validateScenarioForm } from "./scenarioForm.js";
+
+// ------- Multi-SKU portfolio -------
+// A CSV with one SKU per row becomes a list of form-value sets, each run
+// through the same simulation as the single-scenario view. Columns are
+// matched by header name; optional columns fall back to the form defaults.
+
+export const MAX_PORTFOLIO_SKUS = 1000;
+
+export const PORTFOLIO_COLUMNS = [
+  { field: "name", label: "name", aliases: ["name", "sku", "item", "product"], required: true },
+  { field: "demand", label: "demand", aliases: ["demand"], required: true },
+  { field: "leadTime", label: "lead_time", aliases: ["leadtime"], required: true },
+  { field: "cost", label: "unit_cost", aliases: ["unitcost", "cost", "costperunit", "price"], required: true },
+  { field: "orderingCost", label: "ordering_cost", aliases: ["orderingcost", "ordercost", "setupcost"], required: true },
+  { field: "holdingCost", label: "holding_cost", aliases: ["holdingcost"], required: true },
+  { field: "demandStd", label: "demand_std", aliases: ["demandstd", "demandstddev", "stddev", "std"] },
+  { field: "serviceLevel", label: "service_target", aliases: ["servicetarget", "servicelevel", "service"] },
+];
+
+export const PORTFOLIO_TEMPLATE =
+  PORTFOLIO_COLUMNS.map((c) => c.label).join(",") + "\nSKU-001,120,4,25,50,2,15,0.95\n";
+
+// Thresholds on the cumulative share of annual spend, largest SKUs first.
+export const ABC_THRESHOLDS = { A: 0.8, B: 0.95 };
+
+// "95%" and "95" both mean 0.95; values already below 1 are kept as typed.
+const normaliseServiceTarget = (raw) => {
+  const text = raw.trim().replace(/%$/, "");
+  const n = Number(text);
+  if (text === "" || !Number.isFinite(n)) return raw.trim();
+  return String(n > 1 ? Number((n / 100).toPrecision(12)) : n);
+};
+
+/**
+ * @typedef {Object} PortfolioSku
+ * @property {string} id stable within one upload (the CSV line)
+ * @property {number} line
+ * @property {string} name
+ * @property {Record<string, string>} inputs form values, as in the single view
+ */
+
+/**
+ * Reads a portfolio CSV. Invalid rows are skipped and reported.
+ * @param {string} text
+ * @param {(key: string, values?: Object) => string} [t] translator for the errors
+ * @returns {{ skus: PortfolioSku[], errors: string[] }}
+ * @throws {Error} when the header is unusable or there are no rows
+ */
+export const parsePortfolioCsv = (text, t = translateEn) => {
+  const [header, ...records] = parseCsv(text, t);
+  if (!header) throw new Error(t("portfolio.fileEmpty"));
+
+  const headers = header.cells.map(normaliseHeader);
+  const columnIndex = {};
+  PORTFOLIO_COLUMNS.forEach((column) => {
+    const index = headers.findIndex((h) => column.aliases.includes(h));
+    if (index !== -1) columnIndex[column.field] = index;
+  });
+  const missing = PORTFOLIO_COLUMNS.filter(
+    (c) => c.required && columnIndex[c.field] === undefined
+  ).map((c) => c.label);
+  if (missing.length) {
+    throw new Error(t("portfolio.missingColumns", { columns: missing.join(", ") }));
+  }
+  if (!records.length) throw new Error(t("portfolio.noRows"));
+  if (records.length > MAX_PORTFOLIO_SKUS) {
+    throw new Error(t("portfolio.tooManyRows", { max: MAX_PORTFOLIO_SKUS, count: records.length }));
+  }
+
+  const { scenarioName: _scenarioName, ...defaults } = INITIAL_FORM_VALUES;
+  const skus = [];
+  const errors = [];
+  records.forEach(({ line, cells }) => {
+    const read = (field) => (cells[columnIndex[field]] ?? "").trim();
+    const name = read("name");
+    if (!name) {
+      errors.push(t("portfolio.rowError", { line, message: t("portfolio.nameRequired") }));
+      return;
+    }
+
+    const inputs = { ...defaults };
+    PORTFOLIO_COLUMNS.forEach(({ field }) => {
+      if (field === "name" || columnIndex[field] === undefined) return;
+      const value = read(field);
+      if (value !== "") inputs[field] = field === "serviceLevel" ? normaliseServiceTarget(value) : value;
+    });
+
+    const fieldErrors = Object.values(validateScenarioForm(inputs, t));
+    if (fieldErrors.length) {
+      errors.push(t("portfolio.namedRowError", { line, name, message: fieldErrors.join(" ") }));
+      return;
+    }
+    skus.push({ id: String(line), line, name, inputs });
+  });
+  return { skus, errors };
+};
+
+/** Spend per year: demand is per period, so scale by the number of periods in a year. */
+export const annualSpend = (inputs, periodsPerYear) =>
+  Number(inputs.demand) * Number(inputs.cost) * periodsPerYear;
+
+/**
+ * Pareto ABC classes. A SKU's class is decided by the cumulative share of
+ * spend *before* it, so the SKU that crosses 80% is still an A.
+ * @param {{ id: string, annualSpend: number }[]} items
+ * @returns {Record<string, "A" | "B" | "C">}
+ */
+export const classifyAbc = (items) => {
+  const total = items.reduce((sum, i) => sum + i.annualSpend, 0);
+  const classes = {};
+  let cumulative = 0;
+  [...items]
+    .sort((a, b) => b.annualSpend - a.annualSpend)
+    .forEach((item) => {
+      const share = total > 0 ? cumulative / total : 0;
+      classes[item.id] = share < ABC_THRESHOLDS.A ? "A" : share < ABC_THRESHOLDS.B ? "B" : "C";
+      cumulative += item.annualSpend;
+    });
+  return classes;
+};
+
+/**
+ * Joins SKUs with their simulation outcome (`{ request, result }` or
+ * `{ error }`) and adds spend and ABC class.
+ */
+export const buildPortfolioRows = (skus, outcomes, periodsPerYear) => {
+  const rows = skus.map((sku, i) => ({
+    ...sku,
+    ...outcomes[i],
+    annualSpend: annualSpend(sku.inputs, periodsPerYear),
+  }));
+  const classes = classifyAbc(rows);
+  return rows.map((row) => ({ ...row, abcClass: classes[row.id] }));
+};
+
+const RISK_RANK = { low: 0, medium: 1, high: 2 };
+
+const fromResult = (field) => (row) => {
+  const value = row.result?.[field];
+  return typeof value === "number" ? value : null;
+};
+
+const formatInteger = (value, { fmt }) => fmt.number(value);
+
+// `format` takes the value and `{ fmt, t }` as in comparison.js; the heading
+// is the `portfolio.column.<key>` message.
+export const PORTFOLIO_TABLE_COLUMNS = [
+  { key: "name", get: (row) => row.name, format: String, text: true },
+  { key: "abcClass", get: (row) => row.abcClass, format: String, text: true },
+  { key: "annualSpend", get: (row) => row.annualSpend, format: (value, { fmt }) => fmt.currency(value) },
+  { key: "eoq", get: fromResult("eoq"), format: formatInteger },
+  { key: "reorder_point", get: fromResult("reorder_point"), format: formatInteger },
+  { key: "safety_stock", get: fromResult("safety_stock"), format: formatInteger },
+  {
+    key: "stockout_probability",
+    get: fromResult("stockout_probability"),
+    format: (value, { fmt }) => fmt.percent(value, 1),
+  },
+  {
+    key: "risk",
+    get: (row) => RISK_RANK[row.result?.risk_level] ?? null,
+    format: (value, { t }) =>
+      t(`risk.${Object.keys(RISK_RANK).find((k) => RISK_RANK[k] === value)}`),
+  },
+];
+
+/**
+ * Sorts rows by one table column. Missing values (failed runs) always sort last.
+ * @param {"asc" | "desc"} direction
+ */
+export const sortPortfolioRows = (rows, key, direction) => {
+  const column = PORTFOLIO_TABLE_COLUMNS.find((c) => c.key === key);
+  if (!column) return rows;
+  const sign = direction === "desc" ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const va = column.get(a);
+    const vb = column.get(b);
+    if (va === null || va === undefined) return vb === null || vb === undefined ? 0 : 1;
+    if (vb === null || vb === undefined) return -1;
+    const order = column.text ? String(va).localeCompare(String(vb)) : va - vb;
+    return order * sign;
+  });
+};
+
+/**
+ * @param {{ query: string, abcClass: string, riskLevel: string }} filters
+ *   empty strings mean "any"
+ */
+export const filterPortfolioRows = (rows, { query, abcClass, riskLevel }) => {
+  const q = query.trim().toLowerCase();
+  return rows.filter(
+    (row) =>
+      (!q || row.name.toLowerCase().includes(q)) &&
+      (!abcClass || row.abcClass === abcClass) &&
+      (!riskLevel || (riskLevel === "failed" ? row.error : row.result?.risk_level === riskLevel))
+  );
+};
+
+/**
+ * Portfolio totals. Stock values are at unit cost; cycle stock is half the
+ * order quantity on average.
+ */
+export const summarisePortfolio = (rows) => {
+  const summary = {
+    skuCount: rows.length,
+    failedCount: 0,
+    annualSpend: 0,
+    safetyStockValue: 0,
+    cycleStockValue: 0,
+    byClass: { A: { count: 0, spend: 0 }, B: { count: 0, spend: 0 }, C: { count: 0, spend: 0 } },
+    byRisk: { low: 0, medium: 0, high: 0 },
+  };
+  rows.forEach((row) => {
+    summary.annualSpend += row.annualSpend;
+    summary.byClass[row.abcClass].count += 1;
+    summary.byClass[row.abcClass].spend += row.annualSpend;
+    if (!row.result) {
+      summary.failedCount += 1;
+      return;
+    }
+    const unitCost = Number(row.inputs.cost);
+    const orderQuantity = row.result.order_quantity ?? row.result.eoq;
+    summary.safetyStockValue += row.result.safety_stock * unitCost;
+    summary.cycleStockValue += (orderQuantity / 2) * unitCost;
+    if (row.result.risk_level in summary.byRisk) summary.byRisk[row.result.risk_level] += 1;
+  });
+  return summary;
+};
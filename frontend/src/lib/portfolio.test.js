@@ -0,0 +1,127 @@
+import { describe, expect, it } from "vitest";
+import {
+  PORTFOLIO_TABLE_COLUMNS,
+  PORTFOLIO_TEMPLATE,
+  buildPortfolioRows,
+  classifyAbc,
+  filterPortfolioRows,
+  parsePortfolioCsv,
+  sortPortfolioRows,
+  summarisePortfolio,
+} from "./portfolio.js";
+import { DEFAULT_FORMATTERS, translateEn } from "./i18n.js";
+
+const HEADER = "SKU,Demand,Lead Time,Unit Cost,Ordering Cost,Holding Cost,Service Target";
+
+describe("parsePortfolioCsv", () => {
+  it("reads the template", () => {
+    const { skus, errors } = parsePortfolioCsv(PORTFOLIO_TEMPLATE);
+    expect(errors).toEqual([]);
+    expect(skus).toHaveLength(1);
+    expect(skus[0]).toMatchObject({ id: "2", line: 2, name: "SKU-001" });
+    expect(skus[0].inputs).toMatchObject({ demand: "120", leadTime: "4", serviceLevel: "0.95" });
+  });
+
+  it("matches header aliases and reads service targets typed as percentages", () => {
+    const { skus } = parsePortfolioCsv(`${HEADER}\nA,100,2,10,40,1,97.5%\nB,50,1,5,20,1,\n`);
+    expect(skus.map((s) => s.inputs.serviceLevel)).toEqual(["0.975", "0.95"]);
+  });
+
+  it("skips invalid rows and says which line they were on", () => {
+    const { skus, errors } = parsePortfolioCsv(
+      `${HEADER}\n,100,2,10,40,1,95\nC,-5,2,10,40,1,95\nD,10,2,10,40,1,95`
+    );
+    expect(skus.map((s) => s.name)).toEqual(["D"]);
+    expect(errors[0]).toBe(
+      translateEn("portfolio.rowError", { line: 2, message: translateEn("portfolio.nameRequired") })
+    );
+    expect(errors[1]).toMatch(/^Line 3 \(C\): /);
+  });
+
+  it("rejects files without the required columns", () => {
+    expect(() => parsePortfolioCsv("sku,demand\nA,1")).toThrow(/lead_time, unit_cost/);
+    expect(() => parsePortfolioCsv(HEADER)).toThrow(translateEn("portfolio.noRows"));
+  });
+});
+
+describe("classifyAbc", () => {
+  it("keeps the SKU that crosses 80% of spend in class A", () => {
+    const classes = classifyAbc([
+      { id: "a", annualSpend: 70 },
+      { id: "b", annualSpend: 20 },
+      { id: "c", annualSpend: 6 },
+      { id: "d", annualSpend: 4 },
+    ]);
+    expect(classes).toEqual({ a: "A", b: "A", c: "B", d: "C" });
+  });
+});
+
+describe("portfolio rows", () => {
+  const sku = (id, demand, cost) => ({
+    id,
+    line: Number(id),
+    name: `SKU-${id}`,
+    inputs: { demand, cost },
+  });
+  const result = (risk, stockout) => ({
+    eoq: 100,
+    order_quantity: 100,
+    safety_stock: 10,
+    reorder_point: 50,
+    stockout_probability: stockout,
+    risk_level: risk,
+  });
+  const rows = buildPortfolioRows(
+    [sku("1", "100", "10"), sku("2", "20", "5"), sku("3", "5", "2")],
+    [{ result: result("low", 0.01) }, { result: result("high", 0.2) }, { error: "boom" }],
+    12
+  );
+
+  it("adds annual spend and ABC class", () => {
+    expect(rows.map((r) => [r.annualSpend, r.abcClass])).toEqual([
+      [12000, "A"],
+      [1200, "B"],
+      [120, "C"],
+    ]);
+  });
+
+  it("sorts failed runs last in either direction", () => {
+    const key = "stockout_probability";
+    expect(sortPortfolioRows(rows, key, "asc").map((r) => r.id)).toEqual(["1", "2", "3"]);
+    expect(sortPortfolioRows(rows, key, "desc").map((r) => r.id)).toEqual(["2", "1", "3"]);
+  });
+
+  it("filters by name, class and risk", () => {
+    const filter = (patch) =>
+      filterPortfolioRows(rows, { query: "", abcClass: "", riskLevel: "", ...patch }).map(
+        (r) => r.id
+      );
+    expect(filter({ query: "sku-2" })).toEqual(["2"]);
+    expect(filter({ abcClass: "A" })).toEqual(["1"]);
+    expect(filter({ riskLevel: "failed" })).toEqual(["3"]);
+  });
+
+  it("totals spend and stock values, counting failed runs", () => {
+    const summary = summarisePortfolio(rows);
+    expect(summary).toMatchObject({
+      skuCount: 3,
+      failedCount: 1,
+      annualSpend: 13320,
+      safetyStockValue: 10 * 10 + 10 * 5,
+      cycleStockValue: 50 * 10 + 50 * 5,
+      byRisk: { low: 1, medium: 0, high: 1 },
+    });
+    expect(summary.byClass.A).toEqual({ count: 1, spend: 12000 });
+  });
+
+  it("formats table cells with the locale passed in", () => {
+    const locale = { fmt: DEFAULT_FORMATTERS, t: translateEn };
+    const cell = (key) => {
+      const column = PORTFOLIO_TABLE_COLUMNS.find((c) => c.key === key);
+      return column.format(column.get(rows[1]), locale);
+    };
+    expect(cell("annualSpend")).toBe(DEFAULT_FORMATTERS.currency(1200));
+    expect(cell("stockout_probability")).toBe(DEFAULT_FORMATTERS.percent(0.2, 1));
+    expect(cell("risk")).toBe(translateEn("risk.high"));
+  });
+});
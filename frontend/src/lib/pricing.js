@@ -0,0 +1,106 @@
+import { DEFAULT_FORMATTERS, translateEn } from "./i18n.js";
+
+// ------- All-units quantity discounts -------
+// JavaScript port of backend/pricing.py, used by the browser engine; keep the
+// two in step. A price break prices every unit of an order of at least its
+// minimum quantity; the scenario's own cost applies below the first break.
+
+export const MAX_PRICE_BREAKS = 20;
+
+/**
+ * Form value -> request rows. The form keeps breaks as "min:cost" pairs
+ * separated by commas, e.g. "100:9.5,500:9".
+ * @param {string} value
+ * @returns {{ min_quantity: number, unit_cost: number }[]}
+ */
+export const parsePriceBreaks = (value) =>
+  String(value ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const [minQuantity, unitCost] = item
+        .split(":")
+        .map((part) => (part.trim() === "" ? NaN : Number(part)));
+      return { min_quantity: minQuantity, unit_cost: unitCost };
+    });
+
+/** Price break rows -> form value. */
+export const formatPriceBreaks = (rows) =>
+  rows.map((row) => `${row.min_quantity}:${row.unit_cost}`).join(",");
+
+/** [{ minQuantity, unitCost }] sorted by quantity, starting at 0 with the base cost. */
+export const priceTiers = (baseCost, priceBreaks) => [
+  { minQuantity: 0, unitCost: baseCost },
+  ...[...(priceBreaks ?? [])]
+    .sort((a, b) => a.min_quantity - b.min_quantity)
+    .map((b) => ({ minQuantity: b.min_quantity, unitCost: b.unit_cost })),
+];
+
+export const unitCostFor = (tiers, quantity) =>
+  tiers.reduce(
+    (cost, tier) => (quantity >= tier.minQuantity ? tier.unitCost : cost),
+    tiers[0].unitCost
+  );
+
+/**
+ * Cheapest order quantity within each tier and its annual cost. Holding cost
+ * is per unit regardless of price, so each tier's best quantity is the EOQ or
+ * the tier minimum; a tier whose best quantity reaches the next break is
+ * infeasible. Safety stock and shortage costs do not depend on the tier.
+ */
+export const evaluateTiers = (tiers, eoq, annualDemand, orderingCost, annualHolding) =>
+  tiers.map((tier, i) => {
+    const upper = i + 1 < tiers.length ? tiers[i + 1].minQuantity : Infinity;
+    const q = Math.max(eoq, tier.minQuantity);
+    const purchase = annualDemand * tier.unitCost;
+    const ordering = q > 0 ? (annualDemand / q) * orderingCost : 0;
+    const holding = (q / 2) * annualHolding;
+    return {
+      min_quantity: tier.minQuantity,
+      unit_cost: tier.unitCost,
+      order_quantity: q,
+      feasible: q < upper,
+      purchase,
+      ordering,
+      holding,
+      total: purchase + ordering + holding,
+    };
+  });
+
+/** The feasible tier with the lowest annual cost (the EOQ's own tier always qualifies). */
+export const bestTier = (rows) =>
+  rows.filter((r) => r.feasible).reduce((a, b) => (b.total < a.total ? b : a));
+
+/**
+ * Why the ordered quantity differs from the classic EOQ, or null when it
+ * does not. Compares the chosen tier with the tier the EOQ falls in.
+ * @param {Object} result engine output with `price_tiers`
+ * @param {(key: string, values?: Object) => string} [t] translator
+ * @param {{ number: Function, currency: Function }} [fmt] formatters
+ * @returns {string | null}
+ */
+export const explainPriceBreak = (result, t = translateEn, fmt = DEFAULT_FORMATTERS) => {
+  const rows = result?.price_tiers;
+  if (!rows?.length) return null;
+  const best = bestTier(rows);
+  if (result.order_quantity !== best.order_quantity) {
+    return t("pricing.manual", {
+      quantity: fmt.number(best.order_quantity),
+      price: fmt.currency(best.unit_cost, 2),
+    });
+  }
+  const atEoq = rows.find((r) => r.feasible && r.order_quantity === result.eoq) ?? rows[0];
+  if (best === atEoq) return t("pricing.eoqCheapest", { eoq: fmt.number(result.eoq) });
+  const saved = atEoq.purchase - best.purchase;
+  const extra = best.ordering + best.holding - (atEoq.ordering + atEoq.holding);
+  return t("pricing.cheaperTier", {
+    quantity: fmt.number(best.order_quantity),
+    eoq: fmt.number(result.eoq),
+    price: fmt.currency(best.unit_cost, 2),
+    min: fmt.number(best.min_quantity),
+    saved: fmt.currency(saved),
+    extra: fmt.currency(extra),
+    difference: fmt.currency(atEoq.total - best.total),
+  });
+};
@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import {
+  bestTier,
+  evaluateTiers,
+  explainPriceBreak,
+  formatPriceBreaks,
+  parsePriceBreaks,
+  priceTiers,
+  unitCostFor,
+} from "./pricing.js";
+import { DEFAULT_FORMATTERS } from "./i18n.js";
+
+// 1,200 units a year, 50 per order, 2 per unit-year to hold: EOQ ≈ 245
+const ANNUAL_DEMAND = 1200;
+const ORDERING_COST = 50;
+const ANNUAL_HOLDING = 2;
+const EOQ = Math.sqrt((2 * ANNUAL_DEMAND * ORDERING_COST) / ANNUAL_HOLDING);
+
+const evaluate = (breaks, eoq = EOQ) =>
+  evaluateTiers(priceTiers(10, breaks), eoq, ANNUAL_DEMAND, ORDERING_COST, ANNUAL_HOLDING);
+
+describe("price break form values", () => {
+  it("round-trips min:cost pairs", () => {
+    const rows = parsePriceBreaks(" 500:9, 100:9.5 ,");
+    expect(rows).toEqual([
+      { min_quantity: 500, unit_cost: 9 },
+      { min_quantity: 100, unit_cost: 9.5 },
+    ]);
+    expect(formatPriceBreaks(rows)).toBe("500:9,100:9.5");
+  });
+
+  it("leaves incomplete pairs as NaN for validation to catch", () => {
+    expect(parsePriceBreaks("100:")).toEqual([{ min_quantity: 100, unit_cost: NaN }]);
+  });
+});
+
+describe("priceTiers / unitCostFor", () => {
+  it("sorts the breaks after the base cost and prices every unit at the reached tier", () => {
+    const tiers = priceTiers(10, [
+      { min_quantity: 500, unit_cost: 9 },
+      { min_quantity: 100, unit_cost: 9.5 },
+    ]);
+    expect(tiers.map((t) => t.minQuantity)).toEqual([0, 100, 500]);
+    expect(unitCostFor(tiers, 99)).toBe(10);
+    expect(unitCostFor(tiers, 100)).toBe(9.5);
+    expect(unitCostFor(tiers, 750)).toBe(9);
+  });
+});
+
+describe("evaluateTiers / bestTier", () => {
+  it("orders the tier minimum when a break lies above the EOQ and picks it when cheaper", () => {
+    const rows = evaluate([{ min_quantity: 300, unit_cost: 9.5 }]);
+    expect(rows[1]).toMatchObject({
+      order_quantity: 300,
+      purchase: 11400,
+      ordering: 200,
+      holding: 300,
+    });
+    expect(rows[0].total).toBeCloseTo(12000 + 2 * EOQ, 6);
+    expect(bestTier(rows)).toBe(rows[1]);
+  });
+
+  it("keeps the EOQ when a break does not pay for its extra stock", () => {
+    const rows = evaluate([{ min_quantity: 1000, unit_cost: 9.9 }]);
+    expect(bestTier(rows)).toBe(rows[0]);
+  });
+
+  it("marks a tier infeasible when its best quantity reaches the next break", () => {
+    const rows = evaluate([{ min_quantity: 200, unit_cost: 9.5 }], 150);
+    expect(rows[0].feasible).toBe(true);
+    const beyond = evaluate([{ min_quantity: 200, unit_cost: 9.5 }], 250);
+    expect(beyond[0].feasible).toBe(false);
+    expect(bestTier(beyond)).toBe(beyond[1]);
+  });
+});
+
+describe("explainPriceBreak", () => {
+  const resultFor = (breaks, orderQuantity) => {
+    const rows = evaluate(breaks);
+    return {
+      eoq: Math.round(EOQ),
+      order_quantity: orderQuantity ?? bestTier(rows).order_quantity,
+      price_tiers: rows,
+    };
+  };
+
+  it("explains a cheaper tier in the formatter's currency", () => {
+    const text = explainPriceBreak(resultFor([{ min_quantity: 300, unit_cost: 9.5 }]));
+    expect(text).toContain("Ordering 300 instead of the EOQ of 245");
+    expect(text).toContain(DEFAULT_FORMATTERS.currency(9.5, 2));
+  });
+
+  it("names the cheapest tier when the order quantity was set by hand", () => {
+    const text = explainPriceBreak(resultFor([{ min_quantity: 300, unit_cost: 9.5 }], 400));
+    expect(text).toContain("set by hand");
+  });
+
+  it("returns null without price tiers", () => {
+    expect(explainPriceBreak({ eoq: 245, order_quantity: 245 })).toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+// ------- Seedable random numbers -------
+// Math.random cannot be seeded, so the browser engine uses mulberry32: a tiny
+// 32-bit generator that is plenty for Monte Carlo demand draws and gives the
+// same sequence for the same seed on every browser.
+
+export const randomSeed = () => Math.floor(Math.random() * 2 ** 32);
+
+/**
+ * @param {number} seed any integer; only the low 32 bits are used
+ * @returns {() => number} uniform in [0, 1)
+ */
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Normal draws via Box-Muller, equivalent to Python's random.gauss(mu, sigma).
+ * @param {() => number} rng
+ */
+export const createGaussian = (rng) => {
+  let spare = null;
+  return (mu, sigma) => {
+    if (spare !== null) {
+      const z = spare;
+      spare = null;
+      return mu + sigma * z;
+    }
+    let u = 0;
+    while (u === 0) u = rng();
+    const v = rng();
+    const r = Math.sqrt(-2 * Math.log(u));
+    spare = r * Math.sin(2 * Math.PI * v);
+    return mu + sigma * r * Math.cos(2 * Math.PI * v);
+  };
+};
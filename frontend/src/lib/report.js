@@ -0,0 +1,198 @@
+import { buildComparisonRows, formatDelta } from "./comparison.js";
+import { describeDistribution } from "./distributions.js";
+import { DEFAULT_FORMATTERS, translateEn } from "./i18n.js";
+import { describeServiceTarget } from "./serviceLevel.js";
+
+// ------- Printable report -------
+// A self-contained HTML page with the KPIs, risk level, the inventory
+// projection as an image and the comparison table. It opens in a new tab and
+// brings up the print dialog, where "Save as PDF" gives the PDF; nothing
+// leaves the browser.
+
+const RISK_COLOURS = { low: "#16a34a", medium: "#ea580c", high: "#dc2626" };
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Snapshot of a rendered chart as an SVG image, taken synchronously so the
+ * report tab still opens within the click (pop-up blockers allow that).
+ * @param {SVGSVGElement | null} svg
+ * @returns {string | null} data URL, or null when there is no chart to capture
+ */
+export const chartImage = (svg) => {
+  if (!svg) return null;
+  const { width, height } = svg.getBoundingClientRect();
+  if (!width || !height) return null;
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  const source = new XMLSerializer().serializeToString(clone);
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(source)}`;
+};
+
+// Same figures as the KPI cards on the dashboard.
+const buildKpis = (result, t, fmt) => {
+  const kpis = [
+    [t("kpi.totalCost"), fmt.currency(result.total_cost)],
+    [t("kpi.delay"), t("kpi.delayValue", { days: fmt.number(result.expected_delay, 1) })],
+    [t("kpi.serviceLevel"), fmt.percent(result.service_level, 0)],
+    [t("kpi.eoq"), fmt.number(result.eoq)],
+    [t("kpi.stockout"), fmt.percent(result.stockout_probability)],
+  ];
+  if (typeof result.fill_rate === "number") {
+    kpis.push([t("kpi.fillRate"), fmt.percent(result.fill_rate)]);
+  }
+  if (typeof result.average_on_hand === "number") {
+    kpis.push([t("kpi.onHand"), fmt.number(result.average_on_hand)]);
+  }
+  if (typeof result.orders_per_run === "number") {
+    const orders = fmt.number(result.orders_per_run, 1);
+    kpis.push([t("kpi.orders"), t("kpi.ordersValue", { orders })]);
+  }
+  const target = describeServiceTarget(result, t, fmt);
+  if (target) kpis.push([t("report.serviceTarget"), target]);
+  kpis.push([t("field.demandDistribution"), describeDistribution(result, t)]);
+  return kpis;
+};
+
+const resultHtml = ({ name, result, chart }, t, fmt) => {
+  const kpis = buildKpis(result, t, fmt)
+    .map(
+      ([label, value]) =>
+        `<div class="kpi"><div class="label">${escapeHtml(label)}</div>` +
+        `<div class="value">${escapeHtml(value)}</div></div>`
+    )
+    .join("");
+  const level = result.risk_level;
+  const meta = [
+    result.engine && t(`engine.${result.engine}`),
+    t("card.seedRuns", { seed: result.seed ?? "—", runs: result.num_runs ?? "—" }),
+  ];
+  return `
+    <h2>${escapeHtml(name)}</h2>
+    <p class="muted">${escapeHtml(meta.filter(Boolean).join(" · "))}</p>
+    <div class="kpis">${kpis}</div>
+    <p class="risk">${escapeHtml(t("risk.label"))}:
+      <span class="badge" style="background:${RISK_COLOURS[level] ?? "#6b7280"}">
+        ${escapeHtml(level ? t(`risk.${level}`) : "—")}
+      </span>
+    </p>
+    ${
+      chart
+        ? `<h3>${escapeHtml(t("charts.inventoryTitle"))}</h3>
+           <img class="chart" src="${chart}" alt="${escapeHtml(t("charts.inventoryTitle"))}" />`
+        : ""
+    }`;
+};
+
+const comparisonHtml = ({ scenarios, baselineId }, t, fmt) => {
+  const locale = { t, fmt };
+  const rows = buildComparisonRows(scenarios, baselineId, locale);
+  const baseline = scenarios.find((s) => s.id === baselineId) || scenarios[0];
+  const header = scenarios
+    .map(
+      (s) =>
+        `<th>${escapeHtml(s.name)}` +
+        (s.id === baseline.id
+          ? ` <span class="muted">(${escapeHtml(t("compare.baselineTag"))})</span>`
+          : "") +
+        "</th>"
+    )
+    .join("");
+  const body = rows
+    .map(
+      ({ metric, cells }) =>
+        `<tr><th>${escapeHtml(t(`metric.${metric.key}`))}</th>` +
+        cells
+          .map((cell) => {
+            const delta = formatDelta(metric, cell.delta, cell.deltaPct, locale);
+            return (
+              `<td class="${cell.isBest ? "best" : ""}">${escapeHtml(cell.display)}` +
+              (delta ? `<div class="delta">${escapeHtml(delta)}</div>` : "") +
+              "</td>"
+            );
+          })
+          .join("") +
+        "</tr>"
+    )
+    .join("");
+  return `
+    <h2>${escapeHtml(t("compare.title"))}</h2>
+    <table>
+      <thead><tr><th>${escapeHtml(t("compare.metric"))}</th>${header}</tr></thead>
+      <tbody>${body}</tbody>
+    </table>`;
+};
+
+/**
+ * @param {Object} report
+ * @param {{ name: string, result: Object, chart: string | null } | null} report.current
+ *   the result on screen, with its projection chart as an image
+ * @param {{ scenarios: Object[], baselineId: number | null } | null} report.comparison
+ *   saved scenarios to compare, at least two
+ * @param {{ t?: Function, fmt?: Object, language?: string }} [locale]
+ * @returns {string} a complete HTML document
+ */
+export const buildReportHtml = (
+  { current, comparison },
+  { t = translateEn, fmt = DEFAULT_FORMATTERS, language = "en" } = {}
+) => {
+  const generated = new Date().toLocaleString(fmt.locale);
+  return `<!doctype html>
+<html lang="${escapeHtml(language)}">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(t("report.title"))}${current ? ` · ${escapeHtml(current.name)}` : ""}</title>
+<style>
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #111827; margin: 24px; }
+  h1 { font-size: 22px; margin: 0; }
+  h2 { font-size: 17px; margin: 24px 0 4px; }
+  h3 { font-size: 14px; margin: 16px 0 6px; }
+  .muted { color: #6b7280; font-size: 12px; margin: 2px 0 0; }
+  .kpis { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; margin-top: 12px; }
+  .kpi { border: 1px solid #d1d5db; border-radius: 8px; padding: 8px; }
+  .kpi .label { font-size: 11px; color: #6b7280; }
+  .kpi .value { font-size: 16px; margin-top: 2px; }
+  .risk { font-size: 13px; margin-top: 12px; }
+  .badge { color: white; border-radius: 999px; padding: 2px 10px; font-size: 12px; }
+  /* the chart keeps the dashboard background so its light lines stay readable */
+  .chart { width: 100%; border-radius: 8px; background: #020617; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; margin-top: 8px; }
+  th, td { border: 1px solid #d1d5db; padding: 4px 8px; text-align: left; vertical-align: top; }
+  thead th { background: #f3f4f6; }
+  td.best { background: #dcfce7; }
+  .delta { color: #6b7280; font-size: 11px; }
+  @media print {
+    body { margin: 0; }
+    h2, table, .chart { break-inside: avoid; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t("report.title"))}</h1>
+<p class="muted">${escapeHtml(t("report.generated", { date: generated }))}</p>
+${current ? resultHtml(current, t, fmt) : ""}
+${comparison ? comparisonHtml(comparison, t, fmt) : ""}
+<script>window.addEventListener("load", () => window.print());</script>
+</body>
+</html>`;
+};
+
+/**
+ * Opens the report in a new tab, which prints itself once loaded.
+ * @returns {boolean} false when the browser blocked the new tab
+ */
+export const openReport = (html) => {
+  const url = URL.createObjectURL(new Blob([html], { type: "text/html;charset=utf-8" }));
+  const win = window.open(url, "_blank");
+  // give the new tab time to load the page before the URL is revoked
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+  return Boolean(win);
+};
@@ -0,0 +1,191 @@
+import { COMPARISON_METRICS } from "./comparison.js";
+import { formatCsv } from "./csv.js";
+import { translateEn } from "./i18n.js";
+import { buildScenarioRequest } from "./scenarioRequest.js";
+import { buildXlsx } from "./xlsx.js";
+
+// ------- Result and comparison export -------
+// A result or a set of saved scenarios becomes a list of sections, each a
+// titled table whose first row is the header. XLSX writes one sheet per
+// section; CSV stacks them in one file with a blank line between. Values are
+// raw (unformatted) and keyed by the backend field names, so the files feed
+// straight into other tools.
+
+// per-period arrays of the response, one column each in the Periods section
+const PERIOD_FIELDS = ["inventory_avg", "inventory_lower", "inventory_upper", "forecast"];
+
+/**
+ * @typedef {Object} ExportScenario
+ * @property {string} name
+ * @property {Object} [inputs] raw form values
+ * @property {Object | null} [request] body sent to /scenario/run
+ * @property {Object} result backend response
+ */
+
+/**
+ * @typedef {Object} ExportSection
+ * @property {string} title
+ * @property {(string | number | boolean | null)[][]} rows header first
+ */
+
+// Lists become "a; b; c" so every value fits in one cell.
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) {
+    // price breaks read back as "min:cost", as typed in the form
+    return value
+      .map((item) => (item && typeof item === "object" ? Object.values(item).join(":") : item))
+      .join("; ");
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+};
+
+// Scalar response fields, with nested objects (cost_breakdown, forecast_fit)
+// flattened to "parent.child"; arrays go to the Periods and Price Tiers sections.
+const flattenMetrics = (result) => {
+  const metrics = {};
+  for (const [key, value] of Object.entries(result ?? {})) {
+    if (Array.isArray(value)) continue;
+    if (value && typeof value === "object") {
+      for (const [child, inner] of Object.entries(value)) {
+        if (!Array.isArray(inner)) metrics[`${key}.${child}`] = cellValue(inner);
+      }
+    } else {
+      metrics[key] = value;
+    }
+  }
+  return metrics;
+};
+
+const requestOf = (scenario) =>
+  scenario.request ?? (scenario.inputs ? buildScenarioRequest(scenario.inputs) : {});
+
+// Union of the keys across scenarios, in first-seen order.
+const unionKeys = (objects) => [...new Set(objects.flatMap((o) => Object.keys(o)))];
+
+// One row per key, one column per scenario.
+const keyValueSection = (title, header, names, objects) => ({
+  title,
+  rows: [
+    [header, ...names],
+    ...unionKeys(objects).map((key) => [key, ...objects.map((o) => cellValue(o[key]))]),
+  ],
+});
+
+const periodsSection = (scenarios) => {
+  const prefix = (s) => (scenarios.length > 1 ? `${s.name} ` : "");
+  const columns = scenarios.flatMap((s) =>
+    PERIOD_FIELDS.filter((field) => Array.isArray(s.result?.[field])).map((field) => ({
+      label: `${prefix(s)}${field}`,
+      values: s.result[field],
+    }))
+  );
+  const length = Math.max(0, ...columns.map((c) => c.values.length));
+  return {
+    title: "Periods",
+    rows: [
+      ["period", ...columns.map((c) => c.label)],
+      ...Array.from({ length }, (_, t) => [t + 1, ...columns.map((c) => c.values[t] ?? null)]),
+    ],
+  };
+};
+
+const priceTiersSection = (scenarios) => {
+  const withTiers = scenarios.filter((s) => s.result?.price_tiers?.length);
+  if (!withTiers.length) return null;
+  const fields = unionKeys(withTiers.flatMap((s) => s.result.price_tiers));
+  return {
+    title: "Price Tiers",
+    rows: [
+      ["scenario", ...fields],
+      ...withTiers.flatMap((s) =>
+        s.result.price_tiers.map((tier) => [s.name, ...fields.map((f) => cellValue(tier[f]))])
+      ),
+    ],
+  };
+};
+
+/**
+ * Inputs, metrics and per-period arrays of one or more scenarios.
+ * @param {ExportScenario[]} scenarios
+ * @returns {ExportSection[]}
+ */
+export const buildExportSections = (scenarios) => {
+  const names = scenarios.map((s) => s.name);
+  return [
+    keyValueSection("Inputs", "input", names, scenarios.map(requestOf)),
+    keyValueSection("Metrics", "metric", names, scenarios.map((s) => flattenMetrics(s.result))),
+    periodsSection(scenarios),
+    priceTiersSection(scenarios),
+  ].filter(Boolean);
+};
+
+/**
+ * The comparison matrix with raw values, ahead of the full export sections.
+ * @param {Object[]} scenarios saved scenarios, in display order
+ * @returns {ExportSection[]}
+ */
+export const buildComparisonSections = (scenarios) => [
+  {
+    title: "Comparison",
+    rows: [
+      ["metric", ...scenarios.map((s) => s.name)],
+      ...COMPARISON_METRICS.map((metric) => [
+        translateEn(`metric.${metric.key}`),
+        ...scenarios.map((s) => {
+          const value = metric.get(s);
+          if (value === null) return null;
+          // categorical rows store an index or rank; export what it stands for
+          if (metric.key === "risk") return s.result.risk_level;
+          if (metric.key === "demand_distribution") return s.result.demand_distribution ?? "normal";
+          return value;
+        }),
+      ]),
+    ],
+  },
+  ...buildExportSections(scenarios),
+];
+
+/** @param {ExportSection[]} sections */
+export const sectionsToCsv = (sections) =>
+  formatCsv(
+    sections.flatMap((section, i) => [...(i ? [[]] : []), [section.title], ...section.rows])
+  );
+
+/** @param {ExportSection[]} sections */
+export const sectionsToXlsx = (sections) =>
+  buildXlsx(sections.map((section) => ({ name: section.title, rows: section.rows })));
+
+/** File name safe on every OS, e.g. "Stock demand" -> "stock-demand". */
+export const exportFilename = (name, extension) => {
+  const stem = String(name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${stem || "scenario"}.${extension}`;
+};
+
+/** Saves a Blob through a temporary download link. */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * @param {ExportSection[]} sections
+ * @param {"csv" | "xlsx"} format
+ * @param {string} name used for the file name
+ */
+export const downloadSections = (sections, format, name) => {
+  const blob =
+    format === "xlsx"
+      ? sectionsToXlsx(sections)
+      : new Blob([sectionsToCsv(sections)], { type: "text/csv;charset=utf-8" });
+  downloadBlob(blob, exportFilename(name, format));
+};
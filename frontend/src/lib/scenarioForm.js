@@ -0,0 +1,318 @@
+import { REORDER_POLICIES, SCENARIO_TYPES } from "./scenarioRequest.js";
+import { DEMAND_DISTRIBUTIONS } from "./distributions.js";
+import { FORECAST_METHODS, MAX_HISTORY_PERIODS, minHistory } from "./forecasting.js";
+import { MAX_SERVICE_TARGET, MIN_SERVICE_TARGET, SERVICE_DEFINITIONS } from "./serviceLevel.js";
+import { MAX_PRICE_BREAKS, parsePriceBreaks } from "./pricing.js";
+import { translateEn } from "./i18n.js";
+
+// ------- Scenario Inputs form model -------
+// One rule set per form field. `apiField` is the matching key in the backend
+// `Scenario` model, used to map FastAPI 422 errors back onto the form.
+// Display names and messages come from the `field.<name>` catalogue entry.
+
+// Common presets offered next to the free service target input; any value
+// between MIN_SERVICE_TARGET and MAX_SERVICE_TARGET is accepted.
+export const SERVICE_TARGETS = ["0.9", "0.95", "0.97", "0.99"];
+
+export const FORM_FIELDS = {
+  scenarioName: { maxLength: 60 },
+  demand: { required: true, integer: true, min: 1, apiField: "demand" },
+  leadTime: { required: true, integer: true, min: 1, apiField: "lead_time" },
+  cost: { required: true, min: 0, minExclusive: true, apiField: "cost" },
+  orderingCost: {
+    required: true,
+    min: 0,
+    minExclusive: true,
+    apiField: "ordering_cost",
+  },
+  holdingCost: {
+    required: true,
+    min: 0,
+    minExclusive: true,
+    apiField: "holding_cost",
+  },
+  serviceLevel: {
+    required: true,
+    min: MIN_SERVICE_TARGET,
+    max: MAX_SERVICE_TARGET,
+    apiField: "service_target",
+  },
+  serviceDefinition: {
+    required: true,
+    options: SERVICE_DEFINITIONS.map((d) => d.value),
+    apiField: "service_definition",
+  },
+  demandStd: { required: true, min: 0, apiField: "demand_std" },
+  periodsPerYear: {
+    required: true,
+    integer: true,
+    min: 1,
+    max: 366,
+    apiField: "periods_per_year",
+  },
+  shortagePenalty: { required: true, min: 0, apiField: "shortage_penalty" },
+  // Quantity discounts: "min:cost" pairs, edited row by row
+  priceBreaks: {
+    priceBreaks: true,
+    maxItems: MAX_PRICE_BREAKS,
+    apiField: "price_breaks",
+  },
+  scenarioType: {
+    required: true,
+    options: SCENARIO_TYPES,
+    apiField: "scenario_type",
+  },
+  // Advanced: Monte Carlo controls
+  seed: { integer: true, min: 0, max: 2 ** 32 - 1, apiField: "seed" },
+  numRuns: {
+    required: true,
+    integer: true,
+    min: 1,
+    max: 10000,
+    apiField: "num_runs",
+  },
+  horizon: { required: true, integer: true, min: 1, max: 104, apiField: "horizon" },
+  // Advanced: policy overrides
+  orderQuantity: { min: 0, minExclusive: true, apiField: "order_quantity" },
+  safetyStockMultiplier: {
+    required: true,
+    min: 0,
+    minExclusive: true,
+    max: 5,
+    apiField: "safety_stock_multiplier",
+  },
+  // Demand history: a comma-separated list, filled from an uploaded CSV
+  demandHistory: {
+    list: true,
+    min: 0,
+    maxItems: MAX_HISTORY_PERIODS,
+    apiField: "demand_history",
+  },
+  forecastMethod: {
+    required: true,
+    options: FORECAST_METHODS.map((m) => m.value),
+    apiField: "forecast_method",
+  },
+  seasonLength: {
+    required: true,
+    integer: true,
+    min: 2,
+    max: 52,
+    apiField: "season_length",
+  },
+  // Replenishment policy
+  policy: {
+    required: true,
+    options: REORDER_POLICIES.map((p) => p.value),
+    apiField: "policy",
+  },
+  reviewPeriod: {
+    required: true,
+    integer: true,
+    min: 1,
+    max: 52,
+    apiField: "review_period",
+  },
+  leadTimeStd: { required: true, min: 0, apiField: "lead_time_std" },
+  demandDistribution: {
+    required: true,
+    options: DEMAND_DISTRIBUTIONS.map((d) => d.value),
+    apiField: "demand_distribution",
+  },
+  dispersion: {
+    required: true,
+    min: 0,
+    minExclusive: true,
+    apiField: "dispersion",
+  },
+};
+
+export const INITIAL_FORM_VALUES = {
+  scenarioName: "",
+  demand: "",
+  leadTime: "",
+  cost: "",
+  orderingCost: "",
+  holdingCost: "",
+  serviceLevel: "0.95",
+  serviceDefinition: "cycle",
+  demandStd: "10",
+  periodsPerYear: "12",
+  shortagePenalty: "0",
+  priceBreaks: "",
+  scenarioType: "base",
+  seed: "",
+  numRuns: "300",
+  horizon: "12",
+  orderQuantity: "",
+  safetyStockMultiplier: "1",
+  demandHistory: "",
+  forecastMethod: "ses",
+  seasonLength: "12",
+  policy: "continuous",
+  reviewPeriod: "1",
+  leadTimeStd: "0",
+  demandDistribution: "normal",
+  dispersion: "1",
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+/**
+ * Form values with blank or missing fields set to their defaults, for inputs
+ * saved or shared before a field existed. Fields whose default is blank stay
+ * blank.
+ * @param {Record<string, unknown>} values
+ * @param {string[]} [fields] which fields to return
+ * @returns {Record<string, string>}
+ */
+export const withFormDefaults = (values, fields = Object.keys(INITIAL_FORM_VALUES)) =>
+  Object.fromEntries(
+    fields.map((field) => {
+      const value = values?.[field];
+      return [field, isBlank(value) ? INITIAL_FORM_VALUES[field] : String(value)];
+    })
+  );
+
+/**
+ * Validates a single field value against its rule.
+ * @param {(key: string, values?: Object) => string} [t] translator for the message
+ * @returns {string} error message, or "" when valid
+ */
+export const validateField = (name, value, t = translateEn) => {
+  const rule = FORM_FIELDS[name];
+  if (!rule) return "";
+  const label = t(`field.${name}`);
+  if (isBlank(value)) return rule.required ? t("validation.required", { label }) : "";
+
+  const text = String(value).trim();
+  if (rule.list) {
+    const items = text.split(",").map((item) => item.trim());
+    if (items.some((item) => item === "" || !Number.isFinite(Number(item)))) {
+      return t("validation.list", { label });
+    }
+    if (rule.min !== undefined && items.some((item) => Number(item) < rule.min)) {
+      return t("validation.listMin", { label, min: rule.min });
+    }
+    if (rule.maxItems && items.length > rule.maxItems) {
+      return t("validation.listMax", { label, max: rule.maxItems });
+    }
+    return "";
+  }
+  if (rule.priceBreaks) {
+    const rows = parsePriceBreaks(text);
+    if (rows.some((r) => !Number.isFinite(r.min_quantity) || !Number.isFinite(r.unit_cost))) {
+      return t("validation.priceBreakRows", { label });
+    }
+    if (rows.some((r) => r.min_quantity <= 0 || r.unit_cost <= 0)) {
+      return t("validation.priceBreakPositive", { label });
+    }
+    if (rows.length > rule.maxItems) {
+      return t("validation.priceBreakMax", { label, max: rule.maxItems });
+    }
+    return "";
+  }
+  if (rule.maxLength && text.length > rule.maxLength) {
+    return t("validation.maxLength", { label, max: rule.maxLength });
+  }
+  if (rule.options) {
+    return rule.options.includes(text)
+      ? ""
+      : t("validation.options", { label, options: rule.options.join(", ") });
+  }
+  if (rule.min === undefined && rule.max === undefined && !rule.integer) return "";
+
+  const n = Number(text);
+  if (!Number.isFinite(n)) return t("validation.number", { label });
+  if (rule.integer && !Number.isInteger(n)) return t("validation.integer", { label });
+  if (rule.min !== undefined) {
+    if (rule.minExclusive ? n <= rule.min : n < rule.min) {
+      return t(rule.minExclusive ? "validation.greaterThan" : "validation.atLeast", {
+        label,
+        min: rule.min,
+      });
+    }
+  }
+  if (rule.max !== undefined && n > rule.max) {
+    return t("validation.atMost", { label, max: rule.max });
+  }
+  return "";
+};
+
+/**
+ * @param {Record<string, string>} values
+ * @param {(key: string, values?: Object) => string} [t] translator for the messages
+ * @returns {Record<string, string>} field -> message, only for invalid fields
+ */
+export const validateScenarioForm = (values, t = translateEn) => {
+  const errors = {};
+  Object.keys(FORM_FIELDS).forEach((name) => {
+    const message = validateField(name, values[name], t);
+    if (message) errors[name] = message;
+  });
+  // each forecast method needs a minimum amount of history
+  if (!errors.demandHistory && !isBlank(values.demandHistory) && !errors.seasonLength) {
+    const periods = String(values.demandHistory).split(",").length;
+    const needed = minHistory(values.forecastMethod, Number(values.seasonLength));
+    if (periods < needed) {
+      errors.demandHistory = t("validation.history", {
+        method: t(`method.${values.forecastMethod}`),
+        needed,
+        periods,
+      });
+    }
+  }
+  // each price break must be cheaper than the tier below it, the base cost first
+  if (!errors.priceBreaks && !errors.cost && !isBlank(values.priceBreaks)) {
+    const rows = parsePriceBreaks(values.priceBreaks).sort((a, b) => a.min_quantity - b.min_quantity);
+    let previous = { min_quantity: 0, unit_cost: Number(values.cost) };
+    for (const row of rows) {
+      if (row.min_quantity === previous.min_quantity) {
+        errors.priceBreaks = t("validation.duplicateBreak", { quantity: row.min_quantity });
+        break;
+      }
+      if (row.unit_cost >= previous.unit_cost) {
+        errors.priceBreaks = t("validation.breaksCheaper");
+        break;
+      }
+      previous = row;
+    }
+  }
+  if (values.demandDistribution === "empirical" && isBlank(values.demandHistory)) {
+    errors.demandDistribution = t("validation.empiricalHistory");
+  }
+  return errors;
+};
+
+const FIELD_BY_API_NAME = Object.fromEntries(
+  Object.entries(FORM_FIELDS)
+    .filter(([, rule]) => rule.apiField)
+    .map(([name, rule]) => [rule.apiField, name])
+);
+
+/**
+ * Maps a FastAPI/Pydantic 422 body onto form fields.
+ * `detail` is a list of `{ loc: ["body", "lead_time"], msg }` entries;
+ * anything that cannot be tied to a field is returned under `form`.
+ * @param {{ detail?: unknown }} body
+ * @param {(key: string, values?: Object) => string} [t] translator for the field names
+ * @returns {{ fields: Record<string, string>, form: string[] }}
+ */
+export const mapValidationErrors = (body, t = translateEn) => {
+  const fields = {};
+  const form = [];
+  const detail = Array.isArray(body?.detail) ? body.detail : [];
+  detail.forEach((item) => {
+    const loc = Array.isArray(item?.loc) ? item.loc : [];
+    const apiField = loc.find((part) => FIELD_BY_API_NAME[part]);
+    const message = item?.msg || t("validation.invalid");
+    if (apiField) {
+      const name = FIELD_BY_API_NAME[apiField];
+      fields[name] = t("validation.server", { label: t(`field.${name}`), message });
+    } else {
+      form.push(message);
+    }
+  });
+  if (!detail.length && typeof body?.detail === "string") form.push(body.detail);
+  return { fields, form };
+};
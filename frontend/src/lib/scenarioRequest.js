@@ -0,0 +1,223 @@
+import { DEMAND_DISTRIBUTIONS } from "./distributions.js";
+import { FORECAST_METHODS, parseHistoryValue } from "./forecasting.js";
+import { SERVICE_DEFINITIONS } from "./serviceLevel.js";
+import { parsePriceBreaks } from "./pricing.js";
+
+// ------- Scenario request builder -------
+// Maps the Scenario Inputs form onto the backend `Scenario` model
+// (backend/main.py) so every field the user types is sent to /scenario/run.
+
+/**
+ * Form state as held by App.jsx (all values are raw input strings).
+ * @typedef {Object} ScenarioForm
+ * @property {string} demand
+ * @property {string} leadTime
+ * @property {string} cost
+ * @property {string} orderingCost
+ * @property {string} holdingCost
+ * @property {string} serviceLevel
+ * @property {string} serviceDefinition
+ * @property {string} periodsPerYear
+ * @property {string} shortagePenalty per unit short
+ * @property {string} priceBreaks "min:cost" pairs, comma-separated; blank = none
+ * @property {string} demandStd
+ * @property {string} scenarioType
+ * @property {string} seed blank = let the engine pick one
+ * @property {string} numRuns
+ * @property {string} horizon
+ * @property {string} orderQuantity blank = order the EOQ
+ * @property {string} safetyStockMultiplier
+ * @property {string} demandHistory comma-separated demand per period; blank = none
+ * @property {string} forecastMethod
+ * @property {string} seasonLength
+ * @property {string} policy
+ * @property {string} reviewPeriod
+ * @property {string} leadTimeStd
+ * @property {string} demandDistribution
+ * @property {string} dispersion negative binomial only
+ */
+
+/**
+ * Request body accepted by POST /scenario/run.
+ * @typedef {Object} ScenarioRequest
+ * @property {number} demand
+ * @property {number} lead_time
+ * @property {number} cost
+ * @property {"optimistic" | "base" | "pessimistic"} scenario_type
+ * @property {number} ordering_cost
+ * @property {number} holding_cost
+ * @property {number} service_target
+ * @property {"cycle" | "fill_rate"} service_definition
+ * @property {number} periods_per_year
+ * @property {number} shortage_penalty
+ * @property {{ min_quantity: number, unit_cost: number }[] | null} price_breaks
+ * @property {number} demand_std
+ * @property {number | null} seed
+ * @property {number} num_runs
+ * @property {number} horizon
+ * @property {number | null} order_quantity
+ * @property {number} safety_stock_multiplier
+ * @property {number[] | null} demand_history
+ * @property {"moving_average" | "ses" | "holt" | "holt_winters"} forecast_method
+ * @property {number} season_length
+ * @property {"continuous" | "periodic" | "min_max"} policy
+ * @property {number} review_period
+ * @property {number} lead_time_std
+ * @property {"normal" | "poisson" | "negative_binomial" | "lognormal" | "empirical"} demand_distribution
+ * @property {number} dispersion
+ */
+
+export const SCENARIO_TYPES = ["optimistic", "base", "pessimistic"];
+
+export const REORDER_POLICIES = [
+  { value: "continuous" },
+  { value: "periodic" },
+  { value: "min_max" },
+];
+
+// Same defaults as the Pydantic model, used when an optional field is blank.
+export const SCENARIO_DEFAULTS = {
+  scenario_type: "base",
+  ordering_cost: 50.0,
+  holding_cost: 2.0,
+  service_target: 0.95,
+  service_definition: "cycle",
+  periods_per_year: 12,
+  shortage_penalty: 0.0,
+  price_breaks: null,
+  demand_std: 10.0,
+  seed: null,
+  num_runs: 300,
+  horizon: 12,
+  order_quantity: null,
+  safety_stock_multiplier: 1.0,
+  demand_history: null,
+  forecast_method: "ses",
+  season_length: 12,
+  policy: "continuous",
+  review_period: 1,
+  lead_time_std: 0.0,
+  demand_distribution: "normal",
+  dispersion: 1.0,
+};
+
+const toNumber = (value, fallback) => {
+  if (value === "" || value === null || value === undefined) return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+const toInteger = (value, fallback) => {
+  const n = toNumber(value, null);
+  return n === null ? fallback : Math.round(n);
+};
+
+/**
+ * @param {ScenarioForm} form
+ * @returns {ScenarioRequest}
+ */
+export const buildScenarioRequest = (form) => {
+  const scenarioType = SCENARIO_TYPES.includes(form.scenarioType)
+    ? form.scenarioType
+    : SCENARIO_DEFAULTS.scenario_type;
+  const history = parseHistoryValue(form.demandHistory);
+  const priceBreaks = parsePriceBreaks(form.priceBreaks);
+  const forecastMethod = FORECAST_METHODS.some((m) => m.value === form.forecastMethod)
+    ? form.forecastMethod
+    : SCENARIO_DEFAULTS.forecast_method;
+  const policy = REORDER_POLICIES.some((p) => p.value === form.policy)
+    ? form.policy
+    : SCENARIO_DEFAULTS.policy;
+  const serviceDefinition = SERVICE_DEFINITIONS.some((d) => d.value === form.serviceDefinition)
+    ? form.serviceDefinition
+    : SCENARIO_DEFAULTS.service_definition;
+  const distribution = DEMAND_DISTRIBUTIONS.some((d) => d.value === form.demandDistribution)
+    ? form.demandDistribution
+    : SCENARIO_DEFAULTS.demand_distribution;
+
+  return {
+    demand: Math.round(toNumber(form.demand, 0)),
+    lead_time: Math.round(toNumber(form.leadTime, 0)),
+    cost: toNumber(form.cost, 0),
+    scenario_type: scenarioType,
+    ordering_cost: toNumber(form.orderingCost, SCENARIO_DEFAULTS.ordering_cost),
+    holding_cost: toNumber(form.holdingCost, SCENARIO_DEFAULTS.holding_cost),
+    service_target: toNumber(form.serviceLevel, SCENARIO_DEFAULTS.service_target),
+    service_definition: serviceDefinition,
+    periods_per_year: toInteger(form.periodsPerYear, SCENARIO_DEFAULTS.periods_per_year),
+    shortage_penalty: toNumber(form.shortagePenalty, SCENARIO_DEFAULTS.shortage_penalty),
+    price_breaks: priceBreaks.length ? priceBreaks : SCENARIO_DEFAULTS.price_breaks,
+    demand_std: toNumber(form.demandStd, SCENARIO_DEFAULTS.demand_std),
+    seed: toInteger(form.seed, SCENARIO_DEFAULTS.seed),
+    num_runs: toInteger(form.numRuns, SCENARIO_DEFAULTS.num_runs),
+    horizon: toInteger(form.horizon, SCENARIO_DEFAULTS.horizon),
+    order_quantity: toNumber(form.orderQuantity, SCENARIO_DEFAULTS.order_quantity),
+    safety_stock_multiplier: toNumber(
+      form.safetyStockMultiplier,
+      SCENARIO_DEFAULTS.safety_stock_multiplier
+    ),
+    demand_history: history.length ? history : SCENARIO_DEFAULTS.demand_history,
+    forecast_method: forecastMethod,
+    season_length: toInteger(form.seasonLength, SCENARIO_DEFAULTS.season_length),
+    policy,
+    review_period: toInteger(form.reviewPeriod, SCENARIO_DEFAULTS.review_period),
+    lead_time_std: toNumber(form.leadTimeStd, SCENARIO_DEFAULTS.lead_time_std),
+    demand_distribution: distribution,
+    dispersion: toNumber(form.dispersion, SCENARIO_DEFAULTS.dispersion),
+  };
+};
+
+// ------- Client-side estimates -------
+// Quick checks the browser can do on its own. They are never shown as the
+// result; they only flag when the backend disagrees with the textbook maths.
+
+// EOQ on the per-period demand as entered. With demand history the engines
+// size orders on the forecast's average instead, which is not known here.
+export const estimateEOQ = (request) => {
+  const { demand, ordering_cost, holding_cost } = request;
+  if (!demand || !ordering_cost || !holding_cost) return null;
+  return Math.sqrt((2 * demand * ordering_cost) / holding_cost);
+};
+
+// Annual purchase, ordering and holding at the order quantity plus the
+// simulated shortage cost, which has no closed form. Skipped for a fitted
+// forecast, periodic review or price breaks, which change the quantity or
+// price being costed.
+export const estimateTotalCost = (request, result) => {
+  if (request.demand_history || request.policy === "periodic" || request.price_breaks) return null;
+  const q = request.order_quantity ?? estimateEOQ(request);
+  if (!q || typeof result.safety_stock !== "number") return null;
+  const periods = request.periods_per_year ?? SCENARIO_DEFAULTS.periods_per_year;
+  const annualDemand = request.demand * periods;
+  return (
+    annualDemand * request.cost +
+    (annualDemand / q) * request.ordering_cost +
+    (q / 2 + result.safety_stock) * request.holding_cost * periods +
+    (result.cost_breakdown?.shortage ?? 0)
+  );
+};
+
+const MISMATCH_TOLERANCE = 0.01;
+
+const differs = (expected, actual) => {
+  if (expected === null || actual === null || actual === undefined) return false;
+  const scale = Math.max(Math.abs(expected), 1);
+  return Math.abs(expected - actual) / scale > MISMATCH_TOLERANCE;
+};
+
+/**
+ * Compares the backend result with client estimates for the same request.
+ * @param {ScenarioRequest} request
+ * @param {Object} result backend response
+ * @returns {{ field: string, expected: number, actual: number }[]}
+ */
+export const findEstimateMismatches = (request, result) => {
+  if (!request || !result) return [];
+  const checks = [
+    { field: "eoq", expected: request.demand_history ? null : estimateEOQ(request) },
+    { field: "total_cost", expected: estimateTotalCost(request, result) },
+  ];
+  return checks
+    .filter((check) => differs(check.expected, result[check.field]))
+    .map((check) => ({ ...check, actual: result[check.field] }));
+};
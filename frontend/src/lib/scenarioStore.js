@@ -0,0 +1,238 @@
+import { buildScenarioRequest } from "./scenarioRequest.js";
+import { INITIAL_FORM_VALUES, withFormDefaults } from "./scenarioForm.js";
+import { downloadBlob } from "./resultExport.js";
+import { translateEn } from "./i18n.js";
+
+// ------- Saved scenario persistence -------
+// Scenarios are kept in localStorage under a versioned envelope:
+//   { version: SCHEMA_VERSION, scenarios: [SavedScenario, ...] }
+// The same envelope is used for JSON export/import, so a file exported from
+// one browser can be imported into another.
+
+/**
+ * @typedef {Object} SavedScenario
+ * @property {number} id
+ * @property {string} name
+ * @property {string} createdAt ISO timestamp
+ * @property {string} updatedAt ISO timestamp
+ * @property {import("./scenarioRequest.js").ScenarioForm} inputs raw form values
+ * @property {import("./scenarioRequest.js").ScenarioRequest | null} request
+ * @property {Object} result backend response
+ */
+
+export const STORAGE_KEY = "decision-dashboard.scenarios";
+export const SCHEMA_VERSION = 2;
+
+// every form value except the name, which is stored on the scenario itself
+const INPUT_FIELDS = Object.keys(INITIAL_FORM_VALUES).filter((f) => f !== "scenarioName");
+
+let lastId = 0;
+
+// Date-based ids like the original in-memory entries, but unique even when
+// several are created in the same millisecond (duplicate, import).
+export const createScenarioId = () => {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return lastId;
+};
+
+// ------- Migrations -------
+// v1: the original in-memory shape, a bare array of
+//     { id, name, demand, leadTime, cost, result }.
+// v2: envelope with `inputs` holding every form field plus the request sent.
+
+const migrateV1Entry = (entry) => {
+  const now = new Date(entry.id || Date.now()).toISOString();
+  // fields the v1 shape did not have are filled in by normaliseScenario
+  const inputs = {
+    demand: entry.demand ?? "",
+    leadTime: entry.leadTime ?? "",
+    cost: entry.cost ?? "",
+  };
+  return {
+    id: entry.id,
+    name: entry.name,
+    createdAt: now,
+    updatedAt: now,
+    inputs,
+    request: entry.request ?? buildScenarioRequest(inputs),
+    result: entry.result,
+  };
+};
+
+const migrations = {
+  1: (data) => ({
+    version: 2,
+    scenarios: (Array.isArray(data) ? data : data.scenarios || []).map(migrateV1Entry),
+  }),
+};
+
+const detectVersion = (data) => {
+  if (Array.isArray(data)) return 1;
+  if (data && typeof data === "object" && Number.isInteger(data.version)) {
+    return data.version;
+  }
+  return null;
+};
+
+/**
+ * Brings a stored or imported document up to SCHEMA_VERSION.
+ * @param {unknown} data
+ * @param {(key: string, values?: Object) => string} [t] translator for the errors
+ */
+export const migrate = (data, t = translateEn) => {
+  let version = detectVersion(data);
+  if (version === null) {
+    throw new Error(t("library.unknownFormat"));
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new Error(t("library.newerVersion", { version, supported: SCHEMA_VERSION }));
+  }
+  let current = data;
+  while (version < SCHEMA_VERSION) {
+    current = migrations[version](current);
+    version = current.version;
+  }
+  return current;
+};
+
+// ------- Validation -------
+
+const isObject = (value) => value !== null && typeof value === "object";
+
+/**
+ * Checks one scenario against the current schema.
+ * @param {(key: string, values?: Object) => string} [t] translator for the problems
+ * @returns {string[]} problems found, empty when valid
+ */
+export const validateScenario = (scenario, t = translateEn) => {
+  const errors = [];
+  if (!isObject(scenario)) return [t("library.entry.notObject")];
+  if (typeof scenario.name !== "string" || !scenario.name.trim()) {
+    errors.push(t("library.entry.nameMissing"));
+  }
+  if (!isObject(scenario.inputs)) {
+    errors.push(t("library.entry.inputsMissing"));
+  } else {
+    INPUT_FIELDS.forEach((field) => {
+      const value = scenario.inputs[field];
+      if (value !== undefined && typeof value !== "string" && typeof value !== "number") {
+        errors.push(t("library.entry.inputType", { field }));
+      }
+    });
+  }
+  if (!isObject(scenario.result)) {
+    errors.push(t("library.entry.resultMissing"));
+  } else if (typeof scenario.result.total_cost !== "number") {
+    errors.push(t("library.entry.totalCostType"));
+  }
+  return errors;
+};
+
+// Form fields added after a scenario was saved come back blank; they take
+// the form default so the loaded scenario is valid and can be run again.
+const normaliseScenario = (scenario) => {
+  const now = new Date().toISOString();
+  const inputs = withFormDefaults(scenario.inputs, INPUT_FIELDS);
+  return {
+    id: Number.isFinite(scenario.id) ? scenario.id : createScenarioId(),
+    name: scenario.name.trim(),
+    createdAt: scenario.createdAt || now,
+    updatedAt: scenario.updatedAt || now,
+    inputs,
+    request: isObject(scenario.request) ? scenario.request : buildScenarioRequest(inputs),
+    result: scenario.result,
+  };
+};
+
+/**
+ * Parses and migrates a stored or imported document.
+ * Invalid entries are dropped and reported rather than failing the whole file.
+ * @param {unknown} data
+ * @param {(key: string, values?: Object) => string} [t] translator for the errors
+ * @returns {{ scenarios: SavedScenario[], errors: string[] }}
+ */
+export const parseScenarioDocument = (data, t = translateEn) => {
+  const migrated = migrate(data, t);
+  if (!Array.isArray(migrated.scenarios)) {
+    throw new Error(t("library.noList"));
+  }
+  const scenarios = [];
+  const errors = [];
+  migrated.scenarios.forEach((entry, i) => {
+    const problems = validateScenario(entry, t);
+    if (problems.length) {
+      const label = isObject(entry) && entry.name ? `"${entry.name}"` : `#${i + 1}`;
+      errors.push(t("library.entryError", { label, problems: problems.join(", ") }));
+      return;
+    }
+    scenarios.push(normaliseScenario(entry));
+  });
+  return { scenarios, errors };
+};
+
+export const serialiseScenarios = (scenarios) =>
+  JSON.stringify({ version: SCHEMA_VERSION, scenarios }, null, 2);
+
+// ------- localStorage -------
+
+const getStorage = () => {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    // Access can throw when storage is disabled (e.g. some private modes).
+    return null;
+  }
+};
+
+export const loadScenarios = () => {
+  const storage = getStorage();
+  if (!storage) return [];
+  const raw = storage.getItem(STORAGE_KEY);
+  if (!raw) return [];
+  try {
+    const { scenarios, errors } = parseScenarioDocument(JSON.parse(raw));
+    if (errors.length) console.warn("Dropped invalid saved scenarios:", errors);
+    return scenarios;
+  } catch (err) {
+    console.error("Could not read saved scenarios", err);
+    return [];
+  }
+};
+
+export const storeScenarios = (scenarios) => {
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    storage.setItem(STORAGE_KEY, serialiseScenarios(scenarios));
+  } catch (err) {
+    console.error("Could not store scenarios", err);
+  }
+};
+
+// ------- JSON file import/export -------
+
+export const exportScenariosFile = (scenarios, filename = "scenarios.json") => {
+  const blob = new Blob([serialiseScenarios(scenarios)], { type: "application/json" });
+  downloadBlob(blob, filename);
+};
+
+/**
+ * Reads an exported JSON file and returns the scenarios it contains, with
+ * fresh ids so they never collide with ones already in the library.
+ * @param {File} file
+ * @param {(key: string, values?: Object) => string} [t] translator for the errors
+ */
+export const importScenariosFile = async (file, t = translateEn) => {
+  const text = await file.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t("library.invalidJson", { file: file.name }));
+  }
+  const { scenarios, errors } = parseScenarioDocument(data, t);
+  return {
+    scenarios: scenarios.map((s) => ({ ...s, id: createScenarioId() })),
+    errors,
+  };
+};
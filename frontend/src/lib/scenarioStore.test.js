@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import {
+  SCHEMA_VERSION,
+  migrate,
+  parseScenarioDocument,
+  serialiseScenarios,
+} from "./scenarioStore.js";
+import { INITIAL_FORM_VALUES, validateScenarioForm } from "./scenarioForm.js";
+import { createTranslator } from "./i18n.js";
+
+const result = { total_cost: 1234 };
+
+describe("scenarioStore", () => {
+  it("migrates the original bare array to the current envelope", () => {
+    const migrated = migrate([{ id: 1, name: "Old", demand: 500, leadTime: 2, cost: 10, result }]);
+    expect(migrated.version).toBe(SCHEMA_VERSION);
+    expect(migrated.scenarios[0].inputs.demand).toBe(500);
+  });
+
+  it("rejects files from a newer schema", () => {
+    expect(() => migrate({ version: SCHEMA_VERSION + 1, scenarios: [] })).toThrow(/newer/);
+  });
+
+  it("fills fields added since a scenario was saved with the form defaults", () => {
+    const { scenarios } = parseScenarioDocument({
+      version: 2,
+      scenarios: [
+        {
+          id: 1,
+          name: "Before policies",
+          inputs: {
+            demand: "500",
+            leadTime: "2",
+            cost: "10",
+            orderingCost: "50",
+            holdingCost: "2",
+            policy: "",
+          },
+          result,
+        },
+      ],
+    });
+    const { inputs } = scenarios[0];
+    expect(inputs.policy).toBe(INITIAL_FORM_VALUES.policy);
+    expect(inputs.serviceDefinition).toBe(INITIAL_FORM_VALUES.serviceDefinition);
+    expect(inputs.orderQuantity).toBe("");
+    expect(inputs.demand).toBe("500");
+    expect(validateScenarioForm({ ...inputs, scenarioName: "" })).toEqual({});
+  });
+
+  it("gives a migrated v1 scenario a runnable form", () => {
+    const { scenarios } = parseScenarioDocument([
+      { id: 1, name: "Old", demand: 500, leadTime: 2, cost: 10, result },
+    ]);
+    const { inputs } = scenarios[0];
+    expect(inputs.policy).toBe("continuous");
+    expect(validateScenarioForm({ ...inputs, orderingCost: "50", holdingCost: "2" })).toEqual({});
+  });
+
+  it("drops invalid entries and reports them", () => {
+    const { scenarios, errors } = parseScenarioDocument({
+      version: 2,
+      scenarios: [{ name: "", inputs: {}, result }, { id: 2, name: "Ok", inputs: {}, result }],
+    });
+    expect(scenarios.map((s) => s.name)).toEqual(["Ok"]);
+    expect(errors).toHaveLength(1);
+  });
+
+  it("reports problems in the given language", () => {
+    const ta = createTranslator("ta");
+    const { errors } = parseScenarioDocument({ version: 2, scenarios: [{ inputs: {}, result }] }, ta);
+    expect(errors).toEqual([
+      ta("library.entryError", { label: "#1", problems: ta("library.entry.nameMissing") }),
+    ]);
+    expect(() => migrate({ scenarios: [] }, ta)).toThrow(ta("library.unknownFormat"));
+  });
+
+  it("round-trips through the JSON envelope", () => {
+    const { scenarios } = parseScenarioDocument({
+      version: 2,
+      scenarios: [{ id: 7, name: "Kept", inputs: { demand: "20" }, result }],
+    });
+    const again = parseScenarioDocument(JSON.parse(serialiseScenarios(scenarios)));
+    expect(again.scenarios).toEqual(scenarios);
+  });
+});
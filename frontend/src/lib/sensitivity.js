@@ -0,0 +1,72 @@
+import { ANALYSIS_INPUTS } from "./analysisInputs.js";
+
+// ------- One-at-a-time sensitivity analysis -------
+// Each input is moved down and up by a percentage while the others stay at
+// their current values. All runs share one seed (common random numbers), so
+// the differences come from the input change and not from sampling noise.
+// Metrics are named by their `metric.<key>` messages.
+
+export const SENSITIVITY_METRICS = [
+  { key: "total_cost", currency: true },
+  { key: "stockout_probability", percent: true },
+  { key: "fill_rate", percent: true },
+  { key: "average_on_hand" },
+  { key: "safety_stock" },
+  { key: "reorder_point" },
+  { key: "eoq" },
+];
+
+const shiftNumber = (input, value, factor) => {
+  // toPrecision drops float noise such as 55.00000000000001
+  let n = input.shortfall
+    ? Number((1 - (1 - Number(value)) * (2 - factor)).toPrecision(12))
+    : Number((Number(value) * factor).toPrecision(12));
+  if (input.integer) n = Math.round(n);
+  if (input.min !== undefined) n = Math.max(n, input.min);
+  if (input.max !== undefined) n = Math.min(n, input.max);
+  return String(n);
+};
+
+/**
+ * Builds the low/high variation of every input.
+ * @param {Record<string, string>} inputs form values
+ * @param {number} pct e.g. 10 for ±10%
+ * @returns {{ field: string, lowValue: string, highValue: string, low: Object, high: Object }[]}
+ */
+export const buildVariations = (inputs, pct) =>
+  ANALYSIS_INPUTS.map((input) => {
+    const value = inputs[input.field];
+    const low = shiftNumber(input, value, 1 - pct / 100);
+    const high = shiftNumber(input, value, 1 + pct / 100);
+    return {
+      field: input.field,
+      lowValue: low,
+      highValue: high,
+      low: { ...inputs, [input.field]: low },
+      high: { ...inputs, [input.field]: high },
+    };
+  });
+
+/**
+ * Turns run results into tornado rows, widest swing first.
+ * @param {Object} baseResult
+ * @param {{ field: string, lowValue: string, highValue: string, lowResult: Object, highResult: Object }[]} runs
+ * @param {string} metricKey
+ */
+export const buildTornadoRows = (baseResult, runs, metricKey) => {
+  const base = baseResult?.[metricKey] ?? 0;
+  return runs
+    .map((run) => {
+      const lowDelta = (run.lowResult?.[metricKey] ?? base) - base;
+      const highDelta = (run.highResult?.[metricKey] ?? base) - base;
+      return {
+        field: run.field,
+        lowValue: run.lowValue,
+        highValue: run.highValue,
+        lowDelta,
+        highDelta,
+        swing: Math.abs(highDelta - lowDelta),
+      };
+    })
+    .sort((a, b) => b.swing - a.swing);
+};
@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { buildTornadoRows, buildVariations } from "./sensitivity.js";
+
+const inputs = {
+  demand: "95",
+  leadTime: "1",
+  cost: "25",
+  orderingCost: "50",
+  holdingCost: "2",
+  demandStd: "10",
+  serviceLevel: "0.95",
+};
+
+const variationOf = (variations, field) => variations.find((v) => v.field === field);
+
+describe("buildVariations", () => {
+  it("moves one input at a time and leaves the others as entered", () => {
+    const cost = variationOf(buildVariations(inputs, 10), "cost");
+    expect(cost.low).toEqual({ ...inputs, cost: "22.5" });
+    expect(cost.high).toEqual({ ...inputs, cost: "27.5" });
+  });
+
+  it("rounds whole-number inputs and keeps them at their minimum", () => {
+    const variations = buildVariations(inputs, 10);
+    expect(variationOf(variations, "demand")).toMatchObject({ lowValue: "86", highValue: "105" });
+    expect(variationOf(variations, "leadTime")).toMatchObject({ lowValue: "1", highValue: "1" });
+  });
+
+  it("varies the service target's shortfall so it stays below 100%", () => {
+    const service = variationOf(buildVariations(inputs, 10), "serviceLevel");
+    expect(service).toMatchObject({ lowValue: "0.945", highValue: "0.955" });
+    const extreme = variationOf(
+      buildVariations({ ...inputs, serviceLevel: "0.9999" }, 50),
+      "serviceLevel"
+    );
+    expect(Number(extreme.highValue)).toBeLessThan(1);
+  });
+});
+
+describe("buildTornadoRows", () => {
+  it("sorts inputs by the swing they cause in the chosen metric", () => {
+    const run = (field, low, high) => ({
+      field,
+      lowValue: "",
+      highValue: "",
+      lowResult: low === null ? null : { total_cost: low },
+      highResult: high === null ? null : { total_cost: high },
+    });
+    const runs = [run("cost", 950, 1050), run("demand", 800, 1300), run("leadTime", null, null)];
+    const rows = buildTornadoRows({ total_cost: 1000 }, runs, "total_cost");
+    expect(rows.map((r) => r.field)).toEqual(["demand", "cost", "leadTime"]);
+    expect(rows[0]).toMatchObject({ lowDelta: -200, highDelta: 300, swing: 500 });
+    // a missing run counts as no change
+    expect(rows[2]).toMatchObject({ lowDelta: 0, highDelta: 0 });
+  });
+});
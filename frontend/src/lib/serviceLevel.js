@@ -0,0 +1,134 @@
+import { DEFAULT_FORMATTERS, translateEn } from "./i18n.js";
+
+// ------- Service level -> safety factor -------
+// JavaScript port of backend/service_level.py, used by the browser engine;
+// keep the two in step.
+//   cycle (alpha): chance of no stockout per replenishment cycle,
+//     z = inverse normal CDF of the target.
+//   fill_rate (beta): share of demand met from stock, solved from
+//     sigma * G(z) = (1 - beta) * cycle demand with the normal loss function G.
+
+export const SERVICE_DEFINITIONS = [
+  { value: "cycle", label: "Cycle service (α)" },
+  { value: "fill_rate", label: "Fill rate (β)" },
+];
+
+export const MIN_SERVICE_TARGET = 0.5;
+export const MAX_SERVICE_TARGET = 0.9999;
+
+// Bisection bracket for the fill-rate z. G(0) is the largest shortage a
+// non-negative safety stock can give, and G(8) is ~1e-16.
+const Z_UPPER = 8;
+const BISECTION_STEPS = 60;
+
+// Numerical Recipes' Chebyshev erfc, relative error below 1.2e-7 (JavaScript
+// has no Math.erfc).
+const erfc = (x) => {
+  const z = Math.abs(x);
+  const t = 1 / (1 + z / 2);
+  const r =
+    t *
+    Math.exp(
+      -z * z -
+        1.26551223 +
+        t *
+          (1.00002368 +
+            t *
+              (0.37409196 +
+                t *
+                  (0.09678418 +
+                    t *
+                      (-0.18628806 +
+                        t *
+                          (0.27886807 +
+                            t *
+                              (-1.13520398 +
+                                t * (1.48851587 + t * (-0.82215223 + t * 0.17087277))))))))
+    );
+  return x >= 0 ? r : 2 - r;
+};
+
+export const normalCdf = (z) => 0.5 * erfc(-z / Math.SQRT2);
+
+export const normalPdf = (z) => Math.exp((-z * z) / 2) / Math.sqrt(2 * Math.PI);
+
+/** Standard normal loss function G(z) = E[max(X - z, 0)]. */
+export const normalLoss = (z) => normalPdf(z) - z * (1 - normalCdf(z));
+
+// Acklam's rational approximation, relative error below 1.2e-9.
+const A = [
+  -3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.38357751867269e2,
+  -3.066479806614716e1, 2.506628277459239,
+];
+const B = [
+  -5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1,
+  -1.328068155288572e1,
+];
+const C = [
+  -7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734,
+  4.374664141464968, 2.938163982698783,
+];
+const D = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+const P_LOW = 0.02425;
+
+/** z such that normalCdf(z) === p, for 0 < p < 1. */
+export const inverseNormalCdf = (p) => {
+  if (p < P_LOW) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (
+      (((((C[0] * q + C[1]) * q + C[2]) * q + C[3]) * q + C[4]) * q + C[5]) /
+      ((((D[0] * q + D[1]) * q + D[2]) * q + D[3]) * q + 1)
+    );
+  }
+  if (p > 1 - P_LOW) return -inverseNormalCdf(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return (
+    ((((((A[0] * r + A[1]) * r + A[2]) * r + A[3]) * r + A[4]) * r + A[5]) * q) /
+    (((((B[0] * r + B[1]) * r + B[2]) * r + B[3]) * r + B[4]) * r + 1)
+  );
+};
+
+/**
+ * z for the service target. `cycleDemand` (demand between two orders) and
+ * `protectionStd` (std dev over the protection interval) only matter for the
+ * fill rate, whose z is never negative: when the order quantity alone meets
+ * the target, no safety stock is held.
+ * @param {number} target
+ * @param {"cycle" | "fill_rate"} [definition]
+ * @param {number} [cycleDemand]
+ * @param {number} [protectionStd]
+ */
+export const safetyFactor = (target, definition = "cycle", cycleDemand = 0, protectionStd = 0) => {
+  if (definition === "cycle") return inverseNormalCdf(target);
+  if (protectionStd <= 0) return 0;
+  const loss = ((1 - target) * cycleDemand) / protectionStd;
+  if (loss >= normalLoss(0)) return 0;
+  let lo = 0;
+  let hi = Z_UPPER;
+  for (let i = 0; i < BISECTION_STEPS; i++) {
+    const mid = (lo + hi) / 2;
+    // G(z) falls as z rises
+    if (normalLoss(mid) > loss) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+/**
+ * "95% cycle service (z = 1.645)"; older results only carry the target.
+ * @param {(key: string, values?: Object) => string} [t] translator
+ * @param {{ number: Function }} [fmt] formatters for the target and z
+ */
+export const describeServiceTarget = (result, t = translateEn, fmt = DEFAULT_FORMATTERS) => {
+  if (typeof result?.z !== "number") return null;
+  const definition = result.service_definition === "fill_rate" ? "fill_rate" : "cycle";
+  // up to four decimals, e.g. 99.99%, without trailing zeros
+  const pct = Number((result.service_target * 100).toPrecision(6));
+  const decimals = Math.min(4, (String(pct).split(".")[1] ?? "").length);
+  return t("serviceTarget.describe", {
+    target: `${fmt.number(pct, decimals)}%`,
+    definition: t(`serviceTarget.${definition}`),
+    z: fmt.number(result.z, 3),
+  });
+};
@@ -0,0 +1,174 @@
+import { translateEn } from "./i18n.js";
+import { parseHistoryValue } from "./forecasting.js";
+import { INITIAL_FORM_VALUES, withFormDefaults } from "./scenarioForm.js";
+
+// ------- Shareable scenario links -------
+// A scenario travels in the URL hash so links work on the static GitHub Pages
+// build (any `base` path, no server routing) and never reach a server log.
+//   #s=<token>     open the inputs in the editor
+//   #view=<token>  show a saved scenario read-only
+// The token is "z." + base64url of the deflated JSON { v, name, inputs,
+// result? }; inputs equal to the form defaults are left out to keep links
+// short, and blank inputs mean the default on both ends, so links from
+// scenarios saved before a field existed still open as a valid form.
+// Read-only links also carry the saved result, so the recipient sees exactly
+// what was shared; its fitted demand history is the demandHistory input, so
+// that copy is left out and restored on opening. Version 1 links were plain
+// base64url JSON and still open.
+
+export const SHARE_LINK_VERSION = 2;
+
+const COMPRESSED_PREFIX = "z.";
+
+const HASH_KEYS = { edit: "s", view: "view" };
+
+// every form value except the name, which travels separately
+const SHAREABLE_FIELDS = Object.keys(INITIAL_FORM_VALUES).filter((f) => f !== "scenarioName");
+
+const toBase64Url = (bytes) => {
+  let binary = "";
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (token) => {
+  const base64 = token.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+};
+
+// Runs bytes through a CompressionStream or DecompressionStream.
+const transformBytes = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Response(bytes).body.pipeThrough(stream)).arrayBuffer());
+
+// Results are simulated floats; four decimals are plenty to redraw them.
+const compactNumber = (_key, value) =>
+  typeof value === "number" && !Number.isInteger(value) ? Number(value.toFixed(4)) : value;
+
+const withoutHistory = (result) =>
+  result.forecast_fit
+    ? { ...result, forecast_fit: { ...result.forecast_fit, history: undefined } }
+    : result;
+
+/**
+ * @param {{ name?: string, inputs: Record<string, string>, result?: Object }} scenario
+ * @returns {Promise<string>} URL-safe token
+ */
+export const encodeSharedScenario = async ({ name = "", inputs, result }) => {
+  const filled = withFormDefaults(inputs, SHAREABLE_FIELDS);
+  const changed = Object.fromEntries(
+    SHAREABLE_FIELDS.filter((f) => filled[f] !== INITIAL_FORM_VALUES[f]).map((f) => [f, filled[f]])
+  );
+  const data = {
+    v: SHARE_LINK_VERSION,
+    name,
+    inputs: changed,
+    ...(result && { result: withoutHistory(result) }),
+  };
+  const json = new TextEncoder().encode(JSON.stringify(data, compactNumber));
+  const deflated = await transformBytes(json, new CompressionStream("deflate-raw"));
+  return COMPRESSED_PREFIX + toBase64Url(deflated);
+};
+
+const readToken = async (token) => {
+  const bytes = token.startsWith(COMPRESSED_PREFIX)
+    ? await transformBytes(
+        fromBase64Url(token.slice(COMPRESSED_PREFIX.length)),
+        new DecompressionStream("deflate-raw")
+      )
+    : fromBase64Url(token);
+  return JSON.parse(new TextDecoder().decode(bytes));
+};
+
+const withHistory = (result, inputs) =>
+  result.forecast_fit && !result.forecast_fit.history
+    ? {
+        ...result,
+        forecast_fit: { ...result.forecast_fit, history: parseHistoryValue(inputs.demandHistory) },
+      }
+    : result;
+
+/**
+ * Token -> full form values (defaults filled in) and the shared result, if
+ * any. Unknown fields are dropped; values are not validated here, the form
+ * does that once they are loaded.
+ * @param {string} token
+ * @param {(key: string, values?: Object) => string} [t] translator for the errors
+ * @returns {Promise<{ name: string, inputs: Record<string, string>, result: Object | null }>}
+ * @throws {Error} when the token is not a scenario link
+ */
+export const decodeSharedScenario = async (token, t = translateEn) => {
+  let data;
+  try {
+    data = await readToken(token);
+  } catch {
+    throw new Error(t("share.damaged"));
+  }
+  if (!data || typeof data !== "object" || typeof data.inputs !== "object") {
+    throw new Error(t("share.noScenario"));
+  }
+  if (data.v > SHARE_LINK_VERSION) {
+    throw new Error(t("share.newerVersion"));
+  }
+  const inputs = withFormDefaults(data.inputs, SHAREABLE_FIELDS);
+  return {
+    name: typeof data.name === "string" ? data.name : "",
+    inputs,
+    result: data.result && typeof data.result === "object" ? withHistory(data.result, inputs) : null,
+  };
+};
+
+/**
+ * Absolute link to the app root (Vite's base path) with the scenario in the hash.
+ * @param {{ name?: string, inputs: Record<string, string>, result?: Object }} scenario
+ *   the result is only sent with read-only links
+ * @param {{ readOnly?: boolean }} [options]
+ * @returns {Promise<string>}
+ */
+export const buildShareUrl = async (scenario, { readOnly = false } = {}) => {
+  const url = new URL(import.meta.env.BASE_URL, window.location.origin);
+  const token = await encodeSharedScenario(readOnly ? scenario : { ...scenario, result: undefined });
+  url.hash = `${readOnly ? HASH_KEYS.view : HASH_KEYS.edit}=${token}`;
+  return url.toString();
+};
+
+/**
+ * Reads a scenario link from `location.hash`.
+ * @param {string} hash
+ * @param {(key: string, values?: Object) => string} [t] translator for the error
+ * @returns {Promise<null | { mode: "edit" | "view", token: string, name: string,
+ *   inputs: Record<string, string>, result: Object | null }
+ *   | { mode: "edit" | "view", error: string }>}
+ */
+export const readShareHash = async (hash, t = translateEn) => {
+  const params = new URLSearchParams(String(hash ?? "").replace(/^#/, ""));
+  const mode = Object.keys(HASH_KEYS).find((m) => params.has(HASH_KEYS[m]));
+  if (!mode) return null;
+  const token = params.get(HASH_KEYS[mode]);
+  try {
+    return { mode, token, ...(await decodeSharedScenario(token, t)) };
+  } catch (err) {
+    return { mode, error: err.message };
+  }
+};
+
+/** Drops the scenario from the address bar so a reload starts fresh. */
+export const clearShareHash = () => {
+  window.history.replaceState(null, "", window.location.pathname + window.location.search);
+};
+
+/**
+ * Copies with the Clipboard API, falling back to a prompt the user can copy from.
+ * @param {(key: string, values?: Object) => string} [t] translator for the prompt
+ */
+export const copyText = async (text, t = translateEn) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    window.prompt(t("share.copyPrompt"), text);
+    return false;
+  }
+};
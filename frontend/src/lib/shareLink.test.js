@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import { buildShareUrl, decodeSharedScenario, encodeSharedScenario, readShareHash } from "./shareLink.js";
+import { INITIAL_FORM_VALUES, validateScenarioForm } from "./scenarioForm.js";
+import { createTranslator } from "./i18n.js";
+import { buildScenarioRequest } from "./scenarioRequest.js";
+import { simulateScenario } from "./simulation.js";
+
+const inputs = {
+  ...INITIAL_FORM_VALUES,
+  demand: "120",
+  leadTime: "4",
+  cost: "25",
+  orderingCost: "50",
+  holdingCost: "2",
+  seed: "42",
+};
+const { scenarioName: _name, ...expectedInputs } = inputs;
+
+describe("shareLink", () => {
+  it("round-trips a scenario", async () => {
+    const token = await encodeSharedScenario({ name: "Größe ✓", inputs });
+    expect(token).toMatch(/^z\.[A-Za-z0-9_-]+$/);
+    expect(await decodeSharedScenario(token)).toEqual({
+      name: "Größe ✓",
+      inputs: expectedInputs,
+      result: null,
+    });
+  });
+
+  it("leaves defaults out of the token", async () => {
+    const short = await encodeSharedScenario({ inputs: { demand: "1" } });
+    const long = await encodeSharedScenario({ inputs: { demand: "1", policy: "periodic" } });
+    expect(short.length).toBeLessThan(long.length);
+  });
+
+  it("shares an older scenario's blank fields as their defaults", async () => {
+    const older = { ...inputs, serviceLevel: "", policy: "", periodsPerYear: undefined };
+    const { inputs: decoded } = await decodeSharedScenario(
+      await encodeSharedScenario({ inputs: older })
+    );
+    expect(decoded.serviceLevel).toBe(INITIAL_FORM_VALUES.serviceLevel);
+    expect(decoded.policy).toBe(INITIAL_FORM_VALUES.policy);
+    expect(validateScenarioForm({ ...decoded, scenarioName: "" })).toEqual({});
+  });
+
+  it("fills blank fields of uncompressed version 1 links", async () => {
+    const legacy = btoa(JSON.stringify({ v: 1, name: "", inputs: { ...inputs, policy: "" } }));
+    expect((await decodeSharedScenario(legacy)).inputs.policy).toBe(INITIAL_FORM_VALUES.policy);
+  });
+
+  it("sends the result with read-only links only", async () => {
+    const result = { total_cost: 1234.567891, inventory_avg: [10.123456, 9] };
+    const view = await readShareHash(
+      new URL(await buildShareUrl({ inputs, result }, { readOnly: true })).hash
+    );
+    expect(view.mode).toBe("view");
+    expect(view.result).toEqual({ total_cost: 1234.5679, inventory_avg: [10.1235, 9] });
+
+    const edit = await readShareHash(new URL(await buildShareUrl({ inputs, result })).hash);
+    expect(edit.mode).toBe("edit");
+    expect(edit.result).toBeNull();
+  });
+
+  it("compresses read-only links and restores the fitted history from the inputs", async () => {
+    const history = Array.from({ length: 104 }, (_, i) => 100 + ((i * 7) % 13));
+    const withHistory = { ...inputs, horizon: "52", demandHistory: history.join(",") };
+    const result = simulateScenario(buildScenarioRequest(withHistory));
+    const plain = btoa(JSON.stringify({ v: 1, inputs: withHistory, result }));
+
+    const token = await encodeSharedScenario({ inputs: withHistory, result });
+    expect(token.length).toBeLessThan(plain.length / 2);
+    const shared = await decodeSharedScenario(token);
+    expect(shared.result.forecast_fit.history).toEqual(history);
+    expect(shared.result.inventory_avg).toHaveLength(52);
+  });
+
+  it("reports damaged and newer links", async () => {
+    expect((await readShareHash("#view=%%%")).error).toMatch(/damaged/);
+    expect((await readShareHash("#view=z.AAAA")).error).toMatch(/damaged/);
+    const newer = btoa(JSON.stringify({ v: 99, inputs: {} }));
+    await expect(decodeSharedScenario(newer)).rejects.toThrow(/newer/);
+    expect(await readShareHash("#other=1")).toBeNull();
+  });
+
+  it("reports link errors in the reader's language", async () => {
+    const hi = createTranslator("hi");
+    expect((await readShareHash("#view=%%%", hi)).error).toBe(hi("share.damaged"));
+  });
+});
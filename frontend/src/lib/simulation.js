@@ -0,0 +1,279 @@
+import { createGaussian, createRng, randomSeed } from "./random.js";
+import { fitForecast } from "./forecasting.js";
+import { createDemandSampler, demandSd } from "./distributions.js";
+import { safetyFactor } from "./serviceLevel.js";
+import { bestTier, evaluateTiers, priceTiers, unitCostFor } from "./pricing.js";
+
+// ------- Browser simulation engine -------
+// JavaScript port of POST /scenario/run in backend/main.py. Keep the two in
+// step: the dashboard falls back to this when the backend is unreachable and
+// the results must mean the same thing.
+
+const SERVICE_MAP = {
+  optimistic: 0.98,
+  base: 0.95,
+  pessimistic: 0.9,
+};
+
+// Orders are at least one unit, so a forecast that averages no demand still
+// gives the replenishment policies a lot size to order in.
+const MIN_ORDER_QUANTITY = 1;
+
+const round = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * @param {import("./scenarioRequest.js").ScenarioRequest} scenario
+ * @returns {Object} same shape as the backend response
+ */
+export const simulateScenario = (scenario) => {
+  const horizon = scenario.horizon ?? 12;
+  const numRuns = scenario.num_runs ?? 300;
+  // pick a seed when none is given so every result can be reproduced
+  const seed = scenario.seed ?? randomSeed();
+  const scenarioType = String(scenario.scenario_type || "base").toLowerCase();
+  const rng = createRng(seed);
+  const gauss = createGaussian(rng);
+
+  // --- Basic metrics ---
+  const expectedDelay = scenario.lead_time * 0.5;
+  const serviceLevel = SERVICE_MAP[scenarioType] ?? 0.95;
+
+  // --- Demand forecast ---
+  let forecastFit = null;
+  let demandStd = scenario.demand_std;
+  let forecast = [];
+  if (scenario.demand_history?.length) {
+    forecastFit = fitForecast(
+      scenario.demand_history,
+      scenario.forecast_method ?? "ses",
+      horizon,
+      scenario.season_length ?? 12
+    );
+    forecast = forecastFit.forecast.map((v) => round(v, 2));
+    demandStd = forecastFit.residualStd;
+  } else {
+    // simple trend picked by scenario type
+    let growth = scenarioType === "optimistic" ? 0.02 : 0.0;
+    if (scenarioType === "pessimistic") growth = -0.02;
+
+    for (let t = 0; t < horizon; t++) {
+      forecast.push(round(scenario.demand * (1 + growth * t), 2));
+    }
+  }
+
+  // --- Safety stock & reorder point ---
+  // demand is per period; with a fitted forecast, plan on its average
+  const planDemand = forecastFit
+    ? forecast.reduce((sum, v) => sum + v, 0) / horizon
+    : scenario.demand;
+  const leadTime = scenario.lead_time;
+  const leadTimeStd = scenario.lead_time_std ?? 0;
+  const policy = scenario.policy ?? "continuous";
+  const reviewPeriod = policy === "periodic" ? (scenario.review_period ?? 1) : 1;
+  const periodsPerYear = scenario.periods_per_year ?? 12;
+  const annualDemand = planDemand * periodsPerYear;
+
+  // --- EOQ ---
+  // on the demand being planned for, so a fitted forecast sizes orders too
+  const eoq = Math.max(
+    Math.sqrt((2 * planDemand * scenario.ordering_cost) / Math.max(scenario.holding_cost, 0.0001)),
+    MIN_ORDER_QUANTITY
+  );
+
+  // Price breaks: cost each tier at its best quantity. Periodic review orders
+  // one review period of demand, so it only takes the price for that size.
+  const priceBreaks = scenario.price_breaks ?? null;
+  const tiers = priceTiers(scenario.cost, priceBreaks);
+  const tierRows =
+    priceBreaks?.length && policy !== "periodic"
+      ? evaluateTiers(
+          tiers,
+          eoq,
+          annualDemand,
+          scenario.ordering_cost,
+          scenario.holding_cost * periodsPerYear
+        )
+      : null;
+  let orderQuantity = eoq;
+  if (scenario.order_quantity !== null && scenario.order_quantity !== undefined) {
+    orderQuantity = scenario.order_quantity;
+  } else if (tierRows) {
+    orderQuantity = bestTier(tierRows).order_quantity;
+  }
+
+  // Safety stock covers demand over the protection interval (lead time, plus
+  // the review period for periodic review), including lead time variability.
+  const distribution = scenario.demand_distribution ?? "normal";
+  const dispersion = scenario.dispersion ?? 1;
+  const periodStd = demandSd(distribution, planDemand, demandStd, dispersion);
+  const protection = leadTime + (policy === "periodic" ? reviewPeriod : 0);
+  const protectionStd = Math.sqrt(
+    protection * periodStd ** 2 + (planDemand * leadTimeStd) ** 2
+  );
+  // the fill rate is measured per cycle: one order quantity, or one review
+  // period of demand under periodic review
+  const serviceDefinition = scenario.service_definition ?? "cycle";
+  const cycleDemand = policy === "periodic" ? planDemand * reviewPeriod : orderQuantity;
+  const unitCost = unitCostFor(tiers, cycleDemand);
+  const z = safetyFactor(scenario.service_target, serviceDefinition, cycleDemand, protectionStd);
+  const safetyStock = z * protectionStd * (scenario.safety_stock_multiplier ?? 1);
+  const reorderPoint = planDemand * leadTime + safetyStock;
+  let orderUpTo = null;
+  if (policy === "periodic") orderUpTo = planDemand * protection + safetyStock;
+  else if (policy === "min_max") orderUpTo = reorderPoint + orderQuantity;
+
+  // --- Monte-Carlo inventory simulation ---
+  const residuals = forecastFit
+    ? forecastFit.fitted
+        .map((f, t) => (f === null ? null : scenario.demand_history[t] - f))
+        .filter((e) => e !== null)
+    : null;
+  const sampleDemand = createDemandSampler(
+    rng,
+    gauss,
+    distribution,
+    demandStd,
+    dispersion,
+    residuals
+  );
+  const sumLevels = new Array(horizon).fill(0);
+  const minLevels = new Array(horizon).fill(Infinity);
+  const maxLevels = new Array(horizon).fill(-Infinity);
+  let stockoutEvents = 0;
+  const totalPoints = numRuns * horizon;
+  let totalDemand = 0;
+  let totalFilled = 0;
+  let ordersPlaced = 0;
+
+  // continuous review orders in lots of orderQuantity
+  if (!(orderQuantity > 0)) throw new RangeError("the order quantity must be positive");
+
+  // start each run with a full cycle of stock on hand
+  const startingInventory = orderUpTo ?? reorderPoint + orderQuantity;
+
+  for (let run = 0; run < numRuns; run++) {
+    let inv = startingInventory;
+    let pipeline = []; // outstanding orders as { due, quantity }
+    for (let t = 0; t < horizon; t++) {
+      for (const o of pipeline) if (o.due <= t) inv += o.quantity;
+      pipeline = pipeline.filter((o) => o.due > t);
+
+      // a fitted forecast sets the mean demand of each period;
+      // demand that cannot be met from stock is lost
+      const meanDemand = forecastFit ? forecast[t] : scenario.demand;
+      const demandReal = sampleDemand(meanDemand);
+      const filled = Math.min(inv, demandReal);
+      inv -= filled;
+      totalDemand += demandReal;
+      totalFilled += filled;
+      if (demandReal > filled) stockoutEvents += 1;
+
+      // review at the end of the period
+      const position = inv + pipeline.reduce((sum, o) => sum + o.quantity, 0);
+      let order = 0;
+      if (policy === "continuous") {
+        if (position <= reorderPoint) {
+          // the fewest whole lots that lift the position above the reorder point
+          const lots = Math.floor((reorderPoint - position) / orderQuantity) + 1;
+          order = lots * orderQuantity;
+        }
+      } else if (policy === "min_max") {
+        if (position <= reorderPoint) order = orderUpTo - position;
+      } else if ((t + 1) % reviewPeriod === 0) {
+        order = Math.max(0, orderUpTo - position);
+      }
+      if (order > 0) {
+        let lead = leadTime;
+        if (leadTimeStd > 0) lead = Math.max(1, Math.round(gauss(leadTime, leadTimeStd)));
+        pipeline.push({ due: t + lead, quantity: order });
+        ordersPlaced += 1;
+      }
+
+      sumLevels[t] += inv;
+      if (inv < minLevels[t]) minLevels[t] = inv;
+      if (inv > maxLevels[t]) maxLevels[t] = inv;
+    }
+  }
+
+  const stockoutProbability = stockoutEvents / Math.max(totalPoints, 1);
+  const fillRate = totalDemand > 0 ? totalFilled / totalDemand : 1;
+  const averageOnHand = sumLevels.reduce((sum, v) => sum + v, 0) / Math.max(totalPoints, 1);
+
+  // --- Annual cost breakdown ---
+  // one order covers cycleDemand, so it also sets the order count and the
+  // cycle stock; the shortage cost uses the simulated lost units.
+  const shortagePenalty = scenario.shortage_penalty ?? 0;
+  const shortPerPeriod = (totalDemand - totalFilled) / Math.max(totalPoints, 1);
+  const costBreakdown = {
+    purchase: annualDemand * unitCost,
+    ordering: cycleDemand > 0 ? (annualDemand / cycleDemand) * scenario.ordering_cost : 0,
+    holding: (cycleDemand / 2 + safetyStock) * scenario.holding_cost * periodsPerYear,
+    shortage: shortPerPeriod * periodsPerYear * shortagePenalty,
+  };
+  const totalCost = Object.values(costBreakdown).reduce((sum, v) => sum + v, 0);
+
+  // --- Risk level for heat bar ---
+  let riskLevel = "high";
+  if (stockoutProbability < 0.1) riskLevel = "low";
+  else if (stockoutProbability < 0.3) riskLevel = "medium";
+
+  return {
+    total_cost: round(totalCost, 2),
+    cost_breakdown: Object.fromEntries(
+      Object.entries(costBreakdown).map(([key, value]) => [key, round(value, 2)])
+    ),
+    annual_demand: round(annualDemand, 2),
+    unit_cost: unitCost,
+    price_tiers:
+      tierRows &&
+      tierRows.map((row) =>
+        Object.fromEntries(
+          Object.entries(row).map(([key, value]) => [
+            key,
+            typeof value === "number" ? round(value, 2) : value,
+          ])
+        )
+      ),
+    periods_per_year: periodsPerYear,
+    shortage_penalty: shortagePenalty,
+    expected_delay: round(expectedDelay, 2),
+    service_level: round(serviceLevel, 3),
+    eoq: round(eoq, 2),
+    order_quantity: round(orderQuantity, 2),
+    demand_distribution: distribution,
+    dispersion: distribution === "negative_binomial" ? dispersion : null,
+    demand_std: round(periodStd, 2),
+    service_target: scenario.service_target,
+    service_definition: serviceDefinition,
+    z: round(z, 3),
+    safety_stock: round(safetyStock, 2),
+    reorder_point: round(reorderPoint, 2),
+    order_up_to: orderUpTo === null ? null : round(orderUpTo, 2),
+    policy,
+    review_period: reviewPeriod,
+    lead_time_std: leadTimeStd,
+    forecast,
+    forecast_fit: forecastFit && {
+      method: forecastFit.method,
+      params: forecastFit.params,
+      history: scenario.demand_history,
+      fitted: forecastFit.fitted.map((v) => (v === null ? null : round(v, 2))),
+      mae: round(forecastFit.mae, 2),
+      mape: forecastFit.mape === null ? null : round(forecastFit.mape, 4),
+    },
+    inventory_avg: sumLevels.map((s) => s / numRuns),
+    inventory_lower: minLevels,
+    inventory_upper: maxLevels,
+    stockout_probability: round(stockoutProbability, 3),
+    fill_rate: round(fillRate, 3),
+    average_on_hand: round(averageOnHand, 2),
+    orders_per_run: round(ordersPlaced / numRuns, 2),
+    risk_level: riskLevel,
+    seed,
+    num_runs: numRuns,
+    horizon,
+  };
+};
@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { simulateScenario } from "./simulation.js";
+import { SCENARIO_DEFAULTS } from "./scenarioRequest.js";
+
+const scenario = {
+  ...SCENARIO_DEFAULTS,
+  demand: 100,
+  lead_time: 2,
+  cost: 10,
+  ordering_cost: 50,
+  holding_cost: 2,
+  demand_std: 15,
+  seed: 7,
+  num_runs: 100,
+};
+
+describe("simulateScenario", () => {
+  it("is reproducible for a seed", () => {
+    expect(simulateScenario(scenario)).toEqual(simulateScenario(scenario));
+  });
+
+  it("orders the EOQ when no order quantity is given", () => {
+    const result = simulateScenario(scenario);
+    expect(result.eoq).toBeCloseTo(Math.sqrt((2 * 100 * 50) / 2), 1);
+    expect(result.order_quantity).toBeCloseTo(result.eoq, 1);
+  });
+
+  it("sizes the EOQ on the fitted forecast, not the entered demand", () => {
+    const result = simulateScenario({
+      ...scenario,
+      demand: 100,
+      demand_history: [20, 22, 18, 21, 19, 20, 20, 21, 19, 20],
+    });
+    const planDemand = result.forecast.reduce((sum, v) => sum + v, 0) / result.forecast.length;
+    expect(planDemand).toBeCloseTo(20, 0);
+    expect(result.eoq).toBeCloseTo(Math.sqrt((2 * planDemand * 50) / 2), 0);
+  });
+
+  it.each([
+    ["a flat zero history", { demand_history: [0, 0, 0, 0] }],
+    ["a falling Holt fit", { demand_history: [300, 200, 100], forecast_method: "holt" }],
+  ])("still orders at least one unit when %s forecasts no demand", (_name, history) => {
+    const result = simulateScenario({ ...scenario, ...history });
+    expect(result.forecast.every((v) => v === 0)).toBe(true);
+    expect(result.order_quantity).toBeGreaterThanOrEqual(1);
+    expect(result.stockout_probability).toBe(0);
+  });
+
+  it("orders enough lots at once however small the order quantity is", () => {
+    const result = simulateScenario({ ...scenario, order_quantity: 0.000001, num_runs: 20 });
+    expect(result.order_quantity).toBe(0);
+    expect(result.orders_per_run).toBeGreaterThan(0);
+  });
+
+  it("reports annual costs that add up to the total", () => {
+    const { cost_breakdown: parts, total_cost: total } = simulateScenario(scenario);
+    const sum = parts.purchase + parts.ordering + parts.holding + parts.shortage;
+    expect(sum).toBeCloseTo(total, 0);
+  });
+});
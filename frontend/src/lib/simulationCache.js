@@ -0,0 +1,98 @@
+import { preferredEngine, simulate } from "./simulationService.js";
+
+// ------- Memoised simulation runs -------
+// Identical seeded requests always give identical results, so analyses that
+// fire many runs (sensitivity, sweeps) reuse earlier answers. Unseeded
+// requests are never cached because they are not repeatable.
+// Results are keyed by the engine that produced them: an "auto" run looks up
+// the engine it would use right now, so browser fallback results stop being
+// served once the backend is reachable again. Callers asking for the same run
+// while it is in flight share it; it is only cancelled once every caller that
+// passed a signal has aborted and no caller without one is waiting.
+
+const MAX_ENTRIES = 500;
+const results = new Map();
+const inFlight = new Map();
+
+// Stable key regardless of property order.
+const keyFor = (scenario, engine) =>
+  JSON.stringify([engine, Object.keys(scenario).sort().map((k) => [k, scenario[k]])]);
+
+const abortReason = (signal) => signal.reason ?? new DOMException("Aborted", "AbortError");
+
+const remember = (key, result) => {
+  results.delete(key);
+  results.set(key, result);
+  if (results.size > MAX_ENTRIES) results.delete(results.keys().next().value);
+};
+
+const startRun = (scenario, engine, key, t) => {
+  const controller = new AbortController();
+  const run = { key, controller, callers: 0 };
+  run.promise = simulate(scenario, { signal: controller.signal, engine, t })
+    .then((result) => {
+      remember(keyFor(scenario, result.engine ?? engine), result);
+      return result;
+    })
+    .finally(() => {
+      if (inFlight.get(key) === run) inFlight.delete(key);
+    });
+  // callers that gave up no longer listen; keep the rejection handled
+  run.promise.catch(() => {});
+  inFlight.set(key, run);
+  return run;
+};
+
+// One caller's view of a shared run: it rejects as soon as that caller's own
+// signal aborts, and the run is cancelled when its last caller leaves.
+const join = (run, signal) => {
+  if (signal?.aborted) return Promise.reject(abortReason(signal));
+  run.callers += 1;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      run.callers -= 1;
+      if (run.callers === 0) {
+        if (inFlight.get(run.key) === run) inFlight.delete(run.key);
+        run.controller.abort();
+      }
+      reject(abortReason(signal));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    run.promise.then(
+      (result) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(result);
+      },
+      (err) => {
+        signal?.removeEventListener("abort", onAbort);
+        reject(err);
+      }
+    );
+  });
+};
+
+/**
+ * Same contract as simulate(); cancelled or failed runs are not cached.
+ * @param {import("./scenarioRequest.js").ScenarioRequest} scenario
+ * @param {{ signal?: AbortSignal, engine?: "auto" | "backend" | "browser",
+ *   t?: (key: string, values?: Object) => string }} [options]
+ */
+export const cachedSimulate = (scenario, { signal, engine = "auto", t } = {}) => {
+  if (scenario.seed === null || scenario.seed === undefined) {
+    return simulate(scenario, { signal, engine, t });
+  }
+  const key = keyFor(scenario, engine === "auto" ? preferredEngine() : engine);
+  if (results.has(key)) {
+    if (signal?.aborted) return Promise.reject(abortReason(signal));
+    const hit = results.get(key);
+    // refresh position so the map stays in least-recently-used order
+    remember(key, hit);
+    return Promise.resolve(hit);
+  }
+  return join(inFlight.get(key) ?? startRun(scenario, engine, key, t), signal);
+};
+
+export const clearSimulationCache = () => {
+  results.clear();
+  inFlight.clear();
+};
@@ -0,0 +1,102 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { preferredEngine, simulate } from "./simulationService.js";
+import { cachedSimulate, clearSimulationCache } from "./simulationCache.js";
+
+vi.mock("./simulationService.js", () => ({
+  preferredEngine: vi.fn(() => "backend"),
+  simulate: vi.fn(),
+}));
+
+const scenario = { demand: 100, seed: 42 };
+
+// A simulate() stand-in that settles when the test says so and records the
+// signal it was given.
+const deferredRun = (engine = "backend") => {
+  const run = {};
+  simulate.mockImplementationOnce((_scenario, { signal }) => {
+    run.signal = signal;
+    return new Promise((resolve, reject) => {
+      run.resolve = () => resolve({ total_cost: 1, engine });
+      signal.addEventListener("abort", () => reject(signal.reason));
+    });
+  });
+  return run;
+};
+
+describe("cachedSimulate", () => {
+  beforeEach(() => {
+    clearSimulationCache();
+    simulate.mockReset();
+    preferredEngine.mockReturnValue("backend");
+  });
+
+  it("runs a seeded request once and reuses the result", async () => {
+    simulate.mockResolvedValue({ total_cost: 1, engine: "backend" });
+    await cachedSimulate(scenario);
+    await cachedSimulate({ seed: 42, demand: 100 });
+    expect(simulate).toHaveBeenCalledTimes(1);
+  });
+
+  it("never caches unseeded requests", async () => {
+    simulate.mockResolvedValue({ total_cost: 1, engine: "backend" });
+    await cachedSimulate({ demand: 100, seed: null });
+    await cachedSimulate({ demand: 100, seed: null });
+    expect(simulate).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps a shared run going for the callers that did not abort", async () => {
+    const run = deferredRun();
+    const first = new AbortController();
+    const firstCall = cachedSimulate(scenario, { signal: first.signal });
+    const secondCall = cachedSimulate(scenario, { signal: new AbortController().signal });
+    expect(simulate).toHaveBeenCalledTimes(1);
+
+    first.abort();
+    await expect(firstCall).rejects.toMatchObject({ name: "AbortError" });
+    expect(run.signal.aborted).toBe(false);
+
+    run.resolve();
+    await expect(secondCall).resolves.toMatchObject({ total_cost: 1 });
+  });
+
+  it("cancels the run once every caller has aborted", async () => {
+    const run = deferredRun();
+    const a = new AbortController();
+    const b = new AbortController();
+    const calls = [
+      cachedSimulate(scenario, { signal: a.signal }),
+      cachedSimulate(scenario, { signal: b.signal }),
+    ];
+    a.abort();
+    b.abort();
+    await Promise.allSettled(calls);
+    expect(run.signal.aborted).toBe(true);
+
+    // the cancelled run is not reused
+    simulate.mockResolvedValue({ total_cost: 2, engine: "backend" });
+    await expect(cachedSimulate(scenario)).resolves.toMatchObject({ total_cost: 2 });
+  });
+
+  it("stores fallback results under the engine that ran them", async () => {
+    simulate.mockResolvedValueOnce({ total_cost: 1, engine: "browser" });
+    await cachedSimulate(scenario);
+
+    // backend still down: the browser result is reused
+    preferredEngine.mockReturnValue("browser");
+    await expect(cachedSimulate(scenario)).resolves.toMatchObject({ engine: "browser" });
+    expect(simulate).toHaveBeenCalledTimes(1);
+
+    // backend back: run it there instead of serving the offline result
+    preferredEngine.mockReturnValue("backend");
+    simulate.mockResolvedValueOnce({ total_cost: 1, engine: "backend" });
+    await expect(cachedSimulate(scenario)).resolves.toMatchObject({ engine: "backend" });
+    expect(simulate).toHaveBeenCalledTimes(2);
+  });
+
+  it("does not cache failed runs", async () => {
+    simulate.mockRejectedValueOnce(new Error("boom"));
+    await expect(cachedSimulate(scenario)).rejects.toThrow("boom");
+    simulate.mockResolvedValueOnce({ total_cost: 3, engine: "backend" });
+    await expect(cachedSimulate(scenario)).resolves.toMatchObject({ total_cost: 3 });
+  });
+});
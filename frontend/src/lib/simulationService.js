@@ -0,0 +1,82 @@
+import { BackendUnavailableError, runScenario } from "./apiClient.js";
+import { runLocalScenario } from "./localEngine.js";
+import { translateEn } from "./i18n.js";
+
+// ------- Simulation entry point -------
+// Tries the FastAPI backend first and falls back to the browser engine when
+// it cannot be reached. Each result is tagged with the `engine` that
+// produced it ("backend" or "browser").
+
+// After a failed attempt, skip the backend for a while so batches of runs
+// don't each wait out the retries.
+const OFFLINE_COOLDOWN_MS = 30000;
+let backendDownUntil = 0;
+
+/** The engine an `engine: "auto"` run tries first right now. */
+export const preferredEngine = () => (Date.now() >= backendDownUntil ? "backend" : "browser");
+
+/**
+ * @param {import("./scenarioRequest.js").ScenarioRequest} scenario
+ * @param {{ signal?: AbortSignal, engine?: "auto" | "backend" | "browser",
+ *   t?: (key: string, values?: Object) => string }} [options] `t` translates the errors
+ * @returns {Promise<Object>} backend-shaped result with `engine` set
+ */
+export const simulate = async (scenario, { signal, engine = "auto", t = translateEn } = {}) => {
+  const useBackend =
+    engine === "backend" || (engine === "auto" && preferredEngine() === "backend");
+
+  if (useBackend) {
+    try {
+      const data = await runScenario(scenario, { signal, t });
+      backendDownUntil = 0;
+      return { ...data, engine: "backend" };
+    } catch (err) {
+      if (engine === "backend" || !(err instanceof BackendUnavailableError)) throw err;
+      console.warn("Backend unreachable, using the browser engine", err);
+      backendDownUntil = Date.now() + OFFLINE_COOLDOWN_MS;
+    }
+  }
+
+  const data = await runLocalScenario(scenario, { signal, t });
+  return { ...data, engine: "browser" };
+};
+
+// ------- Reproducibility check -------
+
+// Outputs that must match exactly for a re-run to count as reproduced.
+const REPRODUCIBLE_FIELDS = [
+  "stockout_probability",
+  "fill_rate",
+  "orders_per_run",
+  "inventory_avg",
+  "inventory_lower",
+  "inventory_upper",
+  "safety_stock",
+  "reorder_point",
+];
+
+/**
+ * Re-runs a saved scenario with the seed, run count and horizon of its
+ * stored result, on the engine that produced it, and reports whether the
+ * outputs came back identical.
+ * @param {import("./scenarioStore.js").SavedScenario} saved
+ * @param {{ signal?: AbortSignal, t?: (key: string, values?: Object) => string }} [options]
+ * @returns {Promise<{ result: Object, reproduced: boolean, differences: string[] }>}
+ */
+export const rerunWithSameSeed = async (saved, { signal, t = translateEn } = {}) => {
+  const { request, result: original } = saved;
+  if (original?.seed === undefined || original?.seed === null) {
+    throw new Error(t("rerun.noSeed"));
+  }
+  const scenario = {
+    ...request,
+    seed: original.seed,
+    num_runs: original.num_runs ?? request.num_runs,
+    horizon: original.horizon ?? request.horizon,
+  };
+  const result = await simulate(scenario, { signal, engine: original.engine || "backend", t });
+  const differences = REPRODUCIBLE_FIELDS.filter(
+    (field) => JSON.stringify(original[field]) !== JSON.stringify(result[field])
+  );
+  return { result, reproduced: differences.length === 0, differences };
+};
@@ -0,0 +1,244 @@
+// ------- Spoken summaries and dictation -------
+// Templates per language for the spoken result and comparison, the voice
+// settings (kept in localStorage like the API override) and a parser that
+// turns dictated phrases such as "demand 500, lead time 7" into form values.
+
+export const SPEECH_LANGUAGES = [
+  { code: "en", label: "English", lang: "en-IN" },
+  { code: "hi", label: "हिन्दी (Hindi)", lang: "hi-IN" },
+  { code: "ta", label: "தமிழ் (Tamil)", lang: "ta-IN" },
+];
+
+export const DEFAULT_VOICE_SETTINGS = { language: "en", voiceURI: "", rate: 1, pitch: 1 };
+
+const SETTINGS_KEY = "decision-dashboard.voice";
+
+const languageOf = (code) => SPEECH_LANGUAGES.find((l) => l.code === code) ?? SPEECH_LANGUAGES[0];
+
+const count = (value, code) =>
+  Math.round(value || 0).toLocaleString(languageOf(code).lang);
+
+const pct = (value) => Math.round((value || 0) * 100);
+
+// read in the spoken language, e.g. "₹15,283"; without a currency just the number
+const money = (value, code, currency) =>
+  currency
+    ? Math.round(value || 0).toLocaleString(languageOf(code).lang, {
+        style: "currency",
+        currency,
+        maximumFractionDigits: 0,
+      })
+    : count(value, code);
+
+// {placeholder} substitution; every template gets plain strings or numbers
+const fill = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (_, key) => String(values[key] ?? ""));
+
+const TEMPLATES = {
+  en: {
+    summary:
+      "Simulation finished. Total cost is {cost}. Expected delay is {delay} days. " +
+      "Service level is {service} percent. EOQ is {eoq} units. Risk level is {risk}.",
+    noResult: "No scenario result available yet. Please run a simulation first.",
+    compare:
+      "Comparing {a} and {b}. {a} costs {costA} and {b} costs {costB}. {verdict} " +
+      "Stockout probability is {stockoutA} percent for {a} and {stockoutB} percent for {b}.",
+    cheaper: "{name} is cheaper by {diff}.",
+    sameCost: "Both cost the same.",
+    needTwo: "Select two saved scenarios to compare.",
+    risk: { low: "low", medium: "medium", high: "high" },
+    test: "This is how the dashboard will read your results.",
+  },
+  hi: {
+    summary:
+      "सिमुलेशन पूरा हुआ। कुल लागत {cost} है। अपेक्षित देरी {delay} दिन है। " +
+      "सर्विस लेवल {service} प्रतिशत है। ई ओ क्यू {eoq} यूनिट है। जोखिम स्तर {risk} है।",
+    noResult: "अभी कोई परिणाम नहीं है। कृपया पहले सिमुलेशन चलाएँ।",
+    compare:
+      "{a} और {b} की तुलना। {a} की लागत {costA} है और {b} की लागत {costB} है। {verdict} " +
+      "स्टॉकआउट की संभावना {a} के लिए {stockoutA} प्रतिशत और {b} के लिए {stockoutB} प्रतिशत है।",
+    cheaper: "{name} {diff} सस्ता है।",
+    sameCost: "दोनों की लागत बराबर है।",
+    needTwo: "तुलना के लिए दो सेव किए गए परिदृश्य चुनें।",
+    risk: { low: "कम", medium: "मध्यम", high: "अधिक" },
+    test: "डैशबोर्ड आपके परिणाम इसी तरह पढ़ेगा।",
+  },
+  ta: {
+    summary:
+      "உருவகப்படுத்துதல் முடிந்தது. மொத்த செலவு {cost}. எதிர்பார்க்கப்படும் தாமதம் {delay} நாட்கள். " +
+      "சேவை நிலை {service} சதவீதம். ஈ ஓ க்யூ {eoq} அலகுகள். அபாய நிலை {risk}.",
+    noResult: "இன்னும் முடிவு இல்லை. முதலில் உருவகப்படுத்துதலை இயக்கவும்.",
+    compare:
+      "{a} மற்றும் {b} ஒப்பீடு. {a} செலவு {costA}, {b} செலவு {costB}. {verdict} " +
+      "இருப்பு தீர்ந்துபோகும் வாய்ப்பு {a} க்கு {stockoutA} சதவீதம், {b} க்கு {stockoutB} சதவீதம்.",
+    cheaper: "{name} {diff} குறைவான செலவு.",
+    sameCost: "இரண்டின் செலவும் சமம்.",
+    needTwo: "ஒப்பிட இரண்டு சேமித்த சூழ்நிலைகளைத் தேர்ந்தெடுக்கவும்.",
+    risk: { low: "குறைவு", medium: "நடுத்தரம்", high: "அதிகம்" },
+    test: "டாஷ்போர்டு உங்கள் முடிவுகளை இப்படித்தான் படிக்கும்.",
+  },
+};
+
+const templatesFor = (code) => TEMPLATES[code] ?? TEMPLATES.en;
+
+/**
+ * Spoken summary of one result in the chosen language.
+ * @param {{ currency?: string }} [options] ISO currency for the costs, e.g. "INR"
+ */
+export const buildSpokenSummary = (result, code = "en", { currency } = {}) => {
+  const t = templatesFor(code);
+  if (!result) return t.noResult;
+  return fill(t.summary, {
+    cost: money(result.total_cost, code, currency),
+    delay: (result.expected_delay ?? 0).toFixed(1),
+    service: pct(result.service_level),
+    eoq: count(result.eoq, code),
+    risk: t.risk[result.risk_level] ?? result.risk_level ?? "",
+  });
+};
+
+/**
+ * Spoken comparison of two saved scenarios: cost, which is cheaper, and the
+ * stockout risk of each.
+ * @param {{ name: string, result: Object }[]} scenarios the first two are compared
+ * @param {{ currency?: string }} [options] ISO currency for the costs
+ */
+export const buildSpokenComparison = (scenarios, code = "en", { currency } = {}) => {
+  const t = templatesFor(code);
+  const [a, b] = scenarios;
+  if (!a || !b) return t.needTwo;
+  const costA = a.result.total_cost ?? 0;
+  const costB = b.result.total_cost ?? 0;
+  const diff = Math.abs(costA - costB);
+  const verdict =
+    Math.round(diff) === 0
+      ? t.sameCost
+      : fill(t.cheaper, {
+          name: costA < costB ? a.name : b.name,
+          diff: money(diff, code, currency),
+        });
+  return fill(t.compare, {
+    a: a.name,
+    b: b.name,
+    costA: money(costA, code, currency),
+    costB: money(costB, code, currency),
+    verdict,
+    stockoutA: pct(a.result.stockout_probability),
+    stockoutB: pct(b.result.stockout_probability),
+  });
+};
+
+export const testPhrase = (code) => templatesFor(code).test;
+
+// ------- Voices -------
+
+export const isSpeechSupported = () => typeof window !== "undefined" && "speechSynthesis" in window;
+
+/** Installed voices for a language, e.g. every "hi-*" voice for Hindi. */
+export const voicesFor = (voices, code) => {
+  const prefix = code.toLowerCase();
+  return voices.filter((v) => v.lang?.toLowerCase().replace("_", "-").split("-")[0] === prefix);
+};
+
+/**
+ * Reads `text` aloud, cancelling anything still being spoken. Does nothing
+ * without speech synthesis; the voice settings tell the user why.
+ * @param {string} text
+ * @param {{ language: string, voiceURI: string, rate: number, pitch: number }} settings
+ * @param {SpeechSynthesisVoice[]} voices
+ */
+export const speak = (text, settings, voices = []) => {
+  if (!isSpeechSupported()) return;
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = languageOf(settings.language).lang;
+  const voice =
+    voices.find((v) => v.voiceURI === settings.voiceURI) ??
+    voicesFor(voices, settings.language)[0];
+  // without a matching voice the browser picks one from `lang`
+  if (voice) utterance.voice = voice;
+  utterance.rate = settings.rate;
+  utterance.pitch = settings.pitch;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(utterance);
+};
+
+export const loadVoiceSettings = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SETTINGS_KEY) || "null");
+    return { ...DEFAULT_VOICE_SETTINGS, ...(stored && typeof stored === "object" ? stored : {}) };
+  } catch {
+    return DEFAULT_VOICE_SETTINGS;
+  }
+};
+
+export const storeVoiceSettings = (settings) => {
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.error("Could not store voice settings", err);
+  }
+};
+
+// ------- Dictation -------
+
+/** The browser's SpeechRecognition constructor, or null where unsupported. */
+export const getSpeechRecognition = () =>
+  typeof window === "undefined"
+    ? null
+    : window.SpeechRecognition || window.webkitSpeechRecognition || null;
+
+// Spoken names of the Scenario Inputs fields, in every supported language.
+const DICTATION_KEYWORDS = {
+  demand: ["demand", "मांग", "माँग", "डिमांड", "தேவை", "டிமாண்ட்"],
+  leadTime: ["lead time", "leadtime", "लीड टाइम", "लीड समय", "லீட் டைம்", "முன்னணி நேரம்"],
+  cost: ["cost per unit", "unit cost", "cost", "लागत", "कीमत", "விலை"],
+  orderingCost: ["ordering cost", "order cost", "ऑर्डर लागत", "ஆர்டர் செலவு"],
+  holdingCost: ["holding cost", "होल्डिंग लागत", "இருப்பு செலவு"],
+  serviceLevel: ["service level", "सर्विस लेवल", "சேவை நிலை"],
+  demandStd: ["demand std dev", "standard deviation", "std dev", "मानक विचलन", "திட்ட விலக்கம்"],
+};
+
+export const DICTATION_FIELDS = Object.keys(DICTATION_KEYWORDS);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// longest first, so "ordering cost" wins over "cost" and "demand std dev" over "demand"
+const KEYWORD_PATTERN = new RegExp(
+  Object.values(DICTATION_KEYWORDS)
+    .flat()
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join("|"),
+  "gu"
+);
+
+const FIELD_BY_KEYWORD = Object.fromEntries(
+  Object.entries(DICTATION_KEYWORDS).flatMap(([field, words]) => words.map((w) => [w, field]))
+);
+
+// Devanagari digits, in case the recogniser returns them
+const toAsciiDigits = (text) =>
+  text.replace(/[०-९]/g, (d) => String(d.charCodeAt(0) - "०".charCodeAt(0)));
+
+/**
+ * Turns a transcript into form values. Each field name is followed by its
+ * number; anything else is ignored. Service level accepts 95, "95 percent"
+ * or 0.95.
+ * @param {string} transcript
+ * @returns {Record<string, string>} only the fields that were heard
+ */
+export const parseDictation = (transcript) => {
+  const text = toAsciiDigits(String(transcript).toLowerCase());
+  const matches = [...text.matchAll(KEYWORD_PATTERN)];
+  const patch = {};
+  matches.forEach((match, i) => {
+    const end = i + 1 < matches.length ? matches[i + 1].index : text.length;
+    const number = text.slice(match.index + match[0].length, end).match(/\d+(?:,\d{3})*(?:\.\d+)?/);
+    if (!number) return;
+    const field = FIELD_BY_KEYWORD[match[0]];
+    let value = Number(number[0].replace(/,/g, ""));
+    if (field === "serviceLevel" && value > 1) value = Number((value / 100).toPrecision(12));
+    patch[field] = String(value);
+  });
+  return patch;
+};
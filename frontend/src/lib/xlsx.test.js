@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { buildXlsx } from "./xlsx.js";
+
+// The workbook is a stored (uncompressed) zip, so its XML can be read as text.
+const readWorkbook = async (sheets) => {
+  const bytes = new Uint8Array(await buildXlsx(sheets).arrayBuffer());
+  return { bytes, text: new TextDecoder().decode(bytes) };
+};
+
+describe("buildXlsx", () => {
+  it("writes a zip with one worksheet per sheet", async () => {
+    const { bytes, text } = await readWorkbook([
+      { name: "Inputs", rows: [["demand", 120]] },
+      { name: "Projection", rows: [["period", 1]] },
+    ]);
+    // local file header signature
+    expect([...bytes.slice(0, 4)]).toEqual([0x50, 0x4b, 0x03, 0x04]);
+    // the end-of-central-directory record counts the package parts
+    const end = new DataView(bytes.buffer, bytes.length - 22);
+    expect(end.getUint32(0, true)).toBe(0x06054b50);
+    expect(end.getUint16(10, true)).toBe(6);
+    expect(text).toContain("xl/worksheets/sheet2.xml");
+    expect(text).toContain('<sheet name="Projection" sheetId="2" r:id="rId2"/>');
+  });
+
+  it("keeps numbers as numbers and escapes text", async () => {
+    const { text } = await readWorkbook([
+      { name: "Data", rows: [["Total <cost> & \"tax\"", 1234.5, null, "₹"]] },
+    ]);
+    expect(text).toContain('<c r="B1"><v>1234.5</v></c>');
+    expect(text).toContain("Total &lt;cost&gt; &amp; &quot;tax&quot;");
+    expect(text).not.toContain('r="C1"');
+    expect(text).toContain("₹");
+  });
+
+  it("drops control characters that XML cannot hold but keeps tabs and newlines", async () => {
+    const { text } = await readWorkbook([{ name: "Data", rows: [["a\u0001b\u001fc\td\ne"]] }]);
+    expect(text).toContain('<t xml:space="preserve">abc\td\ne</t>');
+  });
+
+  it("makes sheet names Excel accepts", async () => {
+    const { text } = await readWorkbook([
+      { name: "Q1/Q2: [draft]", rows: [] },
+      { name: "", rows: [] },
+      { name: "A very long scenario name that Excel would reject", rows: [] },
+    ]);
+    expect(text).toContain('<sheet name="Q1 Q2   draft" sheetId="1"');
+    expect(text).toContain('<sheet name="Sheet2" sheetId="2"');
+    expect(text).toContain('<sheet name="A very long scenario name that" sheetId="3"');
+  });
+});
@@ -0,0 +1,511 @@
+// ------- English messages -------
+// The reference catalogue: every key used in the UI lives here, and the
+// other languages fall back to it key by key. Placeholders are {name}.
+
+const en = {
+  // Header and navigation
+  "app.title": "Decision Intelligence Dashboard",
+  "app.subtitle": "Run inventory scenarios, compare strategies and hear the result in English, Hindi or Tamil.",
+  "nav.label": "View",
+  "nav.single": "Single Scenario",
+  "nav.portfolio": "Portfolio",
+
+  // Language and number format settings
+  "settings.language": "Language",
+  "settings.numberFormat": "Number format",
+  "settings.currency": "Currency",
+  "settings.theme": "Theme",
+  "theme.dark": "Dark",
+  "theme.light": "Light",
+  "theme.contrast": "High contrast",
+
+  // Backend connection
+  "api.backend": "Backend:",
+  "api.change": "Change",
+  "api.url": "Backend URL",
+  "api.save": "Save",
+  "api.reset": "Reset",
+  "api.timedOut": "Request timed out after {ms} ms.",
+  "api.unreachable": "Could not reach the simulation backend.",
+  "api.rejected": "The backend rejected some inputs.",
+  "api.serverError": "The backend returned an error (HTTP {status}).",
+
+  // Form field names, also used in validation messages
+  "field.scenarioName": "Scenario Name",
+  "field.demand": "Demand",
+  "field.leadTime": "Lead Time",
+  "field.cost": "Cost / Unit",
+  "field.orderingCost": "Ordering Cost",
+  "field.holdingCost": "Holding Cost",
+  "field.serviceLevel": "Service Level",
+  "field.serviceDefinition": "Service Definition",
+  "field.demandStd": "Demand Std Dev",
+  "field.periodsPerYear": "Periods / Year",
+  "field.shortagePenalty": "Shortage Penalty",
+  "field.priceBreaks": "Price Breaks",
+  "field.scenarioType": "Scenario Type",
+  "field.seed": "Seed",
+  "field.numRuns": "Runs",
+  "field.horizon": "Horizon",
+  "field.orderQuantity": "Order Quantity",
+  "field.safetyStockMultiplier": "Safety Stock ×",
+  "field.demandHistory": "Demand History",
+  "field.forecastMethod": "Forecast Method",
+  "field.seasonLength": "Season Length",
+  "field.policy": "Reorder Policy",
+  "field.reviewPeriod": "Review Period",
+  "field.leadTimeStd": "Lead Time Std Dev",
+  "field.demandDistribution": "Demand Distribution",
+  "field.dispersion": "Dispersion",
+
+  // Scenario Inputs
+  "inputs.title": "Scenario Inputs",
+  "inputs.namePlaceholder": "e.g., Stock demand",
+  "inputs.serviceDefinitionHint":
+    "Cycle service: chance of no stockout per cycle. Fill rate: share of demand met from stock.",
+  "inputs.shortagePenaltyPerUnit": "Shortage Penalty / Unit",
+  "inputs.periodsPerYearHint": "Demand and holding cost are per period; annual costs scale by this.",
+  "inputs.dispersionK": "Dispersion (k)",
+  "inputs.advanced": "Advanced",
+  "inputs.horizonPeriods": "Horizon (periods)",
+  "inputs.seedPlaceholder": "random",
+  "inputs.orderQuantityPlaceholder": "EOQ",
+  "inputs.advancedHint":
+    "Leave the seed blank to draw a new one each run; the seed used is stored with the result so it can be re-run. Leave the order quantity blank to order the EOQ.",
+
+  // Option labels
+  "scenarioType.optimistic": "Optimistic",
+  "scenarioType.base": "Base",
+  "scenarioType.pessimistic": "Pessimistic",
+  "serviceDefinition.cycle": "Cycle service (α)",
+  "serviceDefinition.fill_rate": "Fill rate (β)",
+  "distribution.normal": "Normal",
+  "distribution.poisson": "Poisson",
+  "distribution.negative_binomial": "Negative Binomial",
+  "distribution.lognormal": "Log-normal",
+  "distribution.empirical": "Empirical (bootstrap)",
+  "distribution.withDispersion": "{label} (k = {k})",
+  "distributionHint.normal": "Uses Demand Std Dev; draws below zero are clipped.",
+  "distributionHint.poisson": "Variance equals the mean; Demand Std Dev is not used.",
+  "distributionHint.lognormal": "Right-skewed, never negative; uses Demand Std Dev.",
+  "distributionHint.empirical": "Resamples the forecast errors of the uploaded demand history.",
+  "policy.continuous": "Continuous (s, Q)",
+  "policy.periodic": "Periodic (R, S)",
+  "policy.min_max": "Min / Max",
+  "method.moving_average": "Moving Average",
+  "method.ses": "Simple Exponential Smoothing",
+  "method.holt": "Holt (linear trend)",
+  "method.holt_winters": "Holt-Winters (seasonal)",
+
+  // Replenishment policy
+  "replenishment.title": "Replenishment Policy",
+  "policyHint.continuous":
+    "Order the order quantity whenever stock on hand plus on order falls to the reorder point.",
+  "policyHint.periodic": "Every review period, order up to the level that covers review period + lead time.",
+  "policyHint.min_max": "When stock falls to the reorder point (min), order up to min + order quantity (max).",
+
+  // Quantity discounts
+  "priceBreaks.title": "Quantity Discounts",
+  "priceBreaks.minQuantity": "Min Quantity",
+  "priceBreaks.unitCost": "Unit Cost",
+  "priceBreaks.rowMin": "Price break {n} minimum quantity",
+  "priceBreaks.rowCost": "Price break {n} unit cost",
+  "priceBreaks.remove": "Remove",
+  "priceBreaks.removeHint": "Remove this price break",
+  "priceBreaks.removeRow": "Remove price break {n}",
+  "priceBreaks.add": "Add Price Break",
+  "priceBreaks.hint":
+    "Orders of at least the minimum quantity pay that unit cost on every unit; Cost / Unit applies below the first break. Unless an order quantity is set, the cheapest tier replaces the EOQ.",
+
+  // Demand history
+  "history.title": "Demand History & Forecast",
+  "history.upload": "Upload History CSV",
+  "history.loaded": "{count} periods loaded",
+  "history.clear": "Clear",
+  "history.empty": "One demand value per period, oldest first.",
+  "history.readFailed": "Could not read {file}: {message}",
+  "history.fileEmpty": "The file is empty.",
+  "history.noColumn": "No demand column found (expected one of: {columns}).",
+  "history.invalidValue": "Line {line}: \"{value}\" is not a valid demand value.",
+  "history.tooLong": "At most {max} periods of history (found {count}).",
+  "csv.unterminatedQuote": "Unterminated quoted field starting on line {line}.",
+  "history.hint":
+    "With history loaded, the fitted model replaces the scenario-type trend and its error sets the demand std dev.",
+
+  // Voice and dictation
+  "voice.title": "Voice & Dictation",
+  "voice.language": "Spoken language",
+  "voice.voice": "Voice",
+  "voice.default": "Browser default",
+  "voice.rate": "Rate ({rate}×)",
+  "voice.pitch": "Pitch ({pitch})",
+  "voice.noVoice": "No {language} voice is installed; the browser will use its default voice.",
+  "voice.test": "Test Voice",
+  "voice.dictate": "🎤 Dictate Inputs",
+  "voice.stop": "■ Stop Dictation",
+  "voice.unsupported": "Speech recognition is not supported in this browser",
+  "voice.speechUnsupported": "This browser cannot read text aloud, so spoken summaries are unavailable.",
+  "voice.example": "Say a field name followed by its value, e.g. “{example}”.",
+  "voice.heard": "Heard: “{text}”",
+  "voice.filled": "Filled {fields}",
+  "voice.failed": "Dictation failed: {error}",
+
+  // Actions under the form
+  "actions.run": "Run Simulation",
+  "actions.running": "Running...",
+  "actions.runDisabled": "Fill in all inputs correctly to run",
+  "actions.cancel": "Cancel",
+  "actions.save": "Save Scenario",
+  "actions.speak": "🔊 Speak Result",
+  "actions.copyLink": "🔗 Copy Link",
+  "actions.copyLinkHint": "Copy a link that opens these inputs in the editor",
+  "actions.withSeed": "with seed",
+
+  // Shareable links
+  "share.openFailed": "Could not open the shared link: {error}",
+  "share.loaded": "Loaded a shared scenario. Run it to see the results.",
+  "share.copied": "Link copied to the clipboard.",
+  "share.copiedReadOnly": "Copied a read-only link to \"{name}\".",
+  "share.copyPrompt": "Copy this link",
+  "share.damaged": "The link is damaged or incomplete.",
+  "share.noScenario": "The link does not contain a scenario.",
+  "share.newerVersion": "The link was made by a newer version of the dashboard.",
+
+  // Read-only shared scenario
+  "shared.title": "Shared scenario",
+  "shared.readOnly": "Read-only link",
+  "shared.openInEditor": "Open in Editor",
+  "shared.saveCopy": "Save a Copy",
+  "shared.close": "Close",
+  "shared.simulating": "Simulating…",
+  "shared.failed": "Could not simulate this scenario: {message}",
+
+  // Run errors
+  "errors.rejected": "The backend rejected some inputs. Please check the highlighted fields.",
+  "errors.unreachable": "Backend unreachable at {url}. {message}",
+  "errors.server": "{message} Please try again or check the backend logs.",
+  "errors.unexpected": "Unexpected error while running the simulation.",
+
+  // Validation
+  "validation.required": "{label} is required.",
+  "validation.list": "{label} must be a comma-separated list of numbers.",
+  "validation.listMin": "{label} values must be at least {min}.",
+  "validation.listMax": "{label} can have at most {max} values.",
+  "validation.priceBreakRows": "{label} need a minimum quantity and a unit cost on every row.",
+  "validation.priceBreakPositive": "{label} quantities and costs must be greater than 0.",
+  "validation.priceBreakMax": "{label} can have at most {max} rows.",
+  "validation.maxLength": "{label} must be at most {max} characters.",
+  "validation.options": "{label} must be one of {options}.",
+  "validation.number": "{label} must be a number.",
+  "validation.integer": "{label} must be a whole number.",
+  "validation.greaterThan": "{label} must be greater than {min}.",
+  "validation.atLeast": "{label} must be at least {min}.",
+  "validation.atMost": "{label} must be at most {max}.",
+  "validation.history": "{method} needs at least {needed} periods of history (have {periods}).",
+  "validation.duplicateBreak": "Two price breaks start at {quantity}.",
+  "validation.breaksCheaper": "Price breaks must get cheaper as the minimum quantity rises.",
+  "validation.empiricalHistory": "The empirical distribution needs an uploaded demand history.",
+  "validation.server": "{label}: {message}",
+  "validation.invalid": "Invalid value.",
+
+  // Results
+  "results.demandBadge": "Demand: {distribution}",
+  "results.demandBadgeHint": "Distribution of per-period demand in the Monte Carlo",
+  "results.seed": "Seed {seed}",
+  "engine.backend": "FastAPI backend",
+  "engine.browser": "Browser engine (offline)",
+  "engine.workerFailed": "Simulation worker failed",
+  "kpi.totalCost": "Annual Total Cost",
+  "kpi.delay": "Delay",
+  "kpi.delayValue": "{days} days",
+  "kpi.serviceLevel": "Service Level",
+  "kpi.target": "Target {target}",
+  "kpi.eoq": "EOQ",
+  "kpi.orderingAt": "Ordering {quantity} at {price}",
+  "kpi.orderingAtHint": "Price breaks make a different quantity cheaper; see Cost Breakdown.",
+  "kpi.fillRate": "Fill Rate",
+  "kpi.stockout": "Stockout Prob.",
+  "kpi.onHand": "Avg On-hand",
+  "kpi.orders": "Orders",
+  "kpi.ordersValue": "{orders} / run",
+  "risk.label": "Risk Level",
+  "risk.low": "Low",
+  "risk.medium": "Medium",
+  "risk.high": "High",
+  "estimate.mismatch": "⚠ {label}: backend reports {actual}, client estimate is {expected}.",
+  "serviceTarget.cycle": "cycle service",
+  "serviceTarget.fill_rate": "fill rate",
+  "serviceTarget.describe": "{target} {definition} (z = {z})",
+
+  // Charts
+  "charts.inventoryTitle": "Inventory Projection",
+  "charts.forecastTitle": "Demand Forecast",
+  "chart.average": "Average",
+  "chart.minMax": "Min – Max",
+  "chart.band": "Min / Max",
+  "chart.averageInventory": "Average Inventory",
+  "chart.forecast": "Forecast",
+  "chart.stockoutRun": "Stockout in at least one run",
+  "chart.reorderPoint": "Reorder Point",
+  "chart.orderUpTo": "Order-up-to",
+  "chart.safetyStock": "Safety Stock",
+  "chart.empty": "Run a simulation to see the inventory projection.",
+  "chart.summary": "Inventory projection over {periods} periods: average inventory goes from {start} to {end} units, and {stockouts} periods stock out in at least one run.",
+  "forecast.summary": "{method} ({params}) · MAE {mae} · MAPE {mape}",
+  "forecast.stdDev": " · demand std dev {std}",
+  "forecast.notAvailable": "n/a",
+  "forecast.history": "History",
+  "forecast.fitted": "Fitted",
+
+  // Cost breakdown
+  "costs.title": "Cost Breakdown",
+  "costs.summary": "Annual cost {total} over {periods} periods",
+  "costs.penalty": " · shortage penalty {penalty} / unit",
+  "costs.annual": "Annual",
+  "costComponent.purchase": "Purchase",
+  "costComponent.ordering": "Ordering",
+  "costComponent.holding": "Holding",
+  "costComponent.shortage": "Shortage",
+  "costs.orderQuantity": "Order quantity {quantity}",
+  "costs.totalCost": "Total cost",
+  "costs.totalCostAt": "Total cost @ {price}",
+  "costs.eoq": "EOQ",
+  "costs.order": "Order",
+  "costs.from": "From",
+  "costs.unitCost": "Unit Cost",
+  "costs.bestQ": "Best Q",
+  "costs.purchase": "Purchase",
+  "costs.orderingHolding": "Ordering + Holding",
+  "costs.totalYear": "Total / Year",
+  "costs.unreachable": "not reachable",
+  "pricing.manual":
+    "The order quantity is set by hand; the cheapest tier would order {quantity} at {price} a unit.",
+  "pricing.eoqCheapest":
+    "The EOQ of {eoq} is already the cheapest option; no larger price break pays for its extra stock.",
+  "pricing.cheaperTier":
+    "Ordering {quantity} instead of the EOQ of {eoq} unlocks the {price} unit price (from {min} units). It saves {saved} a year on purchases against {extra} more in ordering and holding, {difference} cheaper overall.",
+
+  // Saved scenarios
+  "library.title": "Saved Scenarios",
+  "library.import": "Import JSON",
+  "library.export": "Export JSON",
+  "library.empty": "Run a simulation and click \"Save Scenario\" to keep it here.",
+  "library.saved": "Saved \"{name}\" to your scenarios.",
+  "library.runFirst": "Run a simulation first before saving.",
+  "library.defaultName": "Scenario {n}",
+  "library.copyName": "{name} (copy)",
+  "library.renamePrompt": "Rename scenario",
+  "library.deleteConfirm": "Delete \"{name}\"?",
+  "library.imported": "Imported {count} scenario(s).",
+  "library.skipped": " Skipped {count}: {errors}",
+  "library.importFailed": "Import failed: {message}",
+  "library.invalidJson": "{file} is not valid JSON.",
+  "library.unknownFormat": "Unrecognised scenario file format.",
+  "library.newerVersion": "Scenario file version {version} is newer than this dashboard supports ({supported}).",
+  "library.noList": "Scenario file has no scenarios list.",
+  "library.entryError": "Scenario {label}: {problems}",
+  "library.entry.notObject": "entry is not an object",
+  "library.entry.nameMissing": "name is missing",
+  "library.entry.inputsMissing": "inputs are missing",
+  "library.entry.inputType": "inputs.{field} must be a string or number",
+  "library.entry.resultMissing": "result is missing",
+  "library.entry.totalCostType": "result.total_cost must be a number",
+  "card.demand": "Demand: {value}",
+  "card.leadTime": "Lead Time: {value}",
+  "card.cost": "Cost/Unit: {value}",
+  "card.seedRuns": "Seed: {seed} · Runs: {runs}",
+  "card.distribution": "Demand: {distribution}",
+  "card.rename": "Rename",
+  "card.duplicate": "Duplicate",
+  "card.rerun": "Re-run",
+  "card.rerunHint": "Re-run with the same seed and check the result matches",
+  "card.copyLink": "Copy Link",
+  "card.copyLinkHint": "Copy a read-only link to this scenario",
+  "card.delete": "Delete",
+  "rerun.running": "Re-running with the same seed…",
+  "rerun.match": "✓ Reproduced exactly (seed {seed}).",
+  "rerun.mismatch": "✗ Result differs: {differences}.",
+  "rerun.noSeed": "This scenario was saved without a seed, so it cannot be reproduced.",
+
+  // Comparison
+  "compare.title": "Scenario Comparison",
+  "compare.speak": "🔊 Speak Comparison",
+  "compare.speakHint": "Reads out the first two compared scenarios",
+  "compare.pick": "Compare:",
+  "compare.baseline": "Baseline:",
+  "compare.baselineTag": "baseline",
+  "compare.needTwo": "Select at least two scenarios to compare them.",
+  "compare.metric": "Metric",
+  "compare.sortHint": "Sort scenarios by this metric",
+  "compare.sortedAsc": "sorted ascending",
+  "compare.sortedDesc": "sorted descending",
+  "compare.lowerBetter": "lower is better",
+  "compare.higherBetter": "higher is better",
+  "compare.best": "best",
+  "compare.copyLinkLabel": "Copy a read-only link to {name}",
+  "metric.total_cost": "Total Cost",
+  "metric.ordering_cost": "Ordering Cost",
+  "metric.holding_cost": "Holding Cost",
+  "metric.shortage_cost": "Shortage Cost",
+  "metric.expected_delay": "Expected Delay",
+  "metric.service_level": "Service Level",
+  "metric.stockout_probability": "Stockout Probability",
+  "metric.fill_rate": "Fill Rate",
+  "metric.average_on_hand": "Average On-hand",
+  "metric.orders_per_run": "Orders",
+  "metric.risk": "Risk",
+  "metric.demand_distribution": "Demand Distribution",
+  "metric.eoq": "EOQ",
+  "metric.z": "Safety Factor (z)",
+  "metric.safety_stock": "Safety Stock",
+  "metric.reorder_point": "Reorder Point",
+  "metric.demand": "Demand",
+  "metric.leadTime": "Lead Time",
+  "metric.cost": "Cost / Unit",
+  "metric.seed": "Seed",
+  "metric.num_runs": "Runs",
+  "metric.horizon": "Horizon",
+  "overlay.empty": "Select scenarios to overlay their projections.",
+  "overlay.projections": "Inventory Projections",
+  "overlay.kpis": "KPI Comparison",
+  "overlay.index": "(index, max = 100)",
+  "overlay.toggle": "Show or hide scenarios",
+  "overlay.stockout": "Stockout",
+
+  // Export and report
+  "export.title": "Export",
+  "export.csv": "CSV",
+  "export.xlsx": "XLSX",
+  "export.report": "🖨 Report",
+  "export.csvHint": "Download the inputs, metrics and per-period projections as CSV",
+  "export.xlsxHint": "Download the inputs, metrics and per-period projections as an Excel workbook",
+  "export.reportHint": "Open a printable report; choose \"Save as PDF\" in the print dialog for a PDF",
+  "export.popupBlocked": "The report was blocked. Allow pop-ups for this page and try again.",
+  "export.failed": "Export failed: {message}",
+  "report.title": "Scenario Report",
+  "report.generated": "Generated {date}",
+  "report.serviceTarget": "Service Target",
+
+  // Analyses (sensitivity, grid sweep, recommendation)
+  "analysis.needInputs": "Fill in the Scenario Inputs first.",
+  "analysis.running": "Running {done}/{total}…",
+  "sensitivity.title": "Sensitivity",
+  "sensitivity.vary": "Vary each input by ±",
+  "sensitivity.output": "Output:",
+  "sensitivity.run": "Run Sensitivity",
+  "sensitivity.failed": "Sensitivity run failed: {message}",
+  "sensitivity.description": "Change in {metric} from the base value of {base} when each input is varied by ±{pct}% (seed {seed}; the service target varies its shortfall from 100%).",
+  "sensitivity.points": "{value} pts",
+  "sensitivity.tooltip": "{change} (input {input})",
+  "sensitivity.low": "Low",
+  "sensitivity.high": "High",
+  "sensitivity.empty": "Run a sensitivity analysis to see which input moves the result the most.",
+  "sweep.title": "What-if Grid Sweep",
+  "sweep.xAxis": "X axis",
+  "sweep.yAxis": "Y axis",
+  "sweep.min": "min",
+  "sweep.max": "max",
+  "sweep.to": "to",
+  "sweep.steps": "steps",
+  "sweep.minimumLabel": "{axis} minimum",
+  "sweep.maximumLabel": "{axis} maximum",
+  "sweep.stepsLabel": "{axis} steps",
+  "sweep.colourBy": "Colour by:",
+  "sweep.run": "Run Sweep",
+  "sweep.progress": "{done} / {total} runs",
+  "sweep.failed": "Sweep failed: {message}",
+  "sweep.sameInputs": "Pick two different inputs.",
+  "sweep.pickInput": "Pick an input.",
+  "sweep.numericRange": "{label}: enter a numeric range.",
+  "sweep.minBelowMax": "{label}: minimum must be below maximum.",
+  "sweep.positive": "{label}: values must be positive.",
+  "sweep.minAtLeast": "{label}: minimum must be at least {min}.",
+  "sweep.maxAtMost": "{label}: maximum must be at most {max}.",
+  "sweep.stepsRange": "{label}: steps must be a whole number from 2 to {max}.",
+  "sweep.cellHint": "{x}, {y}: {value}. Click to load into the form.",
+  "sweep.legend": "● marks the cell closest to the current inputs. Blue is lower, orange is higher.",
+  "sweep.empty": "Pick two inputs and a range for each, then run the sweep.",
+  "recommend.title": "Recommend a Policy",
+  "recommend.maxStockout": "Max stockout probability",
+  "recommend.includeMultiplier": "Also search safety-stock multiplier",
+  "recommend.run": "Recommend",
+  "recommend.searching": "Searching {done}/{total}…",
+  "recommend.noEoq": "Could not compute an EOQ from the current inputs.",
+  "recommend.failed": "Recommendation failed: {message}",
+  "recommend.saveFailed": "Could not save the recommendation: {message}",
+  "recommend.saveName": "Recommended Q{quantity} @ {service}%",
+  "recommend.saveNameReview": "Recommended R{period} @ {service}%",
+  "recommend.footnote": "{count} policies compared with seed {seed}. Costs are annual and include the shortage penalty from the Scenario Inputs.",
+  "recommend.apply": "Load into form",
+  "recommend.save": "Save as scenario",
+  "recommend.saved": "Saved ✓",
+  "recommend.empty": "Set a stockout limit and let the dashboard search for the cheapest policy.",
+  "recommend.serviceFallback": "a {target} service target",
+  "recommend.order": "Order {quantity} units at {service}.",
+  "recommend.orderWithMultiplier": "Order {quantity} units at {service} with safety stock ×{multiplier}.",
+  "recommend.review": "Review every {period} periods and order up to {level} units at {service}.",
+  "recommend.reviewWithMultiplier": "Review every {period} periods and order up to {level} units at {service} with safety stock ×{multiplier}.",
+  "recommend.costs": "Annual total cost {total}: purchase {purchase}, ordering {ordering}, holding {holding}, shortage {shortage}.",
+  "recommend.unitPrice": "The order qualifies for a unit price of {price} instead of {basePrice}.",
+  "recommend.withinLimit": "Simulated stockout probability {stockout} is within the {limit} limit.",
+  "recommend.noneFeasible": "No policy met the {limit} stockout limit; this is the lowest-risk option found ({stockout}).",
+  "recommend.cheaper": "That is {saving} ({share}) a year cheaper than the current inputs.",
+  "recommend.dearerOverLimit": "It costs {extra} a year more than the current inputs, which exceed the limit ({stockout}).",
+  "recommend.currentCheaper": "The current inputs are {extra} a year cheaper and already meet the limit; the search grid did not find anything better.",
+
+  // Portfolio
+  "portfolio.title": "Portfolio",
+  "portfolio.upload": "Upload SKU CSV",
+  "portfolio.rerun": "Re-run",
+  "portfolio.periodsPerYear": "Periods per year",
+  "portfolio.periodsInvalid": "Periods per year must be a whole number from 1 to 366.",
+  "portfolio.periodsStale": "Re-run to apply the new periods per year.",
+  "portfolio.fileSummary": "{file}: {count} SKU(s)",
+  "portfolio.fileSkipped": ", {count} skipped",
+  "portfolio.columns": "Columns:",
+  "portfolio.columnsHint": "Demand std and service target are optional. Every SKU runs with seed {seed}.",
+  "portfolio.rowsSkipped": "{count} row(s) skipped",
+  "portfolio.progress": "{done} / {total} SKUs",
+  "portfolio.runFailed": "Portfolio run failed: {message}",
+  "portfolio.readFailed": "Could not read {file}: {message}",
+  "portfolio.fileEmpty": "The file is empty.",
+  "portfolio.missingColumns": "Missing column(s): {columns}.",
+  "portfolio.noRows": "The file has a header but no SKU rows.",
+  "portfolio.tooManyRows": "At most {max} SKUs per upload (found {count}).",
+  "portfolio.nameRequired": "name is required.",
+  "portfolio.rowError": "Line {line}: {message}",
+  "portfolio.namedRowError": "Line {line} ({name}): {message}",
+  "portfolio.skus": "SKUs",
+  "portfolio.failedCount": "{count} failed",
+  "portfolio.annualSpend": "Annual Spend",
+  "portfolio.safetyStockValue": "Safety Stock Value",
+  "portfolio.cycleStockValue": "Avg Cycle Stock Value",
+  "portfolio.riskHigh": "{count} high",
+  "portfolio.riskDetail": "{medium} medium · {low} low",
+  "portfolio.class": "Class {abc}",
+  "portfolio.skuCount": "{count} SKU(s)",
+  "portfolio.spendShare": "{share} of spend",
+  "portfolio.filter": "Filter by SKU",
+  "portfolio.abcClass": "ABC class",
+  "portfolio.allClasses": "All classes",
+  "portfolio.allRisks": "All risk levels",
+  "portfolio.risk.high": "High risk",
+  "portfolio.risk.medium": "Medium risk",
+  "portfolio.risk.low": "Low risk",
+  "portfolio.failedRuns": "Failed runs",
+  "portfolio.showing": "Showing {shown} of {total}. Click a row to open it.",
+  "portfolio.column.name": "SKU",
+  "portfolio.column.abcClass": "ABC",
+  "portfolio.column.annualSpend": "Annual Spend",
+  "portfolio.column.eoq": "EOQ",
+  "portfolio.column.reorder_point": "Reorder Point",
+  "portfolio.column.safety_stock": "Safety Stock",
+  "portfolio.column.stockout_probability": "Stockout",
+  "portfolio.column.risk": "Risk",
+  "portfolio.rowFailed": "Run failed: {message}",
+  "portfolio.rowOpen": "Open {name}",
+  "portfolio.failedCell": "failed",
+  "portfolio.empty": "Upload a CSV with one SKU per row to simulate the whole portfolio.",
+};
+
+export default en;
@@ -0,0 +1,487 @@
+// ------- Hindi messages -------
+// Same keys as en.js; anything missing here falls back to English.
+
+const hi = {
+  "app.title": "डिसीज़न इंटेलिजेंस डैशबोर्ड",
+  "app.subtitle": "इन्वेंटरी परिदृश्य चलाएँ, रणनीतियों की तुलना करें और परिणाम अंग्रेज़ी, हिन्दी या तमिल में सुनें।",
+  "nav.label": "दृश्य",
+  "nav.single": "एकल परिदृश्य",
+  "nav.portfolio": "पोर्टफ़ोलियो",
+
+  "settings.language": "भाषा",
+  "settings.numberFormat": "संख्या प्रारूप",
+  "settings.currency": "मुद्रा",
+  "settings.theme": "थीम",
+  "theme.dark": "डार्क",
+  "theme.light": "लाइट",
+  "theme.contrast": "हाई कंट्रास्ट",
+
+  "api.backend": "बैकएंड:",
+  "api.change": "बदलें",
+  "api.url": "बैकएंड URL",
+  "api.save": "सहेजें",
+  "api.reset": "रीसेट करें",
+  "api.timedOut": "अनुरोध {ms} ms के बाद समय-सीमा से बाहर हो गया।",
+  "api.unreachable": "सिमुलेशन बैकएंड तक नहीं पहुँच सके।",
+  "api.rejected": "बैकएंड ने कुछ इनपुट अस्वीकार कर दिए।",
+  "api.serverError": "बैकएंड ने त्रुटि लौटाई (HTTP {status})।",
+
+  "field.scenarioName": "परिदृश्य का नाम",
+  "field.demand": "मांग",
+  "field.leadTime": "लीड टाइम",
+  "field.cost": "लागत / यूनिट",
+  "field.orderingCost": "ऑर्डर लागत",
+  "field.holdingCost": "होल्डिंग लागत",
+  "field.serviceLevel": "सर्विस लेवल",
+  "field.serviceDefinition": "सर्विस की परिभाषा",
+  "field.demandStd": "मांग का मानक विचलन",
+  "field.periodsPerYear": "अवधियाँ / वर्ष",
+  "field.shortagePenalty": "कमी का दंड",
+  "field.priceBreaks": "मूल्य छूट",
+  "field.scenarioType": "परिदृश्य प्रकार",
+  "field.seed": "सीड",
+  "field.numRuns": "रन",
+  "field.horizon": "अवधि सीमा",
+  "field.orderQuantity": "ऑर्डर मात्रा",
+  "field.safetyStockMultiplier": "सेफ़्टी स्टॉक ×",
+  "field.demandHistory": "मांग का इतिहास",
+  "field.forecastMethod": "पूर्वानुमान विधि",
+  "field.seasonLength": "सीज़न की लंबाई",
+  "field.policy": "रीऑर्डर नीति",
+  "field.reviewPeriod": "समीक्षा अवधि",
+  "field.leadTimeStd": "लीड टाइम का मानक विचलन",
+  "field.demandDistribution": "मांग वितरण",
+  "field.dispersion": "फैलाव",
+
+  "inputs.title": "परिदृश्य इनपुट",
+  "inputs.namePlaceholder": "जैसे, स्टॉक मांग",
+  "inputs.serviceDefinitionHint":
+    "साइकिल सर्विस: हर चक्र में स्टॉक खत्म न होने की संभावना। फ़िल रेट: स्टॉक से पूरी हुई मांग का हिस्सा।",
+  "inputs.shortagePenaltyPerUnit": "कमी का दंड / यूनिट",
+  "inputs.periodsPerYearHint": "मांग और होल्डिंग लागत प्रति अवधि हैं; वार्षिक लागत इससे गुणा होती है।",
+  "inputs.dispersionK": "फैलाव (k)",
+  "inputs.advanced": "उन्नत",
+  "inputs.horizonPeriods": "अवधि सीमा (अवधियाँ)",
+  "inputs.seedPlaceholder": "यादृच्छिक",
+  "inputs.orderQuantityPlaceholder": "EOQ",
+  "inputs.advancedHint":
+    "हर रन में नया सीड लेने के लिए सीड खाली छोड़ें; उपयोग किया गया सीड परिणाम के साथ सहेजा जाता है ताकि उसे दोबारा चलाया जा सके। EOQ ऑर्डर करने के लिए ऑर्डर मात्रा खाली छोड़ें।",
+
+  "scenarioType.optimistic": "आशावादी",
+  "scenarioType.base": "सामान्य",
+  "scenarioType.pessimistic": "निराशावादी",
+  "serviceDefinition.cycle": "साइकिल सर्विस (α)",
+  "serviceDefinition.fill_rate": "फ़िल रेट (β)",
+  "distribution.normal": "सामान्य (नॉर्मल)",
+  "distribution.poisson": "पॉइसन",
+  "distribution.negative_binomial": "नेगेटिव बाइनोमियल",
+  "distribution.lognormal": "लॉग-नॉर्मल",
+  "distribution.empirical": "अनुभवजन्य (बूटस्ट्रैप)",
+  "distribution.withDispersion": "{label} (k = {k})",
+  "distributionHint.normal": "मांग का मानक विचलन उपयोग करता है; शून्य से नीचे के मान काट दिए जाते हैं।",
+  "distributionHint.poisson": "प्रसरण औसत के बराबर है; मांग का मानक विचलन उपयोग नहीं होता।",
+  "distributionHint.lognormal": "दाईं ओर झुका, कभी ऋणात्मक नहीं; मांग का मानक विचलन उपयोग करता है।",
+  "distributionHint.empirical": "अपलोड किए गए मांग इतिहास की पूर्वानुमान त्रुटियों को दोबारा चुनता है।",
+  "policy.continuous": "निरंतर (s, Q)",
+  "policy.periodic": "आवधिक (R, S)",
+  "policy.min_max": "न्यूनतम / अधिकतम",
+  "method.moving_average": "मूविंग एवरेज",
+  "method.ses": "सिंपल एक्सपोनेंशियल स्मूदिंग",
+  "method.holt": "होल्ट (रैखिक रुझान)",
+  "method.holt_winters": "होल्ट-विंटर्स (मौसमी)",
+
+  "replenishment.title": "पुनःपूर्ति नीति",
+  "policyHint.continuous":
+    "जब हाथ में स्टॉक और ऑर्डर पर स्टॉक मिलकर रीऑर्डर पॉइंट तक गिरे, तब ऑर्डर मात्रा ऑर्डर करें।",
+  "policyHint.periodic": "हर समीक्षा अवधि में, समीक्षा अवधि + लीड टाइम को ढकने वाले स्तर तक ऑर्डर करें।",
+  "policyHint.min_max": "जब स्टॉक रीऑर्डर पॉइंट (न्यूनतम) तक गिरे, न्यूनतम + ऑर्डर मात्रा (अधिकतम) तक ऑर्डर करें।",
+
+  "priceBreaks.title": "मात्रा छूट",
+  "priceBreaks.minQuantity": "न्यूनतम मात्रा",
+  "priceBreaks.unitCost": "यूनिट लागत",
+  "priceBreaks.rowMin": "मूल्य छूट {n} की न्यूनतम मात्रा",
+  "priceBreaks.rowCost": "मूल्य छूट {n} की यूनिट लागत",
+  "priceBreaks.remove": "हटाएँ",
+  "priceBreaks.removeHint": "यह मूल्य छूट हटाएँ",
+  "priceBreaks.removeRow": "मूल्य छूट {n} हटाएँ",
+  "priceBreaks.add": "मूल्य छूट जोड़ें",
+  "priceBreaks.hint":
+    "कम से कम न्यूनतम मात्रा के ऑर्डर हर यूनिट पर वह यूनिट लागत देते हैं; पहली छूट से नीचे लागत / यूनिट लागू होती है। ऑर्डर मात्रा तय न हो तो सबसे सस्ता स्तर EOQ की जगह लेता है।",
+
+  "history.title": "मांग इतिहास और पूर्वानुमान",
+  "history.upload": "इतिहास CSV अपलोड करें",
+  "history.loaded": "{count} अवधियाँ लोड हुईं",
+  "history.clear": "साफ़ करें",
+  "history.empty": "हर अवधि के लिए एक मांग मान, सबसे पुराना पहले।",
+  "history.readFailed": "{file} नहीं पढ़ी जा सकी: {message}",
+  "history.fileEmpty": "फ़ाइल ख़ाली है।",
+  "history.noColumn": "मांग का कोई कॉलम नहीं मिला (इनमें से एक अपेक्षित: {columns})।",
+  "history.invalidValue": "पंक्ति {line}: \"{value}\" मांग का मान्य मान नहीं है।",
+  "history.tooLong": "इतिहास में अधिकतम {max} अवधियाँ हो सकती हैं ({count} मिलीं)।",
+  "csv.unterminatedQuote": "पंक्ति {line} से शुरू होने वाला उद्धरण-चिह्न वाला फ़ील्ड बंद नहीं हुआ।",
+  "history.hint":
+    "इतिहास लोड होने पर फ़िट किया गया मॉडल परिदृश्य-प्रकार के रुझान की जगह लेता है और उसकी त्रुटि मांग का मानक विचलन तय करती है।",
+
+  "voice.title": "आवाज़ और डिक्टेशन",
+  "voice.language": "बोली जाने वाली भाषा",
+  "voice.voice": "आवाज़",
+  "voice.default": "ब्राउज़र की डिफ़ॉल्ट",
+  "voice.rate": "गति ({rate}×)",
+  "voice.pitch": "पिच ({pitch})",
+  "voice.noVoice": "कोई {language} आवाज़ इंस्टॉल नहीं है; ब्राउज़र अपनी डिफ़ॉल्ट आवाज़ उपयोग करेगा।",
+  "voice.test": "आवाज़ जाँचें",
+  "voice.dictate": "🎤 इनपुट बोलें",
+  "voice.stop": "■ डिक्टेशन रोकें",
+  "voice.unsupported": "यह ब्राउज़र वाक् पहचान का समर्थन नहीं करता",
+  "voice.speechUnsupported": "यह ब्राउज़र टेक्स्ट पढ़कर नहीं सुना सकता, इसलिए बोले गए सारांश उपलब्ध नहीं हैं।",
+  "voice.example": "फ़ील्ड का नाम और उसके बाद उसका मान बोलें, जैसे “{example}”।",
+  "voice.heard": "सुना गया: “{text}”",
+  "voice.filled": "भरा गया: {fields}",
+  "voice.failed": "डिक्टेशन विफल: {error}",
+
+  "actions.run": "सिमुलेशन चलाएँ",
+  "actions.running": "चल रहा है...",
+  "actions.runDisabled": "चलाने के लिए सभी इनपुट सही भरें",
+  "actions.cancel": "रद्द करें",
+  "actions.save": "परिदृश्य सहेजें",
+  "actions.speak": "🔊 परिणाम सुनें",
+  "actions.copyLink": "🔗 लिंक कॉपी करें",
+  "actions.copyLinkHint": "ऐसा लिंक कॉपी करें जो इन इनपुट को एडिटर में खोले",
+  "actions.withSeed": "सीड सहित",
+
+  "share.openFailed": "साझा लिंक नहीं खुल सका: {error}",
+  "share.loaded": "साझा परिदृश्य लोड हुआ। परिणाम देखने के लिए इसे चलाएँ।",
+  "share.copied": "लिंक क्लिपबोर्ड पर कॉपी हुआ।",
+  "share.copiedReadOnly": "\"{name}\" का केवल-पढ़ने वाला लिंक कॉपी हुआ।",
+  "share.copyPrompt": "यह लिंक कॉपी करें",
+  "share.damaged": "लिंक खराब या अधूरा है।",
+  "share.noScenario": "इस लिंक में कोई परिदृश्य नहीं है।",
+  "share.newerVersion": "यह लिंक डैशबोर्ड के नए संस्करण से बना है।",
+
+  "shared.title": "साझा परिदृश्य",
+  "shared.readOnly": "केवल-पढ़ने वाला लिंक",
+  "shared.openInEditor": "एडिटर में खोलें",
+  "shared.saveCopy": "एक प्रति सहेजें",
+  "shared.close": "बंद करें",
+  "shared.simulating": "सिमुलेट हो रहा है…",
+  "shared.failed": "यह परिदृश्य सिमुलेट नहीं हो सका: {message}",
+
+  "errors.rejected": "बैकएंड ने कुछ इनपुट अस्वीकार किए। कृपया चिह्नित फ़ील्ड जाँचें।",
+  "errors.unreachable": "{url} पर बैकएंड उपलब्ध नहीं है। {message}",
+  "errors.server": "{message} कृपया फिर से प्रयास करें या बैकएंड लॉग जाँचें।",
+  "errors.unexpected": "सिमुलेशन चलाते समय अनपेक्षित त्रुटि।",
+
+  "validation.required": "{label} आवश्यक है।",
+  "validation.list": "{label} संख्याओं की अल्पविराम से अलग सूची होनी चाहिए।",
+  "validation.listMin": "{label} के मान कम से कम {min} होने चाहिए।",
+  "validation.listMax": "{label} में अधिकतम {max} मान हो सकते हैं।",
+  "validation.priceBreakRows": "{label} की हर पंक्ति में न्यूनतम मात्रा और यूनिट लागत चाहिए।",
+  "validation.priceBreakPositive": "{label} की मात्राएँ और लागतें 0 से अधिक होनी चाहिए।",
+  "validation.priceBreakMax": "{label} में अधिकतम {max} पंक्तियाँ हो सकती हैं।",
+  "validation.maxLength": "{label} अधिकतम {max} अक्षरों का हो सकता है।",
+  "validation.options": "{label} इनमें से एक होना चाहिए: {options}।",
+  "validation.number": "{label} एक संख्या होनी चाहिए।",
+  "validation.integer": "{label} एक पूर्ण संख्या होनी चाहिए।",
+  "validation.greaterThan": "{label} {min} से अधिक होना चाहिए।",
+  "validation.atLeast": "{label} कम से कम {min} होना चाहिए।",
+  "validation.atMost": "{label} अधिकतम {max} हो सकता है।",
+  "validation.history": "{method} को कम से कम {needed} अवधियों का इतिहास चाहिए (अभी {periods} हैं)।",
+  "validation.duplicateBreak": "दो मूल्य छूट {quantity} से शुरू होती हैं।",
+  "validation.breaksCheaper": "न्यूनतम मात्रा बढ़ने पर मूल्य छूट सस्ती होनी चाहिए।",
+  "validation.empiricalHistory": "अनुभवजन्य वितरण के लिए अपलोड किया गया मांग इतिहास चाहिए।",
+  "validation.server": "{label}: {message}",
+  "validation.invalid": "अमान्य मान।",
+
+  "results.demandBadge": "मांग: {distribution}",
+  "results.demandBadgeHint": "मोंटे कार्लो में प्रति अवधि मांग का वितरण",
+  "results.seed": "सीड {seed}",
+  "engine.backend": "FastAPI बैकएंड",
+  "engine.browser": "ब्राउज़र इंजन (ऑफ़लाइन)",
+  "engine.workerFailed": "सिमुलेशन वर्कर विफल हुआ",
+  "kpi.totalCost": "वार्षिक कुल लागत",
+  "kpi.delay": "देरी",
+  "kpi.delayValue": "{days} दिन",
+  "kpi.serviceLevel": "सर्विस लेवल",
+  "kpi.target": "लक्ष्य {target}",
+  "kpi.eoq": "EOQ",
+  "kpi.orderingAt": "{quantity} का ऑर्डर {price} पर",
+  "kpi.orderingAtHint": "मूल्य छूट के कारण दूसरी मात्रा सस्ती है; लागत विवरण देखें।",
+  "kpi.fillRate": "फ़िल रेट",
+  "kpi.stockout": "स्टॉकआउट संभावना",
+  "kpi.onHand": "औसत हाथ में स्टॉक",
+  "kpi.orders": "ऑर्डर",
+  "kpi.ordersValue": "{orders} / रन",
+  "risk.label": "जोखिम स्तर",
+  "risk.low": "कम",
+  "risk.medium": "मध्यम",
+  "risk.high": "अधिक",
+  "estimate.mismatch": "⚠ {label}: बैकएंड {actual} बताता है, क्लाइंट का अनुमान {expected} है।",
+  "serviceTarget.cycle": "साइकिल सर्विस",
+  "serviceTarget.fill_rate": "फ़िल रेट",
+  "serviceTarget.describe": "{target} {definition} (z = {z})",
+
+  "charts.inventoryTitle": "इन्वेंटरी अनुमान",
+  "charts.forecastTitle": "मांग पूर्वानुमान",
+  "chart.average": "औसत",
+  "chart.minMax": "न्यूनतम – अधिकतम",
+  "chart.band": "न्यूनतम / अधिकतम",
+  "chart.averageInventory": "औसत इन्वेंटरी",
+  "chart.forecast": "पूर्वानुमान",
+  "chart.stockoutRun": "कम से कम एक रन में स्टॉकआउट",
+  "chart.reorderPoint": "रीऑर्डर पॉइंट",
+  "chart.orderUpTo": "ऑर्डर-अप-टू",
+  "chart.safetyStock": "सेफ़्टी स्टॉक",
+  "chart.empty": "इन्वेंटरी अनुमान देखने के लिए सिमुलेशन चलाएँ।",
+  "chart.summary": "{periods} अवधियों का इन्वेंटरी अनुमान: औसत इन्वेंटरी {start} से {end} इकाई तक जाती है, और {stockouts} अवधियों में कम से कम एक रन में स्टॉक खत्म होता है।",
+  "forecast.summary": "{method} ({params}) · MAE {mae} · MAPE {mape}",
+  "forecast.stdDev": " · मांग का मानक विचलन {std}",
+  "forecast.notAvailable": "उपलब्ध नहीं",
+  "forecast.history": "इतिहास",
+  "forecast.fitted": "फ़िट किया गया",
+
+  "costs.title": "लागत विवरण",
+  "costs.summary": "{periods} अवधियों में वार्षिक लागत {total}",
+  "costs.penalty": " · कमी का दंड {penalty} / यूनिट",
+  "costs.annual": "वार्षिक",
+  "costComponent.purchase": "खरीद",
+  "costComponent.ordering": "ऑर्डर",
+  "costComponent.holding": "होल्डिंग",
+  "costComponent.shortage": "कमी",
+  "costs.orderQuantity": "ऑर्डर मात्रा {quantity}",
+  "costs.totalCost": "कुल लागत",
+  "costs.totalCostAt": "कुल लागत @ {price}",
+  "costs.eoq": "EOQ",
+  "costs.order": "ऑर्डर",
+  "costs.from": "से",
+  "costs.unitCost": "यूनिट लागत",
+  "costs.bestQ": "सर्वोत्तम Q",
+  "costs.purchase": "खरीद",
+  "costs.orderingHolding": "ऑर्डर + होल्डिंग",
+  "costs.totalYear": "कुल / वर्ष",
+  "costs.unreachable": "संभव नहीं",
+  "pricing.manual":
+    "ऑर्डर मात्रा हाथ से तय की गई है; सबसे सस्ता स्तर {quantity} यूनिट {price} प्रति यूनिट पर ऑर्डर करेगा।",
+  "pricing.eoqCheapest":
+    "{eoq} का EOQ पहले से सबसे सस्ता विकल्प है; कोई बड़ी मूल्य छूट अपने अतिरिक्त स्टॉक की भरपाई नहीं करती।",
+  "pricing.cheaperTier":
+    "{eoq} के EOQ की जगह {quantity} ऑर्डर करने से {price} की यूनिट कीमत मिलती है ({min} यूनिट से)। इससे खरीद पर सालाना {saved} बचते हैं, जबकि ऑर्डर और होल्डिंग में {extra} अधिक लगते हैं; कुल मिलाकर {difference} सस्ता।",
+
+  "library.title": "सहेजे गए परिदृश्य",
+  "library.import": "JSON आयात करें",
+  "library.export": "JSON निर्यात करें",
+  "library.empty": "सिमुलेशन चलाएँ और इसे यहाँ रखने के लिए \"परिदृश्य सहेजें\" पर क्लिक करें।",
+  "library.saved": "\"{name}\" आपके परिदृश्यों में सहेजा गया।",
+  "library.runFirst": "सहेजने से पहले सिमुलेशन चलाएँ।",
+  "library.defaultName": "परिदृश्य {n}",
+  "library.copyName": "{name} (प्रति)",
+  "library.renamePrompt": "परिदृश्य का नाम बदलें",
+  "library.deleteConfirm": "\"{name}\" हटाएँ?",
+  "library.imported": "{count} परिदृश्य आयात हुए।",
+  "library.skipped": " {count} छोड़े गए: {errors}",
+  "library.importFailed": "आयात विफल: {message}",
+  "library.invalidJson": "{file} मान्य JSON नहीं है।",
+  "library.unknownFormat": "परिदृश्य फ़ाइल का प्रारूप पहचाना नहीं गया।",
+  "library.newerVersion": "परिदृश्य फ़ाइल का संस्करण {version} इस डैशबोर्ड द्वारा समर्थित संस्करण ({supported}) से नया है।",
+  "library.noList": "परिदृश्य फ़ाइल में परिदृश्यों की सूची नहीं है।",
+  "library.entryError": "परिदृश्य {label}: {problems}",
+  "library.entry.notObject": "प्रविष्टि ऑब्जेक्ट नहीं है",
+  "library.entry.nameMissing": "नाम नहीं है",
+  "library.entry.inputsMissing": "इनपुट नहीं हैं",
+  "library.entry.inputType": "inputs.{field} स्ट्रिंग या संख्या होना चाहिए",
+  "library.entry.resultMissing": "परिणाम नहीं है",
+  "library.entry.totalCostType": "result.total_cost संख्या होनी चाहिए",
+  "card.demand": "मांग: {value}",
+  "card.leadTime": "लीड टाइम: {value}",
+  "card.cost": "लागत/यूनिट: {value}",
+  "card.seedRuns": "सीड: {seed} · रन: {runs}",
+  "card.distribution": "मांग: {distribution}",
+  "card.rename": "नाम बदलें",
+  "card.duplicate": "प्रतिलिपि",
+  "card.rerun": "दोबारा चलाएँ",
+  "card.rerunHint": "उसी सीड से दोबारा चलाएँ और जाँचें कि परिणाम मेल खाता है",
+  "card.copyLink": "लिंक कॉपी करें",
+  "card.copyLinkHint": "इस परिदृश्य का केवल-पढ़ने वाला लिंक कॉपी करें",
+  "card.delete": "हटाएँ",
+  "rerun.running": "उसी सीड से दोबारा चल रहा है…",
+  "rerun.match": "✓ बिल्कुल वही परिणाम (सीड {seed})।",
+  "rerun.mismatch": "✗ परिणाम अलग है: {differences}।",
+  "rerun.noSeed": "यह परिदृश्य बिना सीड के सहेजा गया था, इसलिए इसे दोहराया नहीं जा सकता।",
+
+  "compare.title": "परिदृश्य तुलना",
+  "compare.speak": "🔊 तुलना सुनें",
+  "compare.speakHint": "तुलना किए गए पहले दो परिदृश्य पढ़कर सुनाता है",
+  "compare.pick": "तुलना करें:",
+  "compare.baseline": "आधार:",
+  "compare.baselineTag": "आधार",
+  "compare.needTwo": "तुलना के लिए कम से कम दो परिदृश्य चुनें।",
+  "compare.metric": "मापदंड",
+  "compare.sortHint": "इस मापदंड से परिदृश्यों को क्रमबद्ध करें",
+  "compare.sortedAsc": "आरोही क्रम में",
+  "compare.sortedDesc": "अवरोही क्रम में",
+  "compare.lowerBetter": "कम बेहतर है",
+  "compare.higherBetter": "अधिक बेहतर है",
+  "compare.best": "सर्वश्रेष्ठ",
+  "compare.copyLinkLabel": "{name} का केवल-पढ़ने वाला लिंक कॉपी करें",
+  "metric.total_cost": "कुल लागत",
+  "metric.ordering_cost": "ऑर्डर लागत",
+  "metric.holding_cost": "होल्डिंग लागत",
+  "metric.shortage_cost": "कमी की लागत",
+  "metric.expected_delay": "अपेक्षित देरी",
+  "metric.service_level": "सर्विस लेवल",
+  "metric.stockout_probability": "स्टॉकआउट संभावना",
+  "metric.fill_rate": "फ़िल रेट",
+  "metric.average_on_hand": "औसत हाथ में स्टॉक",
+  "metric.orders_per_run": "ऑर्डर",
+  "metric.risk": "जोखिम",
+  "metric.demand_distribution": "मांग वितरण",
+  "metric.eoq": "EOQ",
+  "metric.z": "सेफ़्टी फ़ैक्टर (z)",
+  "metric.safety_stock": "सेफ़्टी स्टॉक",
+  "metric.reorder_point": "रीऑर्डर पॉइंट",
+  "metric.demand": "मांग",
+  "metric.leadTime": "लीड टाइम",
+  "metric.cost": "लागत / यूनिट",
+  "metric.seed": "सीड",
+  "metric.num_runs": "रन",
+  "metric.horizon": "अवधि सीमा",
+  "overlay.empty": "अनुमानों को एक साथ देखने के लिए परिदृश्य चुनें।",
+  "overlay.projections": "इन्वेंटरी अनुमान",
+  "overlay.kpis": "KPI तुलना",
+  "overlay.index": "(सूचकांक, अधिकतम = 100)",
+  "overlay.toggle": "परिदृश्य दिखाएँ या छिपाएँ",
+  "overlay.stockout": "स्टॉकआउट",
+
+  "export.title": "निर्यात",
+  "export.csv": "CSV",
+  "export.xlsx": "XLSX",
+  "export.report": "🖨 रिपोर्ट",
+  "export.csvHint": "इनपुट, मीट्रिक और प्रति अवधि अनुमान CSV में डाउनलोड करें",
+  "export.xlsxHint": "इनपुट, मीट्रिक और प्रति अवधि अनुमान Excel वर्कबुक में डाउनलोड करें",
+  "export.reportHint": "प्रिंट करने योग्य रिपोर्ट खोलें; PDF के लिए प्रिंट डायलॉग में \"Save as PDF\" चुनें",
+  "export.popupBlocked": "रिपोर्ट ब्लॉक हो गई। इस पेज के लिए पॉप-अप की अनुमति दें और फिर से कोशिश करें।",
+  "export.failed": "निर्यात विफल: {message}",
+  "report.title": "परिदृश्य रिपोर्ट",
+  "report.generated": "{date} को बनाई गई",
+  "report.serviceTarget": "सर्विस लक्ष्य",
+
+  "analysis.needInputs": "पहले परिदृश्य इनपुट भरें।",
+  "analysis.running": "चल रहा है {done}/{total}…",
+  "sensitivity.title": "संवेदनशीलता",
+  "sensitivity.vary": "हर इनपुट को इतना बदलें ±",
+  "sensitivity.output": "आउटपुट:",
+  "sensitivity.run": "संवेदनशीलता चलाएँ",
+  "sensitivity.failed": "संवेदनशीलता विश्लेषण विफल: {message}",
+  "sensitivity.description": "हर इनपुट को ±{pct}% बदलने पर {metric} में {base} के मूल मान से बदलाव (सीड {seed}; सर्विस लक्ष्य में 100% से कमी बदली जाती है)।",
+  "sensitivity.points": "{value} अंक",
+  "sensitivity.tooltip": "{change} (इनपुट {input})",
+  "sensitivity.low": "कम",
+  "sensitivity.high": "अधिक",
+  "sensitivity.empty": "कौन-सा इनपुट परिणाम को सबसे अधिक बदलता है, यह देखने के लिए संवेदनशीलता विश्लेषण चलाएँ।",
+  "sweep.title": "व्हाट-इफ़ ग्रिड स्वीप",
+  "sweep.xAxis": "X अक्ष",
+  "sweep.yAxis": "Y अक्ष",
+  "sweep.min": "न्यूनतम",
+  "sweep.max": "अधिकतम",
+  "sweep.to": "से",
+  "sweep.steps": "चरण",
+  "sweep.minimumLabel": "{axis} न्यूनतम",
+  "sweep.maximumLabel": "{axis} अधिकतम",
+  "sweep.stepsLabel": "{axis} चरण",
+  "sweep.colourBy": "रंग इसके अनुसार:",
+  "sweep.run": "स्वीप चलाएँ",
+  "sweep.progress": "{done} / {total} रन",
+  "sweep.failed": "स्वीप विफल: {message}",
+  "sweep.sameInputs": "दो अलग-अलग इनपुट चुनें।",
+  "sweep.pickInput": "एक इनपुट चुनें।",
+  "sweep.numericRange": "{label}: संख्यात्मक सीमा दर्ज करें।",
+  "sweep.minBelowMax": "{label}: न्यूनतम अधिकतम से कम होना चाहिए।",
+  "sweep.positive": "{label}: मान धनात्मक होने चाहिए।",
+  "sweep.minAtLeast": "{label}: न्यूनतम कम से कम {min} होना चाहिए।",
+  "sweep.maxAtMost": "{label}: अधिकतम {max} से अधिक नहीं होना चाहिए।",
+  "sweep.stepsRange": "{label}: चरण 2 से {max} तक का पूर्णांक होना चाहिए।",
+  "sweep.cellHint": "{x}, {y}: {value}। फ़ॉर्म में लोड करने के लिए क्लिक करें।",
+  "sweep.legend": "● मौजूदा इनपुट के सबसे निकट वाले सेल को दर्शाता है। नीला कम है, नारंगी अधिक।",
+  "sweep.empty": "दो इनपुट और हर एक की सीमा चुनें, फिर स्वीप चलाएँ।",
+  "recommend.title": "नीति सुझाएँ",
+  "recommend.maxStockout": "अधिकतम स्टॉकआउट संभावना",
+  "recommend.includeMultiplier": "सेफ़्टी स्टॉक गुणक भी खोजें",
+  "recommend.run": "सुझाएँ",
+  "recommend.searching": "खोज रहा है {done}/{total}…",
+  "recommend.noEoq": "मौजूदा इनपुट से EOQ की गणना नहीं हो सकी।",
+  "recommend.failed": "सुझाव विफल: {message}",
+  "recommend.saveFailed": "सुझाव सहेजा नहीं जा सका: {message}",
+  "recommend.saveName": "सुझाया गया Q{quantity} @ {service}%",
+  "recommend.saveNameReview": "सुझाया गया R{period} @ {service}%",
+  "recommend.footnote": "सीड {seed} के साथ {count} नीतियों की तुलना की गई। लागतें वार्षिक हैं और इनमें परिदृश्य इनपुट का कमी दंड शामिल है।",
+  "recommend.apply": "फ़ॉर्म में लोड करें",
+  "recommend.save": "परिदृश्य के रूप में सहेजें",
+  "recommend.saved": "सहेजा गया ✓",
+  "recommend.empty": "स्टॉकआउट सीमा तय करें और डैशबोर्ड को सबसे सस्ती नीति खोजने दें।",
+  "recommend.serviceFallback": "{target} सर्विस लक्ष्य",
+  "recommend.order": "{service} पर {quantity} यूनिट ऑर्डर करें।",
+  "recommend.orderWithMultiplier": "{service} पर सेफ़्टी स्टॉक ×{multiplier} के साथ {quantity} यूनिट ऑर्डर करें।",
+  "recommend.review": "हर {period} अवधि पर समीक्षा करें और {service} पर {level} यूनिट तक ऑर्डर करें।",
+  "recommend.reviewWithMultiplier": "हर {period} अवधि पर समीक्षा करें और {service} पर सेफ़्टी स्टॉक ×{multiplier} के साथ {level} यूनिट तक ऑर्डर करें।",
+  "recommend.costs": "वार्षिक कुल लागत {total}: ख़रीद {purchase}, ऑर्डर {ordering}, होल्डिंग {holding}, कमी {shortage}।",
+  "recommend.unitPrice": "इस ऑर्डर पर {basePrice} के बजाय {price} का यूनिट मूल्य लागू होता है।",
+  "recommend.withinLimit": "सिमुलेट की गई स्टॉकआउट संभावना {stockout} है, जो {limit} की सीमा के भीतर है।",
+  "recommend.noneFeasible": "कोई भी नीति {limit} की स्टॉकआउट सीमा पूरी नहीं करती; यह मिला सबसे कम जोखिम वाला विकल्प है ({stockout})।",
+  "recommend.cheaper": "यह मौजूदा इनपुट से सालाना {saving} ({share}) सस्ता है।",
+  "recommend.dearerOverLimit": "इसकी लागत मौजूदा इनपुट से सालाना {extra} अधिक है, जो सीमा से ऊपर हैं ({stockout})।",
+  "recommend.currentCheaper": "मौजूदा इनपुट सालाना {extra} सस्ते हैं और पहले से सीमा के भीतर हैं; खोज ग्रिड में इससे बेहतर कुछ नहीं मिला।",
+
+  "portfolio.title": "पोर्टफ़ोलियो",
+  "portfolio.upload": "SKU CSV अपलोड करें",
+  "portfolio.rerun": "फिर चलाएँ",
+  "portfolio.periodsPerYear": "प्रति वर्ष अवधियाँ",
+  "portfolio.periodsInvalid": "प्रति वर्ष अवधियाँ 1 से 366 तक का पूर्णांक होनी चाहिए।",
+  "portfolio.periodsStale": "नई प्रति वर्ष अवधियाँ लागू करने के लिए फिर चलाएँ।",
+  "portfolio.fileSummary": "{file}: {count} SKU",
+  "portfolio.fileSkipped": ", {count} छोड़े गए",
+  "portfolio.columns": "कॉलम:",
+  "portfolio.columnsHint": "मांग का मानक विचलन और सर्विस लक्ष्य वैकल्पिक हैं। हर SKU सीड {seed} के साथ चलता है।",
+  "portfolio.rowsSkipped": "{count} पंक्तियाँ छोड़ी गईं",
+  "portfolio.progress": "{done} / {total} SKU",
+  "portfolio.runFailed": "पोर्टफ़ोलियो रन विफल: {message}",
+  "portfolio.readFailed": "{file} पढ़ा नहीं जा सका: {message}",
+  "portfolio.fileEmpty": "फ़ाइल ख़ाली है।",
+  "portfolio.missingColumns": "अनुपस्थित कॉलम: {columns}।",
+  "portfolio.noRows": "फ़ाइल में हेडर है पर कोई SKU पंक्ति नहीं।",
+  "portfolio.tooManyRows": "एक अपलोड में अधिकतम {max} SKU ({count} मिले)।",
+  "portfolio.nameRequired": "नाम आवश्यक है।",
+  "portfolio.rowError": "पंक्ति {line}: {message}",
+  "portfolio.namedRowError": "पंक्ति {line} ({name}): {message}",
+  "portfolio.skus": "SKU",
+  "portfolio.failedCount": "{count} विफल",
+  "portfolio.annualSpend": "वार्षिक ख़र्च",
+  "portfolio.safetyStockValue": "सेफ़्टी स्टॉक मूल्य",
+  "portfolio.cycleStockValue": "औसत साइकिल स्टॉक मूल्य",
+  "portfolio.riskHigh": "{count} उच्च",
+  "portfolio.riskDetail": "{medium} मध्यम · {low} निम्न",
+  "portfolio.class": "वर्ग {abc}",
+  "portfolio.skuCount": "{count} SKU",
+  "portfolio.spendShare": "ख़र्च का {share}",
+  "portfolio.filter": "SKU से फ़िल्टर करें",
+  "portfolio.abcClass": "ABC वर्ग",
+  "portfolio.allClasses": "सभी वर्ग",
+  "portfolio.allRisks": "सभी जोखिम स्तर",
+  "portfolio.risk.high": "उच्च जोखिम",
+  "portfolio.risk.medium": "मध्यम जोखिम",
+  "portfolio.risk.low": "निम्न जोखिम",
+  "portfolio.failedRuns": "विफल रन",
+  "portfolio.showing": "{total} में से {shown} दिखाए जा रहे हैं। खोलने के लिए किसी पंक्ति पर क्लिक करें।",
+  "portfolio.column.name": "SKU",
+  "portfolio.column.abcClass": "ABC",
+  "portfolio.column.annualSpend": "वार्षिक ख़र्च",
+  "portfolio.column.eoq": "EOQ",
+  "portfolio.column.reorder_point": "रीऑर्डर पॉइंट",
+  "portfolio.column.safety_stock": "सेफ़्टी स्टॉक",
+  "portfolio.column.stockout_probability": "स्टॉकआउट",
+  "portfolio.column.risk": "जोखिम",
+  "portfolio.rowFailed": "रन विफल: {message}",
+  "portfolio.rowOpen": "{name} खोलें",
+  "portfolio.failedCell": "विफल",
+  "portfolio.empty": "पूरे पोर्टफ़ोलियो को सिमुलेट करने के लिए हर पंक्ति में एक SKU वाली CSV अपलोड करें।",
+};
+
+export default hi;
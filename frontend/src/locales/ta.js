@@ -0,0 +1,488 @@
+// ------- Tamil messages -------
+// Same keys as en.js; anything missing here falls back to English.
+
+const ta = {
+  "app.title": "முடிவு நுண்ணறிவு டாஷ்போர்டு",
+  "app.subtitle": "சரக்கு சூழ்நிலைகளை இயக்கி, உத்திகளை ஒப்பிட்டு, முடிவை ஆங்கிலம், இந்தி அல்லது தமிழில் கேளுங்கள்.",
+  "nav.label": "காட்சி",
+  "nav.single": "ஒற்றை சூழ்நிலை",
+  "nav.portfolio": "போர்ட்ஃபோலியோ",
+
+  "settings.language": "மொழி",
+  "settings.numberFormat": "எண் வடிவம்",
+  "settings.currency": "நாணயம்",
+  "settings.theme": "தீம்",
+  "theme.dark": "இருண்ட",
+  "theme.light": "வெளிர்",
+  "theme.contrast": "உயர் மாறுபாடு",
+
+  "api.backend": "பின்தளம்:",
+  "api.change": "மாற்று",
+  "api.url": "பின்தள URL",
+  "api.save": "சேமி",
+  "api.reset": "மீட்டமை",
+  "api.timedOut": "கோரிக்கை {ms} ms க்குப் பிறகு நேரம் கடந்தது.",
+  "api.unreachable": "சிமுலேஷன் பின்தளத்தை அணுக முடியவில்லை.",
+  "api.rejected": "பின்தளம் சில உள்ளீடுகளை நிராகரித்தது.",
+  "api.serverError": "பின்தளம் பிழையைத் திருப்பியது (HTTP {status}).",
+
+  "field.scenarioName": "சூழ்நிலையின் பெயர்",
+  "field.demand": "தேவை",
+  "field.leadTime": "லீட் டைம்",
+  "field.cost": "விலை / அலகு",
+  "field.orderingCost": "ஆர்டர் செலவு",
+  "field.holdingCost": "இருப்பு செலவு",
+  "field.serviceLevel": "சேவை நிலை",
+  "field.serviceDefinition": "சேவை வரையறை",
+  "field.demandStd": "தேவையின் திட்ட விலக்கம்",
+  "field.periodsPerYear": "காலங்கள் / ஆண்டு",
+  "field.shortagePenalty": "பற்றாக்குறை அபராதம்",
+  "field.priceBreaks": "விலை தள்ளுபடிகள்",
+  "field.scenarioType": "சூழ்நிலை வகை",
+  "field.seed": "விதை (சீட்)",
+  "field.numRuns": "ஓட்டங்கள்",
+  "field.horizon": "கால எல்லை",
+  "field.orderQuantity": "ஆர்டர் அளவு",
+  "field.safetyStockMultiplier": "பாதுகாப்பு இருப்பு ×",
+  "field.demandHistory": "தேவை வரலாறு",
+  "field.forecastMethod": "முன்கணிப்பு முறை",
+  "field.seasonLength": "பருவ நீளம்",
+  "field.policy": "மறுஆர்டர் கொள்கை",
+  "field.reviewPeriod": "மறுஆய்வு காலம்",
+  "field.leadTimeStd": "லீட் டைம் திட்ட விலக்கம்",
+  "field.demandDistribution": "தேவை பரவல்",
+  "field.dispersion": "சிதறல்",
+
+  "inputs.title": "சூழ்நிலை உள்ளீடுகள்",
+  "inputs.namePlaceholder": "எ.கா., இருப்பு தேவை",
+  "inputs.serviceDefinitionHint":
+    "சுழற்சி சேவை: ஒவ்வொரு சுழற்சியிலும் இருப்பு தீராமல் இருக்கும் வாய்ப்பு. நிரப்பு விகிதம்: இருப்பிலிருந்து பூர்த்தியான தேவையின் பங்கு.",
+  "inputs.shortagePenaltyPerUnit": "பற்றாக்குறை அபராதம் / அலகு",
+  "inputs.periodsPerYearHint": "தேவையும் இருப்பு செலவும் ஒரு காலத்திற்கு; ஆண்டு செலவுகள் இதனால் பெருக்கப்படும்.",
+  "inputs.dispersionK": "சிதறல் (k)",
+  "inputs.advanced": "மேம்பட்டவை",
+  "inputs.horizonPeriods": "கால எல்லை (காலங்கள்)",
+  "inputs.seedPlaceholder": "சீரற்ற",
+  "inputs.orderQuantityPlaceholder": "EOQ",
+  "inputs.advancedHint":
+    "ஒவ்வொரு ஓட்டத்திலும் புதிய சீட் எடுக்க அதை காலியாக விடுங்கள்; பயன்படுத்திய சீட் முடிவுடன் சேமிக்கப்படுவதால் மீண்டும் இயக்கலாம். EOQ அளவில் ஆர்டர் செய்ய ஆர்டர் அளவை காலியாக விடுங்கள்.",
+
+  "scenarioType.optimistic": "நம்பிக்கையான",
+  "scenarioType.base": "அடிப்படை",
+  "scenarioType.pessimistic": "அவநம்பிக்கையான",
+  "serviceDefinition.cycle": "சுழற்சி சேவை (α)",
+  "serviceDefinition.fill_rate": "நிரப்பு விகிதம் (β)",
+  "distribution.normal": "இயல்நிலை (நார்மல்)",
+  "distribution.poisson": "பாய்சான்",
+  "distribution.negative_binomial": "எதிர்மறை ஈருறுப்பு",
+  "distribution.lognormal": "மடக்கை-இயல்நிலை",
+  "distribution.empirical": "அனுபவ (பூட்ஸ்ட்ராப்)",
+  "distribution.withDispersion": "{label} (k = {k})",
+  "distributionHint.normal": "தேவையின் திட்ட விலக்கத்தைப் பயன்படுத்தும்; பூஜ்ஜியத்திற்குக் கீழான மதிப்புகள் வெட்டப்படும்.",
+  "distributionHint.poisson": "மாறுபாடு சராசரிக்குச் சமம்; தேவையின் திட்ட விலக்கம் பயன்படாது.",
+  "distributionHint.lognormal": "வலப்புறம் சாய்ந்தது, எப்போதும் எதிர்மறை அல்ல; தேவையின் திட்ட விலக்கத்தைப் பயன்படுத்தும்.",
+  "distributionHint.empirical": "பதிவேற்றிய தேவை வரலாற்றின் முன்கணிப்புப் பிழைகளை மீண்டும் மாதிரியெடுக்கும்.",
+  "policy.continuous": "தொடர்ச்சியான (s, Q)",
+  "policy.periodic": "காலமுறை (R, S)",
+  "policy.min_max": "குறைந்தபட்சம் / அதிகபட்சம்",
+  "method.moving_average": "நகரும் சராசரி",
+  "method.ses": "எளிய அடுக்குக்குறி மென்மையாக்கல்",
+  "method.holt": "ஹோல்ட் (நேரியல் போக்கு)",
+  "method.holt_winters": "ஹோல்ட்-விண்டர்ஸ் (பருவகால)",
+
+  "replenishment.title": "மறுநிரப்பல் கொள்கை",
+  "policyHint.continuous":
+    "கையிருப்பும் ஆர்டரில் உள்ளதும் சேர்ந்து மறுஆர்டர் புள்ளிக்குக் குறையும்போது ஆர்டர் அளவை ஆர்டர் செய்யவும்.",
+  "policyHint.periodic": "ஒவ்வொரு மறுஆய்வு காலத்திலும், மறுஆய்வு காலம் + லீட் டைமை ஈடுசெய்யும் நிலை வரை ஆர்டர் செய்யவும்.",
+  "policyHint.min_max":
+    "இருப்பு மறுஆர்டர் புள்ளிக்கு (குறைந்தபட்சம்) குறையும்போது, குறைந்தபட்சம் + ஆர்டர் அளவு (அதிகபட்சம்) வரை ஆர்டர் செய்யவும்.",
+
+  "priceBreaks.title": "அளவு தள்ளுபடிகள்",
+  "priceBreaks.minQuantity": "குறைந்தபட்ச அளவு",
+  "priceBreaks.unitCost": "அலகு விலை",
+  "priceBreaks.rowMin": "விலை தள்ளுபடி {n} குறைந்தபட்ச அளவு",
+  "priceBreaks.rowCost": "விலை தள்ளுபடி {n} அலகு விலை",
+  "priceBreaks.remove": "நீக்கு",
+  "priceBreaks.removeHint": "இந்த விலை தள்ளுபடியை நீக்கு",
+  "priceBreaks.removeRow": "விலை தள்ளுபடி {n} ஐ நீக்கு",
+  "priceBreaks.add": "விலை தள்ளுபடி சேர்",
+  "priceBreaks.hint":
+    "குறைந்தபட்ச அளவுக்கு மேற்பட்ட ஆர்டர்கள் ஒவ்வொரு அலகுக்கும் அந்த விலையைச் செலுத்தும்; முதல் தள்ளுபடிக்குக் கீழ் விலை / அலகு பொருந்தும். ஆர்டர் அளவு அமைக்கப்படாவிட்டால், மலிவான நிலை EOQ-க்குப் பதிலாக வரும்.",
+
+  "history.title": "தேவை வரலாறு & முன்கணிப்பு",
+  "history.upload": "வரலாறு CSV பதிவேற்று",
+  "history.loaded": "{count} காலங்கள் ஏற்றப்பட்டன",
+  "history.clear": "அழி",
+  "history.empty": "ஒவ்வொரு காலத்திற்கும் ஒரு தேவை மதிப்பு, பழையது முதலில்.",
+  "history.readFailed": "{file} படிக்க முடியவில்லை: {message}",
+  "history.fileEmpty": "கோப்பு காலியாக உள்ளது.",
+  "history.noColumn": "தேவை நெடுவரிசை எதுவும் இல்லை (இவற்றில் ஒன்று எதிர்பார்க்கப்படுகிறது: {columns}).",
+  "history.invalidValue": "வரி {line}: \"{value}\" சரியான தேவை மதிப்பு அல்ல.",
+  "history.tooLong": "வரலாற்றில் அதிகபட்சம் {max} காலங்கள் ({count} கண்டறியப்பட்டன).",
+  "csv.unterminatedQuote": "வரி {line} இல் தொடங்கும் மேற்கோள் புலம் மூடப்படவில்லை.",
+  "history.hint":
+    "வரலாறு ஏற்றப்பட்டால், பொருத்திய மாதிரி சூழ்நிலை வகைப் போக்கை மாற்றும், அதன் பிழை தேவையின் திட்ட விலக்கத்தை அமைக்கும்.",
+
+  "voice.title": "குரல் & டிக்டேஷன்",
+  "voice.language": "பேச்சு மொழி",
+  "voice.voice": "குரல்",
+  "voice.default": "உலாவியின் இயல்புநிலை",
+  "voice.rate": "வேகம் ({rate}×)",
+  "voice.pitch": "சுருதி ({pitch})",
+  "voice.noVoice": "{language} குரல் நிறுவப்படவில்லை; உலாவி அதன் இயல்புநிலைக் குரலைப் பயன்படுத்தும்.",
+  "voice.test": "குரலைச் சோதி",
+  "voice.dictate": "🎤 உள்ளீடுகளைச் சொல்லுங்கள்",
+  "voice.stop": "■ டிக்டேஷனை நிறுத்து",
+  "voice.unsupported": "இந்த உலாவி பேச்சு அறிதலை ஆதரிக்கவில்லை",
+  "voice.speechUnsupported": "இந்த உலாவியால் உரையைப் படித்துக் காட்ட முடியாது, எனவே பேச்சுச் சுருக்கங்கள் கிடைக்காது.",
+  "voice.example": "புலத்தின் பெயரையும் அதன் மதிப்பையும் சொல்லுங்கள், எ.கா. “{example}”.",
+  "voice.heard": "கேட்டது: “{text}”",
+  "voice.filled": "நிரப்பப்பட்டது: {fields}",
+  "voice.failed": "டிக்டேஷன் தோல்வி: {error}",
+
+  "actions.run": "உருவகப்படுத்தலை இயக்கு",
+  "actions.running": "இயங்குகிறது...",
+  "actions.runDisabled": "இயக்க அனைத்து உள்ளீடுகளையும் சரியாக நிரப்பவும்",
+  "actions.cancel": "ரத்து",
+  "actions.save": "சூழ்நிலையைச் சேமி",
+  "actions.speak": "🔊 முடிவைக் கேள்",
+  "actions.copyLink": "🔗 இணைப்பை நகலெடு",
+  "actions.copyLinkHint": "இந்த உள்ளீடுகளை எடிட்டரில் திறக்கும் இணைப்பை நகலெடு",
+  "actions.withSeed": "சீட் உடன்",
+
+  "share.openFailed": "பகிர்ந்த இணைப்பைத் திறக்க முடியவில்லை: {error}",
+  "share.loaded": "பகிர்ந்த சூழ்நிலை ஏற்றப்பட்டது. முடிவுகளைக் காண அதை இயக்கவும்.",
+  "share.copied": "இணைப்பு கிளிப்போர்டுக்கு நகலெடுக்கப்பட்டது.",
+  "share.copiedReadOnly": "\"{name}\" க்கான படிக்க மட்டும் இணைப்பு நகலெடுக்கப்பட்டது.",
+  "share.copyPrompt": "இந்த இணைப்பை நகலெடுக்கவும்",
+  "share.damaged": "இணைப்பு சேதமடைந்துள்ளது அல்லது முழுமையற்றது.",
+  "share.noScenario": "இந்த இணைப்பில் சூழ்நிலை எதுவும் இல்லை.",
+  "share.newerVersion": "இந்த இணைப்பு டாஷ்போர்டின் புதிய பதிப்பில் உருவாக்கப்பட்டது.",
+
+  "shared.title": "பகிரப்பட்ட சூழ்நிலை",
+  "shared.readOnly": "படிக்க மட்டும் இணைப்பு",
+  "shared.openInEditor": "எடிட்டரில் திற",
+  "shared.saveCopy": "ஒரு நகலைச் சேமி",
+  "shared.close": "மூடு",
+  "shared.simulating": "சிமுலேட் செய்யப்படுகிறது…",
+  "shared.failed": "இந்தச் சூழ்நிலையைச் சிமுலேட் செய்ய முடியவில்லை: {message}",
+
+  "errors.rejected": "பின்தளம் சில உள்ளீடுகளை நிராகரித்தது. குறிக்கப்பட்ட புலங்களைச் சரிபார்க்கவும்.",
+  "errors.unreachable": "{url} இல் பின்தளத்தை அணுக முடியவில்லை. {message}",
+  "errors.server": "{message} மீண்டும் முயலவும் அல்லது பின்தளப் பதிவுகளைச் சரிபார்க்கவும்.",
+  "errors.unexpected": "உருவகப்படுத்தலை இயக்கும்போது எதிர்பாராத பிழை.",
+
+  "validation.required": "{label} தேவை.",
+  "validation.list": "{label} காற்புள்ளியால் பிரிக்கப்பட்ட எண்களின் பட்டியலாக இருக்க வேண்டும்.",
+  "validation.listMin": "{label} மதிப்புகள் குறைந்தது {min} ஆக இருக்க வேண்டும்.",
+  "validation.listMax": "{label} அதிகபட்சம் {max} மதிப்புகளைக் கொண்டிருக்கலாம்.",
+  "validation.priceBreakRows": "{label} ஒவ்வொரு வரிசையிலும் குறைந்தபட்ச அளவும் அலகு விலையும் தேவை.",
+  "validation.priceBreakPositive": "{label} அளவுகளும் விலைகளும் 0 ஐ விட அதிகமாக இருக்க வேண்டும்.",
+  "validation.priceBreakMax": "{label} அதிகபட்சம் {max} வரிசைகளைக் கொண்டிருக்கலாம்.",
+  "validation.maxLength": "{label} அதிகபட்சம் {max} எழுத்துகள் இருக்கலாம்.",
+  "validation.options": "{label} இவற்றில் ஒன்றாக இருக்க வேண்டும்: {options}.",
+  "validation.number": "{label} ஒரு எண்ணாக இருக்க வேண்டும்.",
+  "validation.integer": "{label} ஒரு முழு எண்ணாக இருக்க வேண்டும்.",
+  "validation.greaterThan": "{label} {min} ஐ விட அதிகமாக இருக்க வேண்டும்.",
+  "validation.atLeast": "{label} குறைந்தது {min} ஆக இருக்க வேண்டும்.",
+  "validation.atMost": "{label} அதிகபட்சம் {max} ஆக இருக்கலாம்.",
+  "validation.history": "{method} க்கு குறைந்தது {needed} காலங்களின் வரலாறு தேவை (இப்போது {periods}).",
+  "validation.duplicateBreak": "இரண்டு விலை தள்ளுபடிகள் {quantity} இல் தொடங்குகின்றன.",
+  "validation.breaksCheaper": "குறைந்தபட்ச அளவு உயரும்போது விலை தள்ளுபடிகள் மலிவாக வேண்டும்.",
+  "validation.empiricalHistory": "அனுபவப் பரவலுக்கு பதிவேற்றிய தேவை வரலாறு தேவை.",
+  "validation.server": "{label}: {message}",
+  "validation.invalid": "தவறான மதிப்பு.",
+
+  "results.demandBadge": "தேவை: {distribution}",
+  "results.demandBadgeHint": "மான்டே கார்லோவில் ஒரு காலத் தேவையின் பரவல்",
+  "results.seed": "சீட் {seed}",
+  "engine.backend": "FastAPI பின்தளம்",
+  "engine.browser": "உலாவி இயந்திரம் (ஆஃப்லைன்)",
+  "engine.workerFailed": "சிமுலேஷன் வொர்க்கர் தோல்வியடைந்தது",
+  "kpi.totalCost": "ஆண்டு மொத்த செலவு",
+  "kpi.delay": "தாமதம்",
+  "kpi.delayValue": "{days} நாட்கள்",
+  "kpi.serviceLevel": "சேவை நிலை",
+  "kpi.target": "இலக்கு {target}",
+  "kpi.eoq": "EOQ",
+  "kpi.orderingAt": "{quantity} ஆர்டர், {price} விலையில்",
+  "kpi.orderingAtHint": "விலை தள்ளுபடிகளால் வேறு அளவு மலிவானது; செலவுப் பிரிவைப் பார்க்கவும்.",
+  "kpi.fillRate": "நிரப்பு விகிதம்",
+  "kpi.stockout": "இருப்பு தீர்வு வாய்ப்பு",
+  "kpi.onHand": "சராசரி கையிருப்பு",
+  "kpi.orders": "ஆர்டர்கள்",
+  "kpi.ordersValue": "{orders} / ஓட்டம்",
+  "risk.label": "அபாய நிலை",
+  "risk.low": "குறைவு",
+  "risk.medium": "நடுத்தரம்",
+  "risk.high": "அதிகம்",
+  "estimate.mismatch": "⚠ {label}: பின்தளம் {actual} என்கிறது, கிளையன்ட் மதிப்பீடு {expected}.",
+  "serviceTarget.cycle": "சுழற்சி சேவை",
+  "serviceTarget.fill_rate": "நிரப்பு விகிதம்",
+  "serviceTarget.describe": "{target} {definition} (z = {z})",
+
+  "charts.inventoryTitle": "சரக்கு கணிப்பு",
+  "charts.forecastTitle": "தேவை முன்கணிப்பு",
+  "chart.average": "சராசரி",
+  "chart.minMax": "குறைந்தபட்சம் – அதிகபட்சம்",
+  "chart.band": "குறைந்தபட்சம் / அதிகபட்சம்",
+  "chart.averageInventory": "சராசரி சரக்கு",
+  "chart.forecast": "முன்கணிப்பு",
+  "chart.stockoutRun": "குறைந்தது ஒரு ஓட்டத்தில் இருப்பு தீர்ந்தது",
+  "chart.reorderPoint": "மறுஆர்டர் புள்ளி",
+  "chart.orderUpTo": "ஆர்டர்-வரை நிலை",
+  "chart.safetyStock": "பாதுகாப்பு இருப்பு",
+  "chart.empty": "இருப்பு கணிப்பைக் காண உருவகப்படுத்தலை இயக்கவும்.",
+  "chart.summary": "{periods} காலங்களுக்கான இருப்பு கணிப்பு: சராசரி இருப்பு {start} இலிருந்து {end} அலகுகளுக்குச் செல்கிறது, {stockouts} காலங்களில் குறைந்தது ஒரு ஓட்டத்தில் இருப்பு தீர்கிறது.",
+  "forecast.summary": "{method} ({params}) · MAE {mae} · MAPE {mape}",
+  "forecast.stdDev": " · தேவையின் திட்ட விலக்கம் {std}",
+  "forecast.notAvailable": "இல்லை",
+  "forecast.history": "வரலாறு",
+  "forecast.fitted": "பொருத்தியது",
+
+  "costs.title": "செலவுப் பிரிவு",
+  "costs.summary": "{periods} காலங்களில் ஆண்டுச் செலவு {total}",
+  "costs.penalty": " · பற்றாக்குறை அபராதம் {penalty} / அலகு",
+  "costs.annual": "ஆண்டு",
+  "costComponent.purchase": "கொள்முதல்",
+  "costComponent.ordering": "ஆர்டர்",
+  "costComponent.holding": "இருப்பு",
+  "costComponent.shortage": "பற்றாக்குறை",
+  "costs.orderQuantity": "ஆர்டர் அளவு {quantity}",
+  "costs.totalCost": "மொத்த செலவு",
+  "costs.totalCostAt": "மொத்த செலவு @ {price}",
+  "costs.eoq": "EOQ",
+  "costs.order": "ஆர்டர்",
+  "costs.from": "இருந்து",
+  "costs.unitCost": "அலகு விலை",
+  "costs.bestQ": "சிறந்த Q",
+  "costs.purchase": "கொள்முதல்",
+  "costs.orderingHolding": "ஆர்டர் + இருப்பு",
+  "costs.totalYear": "மொத்தம் / ஆண்டு",
+  "costs.unreachable": "அடைய முடியாது",
+  "pricing.manual":
+    "ஆர்டர் அளவு கையால் அமைக்கப்பட்டுள்ளது; மலிவான நிலை ஒரு அலகுக்கு {price} விலையில் {quantity} ஆர்டர் செய்யும்.",
+  "pricing.eoqCheapest":
+    "{eoq} என்ற EOQ ஏற்கனவே மலிவான தேர்வு; எந்தப் பெரிய விலை தள்ளுபடியும் அதன் கூடுதல் இருப்பை ஈடுசெய்யாது.",
+  "pricing.cheaperTier":
+    "{eoq} என்ற EOQ-க்குப் பதிலாக {quantity} ஆர்டர் செய்தால் {price} அலகு விலை கிடைக்கும் ({min} அலகுகளிலிருந்து). கொள்முதலில் ஆண்டுக்கு {saved} சேமிக்கும், ஆர்டர் மற்றும் இருப்பில் {extra} கூடுதல்; மொத்தத்தில் {difference} மலிவு.",
+
+  "library.title": "சேமித்த சூழ்நிலைகள்",
+  "library.import": "JSON இறக்குமதி",
+  "library.export": "JSON ஏற்றுமதி",
+  "library.empty": "உருவகப்படுத்தலை இயக்கி, இங்கே வைக்க \"சூழ்நிலையைச் சேமி\" ஐக் கிளிக் செய்யவும்.",
+  "library.saved": "\"{name}\" உங்கள் சூழ்நிலைகளில் சேமிக்கப்பட்டது.",
+  "library.runFirst": "சேமிப்பதற்கு முன் உருவகப்படுத்தலை இயக்கவும்.",
+  "library.defaultName": "சூழ்நிலை {n}",
+  "library.copyName": "{name} (நகல்)",
+  "library.renamePrompt": "சூழ்நிலையின் பெயரை மாற்று",
+  "library.deleteConfirm": "\"{name}\" ஐ நீக்கவா?",
+  "library.imported": "{count} சூழ்நிலை(கள்) இறக்குமதி செய்யப்பட்டன.",
+  "library.skipped": " {count} தவிர்க்கப்பட்டன: {errors}",
+  "library.importFailed": "இறக்குமதி தோல்வி: {message}",
+  "library.invalidJson": "{file} சரியான JSON அல்ல.",
+  "library.unknownFormat": "சூழ்நிலை கோப்பின் வடிவம் அடையாளம் காணப்படவில்லை.",
+  "library.newerVersion": "சூழ்நிலை கோப்பின் பதிப்பு {version}, இந்த டாஷ்போர்டு ஆதரிக்கும் பதிப்பை ({supported}) விட புதியது.",
+  "library.noList": "சூழ்நிலை கோப்பில் சூழ்நிலைகளின் பட்டியல் இல்லை.",
+  "library.entryError": "சூழ்நிலை {label}: {problems}",
+  "library.entry.notObject": "பதிவு ஒரு ஆப்ஜெக்ட் அல்ல",
+  "library.entry.nameMissing": "பெயர் இல்லை",
+  "library.entry.inputsMissing": "உள்ளீடுகள் இல்லை",
+  "library.entry.inputType": "inputs.{field} ஒரு சரம் அல்லது எண்ணாக இருக்க வேண்டும்",
+  "library.entry.resultMissing": "முடிவு இல்லை",
+  "library.entry.totalCostType": "result.total_cost ஒரு எண்ணாக இருக்க வேண்டும்",
+  "card.demand": "தேவை: {value}",
+  "card.leadTime": "லீட் டைம்: {value}",
+  "card.cost": "விலை/அலகு: {value}",
+  "card.seedRuns": "சீட்: {seed} · ஓட்டங்கள்: {runs}",
+  "card.distribution": "தேவை: {distribution}",
+  "card.rename": "பெயர் மாற்று",
+  "card.duplicate": "நகல்",
+  "card.rerun": "மீண்டும் இயக்கு",
+  "card.rerunHint": "அதே சீட் உடன் மீண்டும் இயக்கி முடிவு பொருந்துகிறதா எனச் சரிபார்",
+  "card.copyLink": "இணைப்பை நகலெடு",
+  "card.copyLinkHint": "இந்தச் சூழ்நிலைக்கான படிக்க மட்டும் இணைப்பை நகலெடு",
+  "card.delete": "நீக்கு",
+  "rerun.running": "அதே சீட் உடன் மீண்டும் இயங்குகிறது…",
+  "rerun.match": "✓ சரியாக அதே முடிவு (சீட் {seed}).",
+  "rerun.mismatch": "✗ முடிவு வேறுபடுகிறது: {differences}.",
+  "rerun.noSeed": "இந்த சூழ்நிலை சீட் இல்லாமல் சேமிக்கப்பட்டது, எனவே அதை மீண்டும் உருவாக்க முடியாது.",
+
+  "compare.title": "சூழ்நிலை ஒப்பீடு",
+  "compare.speak": "🔊 ஒப்பீட்டைக் கேள்",
+  "compare.speakHint": "ஒப்பிடப்பட்ட முதல் இரண்டு சூழ்நிலைகளைப் படித்துக் காட்டும்",
+  "compare.pick": "ஒப்பிடு:",
+  "compare.baseline": "அடிப்படை:",
+  "compare.baselineTag": "அடிப்படை",
+  "compare.needTwo": "ஒப்பிட குறைந்தது இரண்டு சூழ்நிலைகளைத் தேர்ந்தெடுக்கவும்.",
+  "compare.metric": "அளவீடு",
+  "compare.sortHint": "இந்த அளவீட்டின்படி சூழ்நிலைகளை வரிசைப்படுத்து",
+  "compare.sortedAsc": "ஏறுவரிசையில்",
+  "compare.sortedDesc": "இறங்குவரிசையில்",
+  "compare.lowerBetter": "குறைவு சிறந்தது",
+  "compare.higherBetter": "அதிகம் சிறந்தது",
+  "compare.best": "சிறந்தது",
+  "compare.copyLinkLabel": "{name} க்கான படிக்க மட்டும் இணைப்பை நகலெடு",
+  "metric.total_cost": "மொத்த செலவு",
+  "metric.ordering_cost": "ஆர்டர் செலவு",
+  "metric.holding_cost": "இருப்பு செலவு",
+  "metric.shortage_cost": "பற்றாக்குறை செலவு",
+  "metric.expected_delay": "எதிர்பார்க்கப்படும் தாமதம்",
+  "metric.service_level": "சேவை நிலை",
+  "metric.stockout_probability": "இருப்பு தீர்வு வாய்ப்பு",
+  "metric.fill_rate": "நிரப்பு விகிதம்",
+  "metric.average_on_hand": "சராசரி கையிருப்பு",
+  "metric.orders_per_run": "ஆர்டர்கள்",
+  "metric.risk": "அபாயம்",
+  "metric.demand_distribution": "தேவை பரவல்",
+  "metric.eoq": "EOQ",
+  "metric.z": "பாதுகாப்புக் காரணி (z)",
+  "metric.safety_stock": "பாதுகாப்பு இருப்பு",
+  "metric.reorder_point": "மறுஆர்டர் புள்ளி",
+  "metric.demand": "தேவை",
+  "metric.leadTime": "லீட் டைம்",
+  "metric.cost": "விலை / அலகு",
+  "metric.seed": "சீட்",
+  "metric.num_runs": "ஓட்டங்கள்",
+  "metric.horizon": "கால எல்லை",
+  "overlay.empty": "கணிப்புகளை ஒன்றாகக் காண சூழ்நிலைகளைத் தேர்ந்தெடுக்கவும்.",
+  "overlay.projections": "சரக்கு கணிப்புகள்",
+  "overlay.kpis": "KPI ஒப்பீடு",
+  "overlay.index": "(குறியீடு, அதிகபட்சம் = 100)",
+  "overlay.toggle": "சூழ்நிலைகளைக் காட்டு அல்லது மறை",
+  "overlay.stockout": "இருப்பு தீர்வு",
+
+  "export.title": "ஏற்றுமதி",
+  "export.csv": "CSV",
+  "export.xlsx": "XLSX",
+  "export.report": "🖨 அறிக்கை",
+  "export.csvHint": "உள்ளீடுகள், அளவீடுகள் மற்றும் காலவாரி கணிப்புகளை CSV ஆக பதிவிறக்கவும்",
+  "export.xlsxHint": "உள்ளீடுகள், அளவீடுகள் மற்றும் காலவாரி கணிப்புகளை Excel பணிப்புத்தகமாக பதிவிறக்கவும்",
+  "export.reportHint": "அச்சிடக்கூடிய அறிக்கையைத் திறக்கவும்; PDF-க்கு அச்சு உரையாடலில் \"Save as PDF\" என்பதைத் தேர்ந்தெடுக்கவும்",
+  "export.popupBlocked": "அறிக்கை தடுக்கப்பட்டது. இந்தப் பக்கத்திற்கு பாப்-அப்களை அனுமதித்து மீண்டும் முயற்சிக்கவும்.",
+  "export.failed": "ஏற்றுமதி தோல்வியடைந்தது: {message}",
+  "report.title": "சூழ்நிலை அறிக்கை",
+  "report.generated": "{date} அன்று உருவாக்கப்பட்டது",
+  "report.serviceTarget": "சேவை இலக்கு",
+
+  "analysis.needInputs": "முதலில் சூழ்நிலை உள்ளீடுகளை நிரப்பவும்.",
+  "analysis.running": "இயங்குகிறது {done}/{total}…",
+  "sensitivity.title": "உணர்திறன்",
+  "sensitivity.vary": "ஒவ்வொரு உள்ளீட்டையும் மாற்றவும் ±",
+  "sensitivity.output": "வெளியீடு:",
+  "sensitivity.run": "உணர்திறனை இயக்கு",
+  "sensitivity.failed": "உணர்திறன் பகுப்பாய்வு தோல்வியடைந்தது: {message}",
+  "sensitivity.description": "ஒவ்வொரு உள்ளீடும் ±{pct}% மாறும்போது {metric} அடிப்படை மதிப்பான {base} இலிருந்து மாறும் அளவு (சீட் {seed}; சேவை இலக்கில் 100% இலிருந்து உள்ள குறைவு மாற்றப்படுகிறது).",
+  "sensitivity.points": "{value} புள்ளிகள்",
+  "sensitivity.tooltip": "{change} (உள்ளீடு {input})",
+  "sensitivity.low": "குறைவு",
+  "sensitivity.high": "அதிகம்",
+  "sensitivity.empty": "எந்த உள்ளீடு முடிவை அதிகம் மாற்றுகிறது என்பதைப் பார்க்க உணர்திறன் பகுப்பாய்வை இயக்கவும்.",
+  "sweep.title": "என்ன-ஆனால் கிரிட் ஸ்வீப்",
+  "sweep.xAxis": "X அச்சு",
+  "sweep.yAxis": "Y அச்சு",
+  "sweep.min": "குறைந்தது",
+  "sweep.max": "அதிகபட்சம்",
+  "sweep.to": "முதல்",
+  "sweep.steps": "படிகள்",
+  "sweep.minimumLabel": "{axis} குறைந்தபட்சம்",
+  "sweep.maximumLabel": "{axis} அதிகபட்சம்",
+  "sweep.stepsLabel": "{axis} படிகள்",
+  "sweep.colourBy": "நிறம் இதன்படி:",
+  "sweep.run": "ஸ்வீப்பை இயக்கு",
+  "sweep.progress": "{done} / {total} ஓட்டங்கள்",
+  "sweep.failed": "ஸ்வீப் தோல்வியடைந்தது: {message}",
+  "sweep.sameInputs": "இரண்டு வெவ்வேறு உள்ளீடுகளைத் தேர்ந்தெடுக்கவும்.",
+  "sweep.pickInput": "ஒரு உள்ளீட்டைத் தேர்ந்தெடுக்கவும்.",
+  "sweep.numericRange": "{label}: எண் வரம்பை உள்ளிடவும்.",
+  "sweep.minBelowMax": "{label}: குறைந்தபட்சம் அதிகபட்சத்தை விடக் குறைவாக இருக்க வேண்டும்.",
+  "sweep.positive": "{label}: மதிப்புகள் நேர்மறையாக இருக்க வேண்டும்.",
+  "sweep.minAtLeast": "{label}: குறைந்தபட்சம் {min} ஆவது இருக்க வேண்டும்.",
+  "sweep.maxAtMost": "{label}: அதிகபட்சம் {max} ஐ விட அதிகமாக இருக்கக்கூடாது.",
+  "sweep.stepsRange": "{label}: படிகள் 2 முதல் {max} வரையிலான முழு எண்ணாக இருக்க வேண்டும்.",
+  "sweep.cellHint": "{x}, {y}: {value}. படிவத்தில் ஏற்ற கிளிக் செய்யவும்.",
+  "sweep.legend": "● தற்போதைய உள்ளீடுகளுக்கு மிக அருகிலுள்ள கலத்தைக் குறிக்கிறது. நீலம் குறைவு, ஆரஞ்சு அதிகம்.",
+  "sweep.empty": "இரண்டு உள்ளீடுகளையும் ஒவ்வொன்றுக்கும் ஒரு வரம்பையும் தேர்ந்தெடுத்து, பிறகு ஸ்வீப்பை இயக்கவும்.",
+  "recommend.title": "கொள்கையைப் பரிந்துரை",
+  "recommend.maxStockout": "அதிகபட்ச இருப்பு தீர்வு வாய்ப்பு",
+  "recommend.includeMultiplier": "பாதுகாப்பு இருப்புப் பெருக்கியையும் தேடு",
+  "recommend.run": "பரிந்துரை",
+  "recommend.searching": "தேடுகிறது {done}/{total}…",
+  "recommend.noEoq": "தற்போதைய உள்ளீடுகளிலிருந்து EOQ ஐக் கணக்கிட முடியவில்லை.",
+  "recommend.failed": "பரிந்துரை தோல்வியடைந்தது: {message}",
+  "recommend.saveFailed": "பரிந்துரையைச் சேமிக்க முடியவில்லை: {message}",
+  "recommend.saveName": "பரிந்துரைக்கப்பட்டது Q{quantity} @ {service}%",
+  "recommend.saveNameReview": "பரிந்துரைக்கப்பட்டது R{period} @ {service}%",
+  "recommend.footnote": "சீட் {seed} உடன் {count} கொள்கைகள் ஒப்பிடப்பட்டன. செலவுகள் ஆண்டுக்கானவை, சூழ்நிலை உள்ளீடுகளின் பற்றாக்குறை அபராதமும் இதில் அடங்கும்.",
+  "recommend.apply": "படிவத்தில் ஏற்று",
+  "recommend.save": "சூழ்நிலையாகச் சேமி",
+  "recommend.saved": "சேமிக்கப்பட்டது ✓",
+  "recommend.empty": "இருப்பு தீர்வு வரம்பை அமைத்து, மலிவான கொள்கையை டாஷ்போர்டு தேடட்டும்.",
+  "recommend.serviceFallback": "{target} சேவை இலக்கு",
+  "recommend.order": "{service} இல் {quantity} அலகுகளை ஆர்டர் செய்யவும்.",
+  "recommend.orderWithMultiplier": "{service} இல் பாதுகாப்பு இருப்பு ×{multiplier} உடன் {quantity} அலகுகளை ஆர்டர் செய்யவும்.",
+  "recommend.review": "ஒவ்வொரு {period} காலங்களுக்கும் மதிப்பாய்வு செய்து {service} இல் {level} அலகுகள் வரை ஆர்டர் செய்யவும்.",
+  "recommend.reviewWithMultiplier": "ஒவ்வொரு {period} காலங்களுக்கும் மதிப்பாய்வு செய்து {service} இல் பாதுகாப்பு இருப்பு ×{multiplier} உடன் {level} அலகுகள் வரை ஆர்டர் செய்யவும்.",
+  "recommend.costs": "ஆண்டு மொத்தச் செலவு {total}: கொள்முதல் {purchase}, ஆர்டர் {ordering}, வைத்திருப்பு {holding}, பற்றாக்குறை {shortage}.",
+  "recommend.unitPrice": "இந்த ஆர்டருக்கு {basePrice} க்குப் பதிலாக {price} அலகு விலை கிடைக்கிறது.",
+  "recommend.withinLimit": "சிமுலேட் செய்யப்பட்ட இருப்பு தீர்வு வாய்ப்பு {stockout}, இது {limit} வரம்புக்குள் உள்ளது.",
+  "recommend.noneFeasible": "எந்தக் கொள்கையும் {limit} இருப்பு தீர்வு வரம்பை எட்டவில்லை; கண்டறியப்பட்டவற்றில் இதுவே மிகக் குறைந்த அபாய விருப்பம் ({stockout}).",
+  "recommend.cheaper": "இது தற்போதைய உள்ளீடுகளை விட ஆண்டுக்கு {saving} ({share}) மலிவானது.",
+  "recommend.dearerOverLimit": "இதன் செலவு தற்போதைய உள்ளீடுகளை விட ஆண்டுக்கு {extra} அதிகம்; அவை வரம்பை மீறுகின்றன ({stockout}).",
+  "recommend.currentCheaper": "தற்போதைய உள்ளீடுகள் ஆண்டுக்கு {extra} மலிவானவை, ஏற்கனவே வரம்புக்குள் உள்ளன; தேடல் கிரிட்டில் இதைவிடச் சிறந்தது எதுவும் கிடைக்கவில்லை.",
+
+  "portfolio.title": "போர்ட்ஃபோலியோ",
+  "portfolio.upload": "SKU CSV ஐப் பதிவேற்று",
+  "portfolio.rerun": "மீண்டும் இயக்கு",
+  "portfolio.periodsPerYear": "ஆண்டுக்கு காலங்கள்",
+  "portfolio.periodsInvalid": "ஆண்டுக்கு காலங்கள் 1 முதல் 366 வரையிலான முழு எண்ணாக இருக்க வேண்டும்.",
+  "portfolio.periodsStale": "புதிய ஆண்டுக்கு காலங்களைப் பயன்படுத்த மீண்டும் இயக்கவும்.",
+  "portfolio.fileSummary": "{file}: {count} SKU",
+  "portfolio.fileSkipped": ", {count} தவிர்க்கப்பட்டன",
+  "portfolio.columns": "நெடுவரிசைகள்:",
+  "portfolio.columnsHint": "தேவை திட்ட விலக்கமும் சேவை இலக்கும் விருப்பத்தேர்வானவை. ஒவ்வொரு SKU வும் சீட் {seed} உடன் இயங்கும்.",
+  "portfolio.rowsSkipped": "{count} வரிசைகள் தவிர்க்கப்பட்டன",
+  "portfolio.progress": "{done} / {total} SKU",
+  "portfolio.runFailed": "போர்ட்ஃபோலியோ ஓட்டம் தோல்வியடைந்தது: {message}",
+  "portfolio.readFailed": "{file} ஐப் படிக்க முடியவில்லை: {message}",
+  "portfolio.fileEmpty": "கோப்பு காலியாக உள்ளது.",
+  "portfolio.missingColumns": "இல்லாத நெடுவரிசைகள்: {columns}.",
+  "portfolio.noRows": "கோப்பில் தலைப்பு உள்ளது, ஆனால் SKU வரிசைகள் இல்லை.",
+  "portfolio.tooManyRows": "ஒரு பதிவேற்றத்தில் அதிகபட்சம் {max} SKU ({count} கண்டறியப்பட்டன).",
+  "portfolio.nameRequired": "பெயர் தேவை.",
+  "portfolio.rowError": "வரி {line}: {message}",
+  "portfolio.namedRowError": "வரி {line} ({name}): {message}",
+  "portfolio.skus": "SKU",
+  "portfolio.failedCount": "{count} தோல்வி",
+  "portfolio.annualSpend": "ஆண்டுச் செலவினம்",
+  "portfolio.safetyStockValue": "பாதுகாப்பு இருப்பு மதிப்பு",
+  "portfolio.cycleStockValue": "சராசரி சுழற்சி இருப்பு மதிப்பு",
+  "portfolio.riskHigh": "{count} அதிகம்",
+  "portfolio.riskDetail": "{medium} நடுத்தரம் · {low} குறைவு",
+  "portfolio.class": "வகை {abc}",
+  "portfolio.skuCount": "{count} SKU",
+  "portfolio.spendShare": "செலவினத்தில் {share}",
+  "portfolio.filter": "SKU மூலம் வடிகட்டு",
+  "portfolio.abcClass": "ABC வகை",
+  "portfolio.allClasses": "அனைத்து வகைகளும்",
+  "portfolio.allRisks": "அனைத்து அபாய நிலைகளும்",
+  "portfolio.risk.high": "அதிக அபாயம்",
+  "portfolio.risk.medium": "நடுத்தர அபாயம்",
+  "portfolio.risk.low": "குறைந்த அபாயம்",
+  "portfolio.failedRuns": "தோல்வியடைந்த ஓட்டங்கள்",
+  "portfolio.showing": "{total} இல் {shown} காட்டப்படுகின்றன. திறக்க ஒரு வரிசையைக் கிளிக் செய்யவும்.",
+  "portfolio.column.name": "SKU",
+  "portfolio.column.abcClass": "ABC",
+  "portfolio.column.annualSpend": "ஆண்டுச் செலவினம்",
+  "portfolio.column.eoq": "EOQ",
+  "portfolio.column.reorder_point": "மறுஆர்டர் புள்ளி",
+  "portfolio.column.safety_stock": "பாதுகாப்பு இருப்பு",
+  "portfolio.column.stockout_probability": "இருப்பு தீர்வு",
+  "portfolio.column.risk": "அபாயம்",
+  "portfolio.rowFailed": "ஓட்டம் தோல்வியடைந்தது: {message}",
+  "portfolio.rowOpen": "{name} ஐத் திற",
+  "portfolio.failedCell": "தோல்வி",
+  "portfolio.empty": "முழு போர்ட்ஃபோலியோவையும் சிமுலேட் செய்ய, ஒரு வரிசைக்கு ஒரு SKU கொண்ட CSV ஐப் பதிவேற்றவும்.",
+};
+
+export default ta;
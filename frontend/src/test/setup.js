@@ -0,0 +1,12 @@
+import { afterEach } from "vitest";
+import { cleanup } from "@testing-library/react";
+
+// Testing Library only unmounts automatically when test globals are enabled.
+afterEach(cleanup);
+
+// Recharts' ResponsiveContainer measures its parent; jsdom has no layout.
+globalThis.ResizeObserver ??= class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
@@ -0,0 +1,127 @@
+import { colors, fontSizes, radii } from "./tokens.js";
+
+// ------- Shared inline styles -------
+// The recurring field, card and button styles, built from the theme tokens.
+
+/** Text, number and select inputs; the border turns orange on a validation error. */
+export const inputStyle = (hasError = false) => ({
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: radii.md,
+  border: `1px solid ${hasError ? colors.inputInvalid : colors.inputBorder}`,
+  background: colors.input,
+  color: colors.text,
+  fontSize: fontSizes.md,
+});
+
+export const labelStyle = (size = fontSizes.md) => ({
+  fontSize: size,
+  display: "block",
+  marginBottom: "4px",
+});
+
+export const hintStyle = {
+  fontSize: fontSizes.xs,
+  color: colors.textSubtle,
+  margin: "6px 0 0",
+};
+
+/** Small select used in toolbars and settings rows. */
+export const compactSelectStyle = {
+  padding: "4px 8px",
+  borderRadius: radii.sm,
+  border: `1px solid ${colors.inputBorder}`,
+  background: colors.input,
+  color: colors.text,
+  fontSize: fontSizes.sm,
+};
+
+/** A label wrapping its control on one line. */
+export const inlineLabelStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: "4px",
+  fontSize: fontSizes.sm,
+  color: colors.textMuted,
+};
+
+/** Recharts tooltip box (`contentStyle`, or the wrapper of a custom tooltip). */
+export const chartTooltipStyle = {
+  background: colors.card,
+  border: `1px solid ${colors.tooltipBorder}`,
+  borderRadius: radii.md,
+  fontSize: fontSizes.sm,
+};
+
+/** The `<summary>` of a collapsible input group. */
+export const summaryStyle = {
+  fontSize: fontSizes.md,
+  cursor: "pointer",
+  color: colors.textMuted,
+};
+
+/** Borderless text button for remove / clear actions. */
+export const dangerLinkStyle = {
+  background: "none",
+  border: "none",
+  color: colors.dangerText,
+  fontSize: fontSizes.sm,
+  cursor: "pointer",
+};
+
+/** Hides text visually while keeping it for screen readers (captions, "best" markers). */
+export const visuallyHiddenStyle = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  padding: 0,
+  margin: "-1px",
+  overflow: "hidden",
+  clip: "rect(0, 0, 0, 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+export const panelStyle = {
+  background: colors.panel,
+  borderRadius: radii.xl,
+  padding: "16px",
+  border: `1px solid ${colors.panelBorder}`,
+};
+
+export const cardStyle = {
+  background: colors.card,
+  borderRadius: radii.lg,
+  padding: "10px",
+  border: `1px solid ${colors.cardBorder}`,
+};
+
+const PILL_SIZES = {
+  sm: { padding: "2px 8px", fontSize: fontSizes.xs },
+  md: { padding: "4px 10px", fontSize: fontSizes.sm },
+  lg: { padding: "8px 14px", fontSize: fontSizes.md },
+};
+
+const PILL_TONES = {
+  default: { background: "transparent", color: colors.text },
+  soft: { background: "transparent", color: colors.textSoft },
+  danger: { background: "transparent", color: colors.dangerText },
+  accent: { background: colors.accentSoft, color: colors.accentText },
+  voice: { background: colors.voice, color: colors.voiceText },
+};
+
+/**
+ * Rounded pill button.
+ * @param {Object} [options]
+ * @param {"sm" | "md" | "lg"} [options.size]
+ * @param {"default" | "soft" | "danger" | "accent" | "voice"} [options.tone]
+ * @param {boolean} [options.disabled]
+ */
+export const pillButton = ({ size = "md", tone = "default", disabled = false } = {}) => ({
+  ...PILL_SIZES[size],
+  ...PILL_TONES[tone],
+  borderRadius: radii.pill,
+  border: `1px solid ${colors.inputBorder}`,
+  cursor: disabled ? "not-allowed" : "pointer",
+  opacity: disabled ? 0.5 : 1,
+});
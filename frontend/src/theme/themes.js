@@ -0,0 +1,295 @@
+// ------- Colour themes -------
+// One palette per theme, all with the same keys. ThemeProvider turns the
+// chosen palette into CSS custom properties (`--did-<key>`) that the colour
+// tokens in tokens.js point at. Risk and chart colours come from the
+// Okabe–Ito palette, which stays distinguishable with the common forms of
+// colour blindness; charts also vary dash patterns, so no series relies on
+// hue alone. The choice is kept in localStorage like the locale settings.
+
+const OKABE_ITO = {
+  orange: "#E69F00",
+  skyBlue: "#56B4E9",
+  bluishGreen: "#009E73",
+  yellow: "#F0E442",
+  blue: "#0072B2",
+  vermillion: "#D55E00",
+  reddishPurple: "#CC79A7",
+};
+
+const dark = {
+  // page and surfaces
+  pageGlow: "#111827",
+  page: "#020617",
+  shell: "rgba(15, 23, 42, 0.95)",
+  shellBorder: "rgba(148, 163, 184, 0.2)",
+  shellShadow: "rgba(15, 23, 42, 0.8)",
+  panel: "rgba(15, 23, 42, 0.9)",
+  panelBorder: "rgba(75, 85, 99, 0.7)",
+  card: "#020617",
+  cardBorder: "#1f2937",
+  track: "#0f172a",
+  tooltipBorder: "#374151",
+  hover: "rgba(148, 163, 184, 0.08)",
+
+  // text
+  text: "#ffffff",
+  textSoft: "#e5e7eb",
+  textMuted: "#9ca3af",
+  textSubtle: "#6b7280",
+
+  // controls
+  input: "#020617",
+  inputBorder: "#4b5563",
+  inputInvalid: "#f97316",
+  focus: "#38bdf8",
+
+  // accents and status
+  accent: "#38bdf8",
+  accentSoft: "rgba(56, 189, 248, 0.2)",
+  accentFaint: "rgba(56, 189, 248, 0.12)",
+  accentText: "#e0f2fe",
+  success: "#22c55e",
+  successSoft: "rgba(34, 197, 94, 0.12)",
+  successText: "#86efac",
+  successBorder: "#166534",
+  good: "#4ade80",
+  warning: "#f97316",
+  warningText: "#fdba74",
+  warningBorder: "#9a3412",
+  caution: "#facc15",
+  cautionSoft: "rgba(250, 204, 21, 0.08)",
+  cautionBorder: "rgba(250, 204, 21, 0.4)",
+  cautionText: "#fde68a",
+  danger: "#ef4444",
+  dangerSoft: "rgba(239, 68, 68, 0.2)",
+  bad: "#f87171",
+  dangerText: "#fca5a5",
+  voice: "rgba(147, 51, 234, 0.2)",
+  voiceText: "#e9d5ff",
+  runFrom: "#22c55e",
+  runTo: "#a3e635",
+  runText: "#022c22",
+
+  // stockout risk
+  riskLow: OKABE_ITO.bluishGreen,
+  riskMedium: OKABE_ITO.orange,
+  riskHigh: OKABE_ITO.vermillion,
+
+  // charts
+  chartGrid: "#1f2937",
+  chartAxis: "#9ca3af",
+  chartAverage: OKABE_ITO.skyBlue,
+  chartForecast: OKABE_ITO.reddishPurple,
+  chartStockout: OKABE_ITO.vermillion,
+  chartReorderPoint: OKABE_ITO.orange,
+  chartOrderUpTo: OKABE_ITO.bluishGreen,
+  chartSafetyStock: OKABE_ITO.yellow,
+  chartDotStroke: "#e5e7eb",
+  chartActual: "#e5e7eb",
+  series1: OKABE_ITO.skyBlue,
+  series2: OKABE_ITO.orange,
+  series3: OKABE_ITO.bluishGreen,
+  series4: OKABE_ITO.reddishPurple,
+  series5: OKABE_ITO.yellow,
+  series6: OKABE_ITO.vermillion,
+  series7: "#e5e7eb",
+  series8: OKABE_ITO.blue,
+};
+
+const light = {
+  pageGlow: "#e0f2fe",
+  page: "#f8fafc",
+  shell: "#ffffff",
+  shellBorder: "#cbd5e1",
+  shellShadow: "rgba(15, 23, 42, 0.15)",
+  panel: "#f8fafc",
+  panelBorder: "#cbd5e1",
+  card: "#ffffff",
+  cardBorder: "#e2e8f0",
+  track: "#e2e8f0",
+  tooltipBorder: "#cbd5e1",
+  hover: "rgba(15, 23, 42, 0.06)",
+
+  text: "#0f172a",
+  textSoft: "#1e293b",
+  textMuted: "#475569",
+  textSubtle: "#64748b",
+
+  input: "#ffffff",
+  inputBorder: "#94a3b8",
+  inputInvalid: "#c2410c",
+  focus: "#0072B2",
+
+  accent: "#0369a1",
+  accentSoft: "rgba(3, 105, 161, 0.15)",
+  accentFaint: "rgba(3, 105, 161, 0.08)",
+  accentText: "#0c4a6e",
+  success: "#15803d",
+  successSoft: "rgba(21, 128, 61, 0.1)",
+  successText: "#166534",
+  successBorder: "#86efac",
+  good: "#15803d",
+  warning: "#c2410c",
+  warningText: "#9a3412",
+  warningBorder: "#fdba74",
+  caution: "#854d0e",
+  cautionSoft: "rgba(234, 179, 8, 0.12)",
+  cautionBorder: "rgba(161, 98, 7, 0.5)",
+  cautionText: "#854d0e",
+  danger: "#b91c1c",
+  dangerSoft: "rgba(220, 38, 38, 0.12)",
+  bad: "#b91c1c",
+  dangerText: "#b91c1c",
+  voice: "rgba(147, 51, 234, 0.12)",
+  voiceText: "#6b21a8",
+  runFrom: "#16a34a",
+  runTo: "#65a30d",
+  runText: "#ffffff",
+
+  riskLow: OKABE_ITO.bluishGreen,
+  riskMedium: OKABE_ITO.orange,
+  riskHigh: OKABE_ITO.vermillion,
+
+  chartGrid: "#e2e8f0",
+  chartAxis: "#475569",
+  chartAverage: OKABE_ITO.blue,
+  chartForecast: OKABE_ITO.reddishPurple,
+  chartStockout: OKABE_ITO.vermillion,
+  chartReorderPoint: OKABE_ITO.orange,
+  chartOrderUpTo: OKABE_ITO.bluishGreen,
+  chartSafetyStock: "#8a7a00",
+  chartDotStroke: "#ffffff",
+  chartActual: "#1e293b",
+  series1: OKABE_ITO.blue,
+  series2: OKABE_ITO.orange,
+  series3: OKABE_ITO.bluishGreen,
+  series4: OKABE_ITO.reddishPurple,
+  series5: OKABE_ITO.vermillion,
+  series6: OKABE_ITO.skyBlue,
+  series7: "#1e293b",
+  series8: "#8a7a00",
+};
+
+// Black and white with bright accents and solid borders everywhere; every
+// text colour reaches WCAG AAA contrast against black.
+const contrast = {
+  pageGlow: "#000000",
+  page: "#000000",
+  shell: "#000000",
+  shellBorder: "#ffffff",
+  shellShadow: "transparent",
+  panel: "#000000",
+  panelBorder: "#ffffff",
+  card: "#000000",
+  cardBorder: "#ffffff",
+  track: "#000000",
+  tooltipBorder: "#ffffff",
+  hover: "rgba(255, 255, 255, 0.2)",
+
+  text: "#ffffff",
+  textSoft: "#ffffff",
+  textMuted: "#ffffff",
+  textSubtle: "#e5e5e5",
+
+  input: "#000000",
+  inputBorder: "#ffffff",
+  inputInvalid: "#ffb000",
+  focus: "#ffff00",
+
+  accent: "#ffff00",
+  accentSoft: "rgba(255, 255, 0, 0.3)",
+  accentFaint: "rgba(255, 255, 0, 0.15)",
+  accentText: "#ffff00",
+  success: "#00ff7f",
+  successSoft: "rgba(0, 255, 127, 0.2)",
+  successText: "#00ff7f",
+  successBorder: "#00ff7f",
+  good: "#00ff7f",
+  warning: "#ffb000",
+  warningText: "#ffb000",
+  warningBorder: "#ffb000",
+  caution: "#ffff00",
+  cautionSoft: "transparent",
+  cautionBorder: "#ffff00",
+  cautionText: "#ffff00",
+  danger: "#ff6b6b",
+  dangerSoft: "rgba(255, 107, 107, 0.25)",
+  bad: "#ff8080",
+  dangerText: "#ff8080",
+  voice: "transparent",
+  voiceText: "#ffffff",
+  runFrom: "#ffff00",
+  runTo: "#ffff00",
+  runText: "#000000",
+
+  riskLow: OKABE_ITO.bluishGreen,
+  riskMedium: OKABE_ITO.orange,
+  riskHigh: OKABE_ITO.vermillion,
+
+  chartGrid: "#666666",
+  chartAxis: "#ffffff",
+  chartAverage: OKABE_ITO.skyBlue,
+  chartForecast: OKABE_ITO.reddishPurple,
+  chartStockout: OKABE_ITO.vermillion,
+  chartReorderPoint: OKABE_ITO.orange,
+  chartOrderUpTo: OKABE_ITO.bluishGreen,
+  chartSafetyStock: OKABE_ITO.yellow,
+  chartDotStroke: "#ffffff",
+  chartActual: "#ffffff",
+  series1: OKABE_ITO.skyBlue,
+  series2: OKABE_ITO.orange,
+  series3: OKABE_ITO.bluishGreen,
+  series4: OKABE_ITO.reddishPurple,
+  series5: OKABE_ITO.yellow,
+  series6: OKABE_ITO.vermillion,
+  series7: "#ffffff",
+  series8: "#b3b3b3",
+};
+
+export const PALETTES = { dark, light, contrast };
+
+/** Theme names in switcher order; `colorScheme` styles native controls. */
+export const THEMES = [
+  { value: "dark", colorScheme: "dark" },
+  { value: "light", colorScheme: "light" },
+  { value: "contrast", colorScheme: "dark" },
+];
+
+export const DEFAULT_THEME = "dark";
+
+const THEME_KEY = "decision-dashboard.theme";
+
+export const loadTheme = () => {
+  try {
+    const stored = window.localStorage.getItem(THEME_KEY);
+    return THEMES.some((theme) => theme.value === stored) ? stored : DEFAULT_THEME;
+  } catch {
+    return DEFAULT_THEME;
+  }
+};
+
+export const storeTheme = (name) => {
+  try {
+    window.localStorage.setItem(THEME_KEY, name);
+  } catch (err) {
+    console.error("Could not store the theme", err);
+  }
+};
+
+/** CSS custom property for a palette key, e.g. "chartGrid" -> "--did-chart-grid". */
+export const cssVariable = (key) =>
+  `--did-${key.replace(/[A-Z0-9]+/g, (part) => `-${part.toLowerCase()}`)}`;
+
+/**
+ * The palette of theme `name` as CSS custom properties, ready to spread into
+ * a `style` prop.
+ * @param {string} name
+ * @returns {Object<string, string>}
+ */
+export const themeVariables = (name) =>
+  Object.fromEntries(
+    Object.entries(PALETTES[name] ?? PALETTES[DEFAULT_THEME]).map(([key, value]) => [
+      cssVariable(key),
+      value,
+    ])
+  );
@@ -0,0 +1,56 @@
+import { PALETTES, cssVariable } from "./themes.js";
+
+// ------- Theme tokens -------
+// Every colour, radius and font size the dashboard components use. Components
+// read these instead of hex literals. Colours are `var(--did-…)` references
+// to the palette ThemeProvider sets (see themes.js), each falling back to its
+// dark value so components still render without a provider and inside
+// exported chart images.
+
+/** Palette key -> CSS colour, e.g. `colors.textMuted`. */
+export const colors = Object.fromEntries(
+  Object.entries(PALETTES.dark).map(([key, value]) => [key, `var(${cssVariable(key)}, ${value})`])
+);
+
+/** Risk bar colour per `risk_level`. */
+export const riskColors = {
+  low: colors.riskLow,
+  medium: colors.riskMedium,
+  high: colors.riskHigh,
+};
+
+/** Colours for an open-ended list of chart series (scenarios, tiers). */
+export const seriesColors = [
+  colors.series1,
+  colors.series2,
+  colors.series3,
+  colors.series4,
+  colors.series5,
+  colors.series6,
+  colors.series7,
+  colors.series8,
+];
+
+export const radii = {
+  sm: "6px",
+  md: "8px",
+  lg: "10px",
+  xl: "12px",
+  xxl: "16px",
+  pill: "999px",
+};
+
+export const fontSizes = {
+  xxs: "10px",
+  xs: "11px",
+  sm: "12px",
+  md: "13px",
+  lg: "14px",
+  xl: "16px",
+  xxl: "18px",
+  title: "32px",
+};
+
+export const fonts = {
+  body: "system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+};
@@ -0,0 +1,14 @@
+import { simulateScenario } from "../lib/simulation.js";
+
+// Runs the browser simulation engine off the main thread.
+// Message in:  { id, scenario }
+// Message out: { id, result } or { id, error }
+self.onmessage = (event) => {
+  const { id, scenario } = event.data;
+  try {
+    const result = simulateScenario(scenario);
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
@@ -1,10 +1,30 @@
   import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
-export default defineConfig({
+// `vite build --mode lib` packages the dashboard components (src/index.js)
+// for npm instead of building the GitHub Pages site.
+export default defineConfig(({ mode }) => ({
   plugins: [react()],
   base: '/-decision-intelligence-dashboard-/',  // ⚠️ EXACT repo name with hyphens
-  build: {
-    outDir: '../docs',                           // already fine
+  build:
+    mode === 'lib'
+      ? {
+          outDir: 'dist-lib',
+          copyPublicDir: false,
+          lib: {
+            entry: 'src/index.js',
+            formats: ['es'],
+            fileName: 'index',
+          },
+          rollupOptions: {
+            external: ['react', 'react-dom', 'react/jsx-runtime', 'recharts'],
+          },
+        }
+      : {
+          outDir: '../docs',                           // already fine
+        },
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['src/test/setup.js'],
   },
-})
+}))